@@ -12,13 +12,80 @@ const CONFIG = {
     CHAT_ID: process.env.TELEGRAM_CHAT_ID
   },
   LINE: {
-    LIFF_ID: process.env.LIFF_ID
+    LIFF_ID: process.env.LIFF_ID,
+    // LIFF ID มีรูปแบบ '<channel ID>-<รหัส>' - channel ID คือ audience ของ ID token
+    CHANNEL_ID: process.env.LINE_CHANNEL_ID || (process.env.LIFF_ID || '').split('-')[0],
+    // 🆕 ตรวจ ID token ของ LIFF ที่ /api/clockin, /api/clockout, /api/check-status
+    ID_TOKEN: {
+      ISSUER: 'https://access.line.me',
+      JWKS_URL: process.env.LINE_JWKS_URL || 'https://api.line.me/oauth2/v2.1/certs',
+      JWKS_FILE: process.env.LINE_JWKS_FILE, // key set ในเครื่อง (ทดสอบ/ออฟไลน์) ใช้แทน JWKS_URL
+      // โหมดพัฒนา: ยอมรับ request ที่ไม่มี token (เช่น เปิดหน้าเว็บนอก LINE) - ห้ามเปิดบน production
+      DEV_MODE: process.env.LIFF_AUTH_DEV_MODE === 'true'
+    }
+  },
+  // เวลาจำลอง (mock_time) ที่ client ส่งมากับการลงเวลาเข้า/ออกและการพัก รับเฉพาะตอนพัฒนา/ทดสอบ
+  // production ไม่สนใจ mock_time และใช้เวลาของเซิร์ฟเวอร์เสมอ
+  MOCK_TIME_ENABLED: process.env.LIFF_AUTH_DEV_MODE === 'true' || process.env.NODE_ENV === 'test',
+  // 🆕 ผูกบัญชี LINE กับพนักงาน - ลงเวลาได้เฉพาะจากบัญชีที่ผูกไว้ (ผู้ดูแลอนุมัติหรือใช้รหัสลงทะเบียน)
+  // ปิดเป็นค่าเริ่มต้น: เปิดด้วย LINE_BINDING_ENABLED=true และต้องตั้ง LINE_BINDING_SECRET (ใช้สร้างรหัสลงทะเบียน)
+  // ⚠️ ขณะปิด ID token ยืนยันได้แค่ว่าเป็นบัญชี LINE จริง - บัญชีใดก็ลงเวลาแทนพนักงานคนใดก็ได้ (เตือนตอนเริ่มเซิร์ฟเวอร์)
+  LINE_BINDING: {
+    ENABLED: process.env.LINE_BINDING_ENABLED === 'true',
+    SECRET: process.env.LINE_BINDING_SECRET,
+    ENROLLMENT_CODE_TTL_HOURS: 24, // รหัสลงทะเบียนใช้ได้ 24-48 ชั่วโมงหลังออก
+    // กรอกรหัสผิดครบจำนวนนี้ (ต่อบัญชี LINE หรือต่อพนักงาน) ล็อกการใช้รหัสจนครบเวลา
+    ENROLLMENT_MAX_FAILED_ATTEMPTS: 5,
+    ENROLLMENT_LOCKOUT_MINUTES: 15,
+    LOG_FILE: process.env.LINE_BINDING_LOG_FILE || './data/line-binding.log'
+  },
+  // 🆕 เลือกที่เก็บข้อมูล: 'sheets' (Google Sheets), 'local' (ไฟล์ JSON ในเครื่อง)
+  // หรือ 'fake' (spreadsheet จำลองในหน่วยความจำจากไฟล์ fixture - สำหรับทดสอบ)
+  STORAGE: {
+    DRIVER: process.env.STORAGE_DRIVER || 'sheets',
+    LOCAL_FILE: process.env.LOCAL_STORAGE_FILE || './data/timetracker.json',
+    FAKE_FIXTURE: process.env.FAKE_SHEETS_FIXTURE || './test/fixtures/spreadsheet.json',
+    // เมื่อใช้ 'local' สามารถคัดลอกการเขียนทั้งหมดไปยัง Google Sheets เป็น mirror ได้
+    MIRROR_TO_SHEETS: process.env.STORAGE_MIRROR_SHEETS === 'true'
+  },
+  // 🆕 journal สำหรับการเขียนไป Google Sheets - รับการลงเวลาทันทีแล้วค่อยส่งเมื่อ API พร้อม
+  // ครอบคลุมเฉพาะการลงเวลาเข้า/ออก (MAIN และ ON WORK) เท่านั้น - การเขียนอื่น (พนักงาน, การผูก LINE, กะ, ตารางเวร,
+  // การพัก, ใบลา, ไปราชการ, พื้นที่, วันหยุด, archive) เขียนตรงไปยัง Google Sheets และล้มเหลวทันทีเมื่อ API ใช้ไม่ได้
+  WRITE_JOURNAL: {
+    ENABLED: process.env.WRITE_JOURNAL_ENABLED !== 'false',
+    FILE: process.env.WRITE_JOURNAL_FILE || './data/write-journal.log',
+    BASE_DELAY_MS: 2000,      // backoff เริ่มต้น 2 วินาที
+    MAX_DELAY_MS: 300000      // backoff สูงสุด 5 นาที
   },
   SHEETS: {
     MAIN: 'MAIN',
     EMPLOYEES: 'EMPLOYEES',
-    ON_WORK: 'ON WORK'
+    ON_WORK: 'ON WORK',
+    LINE_BINDINGS: 'LINE_BINDINGS',
+    SHIFTS: 'SHIFTS',
+    ROSTERS: 'ROSTERS',
+    BREAKS: 'BREAKS',
+    HOLIDAYS: 'HOLIDAYS',
+    LEAVE_REQUESTS: 'LEAVE_REQUESTS',
+    DUTIES: 'DUTIES',
+    ZONES: 'ZONES',
+    // sheet เก็บข้อมูลเดือนที่ปิดแล้ว เช่น 'MAIN_2025-06'
+    MAIN_ARCHIVE_PREFIX: 'MAIN_'
+  },
+  // 🆕 ย้ายข้อมูลเดือนที่ปิดแล้วออกจาก MAIN ไปยัง sheet รายเดือน
+  ARCHIVE: {
+    ENABLED: process.env.ARCHIVE_ENABLED !== 'false',
+    CRON: '30 2 * * *' // ทุกวันเวลา 02:30
   },
+  // 🆕 ตรวจความสอดคล้องระหว่าง ON WORK และ MAIN (รายงานทุกคืน, ซ่อมเมื่อผู้ดูแลยืนยันเท่านั้น)
+  RECONCILER: {
+    ENABLED: process.env.RECONCILER_ENABLED !== 'false',
+    CRON: '0 2 * * *', // ทุกวันเวลา 02:00
+    LOG_FILE: process.env.RECONCILER_LOG_FILE || './data/reconcile.log'
+  },
+  // 🆕 ตรวจ header ของ sheet ตอนเริ่มเซิร์ฟเวอร์: 'warn' = เตือนอย่างเดียว (ค่าเริ่มต้น), 'strict' = ไม่ยอมเริ่ม, 'off' = ไม่ตรวจ
+  // deployment เดิมที่ยังไม่ได้รัน "npm run migrate-schema" จึงยังเริ่มได้ - ตั้ง strict เมื่อ migrate แล้ว
+  SCHEMA_CHECK: process.env.SCHEMA_CHECK || 'warn',
   RENDER: {
     SERVICE_URL: process.env.RENDER_SERVICE_URL || `https://${process.env.RENDER_EXTERNAL_HOSTNAME}` || 'http://localhost:3001',
     KEEP_ALIVE_ENABLED: process.env.KEEP_ALIVE_ENABLED === 'true',
@@ -43,24 +110,86 @@ const CONFIG = {
         name: 'ผู้ดูแลระบบ อบต.ข่าใหญ่',
         role: 'admin'
       }
+      // หัวหน้างานอนุมัติใบลาได้เฉพาะพนักงานในกองที่ดูแล (ใช้ได้เฉพาะ API การลา) เช่น
+      // { id: 3, username: 'head_finance', password: '<bcrypt hash>', name: 'ผู้อำนวยการกองคลัง', role: 'supervisor', departments: ['กองคลัง'] }
     ]
   },
-  // 🆕 เพิ่มการตั้งค่าสำหรับยกเว้นการลงเวลาออกอัตโนมัติ
+  // 🆕 กะทำงาน - พนักงานที่ไม่มีตารางเวรใน ROSTERS ใช้กะเริ่มต้นในวันทำงานปกติ
+  SCHEDULE: {
+    // ถ้ามีกะรหัสเดียวกันใน SHIFTS จะใช้ค่าจาก sheet แทน
+    DEFAULT_SHIFT: {
+      code: 'OFFICE',
+      name: 'เวลาราชการ',
+      start: '08:30',
+      end: '16:30',
+      graceMinutes: 0,
+      crossesMidnight: false
+    },
+    DEFAULT_WEEKDAYS: [1, 2, 3, 4, 5] // จันทร์-ศุกร์ (1 = จันทร์ ... 7 = อาทิตย์)
+  },
+  // 🆕 ลงเวลาออกอัตโนมัติรายการที่ค้างอยู่ ตามกะของแต่ละรายการ
   AUTO_CHECKOUT: {
-    // รายชื่อพนักงานที่ยกเว้นจากการลงเวลาออกอัตโนมัติ (เช่น ยามกลางคืน)
-    EXEMPT_EMPLOYEES: [
-      '1017-เปรมชัย ทองสงคราม' // พนักงานยามกลางคืน
-    ],
-    // เวลาที่ทำการลงเวลาออกอัตโนมัติ (23:59)
+    // 'shift_end' = ปิดเมื่อเลยเวลาเลิกกะ + GRACE_MINUTES (ไม่มีกะใช้เวลาตัดรอบ)
+    // 'cutoff'    = ปิดที่เวลาตัดรอบ (CUTOFF_HOUR:CUTOFF_MINUTE) ของวันที่เข้างาน
+    // 'flag'      = ไม่ปิด แจ้งผู้ดูแลเมื่อเลยกำหนดแบบ 'shift_end'
+    // กำหนดรายคนที่คอลัมน์ "ลงเวลาออกอัตโนมัติ" ใน EMPLOYEES หรือรายกะใน SHIFTS (รายคนมีผลก่อน)
+    DEFAULT_POLICY: process.env.AUTO_CHECKOUT_POLICY || 'shift_end',
+    GRACE_MINUTES: process.env.AUTO_CHECKOUT_GRACE_MINUTES ? Number(process.env.AUTO_CHECKOUT_GRACE_MINUTES) : 60,
+    CRON: process.env.AUTO_CHECKOUT_CRON || '*/15 * * * *', // ตรวจทุก 15 นาที
     CUTOFF_HOUR: 23,
     CUTOFF_MINUTE: 59
   },
+  // 🆕 เวลาพักระหว่างวัน - ชั่วโมงทำงาน (คอลัมน์ K) เป็นชั่วโมงสุทธิหลังหักเวลาพัก
+  BREAKS: {
+    // ไม่ได้บันทึกพักเลยและอยู่งานตั้งแต่ AUTO_DEDUCT_AFTER_HOURS ชั่วโมง หักพัก AUTO_DEDUCT_MINUTES นาที (0 = ไม่หัก)
+    AUTO_DEDUCT_MINUTES: process.env.BREAK_AUTO_DEDUCT_MINUTES ? Number(process.env.BREAK_AUTO_DEDUCT_MINUTES) : 60,
+    AUTO_DEDUCT_AFTER_HOURS: process.env.BREAK_AUTO_DEDUCT_AFTER_HOURS ? Number(process.env.BREAK_AUTO_DEDUCT_AFTER_HOURS) : 5
+  },
+  // 🆕 ชั่วโมงล่วงเวลา (OT) - แยกจากชั่วโมงทำงานของแต่ละรายการตอนลงเวลาออก
+  OVERTIME: {
+    WEEKDAY_ENABLED: process.env.OVERTIME_WEEKDAY_ENABLED !== 'false', // ทำงานเลยเวลาเลิกกะในวันทำงาน
+    DAY_OFF_ENABLED: process.env.OVERTIME_DAY_OFF_ENABLED !== 'false', // ทำงานในวันหยุด (ทั้งหมดเป็น OT)
+    MIN_BLOCK_MINUTES: process.env.OVERTIME_MIN_BLOCK_MINUTES ? Number(process.env.OVERTIME_MIN_BLOCK_MINUTES) : 30, // OT ที่สั้นกว่านี้ไม่นับ
+    RATES: { weekday: 1.5, dayoff: 2 } // ตัวคูณค่าแรงในสรุป OT รายเดือน
+  },
+  // 🆕 การลา - ประเภทการลาและจำนวนวันที่ลาได้ต่อปีงบประมาณ (นับเฉพาะวันทำงานตามกะ/ตารางเวร/วันหยุด)
+  LEAVE: {
+    TYPES: [
+      { code: 'SICK', name: 'ลาป่วย', quotaDays: 60 },
+      { code: 'PERSONAL', name: 'ลากิจส่วนตัว', quotaDays: 45 },
+      { code: 'VACATION', name: 'ลาพักผ่อน', quotaDays: 10 }
+    ],
+    FISCAL_YEAR_START_MONTH: 10, // ปีงบประมาณเริ่ม 1 ต.ค. (ปีงบ 2569 = ต.ค. 2568 - ก.ย. 2569)
+    MAX_DAYS_PER_REQUEST: 30 // ช่วงวันที่ของใบลาหนึ่งใบ (วันตามปฏิทิน)
+  },
+  // 🆕 ไปราชการ/ปฏิบัติงานนอกสถานที่ - วันที่อนุมัติแล้วลงเวลานอกสำนักงานได้และไม่นับมาสาย/ขาดงาน
+  DUTY: {
+    TYPES: [
+      { code: 'OFFICIAL', name: 'ไปราชการ' },
+      { code: 'TRAINING', name: 'อบรม/สัมมนา' },
+      { code: 'OFFSITE', name: 'ปฏิบัติงานนอกสถานที่' }
+    ],
+    MAX_DAYS_PER_REQUEST: 30
+  },
+  // 🆕 พื้นที่ลงเวลา (ZONES) - ตรวจระยะตอนลงเวลาเข้า/ออก นอกพื้นที่ทำตามนโยบายของพื้นที่ที่ใกล้ที่สุด
+  // ยังไม่มีพื้นที่ใน sheet = ไม่ตรวจ, วันที่ไปราชการที่อนุมัติแล้ว = ไม่ตรวจ
+  GEOFENCE: {
+    ENABLED: process.env.GEOFENCE_ENABLED !== 'false',
+    DEFAULT_POLICY: process.env.GEOFENCE_DEFAULT_POLICY || 'flag' // reject / flag / allow เมื่อพื้นที่ไม่ได้กำหนดนโยบาย
+  },
   TIMEZONE: 'Asia/Bangkok'
 };
 
 // Validation function
 function validateConfig() {
-  const required = [
+  const usesSheets = CONFIG.STORAGE.DRIVER === 'sheets' || CONFIG.STORAGE.MIRROR_TO_SHEETS;
+
+  if (!['sheets', 'local', 'fake'].includes(CONFIG.STORAGE.DRIVER)) {
+    console.error(`❌ Unknown STORAGE_DRIVER: ${CONFIG.STORAGE.DRIVER}`);
+    return false;
+  }
+
+  const required = !usesSheets ? [] : [
     { name: 'GOOGLE_SPREADSHEET_ID', value: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID },
     { name: 'GOOGLE_PRIVATE_KEY', value: CONFIG.GOOGLE_SHEETS.PRIVATE_KEY },
     { name: 'GOOGLE_CLIENT_EMAIL', value: CONFIG.GOOGLE_SHEETS.CLIENT_EMAIL }
@@ -74,6 +203,26 @@ function validateConfig() {
     return false;
   }
   
+  if (!['shift_end', 'cutoff', 'flag'].includes(CONFIG.AUTO_CHECKOUT.DEFAULT_POLICY)) {
+    console.error(`❌ Unknown AUTO_CHECKOUT_POLICY: ${CONFIG.AUTO_CHECKOUT.DEFAULT_POLICY}`);
+    return false;
+  }
+
+  if (CONFIG.LINE_BINDING.ENABLED && !CONFIG.LINE_BINDING.SECRET) {
+    console.error('❌ LINE_BINDING_ENABLED=true requires LINE_BINDING_SECRET (secret for enrollment codes)');
+    return false;
+  }
+
+  if (!CONFIG.LINE_BINDING.ENABLED) {
+    console.warn('⚠️ LINE_BINDING_ENABLED is off: any verified LINE account can clock in/out for any employee');
+  }
+
+  if (CONFIG.LINE.ID_TOKEN.DEV_MODE) {
+    console.warn('⚠️ LIFF_AUTH_DEV_MODE is on: employee endpoints accept requests without a verified LINE ID token');
+  } else if (!CONFIG.LINE.CHANNEL_ID) {
+    console.warn('⚠️ LINE_CHANNEL_ID (or LIFF_ID) is not set: all clock in/out requests will be rejected');
+  }
+
   console.log('✅ Configuration validated successfully');
   return true;
 }
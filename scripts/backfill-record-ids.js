@@ -0,0 +1,35 @@
+// scripts/backfill-record-ids.js - ใส่รหัสรายการให้ข้อมูลเดิมใน MAIN และผูก ON WORK เข้ากับรหัส (รันครั้งเดียว)
+const { CONFIG, validateConfig } = require('../config');
+const { createStorage, generateRecordId } = require('../services/storage');
+
+async function backfillRecordIds() {
+  console.log(`🔧 เริ่ม backfill รหัสรายการ (storage: ${CONFIG.STORAGE.DRIVER})...`);
+
+  if (!validateConfig()) {
+    process.exit(1);
+  }
+
+  try {
+    const storage = createStorage();
+    await storage.initialize();
+
+    const result = await storage.backfillRecordIds(generateRecordId);
+
+    console.log(`✅ สร้างรหัสใหม่ใน MAIN: ${result.assigned} รายการ`);
+    console.log(`🔗 ผูก ON WORK กับรหัสรายการ: ${result.linked} รายการ`);
+
+    if (result.unresolved.length > 0) {
+      console.log(`⚠️ ผูกไม่ได้ ${result.unresolved.length} รายการ (ต้องแก้ไขด้วยมือ):`);
+      result.unresolved.forEach(item => console.log(`   - ${item.employee}`));
+    }
+
+    console.log('\n💡 รีสตาร์ทเซิร์ฟเวอร์เพื่อให้อ่านคอลัมน์รหัสรายการใหม่');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ เกิดข้อผิดพลาด:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillRecordIds();
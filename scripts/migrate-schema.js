@@ -0,0 +1,46 @@
+// scripts/migrate-schema.js - เพิ่มคอลัมน์/header ที่ขาดให้ spreadsheet เดิมตาม schema ที่ประกาศไว้
+const { CONFIG, validateConfig } = require('../config');
+const { createStorage } = require('../services/storage');
+
+async function migrateSchema() {
+  console.log(`🔧 เริ่มปรับโครงสร้าง sheet (storage: ${CONFIG.STORAGE.DRIVER})...`);
+
+  if (!validateConfig()) {
+    process.exit(1);
+  }
+
+  try {
+    const storage = createStorage();
+    await storage.initialize();
+
+    const changes = await storage.migrateSchema();
+    changes.forEach(change => {
+      if (change.added.length === 0) {
+        console.log(`✅ ${change.sheet}: ครบแล้ว`);
+      } else {
+        console.log(`➕ ${change.sheet}: เพิ่ม ${change.added.join(', ')}`);
+      }
+    });
+
+    // header ที่มีค่าอยู่แล้วแต่ไม่ตรงจะไม่ถูกเขียนทับ - ต้องแก้ด้วยมือ
+    const report = await storage.validateSchema();
+    report.sheets.forEach(result => {
+      result.warnings.forEach(warning => console.log(`⚠️ ${result.sheet}: ${warning}`));
+      result.errors.forEach(error => console.log(`❌ ${result.sheet}: ${error}`));
+    });
+
+    if (!report.valid) {
+      console.log('\n❌ ยังมี header ที่ไม่ตรงกับ schema (ต้องแก้ไขด้วยมือ)');
+      process.exit(1);
+    }
+
+    console.log('\n💡 ถ้าคอลัมน์รหัสรายการเพิ่งถูกเพิ่ม ให้รัน "npm run backfill-ids" ต่อ');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ เกิดข้อผิดพลาด:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateSchema();
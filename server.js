@@ -1,17 +1,32 @@
 // server.js - Time Tracker with Admin Panel and Excel Export
 const express = require('express');
 const cors = require('cors');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
 const path = require('path');
 const cron = require('node-cron');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const ExcelJS = require('exceljs');
-const moment = require('moment-timezone');
 const fetch = require('node-fetch');
 const { CONFIG, validateConfig } = require('./config');
 const ExcelExportService = require('./services/excelExport');
+const datetime = require('./services/datetime');
+const SheetCache = require('./services/sheetCache');
+const AttendanceReconciler = require('./services/reconciler');
+const EmployeeLock = require('./services/employeeLock');
+const LineBindingService = require('./services/lineBinding');
+const EmployeeAdmin = require('./services/employeeAdmin');
+const { ScheduleService } = require('./services/schedule');
+const { HolidayCalendar } = require('./services/holidays');
+const { LeaveService } = require('./services/leave');
+const { DutyService, toDutyFields } = require('./services/duty');
+const { GeofenceService, formatZoneFlag } = require('./services/geofence');
+const { evaluateAttendance, toAttendanceFields } = require('./services/punctuality');
+const { resolvePolicy, planAutoCheckout } = require('./services/autoCheckout');
+const { BreakService, toBreakFields } = require('./services/breaks');
+const { evaluateOvertime, toOvertimeFields, summarizeOvertime } = require('./services/overtime');
+const { LiffTokenVerifier, createLiffAuthMiddleware } = require('./services/liffToken');
+const { parseReference, resolveEmployee, isSameEmployee, identityKey } = require('./services/employees');
+const { createStorage, generateRecordId } = require('./services/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,53 +38,48 @@ console.log(`🔧 Using PORT: ${PORT}`);
  * คำนวณชั่วโมงการทำงานแบบเดียวกันกับ admin stats
  * @param {string} clockInTime - เวลาเข้างาน
  * @param {string} [clockOutTime] - เวลาออกงาน (ถ้าไม่ให้จะใช้เวลาปัจจุบัน)
- * @returns {number} - ชั่วโมงการทำงาน (ทศนิยม)
+ * @param {number} [breakMinutes] - เวลาพักที่หักออก (นาที)
+ * @returns {number} - ชั่วโมงการทำงานสุทธิ (ทศนิยม)
  */
-function calculateWorkingHours(clockInTime, clockOutTime = null) {
+function calculateWorkingHours(clockInTime, clockOutTime = null, breakMinutes = 0) {
   if (!clockInTime) {
     console.warn('⚠️ No clock in time provided for calculation');
     return 0;
   }
 
-  try {
-    // ใช้ logic เดียวกันกับ admin stats
-    const clockInMoment = moment.tz(clockInTime, 'YYYY-MM-DD H:mm:ss', CONFIG.TIMEZONE);
-    const endTimeMoment = clockOutTime ? 
-      moment.tz(clockOutTime, 'YYYY-MM-DD H:mm:ss', CONFIG.TIMEZONE) :
-      moment().tz(CONFIG.TIMEZONE);
+  const clockInMoment = datetime.parseTimestamp(clockInTime);
+  const endTimeMoment = clockOutTime ? datetime.parseTimestamp(clockOutTime) : datetime.now();
 
-    if (!clockInMoment.isValid()) {
-      console.error(`❌ Invalid clockInTime format: "${clockInTime}"`);
-      return 0;
-    }
+  if (!clockInMoment) {
+    console.error(`❌ Invalid clockInTime format: "${clockInTime}"`);
+    return 0;
+  }
 
-    if (clockOutTime && !endTimeMoment.isValid()) {
-      console.error(`❌ Invalid clockOutTime format: "${clockOutTime}"`);
-      return 0;
-    }
+  if (!endTimeMoment) {
+    console.error(`❌ Invalid clockOutTime format: "${clockOutTime}"`);
+    return 0;
+  }
 
-    // คำนวณความแตกต่างของเวลาในหน่วยชั่วโมง (เหมือน admin stats)
-    const hours = endTimeMoment.diff(clockInMoment, 'hours', true);
+  // คำนวณความแตกต่างของเวลาในหน่วยชั่วโมง (เหมือน admin stats) แล้วหักเวลาพัก
+  const hours = endTimeMoment.diff(clockInMoment, 'hours', true) - (breakMinutes || 0) / 60;
 
-    // Debug: แสดงการคำนวณ
-    console.log(`⏰ Working hours calculation:`, {
-      clockIn: clockInMoment.format('YYYY-MM-DD HH:mm:ss'),
-      endTime: endTimeMoment.format('YYYY-MM-DD HH:mm:ss'),
-      diffHours: hours.toFixed(2)
-    });
+  // Debug: แสดงการคำนวณ
+  console.log(`⏰ Working hours calculation:`, {
+    clockIn: clockInMoment.format('YYYY-MM-DD HH:mm:ss'),
+    endTime: endTimeMoment.format('YYYY-MM-DD HH:mm:ss'),
+    breakMinutes: breakMinutes || 0,
+    diffHours: hours.toFixed(2)
+  });
 
-    // ตรวจสอบให้แน่ใจว่าไม่เป็นลบ (ป้องกันปัญหา timezone)
-    if (hours >= 0) {
-      return hours;
-    } else {
-      console.warn(`⚠️ Negative working hours detected: ${hours.toFixed(2)}, setting to 0`);
-      return 0;
-    }
-  } catch (error) {
-    console.error('❌ Error calculating working hours:', error);
+  // ตรวจสอบให้แน่ใจว่าไม่เป็นลบ (ป้องกันปัญหา timezone)
+  if (hours >= 0) {
+    return hours;
+  } else {
+    console.warn(`⚠️ Negative working hours detected: ${hours.toFixed(2)}, setting to 0`);
     return 0;
   }
 }
+
 // สร้าง hash password (ใช้ในการตั้งรหัสผ่านครั้งแรก)
 async function createPassword(plainPassword) {
   return await bcrypt.hash(plainPassword, 10);
@@ -89,48 +99,83 @@ app.use('/api/webhook', (req, res, next) => {
   next();
 });
 
-// Admin Authentication Middleware
-function authenticateAdmin(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.split(' ')[1];
+// Admin Authentication Middleware - roles = บทบาทของผู้ใช้ (CONFIG.ADMIN.USERS) ที่ใช้ endpoint ได้
+function createAdminAuth(roles) {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
 
-  if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      error: 'Access token required',
-      errorCode: 'NO_TOKEN'
-    });
-  }
+    if (!token) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Access token required',
+        errorCode: 'NO_TOKEN'
+      });
+    }
 
-  try {
-    const decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    console.error('JWT verification error:', error.name, error.message);
+    try {
+      const decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET);
+      if (!roles.includes(decoded.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+          errorCode: 'FORBIDDEN'
+        });
+      }
+      req.user = decoded;
+      next();
+    } catch (error) {
+      console.error('JWT verification error:', error.name, error.message);
     
-    // จัดการ error แต่ละประเภท
-    let errorResponse = {
-      success: false,
-      error: 'Authentication failed'
-    };
+      // จัดการ error แต่ละประเภท
+      let errorResponse = {
+        success: false,
+        error: 'Authentication failed'
+      };
 
-    if (error.name === 'TokenExpiredError') {
-      errorResponse.error = 'Token has expired. Please login again.';
-      errorResponse.errorCode = 'TOKEN_EXPIRED';
-      errorResponse.expiredAt = error.expiredAt;
-    } else if (error.name === 'JsonWebTokenError') {
-      errorResponse.error = 'Invalid token format';
-      errorResponse.errorCode = 'INVALID_TOKEN';
-    } else if (error.name === 'NotBeforeError') {
-      errorResponse.error = 'Token not active yet';
-      errorResponse.errorCode = 'TOKEN_NOT_ACTIVE';
-    } else {
-      errorResponse.errorCode = 'TOKEN_ERROR';
+      if (error.name === 'TokenExpiredError') {
+        errorResponse.error = 'Token has expired. Please login again.';
+        errorResponse.errorCode = 'TOKEN_EXPIRED';
+        errorResponse.expiredAt = error.expiredAt;
+      } else if (error.name === 'JsonWebTokenError') {
+        errorResponse.error = 'Invalid token format';
+        errorResponse.errorCode = 'INVALID_TOKEN';
+      } else if (error.name === 'NotBeforeError') {
+        errorResponse.error = 'Token not active yet';
+        errorResponse.errorCode = 'TOKEN_NOT_ACTIVE';
+      } else {
+        errorResponse.errorCode = 'TOKEN_ERROR';
+      }
+
+      return res.status(401).json(errorResponse);
     }
+  };
+}
+
+const authenticateAdmin = createAdminAuth(['admin']);
+// ผู้พิจารณาใบลา: ผู้ดูแลระบบ หรือหัวหน้างาน (เฉพาะพนักงานในกองที่ดูแล)
+const authenticateApprover = createAdminAuth(['admin', 'supervisor']);
+
+// ตรวจ ID token ของ LIFF สำหรับ endpoint ของพนักงาน
+const liffTokenVerifier = new LiffTokenVerifier({
+  channelId: CONFIG.LINE.CHANNEL_ID,
+  issuer: CONFIG.LINE.ID_TOKEN.ISSUER,
+  jwksUrl: CONFIG.LINE.ID_TOKEN.JWKS_URL,
+  jwksFile: CONFIG.LINE.ID_TOKEN.JWKS_FILE
+});
+const authenticateLineUser = createLiffAuthMiddleware(liffTokenVerifier, { devMode: CONFIG.LINE.ID_TOKEN.DEV_MODE });
 
-    return res.status(401).json(errorResponse);
+// บัญชี LINE ของ request - ใช้ค่าจาก ID token ที่ตรวจแล้ว (ค่าจาก body ใช้ได้เฉพาะโหมดพัฒนา)
+function lineIdentityOf(req) {
+  if (req.lineIdentity) {
+    return {
+      line_user_id: req.lineIdentity.userId,
+      line_name: req.lineIdentity.name || req.body.line_name,
+      line_picture: req.lineIdentity.picture || req.body.line_picture
+    };
   }
+  const { line_user_id, line_name, line_picture } = req.body;
+  return { line_user_id, line_name, line_picture };
 }
 
 // Serve static files
@@ -188,20 +233,6 @@ class KeepAliveService {
       timezone: CONFIG.TIMEZONE
     });
 
-    // 🆕 ตรวจสอบและจัดการคนที่ลืมลงเวลาออก - ทุกวันเวลา 23:59
-    cron.schedule('59 23 * * *', async () => {
-      console.log('🔍 Starting daily missed checkout check at 23:59...');
-      try {
-        const result = await sheetsService.checkAndHandleMissedCheckouts();
-        console.log('✅ Daily missed checkout check completed:', result);
-      } catch (error) {
-        console.error('❌ Error in daily missed checkout check:', error);
-      }
-    }, {
-      scheduled: true,
-      timezone: CONFIG.TIMEZONE
-    });
-
     // Ping ทันทีเมื่อเริ่มต้น
     setTimeout(() => this.ping(), 5000);
   }
@@ -264,213 +295,280 @@ class KeepAliveService {
 
 // ========== Google Sheets Service ==========
 class GoogleSheetsService {
-  constructor() {
-    this.doc = null;
+  constructor(storage = createStorage()) {
+    // ที่เก็บข้อมูลจริง (Google Sheets หรือไฟล์ในเครื่อง) เลือกจาก CONFIG.STORAGE
+    this.storage = storage;
+    // ลงเวลาเข้า/ออกของพนักงานคนเดียวกันได้ทีละ request (ใช้ร่วมกับการลงเวลาออกอัตโนมัติและการซ่อมข้อมูล)
+    this.employeeLocks = new EmployeeLock();
+    this.reconciler = new AttendanceReconciler(this.storage, {
+      logFile: CONFIG.RECONCILER.LOG_FILE,
+      locks: this.employeeLocks,
+      lockKey: async shift => identityKey(this.identifyShift(shift, await this.getEmployees({ includeInactive: true }))),
+      closeTimeOf: shift => this.plannedCheckoutTime(shift)
+    });
+    this.employeeAdmin = new EmployeeAdmin(this.storage);
+    this.holidays = new HolidayCalendar(this.storage, { weekdays: CONFIG.SCHEDULE.DEFAULT_WEEKDAYS });
+    this.schedule = new ScheduleService(this.storage, {
+      defaultShift: CONFIG.SCHEDULE.DEFAULT_SHIFT,
+      defaultWeekdays: CONFIG.SCHEDULE.DEFAULT_WEEKDAYS,
+      holidays: this.holidays
+    });
+    this.leave = new LeaveService(this.storage, {
+      types: CONFIG.LEAVE.TYPES,
+      fiscalYearStartMonth: CONFIG.LEAVE.FISCAL_YEAR_START_MONTH,
+      maxDaysPerRequest: CONFIG.LEAVE.MAX_DAYS_PER_REQUEST,
+      schedule: this.schedule
+    });
+    this.duty = new DutyService(this.storage, {
+      types: CONFIG.DUTY.TYPES,
+      maxDaysPerRequest: CONFIG.DUTY.MAX_DAYS_PER_REQUEST
+    });
+    this.geofence = new GeofenceService(this.storage, {
+      enabled: CONFIG.GEOFENCE.ENABLED,
+      defaultPolicy: CONFIG.GEOFENCE.DEFAULT_POLICY
+    });
+    this.breaks = new BreakService(this.storage, {
+      autoDeductMinutes: CONFIG.BREAKS.AUTO_DEDUCT_MINUTES,
+      autoDeductAfterHours: CONFIG.BREAKS.AUTO_DEDUCT_AFTER_HOURS
+    });
+    this.lineBindings = new LineBindingService(this.storage, {
+      secret: CONFIG.LINE_BINDING.SECRET,
+      enrollmentTtlHours: CONFIG.LINE_BINDING.ENROLLMENT_CODE_TTL_HOURS,
+      maxFailedAttempts: CONFIG.LINE_BINDING.ENROLLMENT_MAX_FAILED_ATTEMPTS,
+      lockoutMinutes: CONFIG.LINE_BINDING.ENROLLMENT_LOCKOUT_MINUTES,
+      logFile: CONFIG.LINE_BINDING.LOG_FILE,
+      locks: this.employeeLocks
+    });
     this.isInitialized = false;
-    // เพิ่มระบบ caching เพื่อลดการเรียก API
-    this.cache = {
-      employees: { data: null, timestamp: null, ttl: 300000 }, // 5 นาที
-      onWork: { data: null, timestamp: null, ttl: 60000 }, // 1 นาที  
-      main: { data: null, timestamp: null, ttl: 30000 }, // 30 วินาที
-      stats: { data: null, timestamp: null, ttl: 120000 } // 2 นาที
-    };
+    // เพิ่มระบบ caching เพื่อลดการเรียก API (stale-while-revalidate + รวม request ที่ซ้ำกัน)
+    this.cache = new SheetCache({
+      employees: 300000, // 5 นาที
+      onwork: 60000,     // 1 นาที
+      main: 30000,       // 30 วินาที
+      stats: 120000      // 2 นาที
+    });
     this.emergencyMode = false; // เริ่มต้นปิดระบบ emergency mode
+    // รายการที่แจ้งเตือนแล้วตามนโยบาย 'flag' (ไม่แจ้งซ้ำทุกรอบ)
+    this.flaggedCheckouts = new Set();
   }
 
   async initialize() {
     if (this.isInitialized) return;
 
     try {
-      const serviceAccountAuth = new JWT({
-        email: CONFIG.GOOGLE_SHEETS.CLIENT_EMAIL,
-        key: CONFIG.GOOGLE_SHEETS.PRIVATE_KEY,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
-
-      this.doc = new GoogleSpreadsheet(CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID, serviceAccountAuth);
-      await this.doc.loadInfo();
+      await this.storage.initialize();
       
-      console.log(`✅ Connected to Google Sheets: ${this.doc.title}`);
+      console.log(`✅ Storage ready: ${this.storage.name}`);
       this.isInitialized = true;
       
     } catch (error) {
-      console.error('❌ Failed to initialize Google Sheets:', error);
+      console.error('❌ Failed to initialize storage:', error);
       throw error;
     }
   }  // เพิ่มฟังก์ชัน cache helper
   isCacheValid(cacheKey) {
-    const cache = this.cache[cacheKey];
-    if (!cache || !cache.data || !cache.timestamp) return false;
-    return (Date.now() - cache.timestamp) < cache.ttl;
+    return this.cache.isFresh(cacheKey);
   }
 
   setCache(cacheKey, data) {
-    if (!this.cache[cacheKey]) {
-      this.cache[cacheKey] = { data: null, timestamp: null, ttl: 300000 }; // default 5 min
-    }
-    this.cache[cacheKey] = {
-      data: data,
-      timestamp: Date.now(),
-      ttl: this.cache[cacheKey].ttl
-    };
+    this.cache.set(cacheKey, data);
   }
 
   getCache(cacheKey) {
-    const cache = this.cache[cacheKey];
-    return cache && cache.data ? cache.data : null;
+    return this.cache.peek(cacheKey);
   }
 
   clearCache(cacheKey = null) {
     if (cacheKey) {
-      this.cache[cacheKey].data = null;
-      this.cache[cacheKey].timestamp = null;
+      this.cache.invalidate(cacheKey);
     } else {
       // Clear all cache
-      Object.keys(this.cache).forEach(key => {
-        this.cache[key].data = null;
-        this.cache[key].timestamp = null;
-      });
+      this.cache.clear();
     }
   }
 
+  // อัปเดต cache หลังลงเวลาเข้า แทนการล้าง cache แล้วอ่านใหม่ทั้ง sheet
+  applyClockInToCache(record, shift) {
+    this.cache.update('main', records => [...records, record]);
+    this.cache.update('onwork', shifts => [...shifts, shift]);
+    this.cache.invalidate('stats');
+  }
+
+  // อัปเดต cache หลังปิดรายการ (ลงเวลาออก/ลงเวลาออกอัตโนมัติ)
+  applyClosuresToCache(closures) {
+    const fieldsById = new Map(closures.map(closure => [closure.id, closure.fields]));
+    this.cache.update('main', records => records.map(record =>
+      fieldsById.has(record.id) ? { ...record, ...fieldsById.get(record.id) } : record
+    ));
+    this.cache.update('onwork', shifts => shifts.filter(shift => !fieldsById.has(shift.recordId)));
+    this.cache.invalidate('stats');
+  }
+
+  // เข้าถึง sheet โดยตรง (ใช้ได้เฉพาะเมื่อ storage เป็น Google Sheets)
   async getSheet(sheetName) {
     if (!this.isInitialized) {
       await this.initialize();
     }
     
-    const sheet = this.doc.sheetsByTitle[sheetName];
-    if (!sheet) {
-      throw new Error(`Sheet ${sheetName} not found`);
+    if (typeof this.storage.getSheet !== 'function') {
+      throw new Error(`Storage "${this.storage.name}" does not expose sheets`);
     }
     
-    return sheet;
-  }  // เพิ่มฟังก์ชันดึงข้อมูลพร้อม cache และ rate limiting
+    return this.storage.getSheet(sheetName);
+  }
+
+  // หา write journal ใน storage (อาจถูกครอบด้วย mirror) - คืน null ถ้าไม่ได้เปิดใช้
+  getWriteJournal() {
+    const candidates = [this.storage, this.storage.mirror];
+    return candidates.find(candidate => candidate && typeof candidate.getStatus === 'function') || null;
+  }
+
+  // อ่านข้อมูลทั้งหมดของ sheet จาก storage ในรูปแบบ record
+  async fetchSheetData(sheetName) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    switch (sheetName) {
+      case CONFIG.SHEETS.EMPLOYEES:
+        return this.storage.getEmployees();
+      case CONFIG.SHEETS.ON_WORK:
+        return this.storage.getOpenShifts();
+      case CONFIG.SHEETS.MAIN:
+        return this.storage.getAttendanceRecords();
+      default:
+        throw new Error(`Unknown sheet: ${sheetName}`);
+    }
+  }
+
+  // เพิ่มฟังก์ชันดึงข้อมูลพร้อม cache และ rate limiting
   async getCachedSheetData(sheetName) {
     const cacheKey = sheetName.toLowerCase().replace(/\s+/g, '');
-    
-    // ตรวจสอบ cache ก่อน
-    if (this.isCacheValid(cacheKey)) {
-      console.log(`📋 Using cached data for ${sheetName}`);
-      return this.getCache(cacheKey);
+    return this.cache.get(cacheKey, () => this.loadSheetData(sheetName));
+  }
+
+  // อ่านข้อมูลล่าสุดโดยไม่ใช้ cache (ใช้ตรวจสถานะภายใน lock) - ถ้าอ่านไม่ได้จะใช้ข้อมูลใน cache แทน
+  async getFreshSheetData(sheetName) {
+    const cacheKey = sheetName.toLowerCase().replace(/\s+/g, '');
+    try {
+      const data = await this.loadSheetData(sheetName);
+      this.cache.set(cacheKey, data);
+      return data;
+    } catch (error) {
+      console.warn(`⚠️ Fresh read of ${sheetName} failed, using cached data: ${error.message}`);
+      return this.safeGetCachedSheetData(sheetName);
+    }
+  }
+
+  // อ่าน sheet จาก storage ผ่าน API rate limit (เรียกครั้งเดียวต่อ sheet แม้มีหลาย request พร้อมกัน)
+  async loadSheetData(sheetName) {
+    // storage ในเครื่องไม่มี quota - อ่านได้ทันที
+    if (!this.storage.isRemote) {
+      return this.fetchSheetData(sheetName);
     }
 
     // ตรวจสอบ rate limit ก่อนเรียก API
     if (!apiMonitor.canMakeAPICall()) {
-      console.warn(`⚠️ API rate limit reached, using stale cache for ${sheetName}`);
-      const staleData = this.getCache(cacheKey);
-      if (staleData) {
-        return staleData;
-      }
-      throw new Error('Rate limit exceeded and no cached data available');
+      throw new Error(`Rate limit exceeded while fetching ${sheetName}`);
     }
 
     console.log(`🔄 Fetching fresh data from ${sheetName}`);
     apiMonitor.logAPICall(`getCachedSheetData:${sheetName}`);
     
     try {
-      const sheet = await this.getSheet(sheetName);
-      
-      let rows;
-      if (sheetName === CONFIG.SHEETS.ON_WORK) {
-        rows = await sheet.getRows({ offset: 1 }); // เริ่มจากแถว 3
-      } else {
-        rows = await sheet.getRows();
-      }
-
-      // บันทึกลง cache
-      this.setCache(cacheKey, rows);
-      
-      // เสร็จสิ้น API call
-      apiMonitor.finishCall();
-      return rows;
-      
+      return await this.fetchSheetData(sheetName);
     } catch (error) {
-      // เสร็จสิ้น API call แม้จะ error
-      apiMonitor.finishCall();
-      
       console.error(`❌ API Error for ${sheetName}:`, error.message);
-      
-      // ถ้าเป็น quota error, ใช้ stale cache
-      if (error.message.includes('quota') || error.message.includes('limit') || 
-          error.message.includes('429') || error.message.includes('RATE_LIMIT')) {
-        console.warn(`⚠️ Quota exceeded for ${sheetName}, using stale cache`);
-        const staleData = this.getCache(cacheKey);
-        if (staleData) {
-          console.log(`📋 Using stale cache for ${sheetName} (${staleData.length} items)`);
-          return staleData;
-        }
-      }
-      
       throw error;
+    } finally {
+      // เสร็จสิ้น API call แม้จะ error
+      apiMonitor.finishCall();
     }
   }
 
-  // ฟังก์ชันช่วยเหลือสำหรับการเปรียบเทียบชื่อ
-  normalizeEmployeeName(name) {
-    if (!name) return '';
-    
-    return name.toString()
-      .trim()
-      .replace(/\s+/g, ' ')
-      .toLowerCase();
-  }
-
-  isNameMatch(inputName, compareName) {
-    if (!inputName || !compareName) return false;
-    
-    const normalizedInput = this.normalizeEmployeeName(inputName);
-    const normalizedCompare = this.normalizeEmployeeName(compareName);
-    
-    return normalizedInput === normalizedCompare ||
-           normalizedInput.includes(normalizedCompare) ||
-           normalizedCompare.includes(normalizedInput);
-  }
-    /**
-   * ตรวจสอบว่าพนักงานคนนี้ได้รับการยกเว้นจากการลงเวลาออกอัตโนมัติหรือไม่
-   * @param {string} employeeName - ชื่อพนักงาน
-   * @returns {boolean} - true ถ้าได้รับการยกเว้น, false ถ้าไม่ได้
+  /**
+   * ข้อมูลพนักงานจาก EMPLOYEES
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInactive] - รวมพนักงานที่ไม่ใช้งานแล้ว
+   * @returns {Promise<Array<{code, name, department, position, employmentType, active, startDate}>>}
    */
-  isEmployeeExempt(employeeName) {
-    if (!employeeName || !CONFIG.AUTO_CHECKOUT.EXEMPT_EMPLOYEES) {
-      return false;
-    }
-    
-    const normalizedInputName = this.normalizeEmployeeName(employeeName);
-    
-    // ตรวจสอบกับรายชื่อที่ยกเว้น
-    return CONFIG.AUTO_CHECKOUT.EXEMPT_EMPLOYEES.some(exemptName => {
-      const normalizedExemptName = this.normalizeEmployeeName(exemptName);
-      
-      // ตรวจสอบแบบหลายรูปแบบ
-      const isExactMatch = normalizedInputName === normalizedExemptName;
-      const isPartialMatch = normalizedInputName.includes(normalizedExemptName) || 
-                            normalizedExemptName.includes(normalizedInputName);
-      
-      if (isExactMatch || isPartialMatch) {
-        console.log(`🛡️ Employee exempt match found: "${employeeName}" ↔ "${exemptName}"`);
-        return true;
-      }
-      
-      return false;
-    });
-  }
-
-  async getEmployees() {
+  async getEmployees({ includeInactive = false } = {}) {
     try {
       // ใช้ cached data แทนการเรียก API ใหม่
       const rows = await this.getCachedSheetData(CONFIG.SHEETS.EMPLOYEES);
       
-      const employees = rows.map(row => row.get('ชื่อ-นามสกุล')).filter(name => name);
-      return employees;
+      return rows.filter(employee => employee.name && (includeInactive || employee.active));
       
     } catch (error) {
       console.error('Error getting employees:', error);
       return [];
     }
-  }  async getEmployeeStatus(employeeName) {
+  }
+
+  /**
+   * รายชื่อสำหรับช่องกรอกชื่อในหน้าลงเวลา (เรียกได้โดยไม่ต้อง login)
+   * ส่งเฉพาะชื่อและรหัส - กอง ตำแหน่ง และวันที่เริ่มงานดูได้เฉพาะผู้ดูแล
+   * @returns {Promise<Array<{code: string|null, name: string}>>}
+   */
+  async getEmployeeDirectory() {
+    const employees = await this.getEmployees();
+    return employees.map(({ code, name }) => ({ code, name }));
+  }
+
+  /**
+   * ระบุตัวพนักงานที่ส่งมาให้ได้ EMPLOYEES record เดียว
+   * @param {string} employeeName - ชื่อที่กรอก (หรือ 'รหัส-ชื่อ')
+   * @param {string} [employeeCode] - รหัสพนักงาน (ถ้ามีจะใช้แทนชื่อ)
+   * @returns {Promise<{employee: Object|null, reason: string|null, candidates: Object[]}>}
+   */
+  async resolveEmployee(employeeName, employeeCode) {
+    const employees = await this.getEmployees({ includeInactive: true });
+    return resolveEmployee(employees, { name: employeeName, code: employeeCode });
+  }
+
+  // คำตอบเมื่อระบุตัวพนักงานไม่ได้ (ไม่พบ หรือมีหลายคนที่ใกล้เคียง)
+  unresolvedEmployeeResponse(employeeName, resolution) {
+    const candidates = resolution.candidates.map(employee => ({
+      code: employee.code,
+      name: employee.name,
+      department: employee.department
+    }));
+    const isAmbiguous = resolution.reason === 'ambiguous';
+
+    return {
+      success: false,
+      message: isAmbiguous
+        ? `พบพนักงานหลายคนที่ตรงกับ "${employeeName}" กรุณาเลือกชื่อให้ถูกต้อง: ${candidates.map(c => c.name).join(', ')}`
+        : `ไม่พบพนักงานชื่อ "${employeeName}" ในระบบ`,
+      employee: employeeName,
+      currentStatus: isAmbiguous ? 'ambiguous_employee' : 'unknown_employee',
+      candidates
+    };
+  }
+
+  // ระบุตัวพนักงานของแถว ON WORK จากรหัสที่บันทึกไว้ หรือชื่อที่ตรงทั้งชื่อกับ EMPLOYEES
+  identifyShift(shift, employees) {
+    const entry = { code: shift.employeeCode, names: [shift.employeeName, shift.systemName] };
+    const match = employees.find(employee => isSameEmployee(entry, employee));
+    if (match) return match;
+
+    const reference = parseReference(shift.employeeName || shift.systemName);
+    return { code: shift.employeeCode || reference.code, name: reference.name };
+  }
+
+  /**
+   * สถานะการทำงานปัจจุบันของพนักงาน
+   * @param {{code: string|null, name: string}} employee - พนักงานที่ระบุตัวแล้ว (จาก resolveEmployee)
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - อ่าน ON WORK ล่าสุดแทน cache (ใช้ภายใน lock ก่อนเขียน)
+   */
+  async getEmployeeStatus(employee, { fresh = false } = {}) {
+    const employeeName = employee.name;
     try {
       // ใช้ safe method แทน
-      const rows = await this.safeGetCachedSheetData(CONFIG.SHEETS.ON_WORK);
+      const rows = fresh
+        ? await this.getFreshSheetData(CONFIG.SHEETS.ON_WORK)
+        : await this.safeGetCachedSheetData(CONFIG.SHEETS.ON_WORK);
       
       console.log(`🔍 Checking status for: "${employeeName}"`);
       console.log(`📊 Total rows in ON_WORK (from row 3): ${rows.length}`);
@@ -480,42 +578,33 @@ class GoogleSheetsService {
         return { isOnWork: false, workRecord: null };
       }
       
-      const workRecord = rows.find(row => {
-        const systemName = row.get('ชื่อในระบบ');
-        const employeeName2 = row.get('ชื่อพนักงาน');
-        
-        const isMatch = this.isNameMatch(employeeName, systemName) || 
-                       this.isNameMatch(employeeName, employeeName2);
-        
-        if (isMatch) {
-          console.log(`✅ Found match: "${employeeName}" ↔ "${systemName || employeeName2}"`);
-        }
-        
-        return isMatch;
-      });
+      // เทียบด้วยรหัสพนักงาน (แถวเก่าที่ไม่มีรหัสเทียบชื่อแบบตรงทั้งชื่อ)
+      const matches = rows.filter(shift =>
+        isSameEmployee({ code: shift.employeeCode, names: [shift.employeeName, shift.systemName] }, employee)
+      );
+
+      // มากกว่าหนึ่งแถว = ลงเวลาซ้ำ (ระบบตรวจสอบความสอดคล้องจะปิดแถวที่เก่ากว่า) - ใช้แถวที่เข้างานล่าสุด
+      const clockInValue = shift => {
+        const parsed = datetime.parseTimestamp(shift.clockIn);
+        return parsed ? parsed.valueOf() : 0;
+      };
+      const workRecord = matches.sort((a, b) => clockInValue(b) - clockInValue(a))[0];
+      if (matches.length > 1) {
+        console.warn(`⚠️ ${matches.length} ON_WORK rows found for "${employeeName}", using the latest`);
+      }
       
       if (workRecord) {
-        let mainRowIndex = null;
-        
-        const rowRef1 = workRecord.get('แถวอ้างอิง');
-        const rowRef2 = workRecord.get('แถวในMain');
-        
-        if (rowRef1 && !isNaN(parseInt(rowRef1))) {
-          mainRowIndex = parseInt(rowRef1);
-        } else if (rowRef2 && !isNaN(parseInt(rowRef2))) {
-          mainRowIndex = parseInt(rowRef2);
-        }
-        
         console.log(`✅ Employee "${employeeName}" is currently working`);
         
         return {
           isOnWork: true,
           workRecord: {
-            row: workRecord,
-            mainRowIndex: mainRowIndex,
-            clockIn: workRecord.get('เวลาเข้า'),
-            systemName: workRecord.get('ชื่อในระบบ'),
-            employeeName: workRecord.get('ชื่อพนักงาน')
+            shift: workRecord,
+            recordId: workRecord.recordId,
+            mainRowIndex: workRecord.mainRowIndex,
+            clockIn: workRecord.clockIn,
+            systemName: workRecord.systemName,
+            employeeName: workRecord.employeeName
           }
         };
       } else {
@@ -544,63 +633,73 @@ class GoogleSheetsService {
         this.safeGetCachedSheetData(CONFIG.SHEETS.MAIN)
       ]);
 
-      const totalEmployees = employees.length;
+      const totalEmployees = employees.filter(employee => employee.active).length;
       const workingNow = onWorkRows.length;// หาจำนวนคนที่มาทำงานวันนี้ (ใช้ข้อมูลจาก ON_WORK sheet ที่มีวันที่วันนี้)
-      const today = moment().tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+      const today = datetime.toDateKey(datetime.now());
       console.log(`📅 Today date for comparison: ${today}`);
       console.log(`📊 Total MAIN sheet records: ${mainRows.length}`);
-      console.log(`� Total ON_WORK sheet records: ${onWorkRows.length}`);
+      console.log(`📊 Total ON_WORK sheet records: ${onWorkRows.length}`);
       
       // นับจาก ON_WORK sheet ที่มีวันที่วันนี้
-      const presentToday = onWorkRows.filter(row => {
-        const clockInDate = row.get('เวลาเข้า');
-        if (!clockInDate) return false;
-        
-        try {
-          const employeeName = row.get('ชื่อพนักงาน') || row.get('ชื่อในระบบ');
-          let dateStr = '';
-          
-          // ถ้าเป็น string format 'YYYY-MM-DD HH:mm:ss'
-          if (typeof clockInDate === 'string' && clockInDate.includes(' ')) {
-            dateStr = clockInDate.split(' ')[0];
-            const isToday = dateStr === today;
-            
-            if (isToday) {
-              console.log(`✅ Present today (ON_WORK): ${employeeName} - ${clockInDate} (date: ${dateStr})`);
-            }
-            
-            return isToday;
-          }
-          
-          // ถ้าเป็น ISO format
-          if (typeof clockInDate === 'string' && clockInDate.includes('T')) {
-            dateStr = clockInDate.split('T')[0];
-            const isToday = dateStr === today;
-            
-            if (isToday) {
-              console.log(`✅ Present today (ON_WORK ISO): ${employeeName} - ${clockInDate} (date: ${dateStr})`);
-            }
-            
-            return isToday;
-          }
-          
-          return false;
-        } catch (error) {
-          console.warn(`⚠️ Error parsing date in ON_WORK: ${clockInDate}`, error);
-          return false;
+      const presentToday = onWorkRows.filter(shift => {
+        const isToday = datetime.toDateKey(shift.clockIn) === today;
+        if (isToday) {
+          console.log(`✅ Present today (ON_WORK): ${shift.employeeName || shift.systemName} - ${shift.clockIn}`);
         }
+        return isToday;
       }).length;
       
       console.log(`📊 Present today count: ${presentToday} out of ${onWorkRows.length} ON_WORK records`);
 
-      const absentToday = totalEmployees - presentToday;      // รายชื่อพนักงานที่กำลังทำงาน
-      const workingEmployees = onWorkRows.map(row => {
-        const clockInTime = row.get('เวลาเข้า');
+      // ขาดงาน = พนักงานที่ต้องทำงานวันนี้ (ตามกะ/ตารางเวร/วันหยุด) ไม่ได้ลาหรือไปราชการที่อนุมัติแล้ว และยังไม่ได้ลงเวลาเข้า
+      const activeEmployees = employees.filter(employee => employee.name && employee.active);
+      const [workingDay, schedules, leaves, duties] = await Promise.all([
+        this.holidays.getWorkingDay(today),
+        this.schedule.getExpectedSchedules(activeEmployees, today),
+        this.leave.getApprovedLeaves(today, today).catch(() => []),
+        this.duty.getApprovedDuties(today, today).catch(() => [])
+      ]);
+      const onLeaveToday = leaves
+        .filter(leave => leave.dates.length > 0)
+        .map(leave => ({
+          name: leave.employeeName,
+          code: leave.employeeCode,
+          type: leave.type,
+          typeName: leave.typeName,
+          halfDay: leave.halfDay
+        }));
+      const isOnLeave = employee => leaves.some(leave =>
+        leave.dates.length > 0 && isSameEmployee({ code: leave.employeeCode || null, names: [leave.employeeName] }, employee)
+      );
+      const onDutyToday = duties.map(duty => ({
+        name: duty.employeeName,
+        code: duty.employeeCode,
+        type: duty.type,
+        typeName: duty.typeName,
+        destination: duty.destination
+      }));
+      const isOnDuty = employee => duties.some(duty =>
+        isSameEmployee({ code: duty.employeeCode || null, names: [duty.employeeName] }, employee)
+      );
+      const clockedInToday = [
+        ...mainRows.map(record => ({ code: record.employeeCode || null, names: [record.employee], clockIn: record.clockIn })),
+        ...onWorkRows.map(shift => ({ code: shift.employeeCode || null, names: [shift.employeeName, shift.systemName], clockIn: shift.clockIn }))
+      ].filter(entry => datetime.toDateKey(entry.clockIn) === today);
+      const absentToday = schedules.filter((schedule, index) =>
+        schedule.working && !isOnLeave(activeEmployees[index]) && !isOnDuty(activeEmployees[index]) &&
+        !clockedInToday.some(entry => isSameEmployee(entry, activeEmployees[index]))
+      ).length;
+      // รายชื่อพนักงานที่กำลังทำงาน
+      // เวลาพักที่บันทึกแล้วถูกหักจากชั่วโมงที่ทำงานมา (อ่านไม่ได้ = ไม่หัก)
+      const breaks = await this.breaks.getBreaks().catch(() => []);
+      const workingEmployees = onWorkRows.map(shift => {
+        const clockInTime = shift.clockIn;
+        const breakSummary = this.breaks.summarize(breaks.filter(entry => entry.recordId === shift.recordId), { clockIn: clockInTime });
         let workingHours = '0 ชม.';
         
         if (clockInTime) {
           // 🎯 ใช้ฟังก์ชันคำนวณเวลาแบบเดียวกันกับ clock out
-          const hours = calculateWorkingHours(clockInTime);
+          const hours = calculateWorkingHours(clockInTime, null, breakSummary.breakMinutes);
           
           if (hours > 0) {
             workingHours = `${hours.toFixed(1)} ชม.`;
@@ -610,16 +709,35 @@ class GoogleSheetsService {
         }
 
         return {
-          name: row.get('ชื่อพนักงาน') || row.get('ชื่อในระบบ'),
-          clockIn: clockInTime ? moment.tz(clockInTime, 'YYYY-MM-DD H:mm:ss', CONFIG.TIMEZONE).format('HH:mm') : '',
-          workingHours
+          name: shift.employeeName || shift.systemName,
+          clockIn: datetime.formatTime(clockInTime, 'HH:mm'),
+          workingHours,
+          onBreak: breakSummary.onBreak
         };
-      });      const stats = {
+      });
+
+      // พนักงานที่มาสายวันนี้ (จากสถานะเวลาที่บันทึกตอนลงเวลาเข้า)
+      const lateToday = mainRows
+        .filter(record => datetime.toDateKey(record.clockIn) === today && Number(record.lateMinutes) > 0)
+        .map(record => ({
+          name: record.employee,
+          clockIn: datetime.formatTime(record.clockIn, 'HH:mm'),
+          shift: record.shiftCode,
+          lateMinutes: Number(record.lateMinutes),
+          tag: record.attendanceTag
+        }))
+        .sort((a, b) => a.clockIn.localeCompare(b.clockIn));
+
+      const stats = {
         totalEmployees,
         presentToday,
         workingNow,
         absentToday,
-        workingEmployees
+        workingEmployees,
+        lateToday,
+        onLeaveToday,
+        onDutyToday,
+        today: workingDay
       };
       
       console.log('📊 Admin stats summary:', {
@@ -627,7 +745,10 @@ class GoogleSheetsService {
         presentToday,
         workingNow,
         absentToday,
-        workingEmployeesCount: workingEmployees.length
+        workingEmployeesCount: workingEmployees.length,
+        lateTodayCount: lateToday.length,
+        onLeaveTodayCount: onLeaveToday.length,
+        onDutyTodayCount: onDutyToday.length
       });
       
       // บันทึกลง cache
@@ -640,106 +761,202 @@ class GoogleSheetsService {
       throw error;
     }
   }
+  // ========== Monthly archive partitions ==========
+
+  // เดือนที่รายงานแต่ละประเภทต้องใช้ ('YYYY-MM')
+  getReportMonthKeys(type, params) {
+    switch (type) {
+      case 'daily':
+        return [datetime.toMonthKey(params.date)];
+      case 'monthly':
+        return [`${parseInt(params.year)}-${String(parseInt(params.month)).padStart(2, '0')}`];
+      case 'range': {
+        const start = datetime.parseTimestamp(params.startDate);
+        const end = datetime.parseTimestamp(params.endDate);
+        const keys = [];
+        if (!start || !end) return keys;
+        const cursor = start.clone().startOf('month');
+        while (!cursor.isAfter(end)) {
+          keys.push(cursor.format('YYYY-MM'));
+          cursor.add(1, 'month');
+        }
+        return keys;
+      }
+      default:
+        return [];
+    }
+  }
+
+  async getArchivePartitions() {
+    if (this.isCacheValid('archivePartitions')) {
+      return this.getCache('archivePartitions');
+    }
+    const partitions = await this.storage.listArchivePartitions();
+    this.setCache('archivePartitions', partitions);
+    return partitions;
+  }
+
+  // ข้อมูลเดือนที่ archive แล้วไม่เปลี่ยน - cache ได้นาน
+  async getArchivedRecords(monthKey) {
+    const cacheKey = `archive_${monthKey}`;
+    if (this.isCacheValid(cacheKey)) {
+      return this.getCache(cacheKey);
+    }
+    const records = await this.storage.getArchivedAttendanceRecords(monthKey);
+    this.cache.set(cacheKey, records, 1800000); // 30 นาที
+    return records;
+  }
+
+  // อ่าน MAIN และ partition รายเดือนที่รายงานต้องใช้
+  async getReportRows(type, params) {
+    const rows = await this.safeGetCachedSheetData(CONFIG.SHEETS.MAIN);
+
+    try {
+      const wanted = this.getReportMonthKeys(type, params);
+      const partitions = await this.getArchivePartitions();
+      const monthKeys = wanted.filter(monthKey => partitions.includes(monthKey));
+
+      if (monthKeys.length === 0) {
+        return rows;
+      }
+
+      console.log(`🗄️ Reading archive partitions: ${monthKeys.join(', ')}`);
+      const archived = [];
+      for (const monthKey of monthKeys) {
+        archived.push(...await this.getArchivedRecords(monthKey));
+      }
+      return [...archived, ...rows];
+    } catch (error) {
+      console.error('❌ Error reading archive partitions:', error.message);
+      return rows;
+    }
+  }
+
+  // ย้ายรายการที่ลงเวลาออกแล้วของเดือนที่ปิดไปแล้วออกจาก MAIN ไปไว้ใน partition รายเดือน
+  async archiveClosedMonths() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const currentMonth = datetime.toMonthKey(datetime.now());
+    const records = await this.fetchSheetData(CONFIG.SHEETS.MAIN);
+    const byMonth = {};
+    let skipped = 0;
+
+    records.forEach(record => {
+      const monthKey = datetime.toMonthKey(record.clockIn);
+      if (!monthKey || monthKey >= currentMonth) return;
+
+      // รายการที่ยังไม่ลงเวลาออกหรือยังไม่มีรหัสรายการ เก็บไว้ใน MAIN ก่อน
+      if (!record.id || !record.clockOut) {
+        skipped++;
+        return;
+      }
+
+      (byMonth[monthKey] = byMonth[monthKey] || []).push(record);
+    });
+
+    const months = [];
+    for (const monthKey of Object.keys(byMonth).sort()) {
+      const moved = await this.storage.archiveAttendanceRecords(monthKey, byMonth[monthKey]);
+      months.push({ month: monthKey, archived: moved });
+      console.log(`🗄️ Archived ${moved} records to ${monthKey}`);
+
+      this.clearCache(`archive_${monthKey}`);
+    }
+
+    this.clearCache('main');
+    this.clearCache('stats');
+    this.clearCache('archivePartitions');
+
+    return {
+      months,
+      archivedCount: months.reduce((sum, m) => sum + m.archived, 0),
+      skippedCount: skipped
+    };
+  }
+
+  // ========== ON WORK ↔ MAIN consistency ==========
+
+  async getReconcileReport() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    return this.reconciler.analyze();
+  }
+
+  async repairInconsistencies(fingerprint, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const result = await this.reconciler.repair(fingerprint, actor);
+    if (result.applied.length > 0) {
+      this.clearCache('onwork');
+      this.clearCache('main');
+      this.clearCache('stats');
+    }
+    return result;
+  }
+
+  // ========== Employee admin ==========
+
+  /**
+   * แก้ไขรายชื่อพนักงาน แล้วล้าง cache ให้การลงเวลาเห็นข้อมูลใหม่ทันที
+   * @param {Function} change - async (employeeAdmin) => result
+   */
+  async changeEmployees(change) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const result = await change(this.employeeAdmin);
+    this.clearCache('employees');
+    this.clearCache('stats');
+    return result;
+  }
+
+  /**
+   * สรุปชั่วโมงปกติและ OT รายคนของเดือน
+   * @param {number|string} month - 1-12
+   * @param {number|string} year - ค.ศ.
+   */
+  async getOvertimeSummary(month, year) {
+    const records = await this.getReportData('monthly', { month, year });
+    return { month: Number(month), year: Number(year), ...summarizeOvertime(records) };
+  }
+
   async getReportData(type, params) {
     try {
       console.log(`📊 Getting report data for type: ${type}`, params);
       
-      // ใช้ safe cached data method
-      const rows = await this.safeGetCachedSheetData(CONFIG.SHEETS.MAIN);
+      // อ่านเฉพาะ MAIN และ partition ของเดือนที่ต้องใช้
+      const rows = await this.getReportRows(type, params);
       
       if (!rows || rows.length === 0) {
         console.log('⚠️ No data found in MAIN sheet');
         return [];
       }
 
-      console.log(`📋 Found ${rows.length} total records in MAIN sheet`);
+      console.log(`📋 Found ${rows.length} total records in MAIN sheet and archive partitions`);
       
       // Debug: แสดงตัวอย่างข้อมูลไม่กี่แถวแรก
       if (rows.length > 0) {
         console.log('📋 Sample data (first 3 rows):');
         for (let i = 0; i < Math.min(3, rows.length); i++) {
-          const row = rows[i];
-          // ใช้ index แทนเนื่องจาก sheet ไม่มี header
-          const employee = row._rawData[0]; // column 0: ชื่อพนักงาน
-          const clockIn = row._rawData[3];  // column 3: เวลาเข้า
-          console.log(`   Row ${i+1}: Employee="${employee}", ClockIn="${clockIn}" (type: ${typeof clockIn})`);
+          const record = rows[i];
+          console.log(`   Row ${i+1}: Employee="${record.employee}", ClockIn="${record.clockIn}" (type: ${typeof record.clockIn})`);
         }
-        
-        // Debug: แสดง headers ของ sheet
-        console.log('📋 Sheet headers:', Object.keys(rows[0]._rawData));
-        
-        // Debug: แสดงค่าของแต่ละ column ในแถวแรก
-        const firstRow = rows[0];
-        console.log('📋 First row values by index:');
-        console.log(`   Column 0: "${firstRow._rawData[0]}" (should be ชื่อพนักงาน)`);
-        console.log(`   Column 1: "${firstRow._rawData[1]}" (should be Line name)`);
-        console.log(`   Column 2: "${firstRow._rawData[2]}" (should be รูปภาพ)`);
-        console.log(`   Column 3: "${firstRow._rawData[3]}" (should be เวลาเข้า)`);
-        console.log(`   Column 4: "${firstRow._rawData[4]}" (should be userinfo/หมายเหตุ)`);
-        console.log(`   Column 5: "${firstRow._rawData[5]}" (should be เวลาออก)`);
-        console.log(`   Column 6: "${firstRow._rawData[6]}" (should be พิกัดเข้า)`);
-        console.log(`   Column 7: "${firstRow._rawData[7]}" (should be สถานที่เข้า)`);
-        console.log(`   Column 8: "${firstRow._rawData[8]}" (should be พิกัดออก)`);
-        console.log(`   Column 9: "${firstRow._rawData[9]}" (should be ที่อยู่ออก)`);
-        console.log(`   Column 10: "${firstRow._rawData[10]}" (should be ชั่วโมงทำงาน)`);
-        console.log(`   Column 11: "${firstRow._rawData[11]}" (should be หมายเหตุเดิม - ไม่ใช้แล้ว)`);
       }
       
       let filteredRows = [];
 
       switch (type) {
         case 'daily':
-          const targetDate = moment(params.date).tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+          const targetDate = datetime.toDateKey(params.date);
           console.log(`📅 Filtering for daily report: ${targetDate}`);
           
-          filteredRows = rows.filter(row => {
-            const clockIn = row._rawData[3]; // column 3: เวลาเข้า
-            if (!clockIn) return false;
-            
-            try {
-              let dateStr = '';
-              console.log(`🔍 Checking clockIn: "${clockIn}" (type: ${typeof clockIn})`);
-              
-              // ถ้าเป็น string format 'DD/MM/YYYY HH:mm:ss'
-              if (typeof clockIn === 'string' && clockIn.match(/^\d{2}\/\d{2}\/\d{4}/)) {
-                const datePart = clockIn.split(' ')[0]; // "26/06/2025"
-                const [day, month, year] = datePart.split('/');
-                dateStr = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-              }
-              // ถ้าเป็น string format 'YYYY-MM-DD HH:mm:ss'
-              else if (typeof clockIn === 'string' && clockIn.includes(' ')) {
-                dateStr = clockIn.split(' ')[0];
-              } else if (typeof clockIn === 'string' && clockIn.includes('T')) {
-                // ISO format
-                dateStr = clockIn.split('T')[0];
-              } else if (typeof clockIn === 'string' && clockIn.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                // Already in YYYY-MM-DD format
-                dateStr = clockIn;
-              } else {
-                // Date object หรือ format อื่น
-                const rowDate = moment(clockIn).tz(CONFIG.TIMEZONE);
-                if (rowDate.isValid()) {
-                  dateStr = rowDate.format('YYYY-MM-DD');
-                } else {
-                  console.warn(`⚠️ Invalid date format: "${clockIn}"`);
-                  return false;
-                }
-              }
-              
-              console.log(`📅 Extracted date: "${dateStr}" vs target: "${targetDate}"`);
-              const isMatch = dateStr === targetDate;
-              if (isMatch) {
-                console.log(`✅ Date match found: ${row._rawData[0]} - ${clockIn}`);
-              } else if (clockIn && clockIn.includes('26')) {
-                console.log(`❓ Potential match (contains '26'): ${row._rawData[0]} - ${clockIn} -> ${dateStr}`);
-              }
-              
-              return isMatch;
-            } catch (error) {
-              console.warn('❌ Error parsing date for daily report:', clockIn, error);
-              return false;
-            }
-          });
+          filteredRows = rows.filter(row => datetime.toDateKey(row.clockIn) === targetDate);
           
           console.log(`📊 Daily filter result: ${filteredRows.length} records found for ${targetDate}`);
           break;
@@ -747,93 +964,21 @@ class GoogleSheetsService {
         case 'monthly':
           const month = parseInt(params.month);
           const year = parseInt(params.year);
+          const targetMonth = `${year}-${String(month).padStart(2, '0')}`;
           console.log(`📅 Filtering for monthly report: ${month}/${year}`);
           
-          filteredRows = rows.filter(row => {
-            const clockIn = row._rawData[3]; // column 3: เวลาเข้า
-            if (!clockIn) return false;
-            
-            try {
-              let dateStr = '';
-              
-              // ใช้วิธีเดียวกับรายงานรายวัน เพื่อความสอดคล้อง
-              if (typeof clockIn === 'string' && clockIn.match(/^\d{2}\/\d{2}\/\d{4}/)) {
-                const datePart = clockIn.split(' ')[0]; // "26/06/2025"
-                const [day, monthPart, yearPart] = datePart.split('/');
-                dateStr = `${yearPart}-${monthPart.padStart(2, '0')}-${day.padStart(2, '0')}`;
-              }
-              // ถ้าเป็น string format 'YYYY-MM-DD HH:mm:ss'
-              else if (typeof clockIn === 'string' && clockIn.includes(' ')) {
-                dateStr = clockIn.split(' ')[0];
-              } else if (typeof clockIn === 'string' && clockIn.includes('T')) {
-                // ISO format
-                dateStr = clockIn.split('T')[0];
-              } else if (typeof clockIn === 'string' && clockIn.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                // Already in YYYY-MM-DD format
-                dateStr = clockIn;
-              } else {
-                // Date object หรือ format อื่น
-                const rowDate = moment(clockIn).tz(CONFIG.TIMEZONE);
-                if (rowDate.isValid()) {
-                  dateStr = rowDate.format('YYYY-MM-DD');
-                } else {
-                  console.warn(`⚠️ Invalid date format: "${clockIn}"`);
-                  return false;
-                }
-              }
-              
-              // แปลงเป็น Date object เพื่อเปรียบเทียบ
-              const rowDate = moment(dateStr).tz(CONFIG.TIMEZONE);
-              if (!rowDate.isValid()) return false;
-              
-              const isMatch = rowDate.month() + 1 === month && rowDate.year() === year;
-              
-              if (isMatch) {
-                console.log(`✅ Monthly match found: ${row._rawData[0]} - ${clockIn} -> ${dateStr}`);
-              }
-              
-              return isMatch;
-            } catch (error) {
-              console.warn('❌ Error parsing date for monthly report:', clockIn, error);
-              return false;
-            }
-          });
+          filteredRows = rows.filter(row => datetime.toMonthKey(row.clockIn) === targetMonth);
           break;
 
         case 'range':
-          const startMoment = moment(params.startDate).tz(CONFIG.TIMEZONE).startOf('day');
-          const endMoment = moment(params.endDate).tz(CONFIG.TIMEZONE).endOf('day');
-          console.log(`📅 Filtering for range report: ${startMoment.format('YYYY-MM-DD')} to ${endMoment.format('YYYY-MM-DD')}`);
+          const startDate = datetime.toDateKey(params.startDate);
+          const endDate = datetime.toDateKey(params.endDate);
+          console.log(`📅 Filtering for range report: ${startDate} to ${endDate}`);
           
+          // เทียบเป็น 'YYYY-MM-DD' ทั้งสองฝั่ง (รวมวันเริ่มและวันสิ้นสุด)
           filteredRows = rows.filter(row => {
-            const clockIn = row._rawData[3]; // column 3: เวลาเข้า
-            if (!clockIn) return false;
-            
-            try {
-              let rowMoment;
-              
-              // ถ้าเป็น string format 'DD/MM/YYYY HH:mm:ss'
-              if (typeof clockIn === 'string' && clockIn.match(/^\d{2}\/\d{2}\/\d{4}/)) {
-                rowMoment = moment(clockIn, 'DD/MM/YYYY HH:mm:ss').tz(CONFIG.TIMEZONE);
-              }
-              // ถ้าเป็น string format 'YYYY-MM-DD HH:mm:ss'
-              else if (typeof clockIn === 'string' && clockIn.includes(' ')) {
-                rowMoment = moment(clockIn, 'YYYY-MM-DD HH:mm:ss').tz(CONFIG.TIMEZONE);
-              } else if (typeof clockIn === 'string' && clockIn.includes('T')) {
-                // ISO format
-                rowMoment = moment(clockIn).tz(CONFIG.TIMEZONE);
-              } else {
-                // Date object หรือ format อื่น
-                rowMoment = moment(clockIn).tz(CONFIG.TIMEZONE);
-              }
-              
-              if (!rowMoment.isValid()) return false;
-              
-              return rowMoment.isBetween(startMoment, endMoment, null, '[]');
-            } catch (error) {
-              console.warn('Error parsing date for range report:', clockIn, error);
-              return false;
-            }
+            const dateKey = datetime.toDateKey(row.clockIn);
+            return dateKey !== null && dateKey >= startDate && dateKey <= endDate;
           });
           break;
 
@@ -845,18 +990,16 @@ class GoogleSheetsService {
 
       // แปลงข้อมูลเป็น format ที่ใช้งานง่าย
       const reportData = filteredRows.map((row, index) => {
-        // ใช้ index แทนเนื่องจาก sheet ไม่มี header
-        const employee = row._rawData[0] || '';        // column 0: ชื่อพนักงาน
-        const lineName = row._rawData[1] || '';        // column 1: Line name
-        const clockIn = row._rawData[3] || '';         // column 3: เวลาเข้า
-        const clockOut = row._rawData[5] || '';        // column 5: เวลาออก
-        const userInfo = row._rawData[4] || '';        // column 4: userinfo/หมายเหตุ (ใช้แทนหมายเหตุ)
-        const location = row._rawData[6] || '';        // column 6: พิกัด
-        const locationName = row._rawData[7] || '';    // column 7: สถานที่เข้า
-        const locationOutCoords = row._rawData[8] || ''; // column 8: พิกัดออก
-        const locationOut = row._rawData[9] || '';     // column 9: ที่อยู่ออก
-        const workingHours = row._rawData[10] || '';   // column 10: ชั่วโมงทำงาน
-        const note = row._rawData[4] || '';            // column 4: หมายเหตุ (เปลี่ยนจาก 11 เป็น 4)
+        const employee = row.employee || '';
+        const lineName = row.lineName || '';
+        const clockIn = row.clockIn || '';
+        const clockOut = row.clockOut || '';
+        const userInfo = row.note || '';               // column E: userinfo/หมายเหตุ
+        const location = row.coordsIn || '';
+        const locationName = row.locationIn || '';
+        const locationOut = row.locationOut || '';
+        const workingHours = row.workingHours || '';
+        const note = row.note || '';
         
         // Debug: แสดงข้อมูลแต่ละ row
         if (index < 3) {
@@ -870,14 +1013,14 @@ class GoogleSheetsService {
             locationName: locationName,
             locationOut: locationOut,
             workingHours: workingHours,
-            note: note,
-            allData: row._rawData
+            note: note
           });
         }
         
         return {
           no: index + 1,
           employee: employee,
+          employeeCode: row.employeeCode || '',
           lineName: lineName,
           clockIn: clockIn,
           clockOut: clockOut,
@@ -885,7 +1028,18 @@ class GoogleSheetsService {
           workingHours: workingHours,
           locationIn: locationName,
           locationOut: locationOut,
-          userInfo: userInfo
+          userInfo: userInfo,
+          shiftCode: row.shiftCode || '',
+          lateMinutes: row.lateMinutes || '',
+          earlyLeaveMinutes: row.earlyLeaveMinutes || '',
+          attendanceTag: row.attendanceTag || '',
+          breakMinutes: row.breakMinutes || '',
+          breaks: row.breaks || '',
+          regularHours: row.regularHours || '',
+          overtimeHours: row.overtimeHours || '',
+          overtimeType: row.overtimeType || '',
+          dutyId: row.dutyId || '',
+          zoneFlag: row.zoneFlag || ''
         };
       });
 
@@ -898,419 +1052,784 @@ class GoogleSheetsService {
     }
   }
 
-  async clockIn(data) {
+  /**
+   * รันงานลงเวลาของพนักงานคนหนึ่งภายใต้ lock - ถ้ามี request ของคนเดียวกันค้างอยู่จะตอบกลับทันทีว่ากำลังดำเนินการ
+   * @param {{code: string|null, name: string}} employee - พนักงานที่ระบุตัวแล้ว
+   * @param {string} operation - 'clockIn' | 'clockOut'
+   * @param {Function} task - async () => result
+   */
+  async withEmployeeLock(employee, operation, task) {
+    const key = identityKey(employee);
+    const release = this.employeeLocks.tryAcquire(key, operation);
+    if (!release) {
+      const holder = this.employeeLocks.holder(key);
+      console.log(`⏳ Rejected ${operation} for "${employee.name}": ${holder ? holder.operation : 'request'} in progress`);
+      return {
+        success: false,
+        message: 'ระบบกำลังบันทึกเวลาของคุณอยู่ กรุณารอสักครู่แล้วตรวจสอบสถานะอีกครั้ง',
+        employee: employee.name,
+        currentStatus: 'processing'
+      };
+    }
+
     try {
-      const { employee, userinfo, lat, lon, line_name, line_picture, mock_time } = data;
-      
-      console.log(`⏰ Clock In request for: "${employee}"`);
-      if (mock_time) {
-        console.log(`🧪 Using mock time: ${mock_time}`);
-      }
-      
-      const employeeStatus = await this.getEmployeeStatus(employee);
-      
-      if (employeeStatus.isOnWork) {
-        console.log(`❌ Employee "${employee}" is already clocked in`);
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  // ระบุตัวพนักงานก่อน (จากบัญชี LINE ที่ผูกไว้ถ้าเปิดใช้) แล้วรันงานภายใต้ lock ของคนนั้น (บันทึกด้วยชื่อตาม EMPLOYEES)
+  async withResolvedEmployee(data, operation, task) {
+    const employees = await this.getEmployees({ includeInactive: true });
+    const resolution = resolveEmployee(employees, { name: data.employee, code: data.employee_code });
+    let profile = resolution.employee;
+
+    if (CONFIG.LINE_BINDING.ENABLED) {
+      const authorization = await this.lineBindings.authorize(employees, {
+        lineUserId: data.line_user_id,
+        lineName: data.line_name,
+        requested: profile,
+        enrollmentCode: data.enrollment_code
+      });
+
+      if (!authorization.allowed && authorization.reason !== 'employee_required') {
+        console.log(`🚫 ${operation}: LINE ${data.line_user_id || '-'} not allowed for "${data.employee}" (${authorization.reason})`);
         return {
           success: false,
-          message: 'คุณลงเวลาเข้างานไปแล้ว กรุณาลงเวลาออกก่อน',
-          employee,
-          currentStatus: 'clocked_in',
-          clockInTime: employeeStatus.workRecord?.clockIn
+          message: authorization.message,
+          employee: data.employee,
+          currentStatus: authorization.reason
         };
       }
+      profile = authorization.employee || null;
+    }
 
-      // ใช้ mock_time หากมีการส่งมา ไม่เช่นนั้นใช้เวลาปัจจุบัน
-      const timestamp = mock_time 
-        ? moment(mock_time).tz(CONFIG.TIMEZONE).format('DD/MM/YYYY HH:mm:ss')
-        : moment().tz(CONFIG.TIMEZONE).format('DD/MM/YYYY HH:mm:ss');
-      
-      // แปลงพิกัดเป็นชื่อสถานที่
-      const locationName = await this.getLocationName(lat, lon);
-      console.log(`📍 Location: ${locationName}`);
-      
-      console.log(`✅ Proceeding with clock in for "${employee}"`);
-      
-      const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
-      
-      const newRow = await mainSheet.addRow([
-        employee,           
-        line_name,          
-        `=IMAGE("${line_picture}")`, 
-        timestamp,          
-        userinfo || '',     
-        '',                 
-        `${lat},${lon}`,    
-        locationName,       
-        '',                 
-        '',                 
-        ''                  
-      ]);
+    if (!profile) {
+      console.log(`❌ ${operation}: cannot identify "${data.employee}" (${resolution.reason})`);
+      return this.unresolvedEmployeeResponse(data.employee, resolution);
+    }
 
-      const mainRowIndex = newRow.rowNumber;
-      console.log(`✅ Added to MAIN sheet at row: ${mainRowIndex}`);
-
-      const onWorkSheet = await this.getSheet(CONFIG.SHEETS.ON_WORK);
-      await onWorkSheet.addRow([
-        timestamp,          
-        employee,           
-        timestamp,          
-        'ทำงาน',           
-        userinfo || '',     
-        `${lat},${lon}`,    
-        locationName,       
-        mainRowIndex,       
-        line_name,          
-        line_picture,       
-        mainRowIndex,       
-        employee            
-      ]);      // Clear cache เนื่องจากมีการเพิ่มข้อมูลใหม่
-      this.clearCache('onwork');
-      this.clearCache('main');
-      this.clearCache('stats');
+    return this.withEmployeeLock(profile, operation, () => task({ ...data, employee: profile.name }, profile));
+  }
 
-      console.log(`✅ Clock In successful: ${employee} at ${this.formatTime(timestamp)}, Main row: ${mainRowIndex}`);
+  // เทียบเวลาจริงกับกะของพนักงาน - อ่านตารางเวรไม่ได้ก็ยังลงเวลาได้ (คืน null)
+  async evaluateAttendance(profile, times) {
+    try {
+      const schedule = await this.schedule.getScheduleAt(profile, times.clockIn);
+      return evaluateAttendance(schedule, times);
+    } catch (error) {
+      console.error(`⚠️ Cannot evaluate attendance of "${profile.name}" against schedule:`, error.message);
+      return null;
+    }
+  }
 
-      // ทำการ warm cache อัตโนมัติ
-      setTimeout(async () => {
-        try {
-          await this.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
-          await this.getAdminStats();
-        } catch (error) {
-          console.error('⚠️ Auto cache warming error:', error);
-        }
-      }, 2000);
+  // แยกชั่วโมงปกติ/OT ตามกะของพนักงาน - อ่านตารางเวรไม่ได้ก็ยังลงเวลาออกได้ (คืน null)
+  async evaluateOvertime(profile, times) {
+    try {
+      const schedule = await this.schedule.getScheduleAt(profile, times.clockIn);
+      return evaluateOvertime(schedule, times);
+    } catch (error) {
+      console.error(`⚠️ Cannot evaluate overtime of "${profile.name}":`, error.message);
+      return null;
+    }
+  }
 
-      this.triggerMapGeneration('clockin', {
-        employee, lat, lon, line_name, userinfo, timestamp
-      });
+  // สรุปเวลาพักของรายการตอนลงเวลาออก - อ่าน BREAKS ไม่ได้ก็ยังลงเวลาออกได้ (คืน null = ไม่หักพัก)
+  async summarizeBreaks(recordId, times) {
+    try {
+      return this.breaks.summarize(await this.breaks.getRecordBreaks(recordId, { fresh: true }), times);
+    } catch (error) {
+      console.error(`⚠️ Cannot read breaks of record ${recordId}:`, error.message);
+      return null;
+    }
+  }
+
+  async clockIn(data) {
+    return this.withResolvedEmployee(data, 'clockIn', (input, profile) => this.processClockIn(input, profile));
+  }
+
+  async clockOut(data) {
+    return this.withResolvedEmployee(data, 'clockOut', (input, profile) => this.processClockOut(input, profile));
+  }
+
+  async startBreak(data) {
+    return this.withResolvedEmployee(data, 'startBreak', (input, profile) => this.processBreak(input, profile, 'start'));
+  }
+
+  async endBreak(data) {
+    return this.withResolvedEmployee(data, 'endBreak', (input, profile) => this.processBreak(input, profile, 'end'));
+  }
+
+  /**
+   * เริ่มหรือจบการพักของรายการที่กำลังทำงานอยู่
+   * @param {Object} data - { employee, mock_time }
+   * @param {Object} profile - พนักงานที่ระบุตัวแล้ว
+   * @param {'start'|'end'} action
+   */
+  async processBreak(data, profile, action) {
+    const { employee, mock_time } = data;
+    try {
+      console.log(`☕ ${action === 'start' ? 'Start' : 'End'} break request for: "${employee}"`);
+
+      const employeeStatus = await this.getEmployeeStatus(profile, { fresh: true });
+      if (!employeeStatus.isOnWork) {
+        return {
+          success: false,
+          message: 'คุณต้องลงเวลาเข้างานก่อน',
+          employee,
+          currentStatus: 'not_clocked_in'
+        };
+      }
+      if (!employeeStatus.workRecord.recordId) {
+        return {
+          success: false,
+          message: 'ไม่พบรหัสรายการลงเวลาเข้างาน กรุณาติดต่อผู้ดูแลระบบ',
+          employee
+        };
+      }
+
+      const timestamp = this.resolveTimestamp(mock_time);
+      if (!timestamp) {
+        return this.invalidTimeResponse(employee, mock_time);
+      }
+      if (action === 'start') {
+        await this.breaks.startBreak(profile, employeeStatus.workRecord, timestamp);
+        return {
+          success: true,
+          message: 'บันทึกเวลาเริ่มพักสำเร็จ',
+          employee,
+          time: this.formatTime(timestamp),
+          currentStatus: 'on_break'
+        };
+      }
 
+      const entry = await this.breaks.endBreak(profile, employeeStatus.workRecord, timestamp);
+      const { breakMinutes } = this.breaks.summarize([entry], { clockIn: entry.start, clockOut: entry.end });
       return {
         success: true,
-        message: 'บันทึกเวลาเข้างานสำเร็จ',
+        message: `บันทึกเวลาจบการพักสำเร็จ (พัก ${breakMinutes} นาที)`,
         employee,
         time: this.formatTime(timestamp),
+        breakMinutes,
         currentStatus: 'clocked_in'
       };
 
     } catch (error) {
-      console.error('❌ Clock in error:', error);
+      if (['BREAK_IN_PROGRESS', 'NOT_ON_BREAK', 'INVALID_BREAK'].includes(error.code)) {
+        return {
+          success: false,
+          message: error.message,
+          employee,
+          currentStatus: error.code === 'BREAK_IN_PROGRESS' ? 'on_break' : 'clocked_in'
+        };
+      }
+      console.error(`❌ ${action} break error:`, error);
       return {
         success: false,
         message: `เกิดข้อผิดพลาด: ${error.message}`,
-        employee: data.employee
+        employee
       };
     }
   }
 
-  async clockOut(data) {
+  async requestLeave(data) {
+    return this.withResolvedEmployee(data, 'requestLeave', (input, profile) => this.processLeave(input, profile, 'request'));
+  }
+
+  async cancelLeave(data) {
+    return this.withResolvedEmployee(data, 'cancelLeave', (input, profile) => this.processLeave(input, profile, 'cancel'));
+  }
+
+  async getLeaveSummary(data) {
+    return this.withResolvedEmployee(data, 'leaveSummary', (input, profile) => this.processLeave(input, profile, 'summary'));
+  }
+
+  /**
+   * ยื่นใบลา ยกเลิกใบลา หรือดูยอดวันลาของพนักงาน (จาก LIFF)
+   * @param {Object} data - { employee, type, startDate, endDate, halfDay, reason } / { employee, id }
+   * @param {Object} profile - พนักงานที่ระบุตัวแล้ว
+   * @param {'request'|'cancel'|'summary'} action
+   */
+  async processLeave(data, profile, action) {
+    const { employee } = data;
     try {
-      const { employee, lat, lon, line_name, mock_time } = data;
-      
-      console.log(`⏰ Clock Out request for: "${employee}"`);
-      console.log(`📍 Location: ${lat}, ${lon}`);
-      if (mock_time) {
-        console.log(`🧪 Using mock time: ${mock_time}`);
-      }
-      
-      const employeeStatus = await this.getEmployeeStatus(employee);
-        if (!employeeStatus.isOnWork) {
-        console.log(`❌ Employee "${employee}" is not clocked in`);
-        
-        // ใช้ cached data แทนการเรียก API ใหม่
-        const rows = await this.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
-        
-        const suggestions = rows
-          .map(row => ({
-            systemName: row.get('ชื่อในระบบ'),
-            employeeName: row.get('ชื่อพนักงาน')
-          }))
-          .filter(emp => emp.systemName || emp.employeeName)
-          .filter(emp => 
-            this.isNameMatch(employee, emp.systemName) ||
-            this.isNameMatch(employee, emp.employeeName)
-          );
-        
-        let message = 'คุณต้องลงเวลาเข้างานก่อน หรือตรวจสอบชื่อที่ป้อนให้ถูกต้อง';
-        
-        if (suggestions.length > 0) {
-          const suggestedNames = suggestions.map(s => s.systemName || s.employeeName);
-          message = `ไม่พบข้อมูลการลงเวลาเข้างาน ชื่อที่ใกล้เคียง: ${suggestedNames.join(', ')}`;
-        }
-        
+      if (action === 'request') {
+        const request = await this.leave.request(profile, data, datetime.formatForSheet(datetime.now()));
         return {
-          success: false,
-          message: message,
+          success: true,
+          message: `ยื่นใบลาสำเร็จ (${request.days} วัน) รอการอนุมัติ`,
           employee,
-          currentStatus: 'not_clocked_in',
-          suggestions: suggestions.length > 0 ? suggestions : undefined
+          data: request
         };
       }
 
-      // ใช้ mock_time หากมีการส่งมา ไม่เช่นนั้นใช้เวลาปัจจุบัน
-      const timestamp = mock_time 
-        ? moment(mock_time).tz(CONFIG.TIMEZONE).format('DD/MM/YYYY HH:mm:ss')
-        : moment().tz(CONFIG.TIMEZONE).format('DD/MM/YYYY HH:mm:ss');
-      const workRecord = employeeStatus.workRecord;
-      const clockInTime = workRecord.clockIn;
-      console.log(`⏰ Clock in time: ${clockInTime}`);
-      
-      // 🎯 ใช้ฟังก์ชันคำนวณเวลาแบบเดียวกันกับ admin stats
-      const hoursWorked = calculateWorkingHours(clockInTime, timestamp);
-      console.log(`✅ Working hours calculated: ${hoursWorked.toFixed(2)} hours`);
-      
-      // แปลงพิกัดเป็นชื่อสถานที่
-      const locationName = await this.getLocationName(lat, lon);
-      console.log(`📍 Clock out location: ${locationName}`);      console.log(`✅ Proceeding with clock out for "${employee}"`);
-      
-      // ใช้ cached data แทนการเรียก API ใหม่
-      const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
-      const rows = await this.getCachedSheetData(CONFIG.SHEETS.MAIN);
-      
-      console.log(`📊 Total rows in MAIN: ${rows.length}`);
-      console.log(`🎯 Target row index: ${workRecord.mainRowIndex}`);
-      
-      let mainRow = null;
-      
-      if (workRecord.mainRowIndex && workRecord.mainRowIndex > 1) {
-        const targetIndex = workRecord.mainRowIndex - 2;
-        
-        if (targetIndex >= 0 && targetIndex < rows.length) {
-          const candidateRow = rows[targetIndex];
-          const candidateEmployee = candidateRow.get('ชื่อพนักงาน');
-          
-          if (this.isNameMatch(employee, candidateEmployee)) {
-            mainRow = candidateRow;
-            console.log(`✅ Found main row by index: ${targetIndex} (row ${workRecord.mainRowIndex})`);
-          } else {
-            console.log(`⚠️ Row index found but employee name mismatch: "${candidateEmployee}" vs "${employee}"`);
-          }
-        } else {
-          console.log(`⚠️ Row index out of range: ${targetIndex} (total rows: ${rows.length})`);
-        }
-      }
-      
-      if (!mainRow) {
-        console.log('🔍 Searching by employee name and conditions...');
-        
-        const candidateRows = rows.filter(row => {
-          const rowEmployee = row.get('ชื่อพนักงาน');
-          const rowClockOut = row.get('เวลาออก');
-          
-          return this.isNameMatch(employee, rowEmployee) && !rowClockOut;
-        });
-        
-        console.log(`Found ${candidateRows.length} candidate rows without clock out`);
-        
-        if (candidateRows.length === 1) {
-          mainRow = candidateRows[0];
-          console.log(`✅ Found unique candidate row`);
-        } else if (candidateRows.length > 1) {
-          let closestRow = null;
-          let minTimeDiff = Infinity;
-          
-          candidateRows.forEach((row, index) => {
-            const rowClockIn = row.get('เวลาเข้า');
-            if (rowClockIn && clockInTime) {
-              const timeDiff = Math.abs(new Date(rowClockIn) - new Date(clockInTime));
-              console.log(`Candidate ${index}: time diff = ${timeDiff}ms`);
-              if (timeDiff < minTimeDiff) {
-                minTimeDiff = timeDiff;
-                closestRow = row;
-              }
-            }
-          });
-          
-          if (closestRow && minTimeDiff < 300000) {
-            mainRow = closestRow;
-            console.log(`✅ Found closest matching row (time diff: ${minTimeDiff}ms)`);
-          } else {
-            console.log(`❌ No close time match found (min diff: ${minTimeDiff}ms)`);
-          }
-        }
-      }
-      
-      if (!mainRow) {
-        console.log('🔍 Searching for latest row of this employee...');
-        
-        for (let i = rows.length - 1; i >= 0; i--) {
-          const row = rows[i];
-          const rowEmployee = row.get('ชื่อพนักงาน');
-          const rowClockOut = row.get('เวลาออก');
-          
-          if (this.isNameMatch(employee, rowEmployee) && !rowClockOut) {
-            mainRow = row;
-            console.log(`✅ Found latest uncompleted row at index: ${i}`);
-            break;
-          }
-        }
-      }
-      
-      if (!mainRow) {
-        console.log('❌ Cannot find main row to update');
-        
+      if (action === 'cancel') {
+        const request = await this.leave.cancel(profile, data.id);
         return {
-          success: false,
-          message: 'ไม่พบข้อมูลการลงเวลาเข้างานที่ตรงกัน กรุณาตรวจสอบระบบ',
-          employee
+          success: true,
+          message: 'ยกเลิกใบลาสำเร็จ',
+          employee,
+          data: request
         };
       }
-      
-      console.log('✅ Found main row, updating...');
-      
-      try {
-        // 🔧 ใช้วิธี batch update เพื่อป้องกันการเปลี่ยนรูปแบบเวลาเข้า
-        const sheet = await this.getSheet(CONFIG.SHEETS.MAIN);
-        const rowNumber = mainRow.rowNumber;
-        
-        console.log(`📝 Updating row ${rowNumber} using batch update to preserve format`);
-        
-        // อัปเดตเฉพาะเซลล์ที่จำเป็น โดยไม่แตะเซลล์เวลาเข้า (column D)
-        const updates = [];
-        
-        // Column F: เวลาออก (index 5)
-        updates.push({
-          range: `F${rowNumber}`,
-          values: [[timestamp]]
-        });
-        
-        // Column I: พิกัดออก (index 8) 
-        updates.push({
-          range: `I${rowNumber}`,
-          values: [[`${lat},${lon}`]]
-        });
-        
-        // Column J: ที่อยู่ออก (index 9)
-        updates.push({
-          range: `J${rowNumber}`,
-          values: [[locationName]]
-        });
-        
-        // Column K: ชั่วโมงทำงาน (index 10)
-        updates.push({
-          range: `K${rowNumber}`,
-          values: [[hoursWorked.toFixed(2)]]
-        });
-        
-        // ทำการอัปเดตทีละเซลล์
-        for (const update of updates) {
-          await sheet.loadCells(update.range);
-          const cell = sheet.getCellByA1(update.range);
-          
-          // เซ็ตค่าเฉพาะข้อมูล ไม่ตั้งค่า format ให้ Google Sheets จัดการเอง
-          cell.value = update.values[0][0];
-        }
-        
-        await sheet.saveUpdatedCells();
-        console.log('✅ Main row updated successfully using batch update (clock-in format preserved)');
-        
-      } catch (updateError) {
-        console.error('❌ Error updating main row:', updateError);
-        throw new Error('ไม่สามารถอัปเดตข้อมูลได้: ' + updateError.message);
-      }      try {
-        await workRecord.row.delete();
-        console.log('✅ Removed from ON_WORK sheet');
-          // Clear cache เนื่องจากมีการเปลี่ยนแปลงข้อมูล
-        this.clearCache('onwork');
-        this.clearCache('main');
-        this.clearCache('stats');
-        
-        // ทำการ warm cache อัตโนมัติ
-        setTimeout(async () => {
-          try {
-            await this.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
-            await this.getAdminStats();
-          } catch (error) {
-            console.error('⚠️ Auto cache warming error:', error);
-          }
-        }, 2000);
-        
-      } catch (deleteError) {
-        console.error('❌ Error deleting from ON_WORK:', deleteError);
-      }
-
-      console.log(`✅ Clock Out successful: ${employee} at ${this.formatTime(timestamp)} (${hoursWorked.toFixed(2)} hours)`);
-
-      try {
-        this.triggerMapGeneration('clockout', {
-          employee, lat, lon, line_name, timestamp, hoursWorked
-        });
-      } catch (webhookError) {
-        console.error('⚠️ Webhook error (non-critical):', webhookError);
-      }
 
+      const [balance, requests] = await Promise.all([
+        this.leave.getBalances(profile),
+        this.leave.getEmployeeRequests(profile)
+      ]);
       return {
         success: true,
-        message: 'บันทึกเวลาออกงานสำเร็จ',
         employee,
-        time: this.formatTime(timestamp),
-        hours: hoursWorked.toFixed(2),
-        currentStatus: 'clocked_out'
+        data: {
+          types: this.leave.getTypes(),
+          ...balance,
+          requests: requests.filter(request => request.fiscalYear === balance.fiscalYear)
+        }
       };
 
     } catch (error) {
-      console.error('❌ Clock out error:', error);
-      
+      if (['INVALID_LEAVE', 'LEAVE_OVERLAP', 'LEAVE_QUOTA_EXCEEDED', 'LEAVE_NOT_FOUND', 'LEAVE_ALREADY_DECIDED'].includes(error.code)) {
+        return {
+          success: false,
+          message: error.message,
+          employee,
+          errorCode: error.code
+        };
+      }
+      console.error(`❌ Leave ${action} error:`, error);
       return {
         success: false,
         message: `เกิดข้อผิดพลาด: ${error.message}`,
-        employee: data.employee
+        employee
       };
     }
   }
 
-  async triggerMapGeneration(action, data) {
-    try {
-      const gsaWebhookUrl = process.env.GSA_MAP_WEBHOOK_URL;
-      if (!gsaWebhookUrl) {
-        console.log('⚠️ GSA webhook URL not configured');
-        return;
-      }      const payload = {
-        action,
-        data,
-        timestamp: moment().tz(CONFIG.TIMEZONE).toISOString() // ใช้เวลาไทย
-      };
+  /**
+   * ผู้ดูแลระบบหรือหัวหน้างานพิจารณาใบลา - หัวหน้างานพิจารณาได้เฉพาะพนักงานในกองที่ดูแล
+   * @param {string} id
+   * @param {Object} decision - { approve: boolean, note? }
+   * @param {Object} user - ผู้ใช้จาก token (req.user)
+   * @throws {Error} code 'LEAVE_FORBIDDEN' และ code ของ LeaveService.decide()
+   */
+  async decideLeave(id, decision, user) {
+    const request = await this.leave.findRequest(id);
+    if (!await this.canApproveFor(request, user)) {
+      const error = new Error(`Leave request ${id} belongs to another department`);
+      error.code = 'LEAVE_FORBIDDEN';
+      throw error;
+    }
 
-      await fetch(gsaWebhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-Secret': CONFIG.RENDER.GSA_WEBHOOK_SECRET
-        },
-        body: JSON.stringify(payload)
-      });
+    const result = await this.leave.decide(id, decision, user.username, datetime.formatForSheet(datetime.now()));
+    this.clearCache('stats');
+    return result;
+  }
 
-      console.log(`📍 Map generation triggered for ${action}: ${data.employee}`);
+  // ใบลา/ไปราชการ: ผู้ดูแลระบบพิจารณาได้ทุกรายการ หัวหน้างานเฉพาะกองที่กำหนดใน CONFIG.ADMIN.USERS
+  async canApproveFor(record, user) {
+    if (user.role === 'admin') return true;
+
+    const account = CONFIG.ADMIN.USERS.find(entry => entry.id === user.id);
+    const departments = (account && account.departments) || [];
+    const employees = await this.getEmployees({ includeInactive: true });
+    const employee = employees.find(entry =>
+      isSameEmployee({ code: record.employeeCode || null, names: [record.employeeName] }, entry)
+    );
+    return !!employee && departments.includes(employee.department);
+  }
+
+  async requestDuty(data) {
+    return this.withResolvedEmployee(data, 'requestDuty', (input, profile) => this.processDuty(input, profile, 'request'));
+  }
+
+  async cancelDuty(data) {
+    return this.withResolvedEmployee(data, 'cancelDuty', (input, profile) => this.processDuty(input, profile, 'cancel'));
+  }
+
+  async getDutyList(data) {
+    return this.withResolvedEmployee(data, 'dutyList', (input, profile) => this.processDuty(input, profile, 'list'));
+  }
+
+  /**
+   * ขอไปราชการ ยกเลิกคำขอ หรือดูรายการไปราชการของพนักงาน (จาก LIFF)
+   * @param {Object} data - { employee, type, startDate, endDate, destination, purpose } / { employee, id }
+   * @param {Object} profile - พนักงานที่ระบุตัวแล้ว
+   * @param {'request'|'cancel'|'list'} action
+   */
+  async processDuty(data, profile, action) {
+    const { employee } = data;
+    try {
+      if (action === 'request') {
+        const duty = await this.duty.request(profile, data, { requestedAt: datetime.formatForSheet(datetime.now()) });
+        return {
+          success: true,
+          message: 'บันทึกคำขอไปราชการสำเร็จ รอการอนุมัติ',
+          employee,
+          data: duty
+        };
+      }
+
+      if (action === 'cancel') {
+        const duty = await this.duty.cancel(profile, data.id);
+        return {
+          success: true,
+          message: 'ยกเลิกคำขอไปราชการสำเร็จ',
+          employee,
+          data: duty
+        };
+      }
+
+      const duties = await this.duty.getEmployeeDuties(profile);
+      return {
+        success: true,
+        employee,
+        data: {
+          types: this.duty.getTypes(),
+          duties: [...duties].sort((a, b) => b.startDate.localeCompare(a.startDate))
+        }
+      };
+
+    } catch (error) {
+      if (['INVALID_DUTY', 'DUTY_OVERLAP', 'DUTY_NOT_FOUND', 'DUTY_ALREADY_DECIDED'].includes(error.code)) {
+        return {
+          success: false,
+          message: error.message,
+          employee,
+          errorCode: error.code
+        };
+      }
+      console.error(`❌ Duty ${action} error:`, error);
+      return {
+        success: false,
+        message: `เกิดข้อผิดพลาด: ${error.message}`,
+        employee
+      };
+    }
+  }
+
+  /**
+   * ผู้ดูแลระบบหรือหัวหน้างานบันทึกไปราชการให้พนักงาน - อนุมัติทันที
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {Object} input - { type, startDate, endDate, destination, purpose }
+   * @param {Object} user - ผู้ใช้จาก token (req.user)
+   * @throws {Error} code 'DUTY_FORBIDDEN' และ code ของ DutyService.request()
+   */
+  async recordDuty(employee, input, user) {
+    if (!await this.canApproveFor({ employeeCode: employee.code, employeeName: employee.name }, user)) {
+      const error = new Error(`${employee.name} belongs to another department`);
+      error.code = 'DUTY_FORBIDDEN';
+      throw error;
+    }
+
+    const now = datetime.formatForSheet(datetime.now());
+    const duty = await this.duty.request(employee, input, { requestedAt: now, requestedBy: user.username, approvedBy: user.username });
+    this.clearCache('stats');
+    return duty;
+  }
+
+  /**
+   * พิจารณาคำขอไปราชการ - สิทธิ์เดียวกับการพิจารณาใบลา
+   * @throws {Error} code 'DUTY_FORBIDDEN' และ code ของ DutyService.decide()
+   */
+  async decideDuty(id, decision, user) {
+    const duty = await this.duty.findDuty(id);
+    if (!await this.canApproveFor(duty, user)) {
+      const error = new Error(`Duty ${id} belongs to another department`);
+      error.code = 'DUTY_FORBIDDEN';
+      throw error;
+    }
+
+    const result = await this.duty.decide(id, decision, user.username, datetime.formatForSheet(datetime.now()));
+    this.clearCache('stats');
+    return result;
+  }
+
+  // ไปราชการที่อนุมัติแล้วในวันที่ลงเวลาเข้า (อ่านไม่ได้ = ถือว่าไม่มี)
+  async findApprovedDuty(employee, clockIn) {
+    try {
+      return await this.duty.getApprovedDuty(employee, clockIn);
+    } catch (error) {
+      console.error('⚠️ Cannot read duties:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * ตรวจพิกัดที่ลงเวลากับพื้นที่ลงเวลา - วันที่ไปราชการไม่ตรวจ, อ่าน ZONES ไม่ได้ = ไม่ขวางการลงเวลา
+   * @param {'เข้า'|'ออก'} direction
+   * @returns {Promise<Object>} ผลจาก GeofenceService.check() + { zoneFlag: string } (ว่าง = ในพื้นที่)
+   */
+  async checkZone(direction, lat, lon, duty) {
+    if (duty) {
+      return { checked: false, inside: true, action: 'allow', zone: null, distanceMeters: null, zoneFlag: '' };
+    }
+
+    try {
+      const result = await this.geofence.check(lat, lon);
+      if (result.action !== 'allow') {
+        console.log(`🚩 Outside zone on clock ${direction === 'เข้า' ? 'in' : 'out'}: ${result.distanceMeters} m from ${result.zone.code} (${result.action})`);
+      }
+      return { ...result, zoneFlag: result.action === 'flag' ? formatZoneFlag(direction, result) : '' };
+    } catch (error) {
+      console.error('⚠️ Cannot check zones:', error.message);
+      return { checked: false, inside: true, action: 'allow', zone: null, distanceMeters: null, zoneFlag: '' };
+    }
+  }
+
+  // ผลการลงเวลาเมื่ออยู่นอกพื้นที่ที่ไม่อนุญาต
+  outsideZoneResponse(employee, zoneCheck) {
+    const { zone, distanceMeters } = zoneCheck;
+    return {
+      success: false,
+      message: distanceMeters === null
+        ? 'ไม่พบพิกัดของคุณ กรุณาเปิด GPS แล้วลองใหม่อีกครั้ง'
+        : `คุณอยู่นอกพื้นที่ลงเวลา (ห่างจาก${zone.name} ${distanceMeters} เมตร)`,
+      employee,
+      currentStatus: 'outside_zone',
+      zone: zone.code,
+      distanceMeters
+    };
+  }
+
+  // เวลาที่จะบันทึก: mock_time (ถ้ามีและเปิด CONFIG.MOCK_TIME_ENABLED) หรือเวลาปัจจุบัน
+  // null ถ้าอ่าน mock_time ไม่ได้ (ไม่บันทึกเวลาว่างลง sheet) - ใช้กฎเดียวกันทั้งลงเวลาเข้า/ออกและการพัก
+  resolveTimestamp(mockTime) {
+    if (mockTime && !CONFIG.MOCK_TIME_ENABLED) {
+      console.warn(`⚠️ Ignoring mock_time from client (${mockTime})`);
+    }
+    if (!mockTime || !CONFIG.MOCK_TIME_ENABLED) {
+      return datetime.formatForSheet(datetime.now());
+    }
+    console.log(`🧪 Using mock time: ${mockTime}`);
+    return datetime.formatForSheet(mockTime) || null;
+  }
+
+  invalidTimeResponse(employee, mockTime) {
+    console.log(`❌ Invalid mock time: ${mockTime}`);
+    return {
+      success: false,
+      message: 'รูปแบบเวลาไม่ถูกต้อง',
+      employee,
+      currentStatus: 'invalid_time'
+    };
+  }
+
+  // ช่วงวันที่ของรายงาน (รวมวันเริ่มและวันสิ้นสุด) -> { startDate, endDate } แบบ 'YYYY-MM-DD'
+  getReportPeriod(type, params) {
+    if (type === 'daily') {
+      const date = datetime.toDateKey(params.date);
+      return { startDate: date, endDate: date };
+    }
+    if (type === 'monthly') {
+      const month = `${parseInt(params.year)}-${String(parseInt(params.month)).padStart(2, '0')}`;
+      const start = datetime.parseTimestamp(`${month}-01`);
+      return start
+        ? { startDate: start.format('YYYY-MM-DD'), endDate: start.clone().endOf('month').format('YYYY-MM-DD') }
+        : { startDate: null, endDate: null };
+    }
+    return { startDate: datetime.toDateKey(params.startDate), endDate: datetime.toDateKey(params.endDate) };
+  }
+
+  async processClockIn(data, profile) {
+    try {
+      const { employee, userinfo, lat, lon, line_name, line_picture, mock_time } = data;
+      
+      console.log(`⏰ Clock In request for: "${employee}"`);
+      
+      if (!profile.active) {
+        console.log(`❌ Employee "${employee}" is inactive`);
+        return {
+          success: false,
+          message: 'พนักงานนี้ไม่อยู่ในสถานะใช้งาน กรุณาติดต่อผู้ดูแลระบบ',
+          employee,
+          currentStatus: 'inactive_employee'
+        };
+      }
+
+      // ตรวจจากข้อมูลล่าสุด (cache อาจยังไม่เห็นการลงเวลาจากเครื่องอื่น)
+      const employeeStatus = await this.getEmployeeStatus(profile, { fresh: true });
+      
+      if (employeeStatus.isOnWork) {
+        console.log(`❌ Employee "${employee}" is already clocked in`);
+        return {
+          success: false,
+          message: 'คุณลงเวลาเข้างานไปแล้ว กรุณาลงเวลาออกก่อน',
+          employee,
+          currentStatus: 'clocked_in',
+          clockInTime: employeeStatus.workRecord?.clockIn
+        };
+      }
+
+      // ใช้ mock_time หากมีการส่งมา (เฉพาะตอนพัฒนา/ทดสอบ) ไม่เช่นนั้นใช้เวลาปัจจุบัน
+      const timestamp = this.resolveTimestamp(mock_time);
+      if (!timestamp) {
+        return this.invalidTimeResponse(employee, mock_time);
+      }
+
+      // วันที่ไปราชการที่อนุมัติแล้วลงเวลานอกพื้นที่ได้ และไม่ประเมินมาสาย
+      const duty = await this.findApprovedDuty(profile, timestamp);
+      if (duty) {
+        console.log(`🚗 On duty: ${duty.typeName} → ${duty.destination}`);
+      }
+      const zoneCheck = await this.checkZone('เข้า', lat, lon, duty);
+      if (zoneCheck.action === 'reject') {
+        return this.outsideZoneResponse(employee, zoneCheck);
+      }
+      
+      // แปลงพิกัดเป็นชื่อสถานที่
+      const locationName = await this.getLocationName(lat, lon);
+      console.log(`📍 Location: ${locationName}`);
+      
+      console.log(`✅ Proceeding with clock in for "${employee}"`);
+
+      // อ้างอิงรหัสพนักงานจาก EMPLOYEES (ว่างถ้ายังไม่มีรหัส)
+      const employeeCode = profile.code || '';
+
+      // มาสายหรือไม่ (เทียบกับกะของวันนั้น)
+      const evaluation = await this.evaluateAttendance(profile, { clockIn: timestamp });
       
+      const recordId = generateRecordId();
+      const newRecord = await this.storage.addAttendanceRecord({
+        id: recordId,
+        employee,
+        employeeCode,
+        lineName: line_name,
+        linePicture: line_picture,
+        clockIn: timestamp,
+        note: userinfo || '',
+        coordsIn: `${lat},${lon}`,
+        locationIn: locationName,
+        ...(evaluation ? toAttendanceFields(evaluation) : {}),
+        ...(duty ? toDutyFields(duty) : {}),
+        zoneFlag: zoneCheck.zoneFlag
+      });
+
+      const mainRowIndex = newRecord.rowNumber;
+      console.log(`✅ Added to MAIN sheet: record ${recordId} (row ${mainRowIndex})`);
+
+      const newShift = await this.storage.addOpenShift({
+        employeeName: employee,
+        systemName: employee,
+        clockIn: timestamp,
+        userinfo: userinfo || '',
+        coords: `${lat},${lon}`,
+        locationName,
+        recordId,
+        employeeCode,
+        mainRowIndex,
+        lineName: line_name,
+        linePicture: line_picture
+      });
+
+      // เขียนข้อมูลใหม่ลง cache ทันที (ไม่ต้องอ่านทั้ง sheet ใหม่)
+      this.applyClockInToCache(newRecord, newShift);
+
+      console.log(`✅ Clock In successful: ${employee} at ${this.formatTime(timestamp)}, record: ${recordId}`);
+
+      this.triggerMapGeneration('clockin', {
+        employee, lat, lon, line_name, userinfo, timestamp
+      });
+
+      return {
+        success: true,
+        message: 'บันทึกเวลาเข้างานสำเร็จ',
+        employee,
+        time: this.formatTime(timestamp),
+        attendanceTag: duty ? toDutyFields(duty).attendanceTag : (evaluation ? evaluation.tag : null),
+        onDuty: duty ? { id: duty.id, type: duty.type, typeName: duty.typeName, destination: duty.destination } : null,
+        zoneFlag: zoneCheck.zoneFlag || null,
+        currentStatus: 'clocked_in'
+      };
+
     } catch (error) {
-      console.error('Error triggering map generation:', error);
+      console.error('❌ Clock in error:', error);
+      return {
+        success: false,
+        message: `เกิดข้อผิดพลาด: ${error.message}`,
+        employee: data.employee
+      };
     }
-  }  formatTime(date) {
+  }
+
+  async processClockOut(data, profile) {
     try {
-      // รองรับทั้ง Date object และ string
-      if (typeof date === 'string') {
-        // ถ้าเป็นรูปแบบ 'YYYY-MM-DD HH:mm:ss' จาก moment
-        if (date.includes(' ') && date.length === 19) {
-          return date.split(' ')[1]; // ใช้ส่วนเวลาเท่านั้น
-        }
-        // ลองแปลงเป็น Date object
-        const parsedDate = moment(date).tz(CONFIG.TIMEZONE);
-        if (parsedDate.isValid()) {
-          return parsedDate.format('HH:mm:ss');
+      const { employee, lat, lon, line_name, mock_time } = data;
+      
+      console.log(`⏰ Clock Out request for: "${employee}"`);
+      console.log(`📍 Location: ${lat}, ${lon}`);
+      
+      const employeeStatus = await this.getEmployeeStatus(profile, { fresh: true });
+      if (!employeeStatus.isOnWork) {
+        console.log(`❌ Employee "${employee}" is not clocked in`);
+        
+        return {
+          success: false,
+          message: 'คุณต้องลงเวลาเข้างานก่อน',
+          employee,
+          currentStatus: 'not_clocked_in'
+        };
+      }
+
+      // ใช้ mock_time หากมีการส่งมา (เฉพาะตอนพัฒนา/ทดสอบ) ไม่เช่นนั้นใช้เวลาปัจจุบัน
+      const timestamp = this.resolveTimestamp(mock_time);
+      if (!timestamp) {
+        return this.invalidTimeResponse(employee, mock_time);
+      }
+      const workRecord = employeeStatus.workRecord;
+      const clockInTime = workRecord.clockIn;
+      console.log(`⏰ Clock in time: ${clockInTime}`);
+
+      const duty = await this.findApprovedDuty(profile, clockInTime);
+      const zoneCheck = await this.checkZone('ออก', lat, lon, duty);
+      if (zoneCheck.action === 'reject') {
+        return this.outsideZoneResponse(employee, zoneCheck);
+      }
+      // ต่อท้ายเครื่องหมายนอกพื้นที่ตอนลงเวลาเข้า (ถ้ามี)
+      let zoneFlag = '';
+      if (zoneCheck.zoneFlag) {
+        const mainRecords = await this.safeGetCachedSheetData(CONFIG.SHEETS.MAIN);
+        const clockInRecord = mainRecords.find(record => workRecord.recordId && record.id === workRecord.recordId);
+        zoneFlag = [clockInRecord && clockInRecord.zoneFlag, zoneCheck.zoneFlag].filter(Boolean).join(' | ');
+      }
+      
+      // เวลาพักที่บันทึกไว้ (หรือหักพักอัตโนมัติ) ถูกหักออกจากชั่วโมงทำงาน
+      const breakSummary = workRecord.recordId
+        ? await this.summarizeBreaks(workRecord.recordId, { clockIn: clockInTime, clockOut: timestamp })
+        : null;
+
+      // 🎯 ใช้ฟังก์ชันคำนวณเวลาแบบเดียวกันกับ admin stats
+      const hoursWorked = calculateWorkingHours(clockInTime, timestamp, breakSummary ? breakSummary.breakMinutes : 0);
+      console.log(`✅ Working hours calculated: ${hoursWorked.toFixed(2)} hours`);
+      
+      // แปลงพิกัดเป็นชื่อสถานที่
+      const locationName = await this.getLocationName(lat, lon);
+      console.log(`📍 Clock out location: ${locationName}`);      console.log(`✅ Proceeding with clock out for "${employee}"`);
+      
+      // ค้นหา record ใน MAIN จากรหัสรายการเท่านั้น (เลขแถวเปลี่ยนได้เมื่อมีการเรียง/แทรก/ลบแถว)
+      if (!workRecord.recordId) {
+        console.log(`❌ ON_WORK entry for "${employee}" has no record ID`);
+        
+        return {
+          success: false,
+          message: 'ไม่พบรหัสรายการลงเวลาเข้างาน กรุณาติดต่อผู้ดูแลระบบ',
+          employee
+        };
+      }
+      
+      console.log(`🎯 Target record: ${workRecord.recordId}`);
+      
+      // มาสาย/กลับก่อน และชั่วโมง OT เทียบกับกะที่ลงเวลาเข้า
+      const evaluation = await this.evaluateAttendance(profile, { clockIn: clockInTime, clockOut: timestamp });
+      const overtime = await this.evaluateOvertime(profile, {
+        clockIn: clockInTime,
+        clockOut: timestamp,
+        breakMinutes: breakSummary ? breakSummary.breakMinutes : 0
+      });
+
+      const closure = {
+        id: workRecord.recordId,
+        fields: {
+          clockOut: timestamp,
+          coordsOut: `${lat},${lon}`,
+          locationOut: locationName,
+          workingHours: hoursWorked.toFixed(2),
+          ...(evaluation ? toAttendanceFields(evaluation) : {}),
+          ...(duty ? toDutyFields(duty) : {}),
+          ...(breakSummary ? toBreakFields(breakSummary) : {}),
+          ...(overtime ? toOvertimeFields(overtime) : {}),
+          ...(zoneFlag ? { zoneFlag } : {})
+        },
+        shift: workRecord.shift
+      };
+
+      try {
+        // อัปเดต MAIN (เฉพาะเซลล์ที่จำเป็น ไม่แตะเวลาเข้า) และลบออกจาก ON_WORK ใน batch เดียว
+        const [result] = await this.storage.closeAttendanceRecords([closure]);
+        
+        if (!result.updated) {
+          console.log(`❌ Cannot find main record ${workRecord.recordId} to update`);
+          
+          return {
+            success: false,
+            message: 'ไม่พบข้อมูลการลงเวลาเข้างานที่ตรงกัน กรุณาตรวจสอบระบบ',
+            employee
+          };
         }
-        return date; // ถ้าแปลงไม่ได้ ส่งกลับเป็น string เดิม
+        
+        console.log(`✅ Main record updated${result.removed ? ' and removed from ON_WORK' : ''} in one batch`);
+        
+      } catch (updateError) {
+        console.error('❌ Error updating main row:', updateError);
+        throw new Error('ไม่สามารถอัปเดตข้อมูลได้: ' + updateError.message);
       }
       
-      // ถ้าเป็น Date object
-      if (date instanceof Date && !isNaN(date.getTime())) {
-        return moment(date).tz(CONFIG.TIMEZONE).format('HH:mm:ss');
+      // เขียนการเปลี่ยนแปลงลง cache ทันที (ไม่ต้องอ่านทั้ง sheet ใหม่)
+      this.applyClosuresToCache([closure]);
+
+      console.log(`✅ Clock Out successful: ${employee} at ${this.formatTime(timestamp)} (${hoursWorked.toFixed(2)} hours)`);
+
+      try {
+        this.triggerMapGeneration('clockout', {
+          employee, lat, lon, line_name, timestamp, hoursWorked
+        });
+      } catch (webhookError) {
+        console.error('⚠️ Webhook error (non-critical):', webhookError);
       }
+
+      return {
+        success: true,
+        message: 'บันทึกเวลาออกงานสำเร็จ',
+        employee,
+        time: this.formatTime(timestamp),
+        hours: hoursWorked.toFixed(2),
+        breakMinutes: breakSummary ? breakSummary.breakMinutes : 0,
+        overtimeHours: overtime ? overtime.overtimeHours.toFixed(2) : null,
+        attendanceTag: duty ? toDutyFields(duty).attendanceTag : (evaluation ? evaluation.tag : null),
+        zoneFlag: zoneCheck.zoneFlag || null,
+        currentStatus: 'clocked_out'
+      };
+
+    } catch (error) {
+      console.error('❌ Clock out error:', error);
+      
+      return {
+        success: false,
+        message: `เกิดข้อผิดพลาด: ${error.message}`,
+        employee: data.employee
+      };
+    }
+  }
+
+  async triggerMapGeneration(action, data) {
+    try {
+      const gsaWebhookUrl = process.env.GSA_MAP_WEBHOOK_URL;
+      if (!gsaWebhookUrl) {
+        console.log('⚠️ GSA webhook URL not configured');
+        return;
+      }      const payload = {
+        action,
+        data,
+        timestamp: datetime.now().toISOString() // ใช้เวลาไทย
+      };
+
+      await fetch(gsaWebhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Secret': CONFIG.RENDER.GSA_WEBHOOK_SECRET
+        },
+        body: JSON.stringify(payload)
+      });
+
+      console.log(`📍 Map generation triggered for ${action}: ${data.employee}`);
       
-      return '';
     } catch (error) {
-      console.error('Error formatting time:', error);
-      return date?.toString() || '';
+      console.error('Error triggering map generation:', error);
     }
+  }  formatTime(date) {
+    // ถ้าแปลงไม่ได้ ส่งกลับเป็นข้อความเดิม
+    return datetime.formatTime(date) || (typeof date === 'string' ? date : '');
   }
 
   // เพิ่มฟังก์ชันแปลงพิกัดเป็นชื่อสถานที่
@@ -1340,131 +1859,208 @@ class GoogleSheetsService {
     }
   }
 
-  // ฟังก์ชันสำหรับตรวจสอบและจัดการกรณีลืมลงเวลาออก
+  // ========== Auto checkout ==========
 
-  async checkAndHandleMissedCheckouts() {
+  /**
+   * ลงเวลาออกอัตโนมัติให้รายการที่ค้างอยู่ซึ่งเลยกำหนดตามกะของรายการนั้น (รวมกะข้ามคืนที่เริ่มเมื่อวาน)
+   * นโยบายรายคน/รายกะ: 'shift_end' | 'cutoff' ปิดรายการ, 'flag' แจ้งผู้ดูแลอย่างเดียว (ครั้งเดียวต่อรายการ)
+   * @param {Object} [options]
+   * @param {moment.Moment} [options.now] - เวลาที่ใช้ตัดสิน (ค่าเริ่มต้นเวลาปัจจุบัน)
+   */
+  async checkAndHandleMissedCheckouts({ now = datetime.now() } = {}) {
     try {
       console.log('🔍 Starting automatic missed checkout check...');
       
-      // ดึงข้อมูลพนักงานที่ยังอยู่ในระหว่างทำงาน (ON_WORK sheet)
-      const onWorkRows = await this.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
+      // อ่าน ON_WORK ล่าสุด - รายการที่เพิ่งลงเวลาออกต้องไม่ถูกปิดซ้ำ
+      const onWorkRows = await this.getFreshSheetData(CONFIG.SHEETS.ON_WORK);
       
       if (onWorkRows.length === 0) {
         console.log('✅ No employees currently on work, no missed checkouts to handle');
-        return { success: true, processedCount: 0, message: 'No employees on work' };
+        return { success: true, processedCount: 0, flaggedCount: 0, totalChecked: 0, results: [], message: 'No employees on work' };
       }
   
       console.log(`📊 Found ${onWorkRows.length} employees currently on work`);
       
-      const today = moment().tz(CONFIG.TIMEZONE);
-      const cutoffTime = today.clone().set({
-        hour: CONFIG.AUTO_CHECKOUT.CUTOFF_HOUR,
-        minute: CONFIG.AUTO_CHECKOUT.CUTOFF_MINUTE,
-        second: 59,
-        millisecond: 999
-      });
-      
-      console.log(`⏰ Processing missed checkouts for cutoff time: ${cutoffTime.format('YYYY-MM-DD HH:mm:ss')}`);
-      console.log(`🛡️ Exempt employees: ${CONFIG.AUTO_CHECKOUT.EXEMPT_EMPLOYEES.join(', ')}`);
-      
       let processedCount = 0;
-      let exemptedCount = 0;
+      let pendingCount = 0;
       const results = [];
+      const checkouts = []; // รายการที่จะปิดพร้อมกันใน batch เดียว
+      const releases = [];
+      const employees = await this.getEmployees({ includeInactive: true });
+      // อ่าน BREAKS ไม่ได้ก็ยังปิดรายการได้ (ไม่หักพัก)
+      const breaks = await this.breaks.getBreaks({ fresh: true }).catch(error => {
+        console.error('⚠️ Cannot read breaks for auto checkout:', error.message);
+        return null;
+      });
       
-      // ประมวลผลแต่ละพนักงานที่ยังไม่ได้ลงเวลาออก
-      for (const workRow of onWorkRows) {
-        try {
-          const employeeName = workRow.get('ชื่อพนักงาน') || workRow.get('ชื่อในระบบ');
-          const clockInTime = workRow.get('เวลาเข้า');
-          const mainRowIndex = workRow.get('แถวในMain') || workRow.get('แถวอ้างอิง');
-          
-          if (!employeeName || !clockInTime) {
-            console.warn(`⚠️ Missing data for work record: ${employeeName || 'Unknown'}`);
-            continue;
-          }
-  
-          // 🛡️ ตรวจสอบว่าเป็นพนักงานที่ยกเว้นหรือไม่
-          const isExempt = this.isEmployeeExempt(employeeName);
-          if (isExempt) {
-            console.log(`🛡️ EXEMPT: ${employeeName} - skipping auto checkout (night guard)`);
-            exemptedCount++;
-            results.push({
-              employee: employeeName,
-              action: 'exempted',
-              reason: 'Night guard - exempt from auto checkout',
-              clockIn: clockInTime
-            });
-            continue;
-          }
-  
-          // ตรวจสอบว่าเวลาเข้าเป็นวันนี้หรือไม่
-          const clockInMoment = moment.tz(clockInTime, 'YYYY-MM-DD H:mm:ss', CONFIG.TIMEZONE);
-          const isToday = clockInMoment.format('YYYY-MM-DD') === today.format('YYYY-MM-DD');
-          
-          if (!isToday) {
-            console.log(`⏭️ Skipping ${employeeName} - not clocked in today (${clockInMoment.format('YYYY-MM-DD')})`);
-            continue;
-          }
-  
-          console.log(`🔄 Processing missed checkout for: ${employeeName}`);
-          console.log(`⏰ Clock in time: ${clockInTime}`);
-          console.log(`📍 Main row index: ${mainRowIndex}`);
-  
-          // อัปเดต MAIN sheet ด้วยข้อมูลลืมลงเวลาออก
-          const result = await this.processMissedCheckout({
-            employeeName,
-            clockInTime,
-            mainRowIndex,
-            cutoffTime,
-            workRow
-          });
-  
-          if (result.success) {
-            processedCount++;
-            results.push({
-              employee: employeeName,
-              action: 'missed_checkout_processed',
+      try {
+        for (const workRow of onWorkRows) {
+          const employeeName = workRow.employeeName || workRow.systemName;
+          try {
+            const clockInTime = workRow.clockIn;
+            const recordId = workRow.recordId;
+            
+            if (!employeeName || !clockInTime) {
+              console.warn(`⚠️ Missing data for work record: ${employeeName || 'Unknown'}`);
+              continue;
+            }
+
+            const employee = this.identifyShift(workRow, employees);
+            const schedule = await this.schedule.getScheduleAt(employee, clockInTime);
+            const policy = resolvePolicy(employee, schedule, CONFIG.AUTO_CHECKOUT.DEFAULT_POLICY);
+            const plan = planAutoCheckout({
               clockIn: clockInTime,
-              autoClockOut: result.autoClockOut
+              schedule,
+              policy,
+              now,
+              graceMinutes: CONFIG.AUTO_CHECKOUT.GRACE_MINUTES,
+              cutoffHour: CONFIG.AUTO_CHECKOUT.CUTOFF_HOUR,
+              cutoffMinute: CONFIG.AUTO_CHECKOUT.CUTOFF_MINUTE
             });
-            
-            console.log(`✅ Processed missed checkout for ${employeeName}`);
-          } else {
-            console.error(`❌ Failed to process missed checkout for ${employeeName}: ${result.error}`);
+
+            if (!plan) {
+              console.warn(`⚠️ Cannot read clock in time of ${employeeName}: "${clockInTime}"`);
+              continue;
+            }
+            if (!plan.due) {
+              pendingCount++;
+              continue;
+            }
+
+            if (plan.action === 'flag') {
+              // แจ้งครั้งเดียวต่อรายการ (ต่อการรันเซิร์ฟเวอร์)
+              const flagKey = recordId || `${employeeName}|${clockInTime}`;
+              if (!this.flaggedCheckouts.has(flagKey)) {
+                this.flaggedCheckouts.add(flagKey);
+                console.log(`🚩 ${employeeName} still clocked in past ${plan.dueAt} (policy: flag)`);
+                results.push({ employee: employeeName, action: 'flagged', clockIn: clockInTime, dueAt: plan.dueAt });
+              }
+              continue;
+            }
+    
+            if (!recordId) {
+              console.error(`❌ Cannot auto checkout ${employeeName}: ON_WORK entry has no record ID`);
+              results.push({
+                employee: employeeName,
+                action: 'failed',
+                error: 'ไม่มีรหัสรายการ (ต้อง backfill)'
+              });
+              continue;
+            }
+
+            // กำลังลงเวลาออกเองอยู่ - ข้ามไปรอบถัดไป
+            const release = this.employeeLocks.tryAcquire(identityKey(employee), 'autoCheckout');
+            if (!release) {
+              console.log(`⏳ ${employeeName} is clocking in/out right now, retrying next run`);
+              continue;
+            }
+            releases.push(release);
+
+            console.log(`🔄 Auto checkout for ${employeeName} (policy: ${policy}, due ${plan.dueAt})`);
+            const times = { clockIn: clockInTime, clockOut: plan.clockOut };
+            const breakSummary = breaks && this.breaks.summarize(breaks.filter(entry => entry.recordId === recordId), times);
+            checkouts.push(this.prepareMissedCheckout({
+              employeeName,
+              clockInTime,
+              recordId,
+              autoClockOut: plan.clockOut,
+              policy,
+              evaluation: schedule ? evaluateAttendance(schedule, times) : null,
+              duty: await this.findApprovedDuty(employee, clockInTime),
+              breakSummary,
+              // ไม่รู้เวลาเลิกงานจริง - ไม่นับ OT (ผู้ดูแลแก้ไขเองถ้าทำงานล่วงเวลาจริง)
+              overtime: evaluateOvertime(
+                schedule,
+                { ...times, breakMinutes: breakSummary ? breakSummary.breakMinutes : 0 },
+                { weekdayEnabled: false, dayOffEnabled: false, minBlockMinutes: 0 }
+              ),
+              workRow
+            }));
+    
+          } catch (error) {
+            console.error(`❌ Error processing missed checkout for ${employeeName || 'Unknown'}:`, error);
             results.push({
-              employee: employeeName,
-              action: 'failed',
-              error: result.error
+              employee: employeeName || 'Unknown',
+              action: 'error',
+              error: error.message
             });
           }
-  
-        } catch (error) {
-          console.error(`❌ Error processing missed checkout for employee:`, error);
-          results.push({
-            employee: workRow.get('ชื่อพนักงาน') || 'Unknown',
-            action: 'error',
-            error: error.message
+        }
+    
+        // ระหว่างอ่านกะ/คำขอปฏิบัติงานก่อนได้ล็อก พนักงานอาจลงเวลาออกเองไปแล้ว
+        // อ่าน ON_WORK ใหม่ภายใต้ล็อก แล้วตัดรายการที่ไม่อยู่ใน ON_WORK แล้วออก
+        if (checkouts.length > 0) {
+          const openIds = new Set((await this.getFreshSheetData(CONFIG.SHEETS.ON_WORK)).map(row => row.recordId));
+          checkouts.splice(0, checkouts.length, ...checkouts.filter(checkout => {
+            if (openIds.has(checkout.closure.id)) return true;
+            console.log(`ℹ️ ${checkout.employeeName} clocked out during auto checkout, skipped`);
+            return false;
+          }));
+        }
+
+        // อัปเดต MAIN และลบ ON_WORK ของทุกคนในครั้งเดียว
+        if (checkouts.length > 0) {
+          let outcomes;
+          try {
+            outcomes = await this.storage.closeAttendanceRecords(checkouts.map(c => c.closure));
+          } catch (error) {
+            console.error('❌ Error writing missed checkouts batch:', error);
+            outcomes = checkouts.map(c => ({ id: c.closure.id, updated: false, error: error.message }));
+          }
+    
+          checkouts.forEach((checkout, index) => {
+            const outcome = outcomes[index];
+            if (outcome.alreadyClosed) {
+              console.log(`ℹ️ ${checkout.employeeName} already clocked out, auto checkout skipped`);
+            } else if (outcome.updated) {
+              processedCount++;
+              results.push({
+                employee: checkout.employeeName,
+                action: 'missed_checkout_processed',
+                policy: checkout.policy,
+                clockIn: checkout.clockInTime,
+                autoClockOut: checkout.autoClockOut
+              });
+              console.log(`✅ Processed missed checkout for ${checkout.employeeName}`);
+            } else {
+              const error = outcome.error || `ไม่พบรายการรหัส ${checkout.closure.id}`;
+              console.error(`❌ Failed to process missed checkout for ${checkout.employeeName}: ${error}`);
+              results.push({
+                employee: checkout.employeeName,
+                action: 'failed',
+                error
+              });
+            }
           });
+    
+          // อัปเดต cache เฉพาะรายการที่ปิดสำเร็จ
+          const closed = checkouts.filter((checkout, index) => outcomes[index] && outcomes[index].updated);
+          this.applyClosuresToCache(closed.map(checkout => checkout.closure));
         }
+      } finally {
+        releases.forEach(release => release());
       }
   
+      const flaggedCount = results.filter(result => result.action === 'flagged').length;
       console.log(`✅ Missed checkout check completed.`);
       console.log(`   📊 Total checked: ${onWorkRows.length}`);
       console.log(`   ✅ Processed: ${processedCount}`);
-      console.log(`   🛡️ Exempted: ${exemptedCount}`);
+      console.log(`   🚩 Flagged: ${flaggedCount}`);
+      console.log(`   ⏳ Not due yet: ${pendingCount}`);
       
-      // ส่ง notification ถ้ามีการประมวลผลหรือการยกเว้น
-      if (processedCount > 0 || exemptedCount > 0) {
-        await this.sendMissedCheckoutNotification(results, processedCount, exemptedCount);
+      // ส่ง notification เมื่อมีการปิดรายการ แจ้งเตือน หรือผิดพลาด
+      if (results.length > 0) {
+        await this.sendMissedCheckoutNotification(results, processedCount, flaggedCount);
       }
   
       return {
         success: true,
         processedCount,
-        exemptedCount,
+        flaggedCount,
+        pendingCount,
         totalChecked: onWorkRows.length,
         results,
-        message: `Processed ${processedCount} missed checkouts, exempted ${exemptedCount} employees`
+        message: `Processed ${processedCount} missed checkouts, flagged ${flaggedCount}, ${pendingCount} not due yet`
       };
   
     } catch (error) {
@@ -1473,98 +2069,68 @@ class GoogleSheetsService {
         success: false,
         error: error.message,
         processedCount: 0,
-        exemptedCount: 0
+        flaggedCount: 0
       };
     }
   }
 
-  // ฟังก์ชันสำหรับประมวลผลลืมลงเวลาออกของพนักงานคนหนึ่ง
-  async processMissedCheckout({ employeeName, clockInTime, mainRowIndex, cutoffTime, workRow }) {
-    try {
-      // 🎯 ใช้ฟังก์ชันคำนวณเวลาแบบเดียวกันกับ clock out
-      const autoClockOutTime = cutoffTime.format('DD/MM/YYYY HH:mm:ss');
-      const hoursWorked = calculateWorkingHours(clockInTime, autoClockOutTime);
-      
-      // ข้อความที่จะเขียนลง sheet (คอลัมน์ E)
-      const missedCheckoutNote = 'ลืมลงเวลาออก (ระบบอัตโนมัติ)';
-      
-      console.log(`⏰ Auto clock out for ${employeeName}: ${autoClockOutTime} (${hoursWorked.toFixed(2)} hours)`);
-      console.log(`📝 Note will be written to column E: "${missedCheckoutNote}"`);
-
-      // อัปเดต MAIN sheet
-      if (mainRowIndex && !isNaN(parseInt(mainRowIndex))) {
-        try {
-          // 🔧 ใช้วิธี batch update เพื่อป้องกันการเปลี่ยนรูปแบบเวลาเข้า (เดียวกับ clockOut)
-          const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
-          const rowNumber = parseInt(mainRowIndex);
-          
-          console.log(`📝 Updating auto checkout for row ${rowNumber} using batch update to preserve format`);
-          
-          // อัปเดตเฉพาะเซลล์ที่จำเป็น โดยไม่แตะเซลล์เวลาเข้า (column D)
-          const updates = [];
-          
-          // Column E: หมายเหตุ (userinfo) (index 4)
-          updates.push({
-            range: `E${rowNumber}`,
-            values: [[missedCheckoutNote]]
-          });
-          
-          // Column F: เวลาออก (index 5)
-          updates.push({
-            range: `F${rowNumber}`,
-            values: [[autoClockOutTime]]
-          });
-          
-          // Column K: ชั่วโมงทำงาน (index 10)
-          updates.push({
-            range: `K${rowNumber}`,
-            values: [[hoursWorked.toFixed(2)]]
-          });
-          
-          // ทำการอัปเดตทีละเซลล์
-          for (const update of updates) {
-            await mainSheet.loadCells(update.range);
-            const cell = mainSheet.getCellByA1(update.range);
-            
-            // เซ็ตค่าเฉพาะข้อมูล ไม่ตั้งค่า format ให้ Google Sheets จัดการเอง
-            cell.value = update.values[0][0];
-          }
-          
-          await mainSheet.saveUpdatedCells();
-          console.log(`✅ Updated MAIN sheet row ${rowNumber} for ${employeeName} using batch update (auto checkout format preserved)`);
-          
-        } catch (updateError) {
-          console.error(`❌ Error updating auto checkout for ${employeeName}:`, updateError);
-          throw new Error('ไม่สามารถอัปเดตข้อมูลลืมลงเวลาออกได้: ' + updateError.message);
-        }
-      }
-
-      // ลบออกจาก ON_WORK sheet
-      await workRow.delete();
-      console.log(`✅ Removed ${employeeName} from ON_WORK sheet`);
-      
-      // ล้าง cache ที่เกี่ยวข้อง
-      this.clearCache('onwork');
-      this.clearCache('main');
+  /**
+   * เวลาลงเวลาออกตามนโยบายลงเวลาออกอัตโนมัติของรายการ (เวลาเลิกกะ - กะข้ามคืนเลิกวันถัดไป - หรือเวลาตัดรอบ)
+   * ใช้ปิดรายการที่ค้างจากการซ่อมข้อมูล
+   * @param {Object} shift - แถว ON WORK (หรือสร้างจาก record ใน MAIN)
+   * @returns {Promise<string|null>} 'DD/MM/YYYY HH:mm:ss' หรือ null ถ้าอ่านเวลาเข้าไม่ได้
+   */
+  async plannedCheckoutTime(shift) {
+    const employee = this.identifyShift(shift, await this.getEmployees({ includeInactive: true }));
+    const schedule = await this.schedule.getScheduleAt(employee, shift.clockIn);
+    const plan = planAutoCheckout({
+      clockIn: shift.clockIn,
+      schedule,
+      policy: resolvePolicy(employee, schedule, CONFIG.AUTO_CHECKOUT.DEFAULT_POLICY),
+      now: datetime.now(),
+      graceMinutes: CONFIG.AUTO_CHECKOUT.GRACE_MINUTES,
+      cutoffHour: CONFIG.AUTO_CHECKOUT.CUTOFF_HOUR,
+      cutoffMinute: CONFIG.AUTO_CHECKOUT.CUTOFF_MINUTE
+    });
+    return plan ? plan.clockOut : null;
+  }
 
-      return {
-        success: true,
-        autoClockOut: autoClockOutTime,
-        hoursWorked: hoursWorked.toFixed(2),
-        note: missedCheckoutNote
-      };
+  // เตรียมข้อมูลลงเวลาออกอัตโนมัติของพนักงานคนหนึ่ง (ยังไม่เขียนลง sheet)
+  prepareMissedCheckout({ employeeName, clockInTime, recordId, autoClockOut, policy, evaluation, duty, breakSummary, overtime, workRow }) {
+    // 🎯 ใช้ฟังก์ชันคำนวณเวลาแบบเดียวกันกับ clock out
+    const hoursWorked = calculateWorkingHours(clockInTime, autoClockOut, breakSummary ? breakSummary.breakMinutes : 0);
+    
+    // ข้อความที่จะเขียนลง sheet (คอลัมน์ E)
+    const missedCheckoutNote = 'ลืมลงเวลาออก (ระบบอัตโนมัติ)';
+    
+    console.log(`⏰ Auto clock out for ${employeeName}: ${autoClockOut} (${hoursWorked.toFixed(2)} hours), record ${recordId}`);
 
-    } catch (error) {
-      console.error(`❌ Error processing missed checkout for ${employeeName}:`, error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      employeeName,
+      clockInTime,
+      autoClockOut,
+      policy,
+      hoursWorked: hoursWorked.toFixed(2),
+      note: missedCheckoutNote,
+      // อัปเดตเฉพาะเซลล์ที่จำเป็น โดยไม่แตะเซลล์เวลาเข้า (column D)
+      closure: {
+        id: recordId,
+        fields: {
+          note: missedCheckoutNote,
+          clockOut: autoClockOut,
+          workingHours: hoursWorked.toFixed(2),
+          ...(evaluation ? toAttendanceFields(evaluation) : {}),
+          ...(duty ? toDutyFields(duty) : {}),
+          ...(breakSummary ? toBreakFields(breakSummary) : {}),
+          ...(overtime ? toOvertimeFields(overtime) : {})
+        },
+        shift: workRow
+      }
+    };
   }
 
   // ฟังก์ชันส่ง notification เมื่อมีการประมวลผลลืมลงเวลาออก
-  async sendMissedCheckoutNotification(results, processedCount, exemptedCount = 0) {
+  async sendMissedCheckoutNotification(results, processedCount, flaggedCount = 0) {
     try {
       if (!CONFIG.TELEGRAM.BOT_TOKEN || !CONFIG.TELEGRAM.CHAT_ID) {
         console.log('⚠️ Telegram notification not configured for missed checkout alerts');
@@ -1572,22 +2138,22 @@ class GoogleSheetsService {
       }
 
       const successfulResults = results.filter(r => r.action === 'missed_checkout_processed');
-      const exemptedResults = results.filter(r => r.action === 'exempted');
+      const flaggedResults = results.filter(r => r.action === 'flagged');
       const failedResults = results.filter(r => r.action === 'failed' || r.action === 'error');
       
-      const today = moment().tz(CONFIG.TIMEZONE).format('DD/MM/YYYY');
+      const today = datetime.formatDate(datetime.now());
       
       let message = `🤖 *รายงานลงเวลาออกอัตโนมัติ - ${today}*\n\n`;
       message += `📊 สรุปผล:\n`;
       message += `   ✅ ลงเวลาออกอัตโนมัติ: ${processedCount} คน\n`;
-      message += `   🛡️ ยกเว้น (ยามกลางคืน): ${exemptedCount} คน\n`;
+      message += `   🚩 เลยเวลาเลิกกะ (รอตรวจสอบ): ${flaggedCount} คน\n`;
       message += `   ❌ ไม่สำเร็จ: ${failedResults.length} คน\n\n`;
       
-      if (exemptedResults.length > 0) {
-        message += `🛡️ *พนักงานที่ได้รับการยกเว้น:*\n`;
-        exemptedResults.forEach(result => {
-          const clockInTime = moment(result.clockIn).tz(CONFIG.TIMEZONE).format('HH:mm');
-          message += `• ${result.employee} - เข้างาน ${clockInTime} (ยามกลางคืน)\n`;
+      if (flaggedResults.length > 0) {
+        message += `🚩 *ยังไม่ลงเวลาออก (ไม่ปิดอัตโนมัติ):*\n`;
+        flaggedResults.forEach(result => {
+          const clockInTime = datetime.formatTime(result.clockIn, 'HH:mm');
+          message += `• ${result.employee} - เข้างาน ${clockInTime}\n`;
         });
         message += '\n';
       }
@@ -1595,7 +2161,7 @@ class GoogleSheetsService {
       if (successfulResults.length > 0) {
         message += `✅ *ดำเนินการสำเร็จ:*\n`;
         successfulResults.forEach(result => {
-          const clockOutTime = moment(result.autoClockOut).tz(CONFIG.TIMEZONE).format('HH:mm');
+          const clockOutTime = datetime.formatTime(result.autoClockOut, 'HH:mm');
           message += `• ${result.employee} - ลงเวลาออกอัตโนมัติ ${clockOutTime}\n`;
         });
         message += '\n';
@@ -1609,9 +2175,8 @@ class GoogleSheetsService {
         message += '\n';
       }
       
-      message += `⏰ เวลาประมวลผล: ${moment().tz(CONFIG.TIMEZONE).format('HH:mm:ss')}\n`;
-      message += `💡 พนักงานสามารถลงเวลาเข้างานวันใหม่ได้ปกติ\n`;
-      message += `🛡️ พนักงานยกเว้น: ${CONFIG.AUTO_CHECKOUT.EXEMPT_EMPLOYEES.join(', ')}\n`;
+      message += `⏰ เวลาประมวลผล: ${datetime.formatTime(datetime.now())}\n`;
+      message += `💡 พนักงานสามารถลงเวลาเข้างานใหม่ได้ปกติ\n`;
       message += `📝 หมายเหตุ "ลืมลงเวลาออก (ระบบอัตโนมัติ)" ถูกเขียนลงคอลัมน์ E ใน Google Sheet`;
 
       // ส่งข้อความไปยัง Telegram
@@ -1642,16 +2207,11 @@ class GoogleSheetsService {
     if (enabled) {
       console.log('🚨 Emergency mode ENABLED - Using cached data only');
       // ขยาย TTL ของ cache เป็น 1 ชั่วโมง
-      Object.keys(this.cache).forEach(key => {
-        this.cache[key].ttl = 3600000; // 1 hour
-      });
+      this.cache.setTtlOverride(3600000);
     } else {
       console.log('✅ Emergency mode DISABLED - Normal operation resumed');
       // คืนค่า TTL เดิม
-      this.cache.employees.ttl = 300000; // 5 minutes
-      this.cache.onwork.ttl = 60000;     // 1 minute
-      this.cache.main.ttl = 30000;       // 30 seconds
-      this.cache.stats.ttl = 120000;     // 2 minutes
+      this.cache.setTtlOverride(null);
     }
   }
 
@@ -1678,652 +2238,1715 @@ class GoogleSheetsService {
       return [];
     }
   }
-}
+}
+
+// ========== Initialize Services ==========
+const sheetsService = new GoogleSheetsService();
+const keepAliveService = new KeepAliveService();
+
+// ========== Admin Authentication Routes ==========
+
+// Admin Login
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน'
+      });
+    }
+
+    // ค้นหาผู้ใช้
+    const user = CONFIG.ADMIN.USERS.find(u => u.username === username);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง'
+      });
+    }
+
+    // ตรวจสอบรหัสผ่าน
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง'
+      });
+    }
+
+    // สร้าง JWT token
+    const token = jwt.sign(
+      { 
+        id: user.id, 
+        username: user.username, 
+        role: user.role 
+      },
+      CONFIG.ADMIN.JWT_SECRET,
+      { expiresIn: CONFIG.ADMIN.JWT_EXPIRES_IN }
+    );
+
+    res.json({
+      success: true,
+      message: 'เข้าสู่ระบบสำเร็จ',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'เกิดข้อผิดพลาดภายในระบบ'
+    });
+  }
+});
+
+// Verify Token
+app.get('/api/admin/verify-token', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// Token Refresh - สำหรับต่ออายุ token ที่ใกล้หมดอายุ
+app.post('/api/admin/refresh-token', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token required for refresh'
+      });
+    }
+
+    // ตรวจสอบ token แม้ว่าจะหมดอายุแล้ว
+    let decoded;
+    try {
+      decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        // อนุญาตให้ refresh token ที่หมดอายุไม่เกิน 7 วัน
+        const expiredAt = new Date(error.expiredAt);
+        const now = new Date();
+        const daysSinceExpired = (now - expiredAt) / (1000 * 60 * 60 * 24);
+        
+        if (daysSinceExpired <= 7) {
+          // ถอดรหัส token โดยไม่ตรวจสอบวันหมดอายุ
+          decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET, { ignoreExpiration: true });
+        } else {
+          return res.status(401).json({
+            success: false,
+            error: 'Token expired too long ago. Please login again.',
+            errorCode: 'TOKEN_EXPIRED_TOO_LONG'
+          });
+        }
+      } else {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token',
+          errorCode: 'INVALID_TOKEN'
+        });
+      }
+    }
+
+    // ตรวจสอบว่าผู้ใช้ยังคงอยู่ในระบบ
+    const user = CONFIG.ADMIN.USERS.find(u => u.id === decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User no longer exists'
+      });
+    }
+
+    // สร้าง token ใหม่
+    const newToken = jwt.sign(
+      { 
+        id: user.id, 
+        username: user.username,
+        name: user.name,
+        role: user.role
+      },
+      CONFIG.ADMIN.JWT_SECRET,
+      { expiresIn: CONFIG.ADMIN.JWT_EXPIRES_IN }
+    );
+
+    console.log(`🔄 Token refreshed for user: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: newToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+// Admin Stats
+app.get('/api/admin/stats', authenticateAdmin, async (req, res) => {
+  try {
+    const stats = await sheetsService.getAdminStats();
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get stats'
+    });
+  }
+});
+
+// สรุป OT รายคนของเดือน (?month=1-12&year=YYYY ค่าเริ่มต้นคือเดือนปัจจุบัน)
+app.get('/api/admin/overtime', authenticateAdmin, async (req, res) => {
+  try {
+    const now = datetime.now();
+    const month = Number(req.query.month || now.month() + 1);
+    const year = Number(req.query.year || now.year());
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year) || year < 2000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid month or year'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await sheetsService.getOvertimeSummary(month, year)
+    });
+  } catch (error) {
+    console.error('Overtime summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get overtime summary'
+    });
+  }
+});
+
+// Export Routes
+app.get('/api/admin/export/:type', authenticateAdmin, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const params = req.query;
+
+    // ตรวจสอบประเภทรายงาน
+    if (!['daily', 'monthly', 'range'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report type'
+      });
+    }
+
+    // Log format parameter เพื่อ debug
+    console.log(`📊 Export request: type=${type}, format=${params.format || 'default'}`);
+
+    // ดึงข้อมูลจาก Google Sheets
+    const reportData = await sheetsService.getReportData(type, params);
+    if (type === 'monthly' && params.format === 'detailed') {
+      // แถววันหยุดของเดือนในรายงานแบบแบ่งตามวัน
+      params.holidays = await sheetsService.holidays.getMonthHolidays(params.month, params.year).catch(() => []);
+    }
+    // ใบลาและไปราชการที่อนุมัติแล้วในช่วงของรายงาน (sheet การลา / ไปราชการ)
+    const period = sheetsService.getReportPeriod(type, params);
+    if (period.startDate && period.endDate) {
+      params.leaves = await sheetsService.leave.getApprovedLeaves(period.startDate, period.endDate).catch(() => []);
+      params.duties = await sheetsService.duty.getApprovedDuties(period.startDate, period.endDate).catch(() => []);
+    }
+
+    // สร้างไฟล์ Excel
+    const workbook = await ExcelExportService.createWorkbook(reportData, type, params);
+
+    // ตั้งชื่อไฟล์ตาม format
+    let filename = 'report.xlsx';
+    if (type === 'monthly' && params.format === 'detailed') {
+      filename = 'monthly_detailed_report.xlsx';
+    } else if (type === 'monthly') {
+      filename = 'monthly_summary_report.xlsx';
+    } else {
+      filename = `${type}_report.xlsx`;
+    }
+
+    // ตั้งค่า response headers
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    // ส่งไฟล์
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export report'
+    });
+  }
+});
+
+// ========== API Rate Limiting และ Monitoring ==========
+class APIMonitor {
+  constructor() {
+    this.apiCalls = [];
+    // ปรับเพิ่ม rate limit เพื่อรองรับ concurrent users มากขึ้น
+    this.maxCallsPerMinute = 100; // เพิ่มจาก 30 เป็น 100 ครั้งต่อนาที
+    this.maxCallsPerHour = 1000; // เพิ่มจาก 300 เป็น 1000 ครั้งต่อชั่วโมง
+    
+    // เพิ่ม burst allowance สำหรับ peak time
+    this.burstLimit = 75; // เพิ่มจาก 50 เป็น 75 concurrent requests
+    this.currentBurst = 0;
+    this.lastBurstReset = Date.now();
+    
+    // Auto-reset burst counter every 5 seconds (ไม่ค้าง process ไว้เมื่อถูก require จาก test)
+    setInterval(() => {
+      if (this.currentBurst > 0) {
+        console.log(`🔄 Auto-resetting burst counter from ${this.currentBurst} to 0`);
+        this.currentBurst = 0;
+      }
+    }, 5000).unref(); // 5 วินาที
+  }
+
+  logAPICall(operation) {
+    const now = new Date();
+    this.apiCalls.push({
+      timestamp: now,
+      operation: operation
+    });
+
+    // ลบ logs ที่เก่าเกิน 1 ชั่วโมง
+    this.apiCalls = this.apiCalls.filter(call => 
+      (now - call.timestamp) < 3600000 // 1 hour
+    );
+
+    console.log(`📊 API Call: ${operation} (Total in last hour: ${this.apiCalls.length}, Current burst: ${this.currentBurst})`);
+  }
+
+  canMakeAPICall() {
+    const now = new Date();
+    
+    // นับจำนวน API calls ในนาทีที่แล้ว
+    const callsInLastMinute = this.apiCalls.filter(call => 
+      (now - call.timestamp) < 60000 // 1 minute
+    ).length;
+
+    // นับจำนวน API calls ในชั่วโมงที่แล้ว
+    const callsInLastHour = this.apiCalls.length;
+
+    // ตรวจสอบ burst limit
+    if (this.currentBurst >= this.burstLimit) {
+      console.warn(`⚠️ Burst limit exceeded: ${this.currentBurst}/${this.burstLimit} concurrent requests`);
+      return false;
+    }
+
+    if (callsInLastMinute >= this.maxCallsPerMinute) {
+      console.warn(`⚠️ Rate limit exceeded: ${callsInLastMinute} calls in last minute`);
+      return false;
+    }
+
+    if (callsInLastHour >= this.maxCallsPerHour) {
+      console.warn(`⚠️ Rate limit exceeded: ${callsInLastHour} calls in last hour`);
+      return false;
+    }
+
+    // เพิ่ม burst counter
+    this.currentBurst++;
+
+    return true;
+  }
+
+  // เมื่อ API call เสร็จแล้ว ลด burst counter
+  finishCall() {
+    if (this.currentBurst > 0) {
+      this.currentBurst--;
+    }
+  }
+
+  getStats() {
+    const now = new Date();
+    const callsInLastMinute = this.apiCalls.filter(call => 
+      (now - call.timestamp) < 60000
+    ).length;
+    const callsInLastHour = this.apiCalls.length;
+
+    return {
+      callsInLastMinute,
+      callsInLastHour,
+      maxCallsPerMinute: this.maxCallsPerMinute,
+      maxCallsPerHour: this.maxCallsPerHour,
+      percentageUsedPerMinute: (callsInLastMinute / this.maxCallsPerMinute) * 100,
+      percentageUsedPerHour: (callsInLastHour / this.maxCallsPerHour) * 100
+    };
+  }
+}
+
+const apiMonitor = new APIMonitor();
+
+// ========== Original Routes (unchanged) ==========
+
+// Home page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Health check และ ping endpoint
+app.get('/debug/sheet-info', async (req, res) => {
+  try {
+    console.log('🔍 Debug: Checking sheet schema...');
+    
+    const report = await sheetsService.storage.validateSchema();
+    res.json(report);
+    
+  } catch (error) {
+    console.error('❌ Debug sheet info error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/health', (req, res) => {  res.json({
+    status: 'healthy',
+    timestamp: datetime.now().toISOString(), // ใช้เวลาไทย
+    uptime: process.uptime(),
+    keepAlive: keepAliveService.getStats(),
+    environment: process.env.NODE_ENV || 'development',
+    config: {
+      hasLiffId: !!CONFIG.LINE.LIFF_ID,
+      liffIdLength: CONFIG.LINE.LIFF_ID ? CONFIG.LINE.LIFF_ID.length : 0
+    }
+  });
+});
+
+// Ping endpoint สำหรับ keep-alive
+app.get('/api/ping', (req, res) => {
+  res.json({
+    status: 'pong',
+    timestamp: datetime.now().toISOString(), // ใช้เวลาไทย
+    uptime: process.uptime()
+  });
+});
+
+// Webhook endpoint สำหรับรับ ping จาก GSA
+app.post('/api/webhook/ping', (req, res) => {
+  console.log('📨 Received ping from GSA');  res.json({
+    status: 'received',
+    timestamp: datetime.now().toISOString() // ใช้เวลาไทย
+  });
+});
+
+// API สำหรับ Client Configuration
+app.get('/api/config', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        liffId: CONFIG.LINE.LIFF_ID,
+        apiUrl: CONFIG.RENDER.SERVICE_URL + '/api',
+        environment: process.env.NODE_ENV || 'development',
+        features: {
+          keepAlive: CONFIG.RENDER.KEEP_ALIVE_ENABLED,
+          liffEnabled: !!CONFIG.LINE.LIFF_ID
+        }
+      }
+    });
+  } catch (error) {
+    console.error('API Error - config:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get config'
+    });
+  }
+});
+
+// Get employees (เฉพาะที่ใช้งานอยู่ - รหัส, ชื่อ, กอง, ตำแหน่ง, ประเภทการจ้าง, วันที่เริ่มงาน)
+app.post('/api/employees', async (req, res) => {
+  try {
+    const employees = await sheetsService.getEmployeeDirectory();
+    res.json({
+      success: true,
+      data: employees
+    });
+  } catch (error) {
+    console.error('API Error - employees:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get employees'
+    });
+  }
+});
+
+// สถานะที่ปฏิเสธเพราะบัญชี LINE ไม่ได้รับอนุญาตให้ลงเวลาแทนพนักงานคนนี้
+const LINE_BINDING_REJECTIONS = ['line_required', 'pending_approval', 'binding_mismatch', 'employee_bound', 'binding_invalid', 'enrollment_locked'];
+
+// 409 เมื่อมี request ของพนักงานคนเดียวกันกำลังดำเนินการอยู่, 403 เมื่อบัญชี LINE ไม่ได้รับอนุญาต, 400 เมื่อ mock_time อ่านไม่ได้
+function clockResponseStatus(result) {
+  if (result.currentStatus === 'invalid_time') return 400;
+  if (result.currentStatus === 'processing') return 409;
+  if (LINE_BINDING_REJECTIONS.includes(result.currentStatus)) return 403;
+  return 200;
+}
+
+// Clock in
+app.post('/api/clockin', authenticateLineUser, async (req, res) => {
+  try {
+    const { employee, employee_code, userinfo, lat, lon, enrollment_code, mock_time } = req.body;
+    
+    if (!employee || !lat || !lon) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+
+    // ตรวจสอบ rate limit
+    if (!apiMonitor.canMakeAPICall()) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later'
+      });
+    }
+
+    apiMonitor.logAPICall('clockIn');
+    const result = await sheetsService.clockIn({
+      employee, employee_code, userinfo, lat, lon, enrollment_code, mock_time, ...lineIdentityOf(req)
+    });
+    
+    // ลด burst counter หลังจาก API call เสร็จ
+    apiMonitor.finishCall();
+
+    res.status(clockResponseStatus(result)).json(result);
+    
+  } catch (error) {
+    // ลด burst counter ถึงแม้จะ error
+    apiMonitor.finishCall();
+    console.error('API Error - clockin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clock in'
+    });
+  }
+});
+
+// Clock out
+app.post('/api/clockout', authenticateLineUser, async (req, res) => {
+  try {
+    const { employee, employee_code, lat, lon, enrollment_code, mock_time } = req.body;
+    
+    if (!employee || !lat || !lon) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+
+    // ตรวจสอบ rate limit
+    if (!apiMonitor.canMakeAPICall()) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later'
+      });
+    }
+
+    apiMonitor.logAPICall('clockOut');
+    const result = await sheetsService.clockOut({
+      employee, employee_code, lat, lon, enrollment_code, mock_time, ...lineIdentityOf(req)
+    });
+    
+    // ลด burst counter หลังจาก API call เสร็จ
+    apiMonitor.finishCall();
+
+    res.status(clockResponseStatus(result)).json(result);
+    
+  } catch (error) {
+    // ลด burst counter ถึงแม้จะ error
+    apiMonitor.finishCall();
+    console.error('API Error - clockout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clock out'
+    });
+  }
+});
+
+// เริ่มพัก / จบการพัก (ต้องลงเวลาเข้างานอยู่)
+function breakRoute(action) {
+  return async (req, res) => {
+    try {
+      const { employee, employee_code, enrollment_code, mock_time } = req.body;
+
+      if (!employee) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields'
+        });
+      }
+
+      if (!apiMonitor.canMakeAPICall()) {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many requests, please try again later'
+        });
+      }
+
+      apiMonitor.logAPICall(action);
+      const input = { employee, employee_code, enrollment_code, mock_time, ...lineIdentityOf(req) };
+      const result = action === 'startBreak' ? await sheetsService.startBreak(input) : await sheetsService.endBreak(input);
+      apiMonitor.finishCall();
+
+      res.status(clockResponseStatus(result)).json(result);
+
+    } catch (error) {
+      apiMonitor.finishCall();
+      console.error(`API Error - ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        error: action === 'startBreak' ? 'Failed to start break' : 'Failed to end break'
+      });
+    }
+  };
+}
+
+app.post('/api/break/start', authenticateLineUser, breakRoute('startBreak'));
+app.post('/api/break/end', authenticateLineUser, breakRoute('endBreak'));
+
+// ใบลาของพนักงาน - ยื่นใบลา / ยกเลิกใบลาที่รออนุมัติ / ดูยอดวันลาคงเหลือและใบลาของปีงบประมาณนี้
+function leaveRoute(action) {
+  return async (req, res) => {
+    try {
+      const { employee, employee_code, enrollment_code } = req.body;
+
+      if (!employee) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields'
+        });
+      }
+
+      const input = { ...req.body, employee, employee_code, enrollment_code, ...lineIdentityOf(req) };
+      const result = await sheetsService[action](input);
+
+      res.status(clockResponseStatus(result)).json(result);
+
+    } catch (error) {
+      console.error(`API Error - ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process leave request'
+      });
+    }
+  };
+}
+
+// body: { employee, type: 'SICK'|'PERSONAL'|'VACATION', startDate: 'YYYY-MM-DD', endDate?, halfDay?, reason? }
+app.post('/api/leave/request', authenticateLineUser, leaveRoute('requestLeave'));
+// body: { employee, id }
+app.post('/api/leave/cancel', authenticateLineUser, leaveRoute('cancelLeave'));
+// body: { employee }
+app.post('/api/leave/summary', authenticateLineUser, leaveRoute('getLeaveSummary'));
+
+// ไปราชการของพนักงาน - ขอไปราชการ / ยกเลิกคำขอที่รออนุมัติ / ดูรายการของตัวเอง
+function dutyRoute(action) {
+  return async (req, res) => {
+    try {
+      const { employee, employee_code, enrollment_code } = req.body;
+
+      if (!employee) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields'
+        });
+      }
+
+      const input = { ...req.body, employee, employee_code, enrollment_code, ...lineIdentityOf(req) };
+      const result = await sheetsService[action](input);
+
+      res.status(clockResponseStatus(result)).json(result);
+
+    } catch (error) {
+      console.error(`API Error - ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process duty request'
+      });
+    }
+  };
+}
+
+// body: { employee, type: 'OFFICIAL'|'TRAINING'|'OFFSITE', startDate: 'YYYY-MM-DD', endDate?, destination, purpose? }
+app.post('/api/duty/request', authenticateLineUser, dutyRoute('requestDuty'));
+// body: { employee, id }
+app.post('/api/duty/cancel', authenticateLineUser, dutyRoute('cancelDuty'));
+// body: { employee }
+app.post('/api/duty/list', authenticateLineUser, dutyRoute('getDutyList'));
+
+// API สำหรับตรวจสอบสถานะพนักงาน
+app.post('/api/check-status', authenticateLineUser, async (req, res) => {
+  try {
+    const { employee, employee_code } = req.body;
+    
+    if (!employee && !employee_code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing employee name'
+      });
+    }
+
+    const resolution = await sheetsService.resolveEmployee(employee, employee_code);
+    if (!resolution.employee) {
+      const response = sheetsService.unresolvedEmployeeResponse(employee || employee_code, resolution);
+      return res.status(resolution.reason === 'ambiguous' ? 409 : 404).json({
+        success: false,
+        error: response.message,
+        candidates: response.candidates
+      });
+    }
+
+    const employeeStatus = await sheetsService.getEmployeeStatus(resolution.employee);
+
+    // กำลังพักอยู่หรือไม่ (จาก BREAKS ใน cache)
+    const onBreak = employeeStatus.workRecord && employeeStatus.workRecord.recordId
+      ? (await sheetsService.breaks.getRecordBreaks(employeeStatus.workRecord.recordId).catch(() => [])).some(entry => !entry.end)
+      : false;
+
+    // ใช้ cached data แทนการเรียก API ใหม่
+    const rows = await sheetsService.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
+    
+    const currentEmployees = rows.map(shift => ({
+      systemName: shift.systemName,
+      employeeName: shift.employeeName,
+      clockIn: shift.clockIn,
+      recordId: shift.recordId,
+      mainRowIndex: shift.mainRowIndex
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        employee: resolution.employee.name,
+        employeeCode: resolution.employee.code,
+        isOnWork: employeeStatus.isOnWork,
+        onBreak,
+        hasWorkRecord: !!employeeStatus.workRecord,
+        workRecord: employeeStatus.workRecord ? {
+          clockIn: employeeStatus.workRecord.clockIn,
+          recordId: employeeStatus.workRecord.recordId,
+          mainRowIndex: employeeStatus.workRecord.mainRowIndex
+        } : null,
+        allCurrentEmployees: currentEmployees
+      }
+    });
+
+  } catch (error) {
+    console.error('API Error - check-status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check status'
+    });
+  }
+});
+
+// API Monitoring endpoint
+app.get('/api/admin/api-stats', authenticateAdmin, (req, res) => {
+  const stats = apiMonitor.getStats();
+  res.json({
+    success: true,
+    data: {
+      ...stats,
+      cache: sheetsService.cache.getStats(),
+      locks: sheetsService.employeeLocks.getStats()
+    }
+  });
+});
+
+// API สำหรับ manual cache refresh (สำหรับ admin เท่านั้น)
+app.post('/api/admin/refresh-cache', authenticateAdmin, async (req, res) => {
+  try {
+    console.log('🔄 Manual cache refresh initiated by admin');
+    
+    // Clear all cache
+    sheetsService.clearCache();
+    
+    // Warm critical caches
+    await sheetsService.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
+    await sheetsService.getCachedSheetData(CONFIG.SHEETS.EMPLOYEES);
+    
+    res.json({
+      success: true,
+      message: 'Cache refreshed successfully'
+    });
+  } catch (error) {
+    console.error('Cache refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh cache'
+    });
+  }
+});
+
+// API สำหรับตรวจสอบสถานะ API quota
+app.get('/api/admin/quota-status', authenticateAdmin, async (req, res) => {
+  try {
+    const apiStats = apiMonitor.getStats();
+    const isEmergencyMode = sheetsService.emergencyMode || false;
+    
+    // ทดสอบการเชื่อมต่อ API
+    let apiHealthy = true;
+    let lastError = null;
+    
+    try {
+      await sheetsService.getCachedSheetData(CONFIG.SHEETS.EMPLOYEES);
+    } catch (error) {
+      apiHealthy = false;
+      lastError = error.message;
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        apiHealthy,
+        emergencyMode: isEmergencyMode,
+        lastError,
+        apiStats,
+        recommendations: apiHealthy ? 
+          ['ระบบทำงานปกติ'] : 
+          [
+            'รอให้ quota reset (ภายใน 24 ชั่วโมง)',
+            'ใช้ cached data ในระยะนี้',
+            'ลดการใช้งานฟีเจอร์ที่ต้องใช้ API'
+          ]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API สำหรับเปิด/ปิด emergency mode
+app.post('/api/admin/emergency-mode', authenticateAdmin, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    sheetsService.setEmergencyMode(enabled);
+    
+    res.json({
+      success: true,
+      message: `Emergency mode ${enabled ? 'enabled' : 'disabled'}`,
+      emergencyMode: enabled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-// ========== Initialize Services ==========
-const sheetsService = new GoogleSheetsService();
-const keepAliveService = new KeepAliveService();
+// API สำหรับดูคิวการเขียนที่ยังไม่ได้ส่งไป Google Sheets
+app.get('/api/admin/write-journal', authenticateAdmin, (req, res) => {
+  const journal = sheetsService.getWriteJournal();
 
-// ========== Admin Authentication Routes ==========
+  if (!journal) {
+    return res.json({
+      success: true,
+      data: { enabled: false, pending: [], failed: [] }
+    });
+  }
 
-// Admin Login
-app.post('/api/admin/login', async (req, res) => {
+  res.json({
+    success: true,
+    data: { enabled: true, ...journal.getStatus() }
+  });
+});
+
+// API สำหรับสั่งส่งรายการที่ล้มเหลวอีกครั้ง
+app.post('/api/admin/write-journal/:seq/retry', authenticateAdmin, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const journal = sheetsService.getWriteJournal();
+    const seq = parseInt(req.params.seq);
 
-    if (!username || !password) {
+    if (!journal || isNaN(seq)) {
       return res.status(400).json({
         success: false,
-        message: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน'
+        error: 'Write journal is not enabled or invalid sequence'
       });
     }
 
-    // ค้นหาผู้ใช้
-    const user = CONFIG.ADMIN.USERS.find(u => u.username === username);
-    if (!user) {
-      return res.status(401).json({
+    const retried = await journal.retryFailed(seq);
+    if (!retried) {
+      return res.status(404).json({
         success: false,
-        message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง'
+        error: `Failed journal entry #${seq} not found`
       });
     }
 
-    // ตรวจสอบรหัสผ่าน
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง'
-      });
-    }
+    res.json({
+      success: true,
+      message: `Journal entry #${seq} queued for retry`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // สร้าง JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        role: user.role 
-      },
-      CONFIG.ADMIN.JWT_SECRET,
-      { expiresIn: CONFIG.ADMIN.JWT_EXPIRES_IN }
-    );
+// API สำหรับดู partition รายเดือนที่ archive แล้ว
+app.get('/api/admin/archive/partitions', authenticateAdmin, async (req, res) => {
+  try {
+    const partitions = await sheetsService.storage.listArchivePartitions();
 
     res.json({
       success: true,
-      message: 'เข้าสู่ระบบสำเร็จ',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name,
-        role: user.role
-      }
+      data: partitions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+// API สำหรับสั่ง archive เดือนที่ปิดแล้วทันที
+app.post('/api/admin/archive/run', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await sheetsService.archiveClosedMonths();
 
+    res.json({
+      success: true,
+      message: `Archived ${result.archivedCount} records`,
+      data: result
+    });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('❌ Archive run failed:', error);
     res.status(500).json({
       success: false,
-      message: 'เกิดข้อผิดพลาดภายในระบบ'
+      error: error.message
     });
   }
 });
 
-// Verify Token
-app.get('/api/admin/verify-token', authenticateAdmin, (req, res) => {
-  res.json({
-    success: true,
-    user: req.user
-  });
+// API สำหรับตรวจความสอดคล้องระหว่าง ON WORK และ MAIN (อ่านอย่างเดียว)
+app.get('/api/admin/reconcile', authenticateAdmin, async (req, res) => {
+  try {
+    const report = await sheetsService.getReconcileReport();
+
+    res.json({
+      success: true,
+      data: sheetsService.reconciler.toPublicReport(report)
+    });
+  } catch (error) {
+    console.error('❌ Reconcile check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Token Refresh - สำหรับต่ออายุ token ที่ใกล้หมดอายุ
-app.post('/api/admin/refresh-token', async (req, res) => {
+// API สำหรับซ่อมข้อมูลตามรายงาน - ต้องส่ง fingerprint ของรายงานที่ตรวจดูแล้วพร้อม confirm: true
+app.post('/api/admin/reconcile/repair', authenticateAdmin, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    const { fingerprint, confirm } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
+    if (confirm !== true || !fingerprint) {
+      return res.status(400).json({
         success: false,
-        error: 'Token required for refresh'
+        error: 'Repair requires { confirm: true, fingerprint } from GET /api/admin/reconcile'
       });
     }
 
-    // ตรวจสอบ token แม้ว่าจะหมดอายุแล้ว
-    let decoded;
+    const result = await sheetsService.repairInconsistencies(fingerprint, req.user.username);
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied.length} changes, skipped ${result.skipped.length}`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'STALE_REPORT') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Reconcile repair failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ========== Employee admin ==========
+
+// error ของการจัดการพนักงาน: ข้อมูลไม่ถูกต้อง 400, ไม่พบพนักงาน 404
+function sendEmployeeError(res, error) {
+  if (error.code === 'INVALID_EMPLOYEE') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      details: error.details || []
+    });
+  }
+  if (error.code === 'EMPLOYEE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error('❌ Employee admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// รายชื่อพนักงานทั้งหมด (รวมที่ไม่ใช้งานแล้ว) - ?status=active|inactive
+app.get('/api/admin/employees', authenticateAdmin, async (req, res) => {
+  try {
+    const employees = await sheetsService.employeeAdmin.list();
+    const { status } = req.query;
+
+    res.json({
+      success: true,
+      data: status ? employees.filter(employee => employee.active === (status === 'active')) : employees
+    });
+  } catch (error) {
+    sendEmployeeError(res, error);
+  }
+});
+
+// เพิ่มพนักงาน - body: { code, name, department, position, employmentType, startDate }
+app.post('/api/admin/employees', authenticateAdmin, async (req, res) => {
+  try {
+    const employee = await sheetsService.changeEmployees(admin => admin.create(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: employee
+    });
+  } catch (error) {
+    sendEmployeeError(res, error);
+  }
+});
+
+// นำเข้าจากไฟล์ .xlsx (ส่งไฟล์เป็น body ของ request) - แถวที่มีรหัสเดิมจะเป็นการแก้ไข
+app.post(
+  '/api/admin/employees/import',
+  authenticateAdmin,
+  express.raw({ type: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'], limit: '5mb' }),
+  async (req, res) => {
     try {
-      decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET);
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        // อนุญาตให้ refresh token ที่หมดอายุไม่เกิน 7 วัน
-        const expiredAt = new Date(error.expiredAt);
-        const now = new Date();
-        const daysSinceExpired = (now - expiredAt) / (1000 * 60 * 60 * 24);
-        
-        if (daysSinceExpired <= 7) {
-          // ถอดรหัส token โดยไม่ตรวจสอบวันหมดอายุ
-          decoded = jwt.verify(token, CONFIG.ADMIN.JWT_SECRET, { ignoreExpiration: true });
-        } else {
-          return res.status(401).json({
-            success: false,
-            error: 'Token expired too long ago. Please login again.',
-            errorCode: 'TOKEN_EXPIRED_TOO_LONG'
-          });
-        }
-      } else {
-        return res.status(401).json({
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
           success: false,
-          error: 'Invalid token',
-          errorCode: 'INVALID_TOKEN'
+          error: 'Send the .xlsx file as the request body'
         });
       }
-    }
 
-    // ตรวจสอบว่าผู้ใช้ยังคงอยู่ในระบบ
-    const user = CONFIG.ADMIN.USERS.find(u => u.id === decoded.id);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User no longer exists'
+      const rows = await EmployeeAdmin.parseWorkbook(req.body);
+      const result = await sheetsService.changeEmployees(admin => admin.import(rows));
+
+      res.json({
+        success: true,
+        message: `Created ${result.created}, updated ${result.updated}, rejected ${result.errors.length} rows`,
+        data: result
       });
+    } catch (error) {
+      sendEmployeeError(res, error);
     }
+  }
+);
 
-    // สร้าง token ใหม่
-    const newToken = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username,
-        name: user.name,
-        role: user.role
-      },
-      CONFIG.ADMIN.JWT_SECRET,
-      { expiresIn: CONFIG.ADMIN.JWT_EXPIRES_IN }
-    );
-
-    console.log(`🔄 Token refreshed for user: ${user.username}`);
+// แก้ไขพนักงาน (:ref = รหัส หรือชื่อเต็ม) - เปลี่ยนชื่อแล้วชื่อเดิมยังใช้จับคู่ข้อมูลเก่าได้
+app.put('/api/admin/employees/:ref', authenticateAdmin, async (req, res) => {
+  try {
+    const employee = await sheetsService.changeEmployees(admin => admin.update(req.params.ref, req.body));
 
     res.json({
       success: true,
-      message: 'Token refreshed successfully',
-      token: newToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name,
-        role: user.role
-      }
+      data: employee
     });
+  } catch (error) {
+    sendEmployeeError(res, error);
+  }
+});
+
+// ปิดใช้งานพนักงาน (ข้อมูลลงเวลาเดิมยังอยู่ครบ)
+app.post('/api/admin/employees/:ref/deactivate', authenticateAdmin, async (req, res) => {
+  try {
+    const employee = await sheetsService.changeEmployees(admin => admin.deactivate(req.params.ref));
 
+    res.json({
+      success: true,
+      message: `${employee.name} deactivated`,
+      data: employee
+    });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
+    sendEmployeeError(res, error);
+  }
+});
+
+// ========== Shifts and rosters ==========
+
+function sendScheduleError(res, error) {
+  if (error.code === 'INVALID_SCHEDULE') {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to refresh token'
+      error: error.message,
+      details: error.details || []
+    });
+  }
+  if (error.code === 'SCHEDULE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error('❌ Schedule admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// ระบุพนักงานจากรหัสหรือชื่อที่ส่งมา (คืน null และตอบ 404 ถ้าไม่พบ)
+async function resolveAdminEmployee(res, ref) {
+  const { employee } = await sheetsService.resolveEmployee(ref);
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      error: `Employee not found: ${ref}`
+    });
+  }
+  return employee;
+}
+
+// กะทั้งหมด (รวมกะเริ่มต้นจาก config)
+app.get('/api/admin/shifts', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await sheetsService.schedule.getShifts()
     });
+  } catch (error) {
+    sendScheduleError(res, error);
   }
 });
 
-// Admin Stats
-app.get('/api/admin/stats', authenticateAdmin, async (req, res) => {
+// เพิ่ม/แก้ไขกะ - body: { code, name, start: 'HH:mm', end: 'HH:mm', graceMinutes, crossesMidnight, autoCheckout }
+app.post('/api/admin/shifts', authenticateAdmin, async (req, res) => {
   try {
-    const stats = await sheetsService.getAdminStats();
+    const shift = await sheetsService.schedule.saveShift(req.body || {});
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// ตารางเวรทั้งหมด - ?employee=รหัสหรือชื่อ
+app.get('/api/admin/rosters', authenticateAdmin, async (req, res) => {
+  try {
+    let entries = await sheetsService.schedule.getRosterEntries();
+    if (req.query.employee) {
+      const employee = await resolveAdminEmployee(res, req.query.employee);
+      if (!employee) return;
+      entries = entries.filter(entry =>
+        isSameEmployee({ code: entry.employeeCode || null, names: [entry.employeeName] }, employee)
+      );
+    }
+
     res.json({
       success: true,
-      data: stats
+      data: entries
     });
   } catch (error) {
-    console.error('Admin stats error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get stats'
-    });
+    sendScheduleError(res, error);
   }
 });
 
-// Export Routes
-app.get('/api/admin/export/:type', authenticateAdmin, async (req, res) => {
+// กำหนดกะให้พนักงาน - body: { employee, shiftCode ('OFF' = วันหยุด), startDate, endDate?, weekdays?: [1..7], note? }
+app.post('/api/admin/rosters', authenticateAdmin, async (req, res) => {
   try {
-    const { type } = req.params;
-    const params = req.query;
-
-    // ตรวจสอบประเภทรายงาน
-    if (!['daily', 'monthly', 'range'].includes(type)) {
+    const { employee: ref, ...input } = req.body || {};
+    if (!ref) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid report type'
+        error: 'employee is required'
       });
     }
 
-    // Log format parameter เพื่อ debug
-    console.log(`📊 Export request: type=${type}, format=${params.format || 'default'}`);
+    const employee = await resolveAdminEmployee(res, ref);
+    if (!employee) return;
 
-    // ดึงข้อมูลจาก Google Sheets
-    const reportData = await sheetsService.getReportData(type, params);
+    const entry = await sheetsService.schedule.assign(employee, input);
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
 
-    // สร้างไฟล์ Excel
-    const workbook = await ExcelExportService.createWorkbook(reportData, type, params);
+app.delete('/api/admin/rosters/:id', authenticateAdmin, async (req, res) => {
+  try {
+    await sheetsService.schedule.removeAssignment(req.params.id);
 
-    // ตั้งชื่อไฟล์ตาม format
-    let filename = 'report.xlsx';
-    if (type === 'monthly' && params.format === 'detailed') {
-      filename = 'monthly_detailed_report.xlsx';
-    } else if (type === 'monthly') {
-      filename = 'monthly_summary_report.xlsx';
+    res.json({
+      success: true,
+      message: `Roster entry ${req.params.id} removed`
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// เวลาทำงานที่คาดหวังของวันนั้น - ?date=YYYY-MM-DD (ค่าเริ่มต้นวันนี้) &employee= (ไม่ระบุ = พนักงานที่ใช้งานอยู่ทุกคน)
+app.get('/api/admin/schedule', authenticateAdmin, async (req, res) => {
+  try {
+    const date = req.query.date || datetime.toDateKey(datetime.now());
+    let employees;
+    if (req.query.employee) {
+      const employee = await resolveAdminEmployee(res, req.query.employee);
+      if (!employee) return;
+      employees = [employee];
     } else {
-      filename = `${type}_report.xlsx`;
+      employees = await sheetsService.getEmployees();
     }
 
-    // ตั้งค่า response headers
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-
-    // ส่งไฟล์
-    await workbook.xlsx.write(res);
-    res.end();
-
-  } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export report'
+    res.json({
+      success: true,
+      data: await sheetsService.schedule.getExpectedSchedules(employees, date)
     });
+  } catch (error) {
+    sendScheduleError(res, error);
   }
 });
 
-// ========== API Rate Limiting และ Monitoring ==========
-class APIMonitor {
-  constructor() {
-    this.apiCalls = [];
-    // ปรับเพิ่ม rate limit เพื่อรองรับ concurrent users มากขึ้น
-    this.maxCallsPerMinute = 100; // เพิ่มจาก 30 เป็น 100 ครั้งต่อนาที
-    this.maxCallsPerHour = 1000; // เพิ่มจาก 300 เป็น 1000 ครั้งต่อชั่วโมง
-    
-    // เพิ่ม burst allowance สำหรับ peak time
-    this.burstLimit = 75; // เพิ่มจาก 50 เป็น 75 concurrent requests
-    this.currentBurst = 0;
-    this.lastBurstReset = Date.now();
-    
-    // Auto-reset burst counter every 5 seconds
-    setInterval(() => {
-      if (this.currentBurst > 0) {
-        console.log(`🔄 Auto-resetting burst counter from ${this.currentBurst} to 0`);
-        this.currentBurst = 0;
-      }
-    }, 5000); // 5 วินาที
-  }
+// ========== Holidays ==========
 
-  logAPICall(operation) {
-    const now = new Date();
-    this.apiCalls.push({
-      timestamp: now,
-      operation: operation
+function sendHolidayError(res, error) {
+  if (error.code === 'INVALID_HOLIDAY') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      details: error.details || []
+    });
+  }
+  if (error.code === 'HOLIDAY_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
     });
-
-    // ลบ logs ที่เก่าเกิน 1 ชั่วโมง
-    this.apiCalls = this.apiCalls.filter(call => 
-      (now - call.timestamp) < 3600000 // 1 hour
-    );
-
-    console.log(`📊 API Call: ${operation} (Total in last hour: ${this.apiCalls.length}, Current burst: ${this.currentBurst})`);
   }
 
-  canMakeAPICall() {
-    const now = new Date();
-    
-    // นับจำนวน API calls ในนาทีที่แล้ว
-    const callsInLastMinute = this.apiCalls.filter(call => 
-      (now - call.timestamp) < 60000 // 1 minute
-    ).length;
-
-    // นับจำนวน API calls ในชั่วโมงที่แล้ว
-    const callsInLastHour = this.apiCalls.length;
-
-    // ตรวจสอบ burst limit
-    if (this.currentBurst >= this.burstLimit) {
-      console.warn(`⚠️ Burst limit exceeded: ${this.currentBurst}/${this.burstLimit} concurrent requests`);
-      return false;
-    }
+  console.error('❌ Holiday admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
 
-    if (callsInLastMinute >= this.maxCallsPerMinute) {
-      console.warn(`⚠️ Rate limit exceeded: ${callsInLastMinute} calls in last minute`);
-      return false;
-    }
+// วันหยุดในปฏิทิน - ?year=YYYY (ไม่ระบุ = ทั้งหมด)
+app.get('/api/admin/holidays', authenticateAdmin, async (req, res) => {
+  try {
+    const { year } = req.query;
+    const holidays = year
+      ? await sheetsService.holidays.getHolidaysBetween(`${year}-01-01`, `${year}-12-31`)
+      : await sheetsService.holidays.getHolidaysBetween();
 
-    if (callsInLastHour >= this.maxCallsPerHour) {
-      console.warn(`⚠️ Rate limit exceeded: ${callsInLastHour} calls in last hour`);
-      return false;
-    }
+    res.json({
+      success: true,
+      data: holidays
+    });
+  } catch (error) {
+    sendHolidayError(res, error);
+  }
+});
 
-    // เพิ่ม burst counter
-    this.currentBurst++;
+// เพิ่ม/แก้ไขวันหยุด - body: { date: 'YYYY-MM-DD', name, type? }
+app.post('/api/admin/holidays', authenticateAdmin, async (req, res) => {
+  try {
+    const holiday = await sheetsService.holidays.save(req.body || {});
 
-    return true;
+    res.status(201).json({
+      success: true,
+      data: holiday
+    });
+  } catch (error) {
+    sendHolidayError(res, error);
   }
+});
 
-  // เมื่อ API call เสร็จแล้ว ลด burst counter
-  finishCall() {
-    if (this.currentBurst > 0) {
-      this.currentBurst--;
+// นำเข้าวันหยุดจากไฟล์ .ics หรือ CSV (วันที่,ชื่อวันหยุด,ประเภท) - ส่งเนื้อหาไฟล์เป็น body, ?format=ics|csv
+app.post('/api/admin/holidays/import',
+  authenticateAdmin,
+  express.text({ type: ['text/*', 'application/octet-stream'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const content = typeof req.body === 'string' ? req.body : '';
+      if (!content.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Send the .ics or CSV file content as the request body'
+        });
+      }
+
+      const result = await sheetsService.holidays.import(content, req.query.format);
+      res.json({
+        success: true,
+        message: `Imported ${result.created + result.updated} holidays (${result.created} new, ${result.updated} updated)`,
+        data: result
+      });
+    } catch (error) {
+      sendHolidayError(res, error);
     }
-  }
+  });
 
-  getStats() {
-    const now = new Date();
-    const callsInLastMinute = this.apiCalls.filter(call => 
-      (now - call.timestamp) < 60000
-    ).length;
-    const callsInLastHour = this.apiCalls.length;
+app.delete('/api/admin/holidays/:date', authenticateAdmin, async (req, res) => {
+  try {
+    await sheetsService.holidays.remove(req.params.date);
 
-    return {
-      callsInLastMinute,
-      callsInLastHour,
-      maxCallsPerMinute: this.maxCallsPerMinute,
-      maxCallsPerHour: this.maxCallsPerHour,
-      percentageUsedPerMinute: (callsInLastMinute / this.maxCallsPerMinute) * 100,
-      percentageUsedPerHour: (callsInLastHour / this.maxCallsPerHour) * 100
-    };
+    res.json({
+      success: true,
+      message: `Holiday ${req.params.date} removed`
+    });
+  } catch (error) {
+    sendHolidayError(res, error);
   }
-}
-
-const apiMonitor = new APIMonitor();
-
-// ========== Original Routes (unchanged) ==========
-
-// Home page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Health check และ ping endpoint
-app.get('/debug/sheet-info', async (req, res) => {
+// วันนั้นเป็นวันทำงานหรือไม่ - ?date=YYYY-MM-DD (ค่าเริ่มต้นวันนี้)
+app.get('/api/admin/working-day', authenticateAdmin, async (req, res) => {
   try {
-    console.log('🔍 Debug: Getting sheet info...');
-    
-    const mainSheet = await sheetsService.getSheet(CONFIG.SHEETS.MAIN);
-    const rows = await mainSheet.getRows({ limit: 5 });
-    
-    if (rows.length > 0) {
-      const headers = Object.keys(rows[0]._rawData);
-      const firstRowData = rows[0]._rawData;
-      
-      console.log('📋 MAIN Sheet Headers:', headers);
-      console.log('📋 First row data:', firstRowData);
-      
-      res.json({
-        sheetTitle: mainSheet.title,
-        headerCount: headers.length,
-        headers: headers,
-        firstRowData: firstRowData,
-        sampleRows: rows.map((row, index) => ({
-          rowIndex: index,
-          employee: row.get('ชื่อพนักงาน'),
-          clockIn: row.get('เวลาเข้า'),
-          clockOut: row.get('เวลาออก'),
-          rawData: row._rawData
-        }))
-      });
-    } else {
-      res.json({ error: 'No data found' });
-    }
-    
+    res.json({
+      success: true,
+      data: await sheetsService.holidays.getWorkingDay(req.query.date || datetime.toDateKey(datetime.now()))
+    });
   } catch (error) {
-    console.error('❌ Debug sheet info error:', error);
-    res.status(500).json({ error: error.message });
+    sendHolidayError(res, error);
   }
 });
 
-app.get('/api/health', (req, res) => {  res.json({
-    status: 'healthy',
-    timestamp: moment().tz(CONFIG.TIMEZONE).toISOString(), // ใช้เวลาไทย
-    uptime: process.uptime(),
-    keepAlive: keepAliveService.getStats(),
-    environment: process.env.NODE_ENV || 'development',
-    config: {
-      hasLiffId: !!CONFIG.LINE.LIFF_ID,
-      liffIdLength: CONFIG.LINE.LIFF_ID ? CONFIG.LINE.LIFF_ID.length : 0
-    }
-  });
-});
+// ========== Leave ==========
+
+function sendLeaveError(res, error) {
+  const statuses = {
+    INVALID_LEAVE: 400,
+    LEAVE_FORBIDDEN: 403,
+    LEAVE_NOT_FOUND: 404,
+    LEAVE_ALREADY_DECIDED: 409,
+    LEAVE_QUOTA_EXCEEDED: 409
+  };
+  if (statuses[error.code]) {
+    return res.status(statuses[error.code]).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
 
-// Ping endpoint สำหรับ keep-alive
-app.get('/api/ping', (req, res) => {
-  res.json({
-    status: 'pong',
-    timestamp: moment().tz(CONFIG.TIMEZONE).toISOString(), // ใช้เวลาไทย
-    uptime: process.uptime()
+  console.error('❌ Leave admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
   });
-});
+}
 
-// Webhook endpoint สำหรับรับ ping จาก GSA
-app.post('/api/webhook/ping', (req, res) => {
-  console.log('📨 Received ping from GSA');  res.json({
-    status: 'received',
-    timestamp: moment().tz(CONFIG.TIMEZONE).toISOString() // ใช้เวลาไทย
+// ประเภทการลาและจำนวนวันที่ลาได้ต่อปีงบประมาณ
+app.get('/api/admin/leave/types', authenticateApprover, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: sheetsService.leave.getTypes(),
+      fiscalYear: sheetsService.leave.fiscalYearOf(datetime.now())
+    }
   });
 });
 
-// API สำหรับ Client Configuration
-app.get('/api/config', (req, res) => {
+// ใบลา - ?status=pending|approved|rejected|cancelled &employee=รหัสหรือชื่อ &fiscalYear=พ.ศ.
+// หัวหน้างานเห็นเฉพาะใบลาของพนักงานในกองที่ดูแล
+app.get('/api/admin/leave/requests', authenticateApprover, async (req, res) => {
   try {
+    const { status, fiscalYear } = req.query;
+    let requests = await sheetsService.leave.getRequests();
+    if (req.query.employee) {
+      const employee = await resolveAdminEmployee(res, req.query.employee);
+      if (!employee) return;
+      requests = await sheetsService.leave.getEmployeeRequests(employee);
+    }
+
+    requests = requests.filter(request =>
+      (!status || request.status === status) && (!fiscalYear || request.fiscalYear === Number(fiscalYear))
+    );
+    const visible = [];
+    for (const request of requests) {
+      if (await sheetsService.canApproveFor(request, req.user)) visible.push(request);
+    }
+
     res.json({
       success: true,
-      data: {
-        liffId: CONFIG.LINE.LIFF_ID,
-        apiUrl: CONFIG.RENDER.SERVICE_URL + '/api',
-        environment: process.env.NODE_ENV || 'development',
-        features: {
-          keepAlive: CONFIG.RENDER.KEEP_ALIVE_ENABLED,
-          liffEnabled: !!CONFIG.LINE.LIFF_ID
-        }
-      }
+      data: visible.sort((a, b) => b.startDate.localeCompare(a.startDate))
     });
   } catch (error) {
-    console.error('API Error - config:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get config'
-    });
+    sendLeaveError(res, error);
   }
 });
 
-// Get employees
-app.post('/api/employees', async (req, res) => {
+// อนุมัติ / ไม่อนุมัติใบลา - body: { note? }
+function leaveDecisionRoute(approve) {
+  return async (req, res) => {
+    try {
+      const request = await sheetsService.decideLeave(req.params.id, { approve, note: (req.body || {}).note }, req.user);
+
+      res.json({
+        success: true,
+        message: `Leave request ${request.id} ${request.status}`,
+        data: request
+      });
+    } catch (error) {
+      sendLeaveError(res, error);
+    }
+  };
+}
+
+app.post('/api/admin/leave/requests/:id/approve', authenticateApprover, leaveDecisionRoute(true));
+app.post('/api/admin/leave/requests/:id/reject', authenticateApprover, leaveDecisionRoute(false));
+
+// ยอดวันลาของพนักงาน - ?employee=รหัสหรือชื่อ (จำเป็น) &fiscalYear=พ.ศ. (ค่าเริ่มต้นปีงบประมาณปัจจุบัน)
+app.get('/api/admin/leave/balances', authenticateAdmin, async (req, res) => {
   try {
-    const employees = await sheetsService.getEmployees();
+    if (!req.query.employee) {
+      return res.status(400).json({
+        success: false,
+        error: 'employee is required'
+      });
+    }
+    const employee = await resolveAdminEmployee(res, req.query.employee);
+    if (!employee) return;
+
+    const balance = req.query.fiscalYear
+      ? await sheetsService.leave.getBalances(employee, Number(req.query.fiscalYear))
+      : await sheetsService.leave.getBalances(employee);
     res.json({
       success: true,
-      data: employees
+      data: { employee: { code: employee.code, name: employee.name }, ...balance }
     });
   } catch (error) {
-    console.error('API Error - employees:', error);
-    res.status(500).json({
+    sendLeaveError(res, error);
+  }
+});
+
+// ========== Official duty (ไปราชการ) ==========
+
+function sendDutyError(res, error) {
+  const statuses = {
+    INVALID_DUTY: 400,
+    DUTY_FORBIDDEN: 403,
+    DUTY_NOT_FOUND: 404,
+    DUTY_OVERLAP: 409,
+    DUTY_ALREADY_DECIDED: 409
+  };
+  if (statuses[error.code]) {
+    return res.status(statuses[error.code]).json({
       success: false,
-      error: 'Failed to get employees'
+      error: error.message,
+      details: error.details
     });
   }
+
+  console.error('❌ Duty admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+app.get('/api/admin/duty/types', authenticateApprover, (req, res) => {
+  res.json({
+    success: true,
+    data: sheetsService.duty.getTypes()
+  });
 });
 
-// Clock in
-app.post('/api/clockin', async (req, res) => {
+// รายการไปราชการ - ?status=pending|approved|rejected|cancelled &employee=รหัสหรือชื่อ &date=YYYY-MM-DD (รายการที่ครอบคลุมวันนั้น)
+// หัวหน้างานเห็นเฉพาะพนักงานในกองที่ดูแล
+app.get('/api/admin/duties', authenticateApprover, async (req, res) => {
   try {
-    const { employee, userinfo, lat, lon, line_name, line_picture, mock_time } = req.body;
-    
-    if (!employee || !lat || !lon) {
+    const { status } = req.query;
+    const date = req.query.date ? datetime.toDateKey(req.query.date) : null;
+    if (req.query.date && !date) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields'
+        error: `Invalid date: ${req.query.date}`
       });
     }
 
-    // ตรวจสอบ rate limit
-    if (!apiMonitor.canMakeAPICall()) {
-      return res.status(429).json({
-        success: false,
-        error: 'Too many requests, please try again later'
-      });
+    let duties = await sheetsService.duty.getDuties();
+    if (req.query.employee) {
+      const employee = await resolveAdminEmployee(res, req.query.employee);
+      if (!employee) return;
+      duties = await sheetsService.duty.getEmployeeDuties(employee);
     }
 
-    apiMonitor.logAPICall('clockIn');
-    const result = await sheetsService.clockIn({
-      employee, userinfo, lat, lon, line_name, line_picture, mock_time
-    });
-    
-    // ลด burst counter หลังจาก API call เสร็จ
-    apiMonitor.finishCall();
+    duties = duties.filter(duty =>
+      (!status || duty.status === status) && (!date || (duty.startDate <= date && duty.endDate >= date))
+    );
+    const visible = [];
+    for (const duty of duties) {
+      if (await sheetsService.canApproveFor(duty, req.user)) visible.push(duty);
+    }
 
-    res.json(result);
-    
-  } catch (error) {
-    // ลด burst counter ถึงแม้จะ error
-    apiMonitor.finishCall();
-    console.error('API Error - clockin:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clock in'
+    res.json({
+      success: true,
+      data: visible.sort((a, b) => b.startDate.localeCompare(a.startDate))
     });
+  } catch (error) {
+    sendDutyError(res, error);
   }
 });
 
-// Clock out
-app.post('/api/clockout', async (req, res) => {
+// บันทึกไปราชการให้พนักงาน (อนุมัติทันที) - body: { employee, type, startDate, endDate?, destination, purpose? }
+app.post('/api/admin/duties', authenticateApprover, async (req, res) => {
   try {
-    const { employee, lat, lon, line_name, mock_time } = req.body;
-    
-    if (!employee || !lat || !lon) {
+    const { employee: ref, ...input } = req.body || {};
+    if (!ref) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields'
+        error: 'employee is required'
       });
     }
+    const employee = await resolveAdminEmployee(res, ref);
+    if (!employee) return;
 
-    // ตรวจสอบ rate limit
-    if (!apiMonitor.canMakeAPICall()) {
-      return res.status(429).json({
-        success: false,
-        error: 'Too many requests, please try again later'
+    const duty = await sheetsService.recordDuty(employee, input, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Duty recorded for ${employee.name}`,
+      data: duty
+    });
+  } catch (error) {
+    sendDutyError(res, error);
+  }
+});
+
+// อนุมัติ / ไม่อนุมัติคำขอไปราชการ - body: { note? }
+function dutyDecisionRoute(approve) {
+  return async (req, res) => {
+    try {
+      const duty = await sheetsService.decideDuty(req.params.id, { approve, note: (req.body || {}).note }, req.user);
+
+      res.json({
+        success: true,
+        message: `Duty ${duty.id} ${duty.status}`,
+        data: duty
       });
+    } catch (error) {
+      sendDutyError(res, error);
     }
+  };
+}
 
-    apiMonitor.logAPICall('clockOut');
-    const result = await sheetsService.clockOut({
-      employee, lat, lon, line_name, mock_time
+app.post('/api/admin/duties/:id/approve', authenticateApprover, dutyDecisionRoute(true));
+app.post('/api/admin/duties/:id/reject', authenticateApprover, dutyDecisionRoute(false));
+
+// ========== Geofence zones (พื้นที่ลงเวลา) ==========
+
+function sendZoneError(res, error) {
+  const statuses = {
+    INVALID_ZONE: 400,
+    ZONE_NOT_FOUND: 404
+  };
+  if (statuses[error.code]) {
+    return res.status(statuses[error.code]).json({
+      success: false,
+      error: error.message,
+      details: error.details
     });
-    
-    // ลด burst counter หลังจาก API call เสร็จ
-    apiMonitor.finishCall();
+  }
 
-    res.json(result);
-    
+  console.error('❌ Zone admin failed:', error);
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// พื้นที่ลงเวลาทั้งหมด (รวมที่ปิดใช้งาน)
+app.get('/api/admin/zones', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await sheetsService.geofence.getZones(),
+      enabled: sheetsService.geofence.enabled,
+      defaultPolicy: sheetsService.geofence.defaultPolicy
+    });
   } catch (error) {
-    // ลด burst counter ถึงแม้จะ error
-    apiMonitor.finishCall();
-    console.error('API Error - clockout:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clock out'
+    sendZoneError(res, error);
+  }
+});
+
+// เพิ่ม/แก้ไขพื้นที่ - body: { code, name, site?, shape: 'circle'|'polygon', lat, lon, radius (เมตร) | polygon: 'lat,lon; ...',
+//                          policy?: 'reject'|'flag'|'allow' (ว่าง = ค่าเริ่มต้น), active? }
+app.post('/api/admin/zones', authenticateAdmin, async (req, res) => {
+  try {
+    const zone = await sheetsService.geofence.save(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: zone
     });
+  } catch (error) {
+    sendZoneError(res, error);
   }
 });
 
-// API สำหรับตรวจสอบสถานะพนักงาน
-app.post('/api/check-status', async (req, res) => {
+app.delete('/api/admin/zones/:code', authenticateAdmin, async (req, res) => {
   try {
-    const { employee } = req.body;
-    
-    if (!employee) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing employee name'
-      });
-    }    const employeeStatus = await sheetsService.getEmployeeStatus(employee);
+    await sheetsService.geofence.remove(req.params.code);
 
-    // ใช้ cached data แทนการเรียก API ใหม่
-    const rows = await sheetsService.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
-    
-    const currentEmployees = rows.map(row => ({
-      systemName: row.get('ชื่อในระบบ'),
-      employeeName: row.get('ชื่อพนักงาน'),
-      clockIn: row.get('เวลาเข้า'),
-      mainRowIndex: row.get('แถวในMain') || row.get('แถวอ้างอิง')
-    }));
+    res.json({
+      success: true,
+      message: `Zone ${req.params.code} removed`
+    });
+  } catch (error) {
+    sendZoneError(res, error);
+  }
+});
+
+// ทดสอบพิกัดกับพื้นที่ที่ใช้งานอยู่ - body: { lat, lon }
+app.post('/api/admin/zones/check', authenticateAdmin, async (req, res) => {
+  try {
+    const { lat, lon } = req.body || {};
 
     res.json({
       success: true,
-      data: {
-        employee: employee,
-        isOnWork: employeeStatus.isOnWork,
-        hasWorkRecord: !!employeeStatus.workRecord,
-        workRecord: employeeStatus.workRecord ? {
-          clockIn: employeeStatus.workRecord.clockIn,
-          mainRowIndex: employeeStatus.workRecord.mainRowIndex
-        } : null,
-        allCurrentEmployees: currentEmployees,
-        suggestions: currentEmployees
-          .filter(emp => 
-            sheetsService.isNameMatch(employee, emp.systemName) ||
-            sheetsService.isNameMatch(employee, emp.employeeName)
-          )
-          .map(emp => emp.systemName || emp.employeeName)
-      }
+      data: await sheetsService.geofence.check(lat, lon)
     });
+  } catch (error) {
+    sendZoneError(res, error);
+  }
+});
 
+// ========== LINE account bindings ==========
+
+// รายการบัญชี LINE ที่ผูกแล้วและคำขอที่รออนุมัติ
+app.get('/api/admin/line-bindings', authenticateAdmin, async (req, res) => {
+  try {
+    const bindings = await sheetsService.lineBindings.getBindings();
+    const { status } = req.query;
+
+    res.json({
+      success: true,
+      data: status ? bindings.filter(binding => binding.status === status) : bindings
+    });
   } catch (error) {
-    console.error('API Error - check-status:', error);
+    console.error('❌ Failed to list LINE bindings:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check status'
+      error: error.message
     });
   }
 });
 
-// API Monitoring endpoint
-app.get('/api/admin/api-stats', authenticateAdmin, (req, res) => {
-  const stats = apiMonitor.getStats();
-  res.json({
-    success: true,
-    data: stats
-  });
+// อนุมัติคำขอผูกบัญชี
+app.post('/api/admin/line-bindings/:lineUserId/approve', authenticateAdmin, async (req, res) => {
+  try {
+    const binding = await sheetsService.lineBindings.approve(req.params.lineUserId, req.user.username);
+
+    res.json({
+      success: true,
+      message: `Bound LINE account to ${binding.employeeName}`,
+      data: binding
+    });
+  } catch (error) {
+    console.error('❌ Failed to approve LINE binding:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// API สำหรับ manual cache refresh (สำหรับ admin เท่านั้น)
-app.post('/api/admin/refresh-cache', authenticateAdmin, async (req, res) => {
+// ผูกบัญชีกับพนักงานคนอื่น - body: { employee_code } หรือ { employee }
+app.post('/api/admin/line-bindings/:lineUserId/reassign', authenticateAdmin, async (req, res) => {
   try {
-    console.log('🔄 Manual cache refresh initiated by admin');
-    
-    // Clear all cache
-    sheetsService.clearCache();
-    
-    // Warm critical caches
-    await sheetsService.getCachedSheetData(CONFIG.SHEETS.ON_WORK);
-    await sheetsService.getCachedSheetData(CONFIG.SHEETS.EMPLOYEES);
-    
+    const { employee, employee_code } = req.body;
+    const resolution = await sheetsService.resolveEmployee(employee, employee_code);
+    if (!resolution.employee) {
+      const response = sheetsService.unresolvedEmployeeResponse(employee || employee_code, resolution);
+      return res.status(400).json({
+        success: false,
+        error: response.message,
+        candidates: response.candidates
+      });
+    }
+
+    const binding = await sheetsService.lineBindings.reassign(req.params.lineUserId, resolution.employee, req.user.username);
+
     res.json({
       success: true,
-      message: 'Cache refreshed successfully'
+      message: `Bound LINE account to ${binding.employeeName}`,
+      data: binding
     });
   } catch (error) {
-    console.error('Cache refresh error:', error);
-    res.status(500).json({
+    console.error('❌ Failed to reassign LINE binding:', error);
+    res.status(400).json({
       success: false,
-      error: 'Failed to refresh cache'
+      error: error.message
     });
   }
 });
 
-// API สำหรับตรวจสอบสถานะ API quota
-app.get('/api/admin/quota-status', authenticateAdmin, async (req, res) => {
+// ยกเลิกการผูก - บัญชีนั้นต้องลงทะเบียนใหม่
+app.post('/api/admin/line-bindings/:lineUserId/reset', authenticateAdmin, async (req, res) => {
   try {
-    const apiStats = apiMonitor.getStats();
-    const isEmergencyMode = sheetsService.emergencyMode || false;
-    
-    // ทดสอบการเชื่อมต่อ API
-    let apiHealthy = true;
-    let lastError = null;
-    
-    try {
-      await sheetsService.getCachedSheetData(CONFIG.SHEETS.EMPLOYEES);
-    } catch (error) {
-      apiHealthy = false;
-      lastError = error.message;
+    const removed = await sheetsService.lineBindings.reset(req.params.lineUserId, req.user.username);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `LINE binding not found: ${req.params.lineUserId}`
+      });
     }
-    
+
     res.json({
       success: true,
-      data: {
-        apiHealthy,
-        emergencyMode: isEmergencyMode,
-        lastError,
-        apiStats,
-        recommendations: apiHealthy ? 
-          ['ระบบทำงานปกติ'] : 
-          [
-            'รอให้ quota reset (ภายใน 24 ชั่วโมง)',
-            'ใช้ cached data ในระยะนี้',
-            'ลดการใช้งานฟีเจอร์ที่ต้องใช้ API'
-          ]
-      }
+      message: 'LINE binding removed'
     });
   } catch (error) {
+    console.error('❌ Failed to reset LINE binding:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2331,18 +3954,39 @@ app.get('/api/admin/quota-status', authenticateAdmin, async (req, res) => {
   }
 });
 
-// API สำหรับเปิด/ปิด emergency mode
-app.post('/api/admin/emergency-mode', authenticateAdmin, async (req, res) => {
+// ออกรหัสลงทะเบียนให้พนักงาน (ผูกบัญชีได้ทันทีโดยไม่ต้องรออนุมัติ) - body: { employee_code } หรือ { employee }
+app.post('/api/admin/line-bindings/enrollment-code', authenticateAdmin, async (req, res) => {
   try {
-    const { enabled } = req.body;
-    sheetsService.setEmergencyMode(enabled);
-    
+    const { employee, employee_code } = req.body;
+    const resolution = await sheetsService.resolveEmployee(employee, employee_code);
+    if (!resolution.employee) {
+      const response = sheetsService.unresolvedEmployeeResponse(employee || employee_code, resolution);
+      return res.status(400).json({
+        success: false,
+        error: response.message,
+        candidates: response.candidates
+      });
+    }
+
+    const enrollment = sheetsService.lineBindings.issueEnrollmentCode(resolution.employee);
+
     res.json({
       success: true,
-      message: `Emergency mode ${enabled ? 'enabled' : 'disabled'}`,
-      emergencyMode: enabled
+      data: {
+        employee: resolution.employee.name,
+        employeeCode: resolution.employee.code,
+        ...enrollment
+      }
     });
   } catch (error) {
+    if (error.code === 'ENROLLMENT_DISABLED') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Failed to issue enrollment code:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2378,10 +4022,30 @@ async function startServer() {
       process.exit(1);
     }
 
-    // เริ่มต้น Google Sheets Service
-    console.log('📊 Initializing Google Sheets Service...');
+    // เริ่มต้น Google Sheets Service (storage ตาม CONFIG.STORAGE.DRIVER)
+    console.log(`📊 Initializing Google Sheets Service (storage: ${CONFIG.STORAGE.DRIVER})...`);
     await sheetsService.initialize();
     console.log('✅ Google Sheets Service initialized successfully');
+
+    // ตรวจ header ของทุก sheet เทียบกับ schema ที่ประกาศไว้
+    if (CONFIG.SCHEMA_CHECK !== 'off') {
+      const schemaReport = await sheetsService.storage.validateSchema();
+      schemaReport.sheets.forEach(result => {
+        result.warnings.forEach(warning => console.warn(`⚠️ Schema ${result.sheet}: ${warning}`));
+        result.errors.forEach(error => console.error(`❌ Schema ${result.sheet}: ${error}`));
+      });
+
+      if (!schemaReport.valid) {
+        console.error('❌ Sheet schema mismatch - run "npm run migrate-schema" to add missing columns/headers');
+        if (CONFIG.SCHEMA_CHECK === 'strict') {
+          console.error('❌ Server startup aborted (set SCHEMA_CHECK=warn to start anyway)');
+          process.exit(1);
+        }
+        console.warn('⚠️ Starting anyway (SCHEMA_CHECK=warn) - features that read the missing columns may fail');
+      } else {
+        console.log('✅ Sheet schema validated');
+      }
+    }
     
     // เริ่มต้น Keep-Alive Service
     if (CONFIG.RENDER.KEEP_ALIVE_ENABLED) {
@@ -2391,16 +4055,12 @@ async function startServer() {
       console.log('⚠️ Keep-Alive Service is disabled');
     }
 
-    // ตั้งค่า cron job สำหรับตรวจสอบลืมลงเวลาออก (ทุกวันเวลา 23:59:59)
-    cron.schedule('59 59 23 * * *', async () => {
-      console.log('🕚 Running daily missed checkout check at 23:59:59...');
+    // ลงเวลาออกอัตโนมัติตามกะของแต่ละรายการ (ตรวจเป็นระยะ ปิดเฉพาะรายการที่เลยกำหนด)
+    cron.schedule(CONFIG.AUTO_CHECKOUT.CRON, async () => {
       try {
         const result = await sheetsService.checkAndHandleMissedCheckouts();
-        console.log(`✅ Missed checkout check completed: ${result.processedCount} employees processed`);
-        
-        // ส่งการแจ้งเตือนถ้ามีการประมวลผล
-        if (result.processedCount > 0) {
-          console.log(`📱 Auto-processed ${result.processedCount} missed checkouts`);
+        if (result.processedCount > 0 || result.flaggedCount > 0) {
+          console.log(`📱 Auto checkout: ${result.processedCount} closed, ${result.flaggedCount} flagged`);
         }
       } catch (error) {
         console.error('❌ Error in missed checkout check:', error);
@@ -2410,6 +4070,44 @@ async function startServer() {
       timezone: CONFIG.TIMEZONE
     });
 
+    // ตั้งค่า cron job สำหรับตรวจความสอดคล้องของ ON WORK และ MAIN (รายงานอย่างเดียว ไม่ซ่อมเอง)
+    if (CONFIG.RECONCILER.ENABLED) {
+      cron.schedule(CONFIG.RECONCILER.CRON, async () => {
+        console.log('🔍 Running nightly ON WORK/MAIN consistency check...');
+        try {
+          const report = await sheetsService.getReconcileReport();
+          await sheetsService.reconciler.log({ type: 'report', fingerprint: report.fingerprint, counts: report.counts });
+
+          if (report.issues.length > 0) {
+            console.warn(`⚠️ Found ${report.issues.length} inconsistencies:`, report.counts);
+          } else {
+            console.log('✅ ON WORK and MAIN are consistent');
+          }
+        } catch (error) {
+          console.error('❌ Error in consistency check:', error);
+        }
+      }, {
+        scheduled: true,
+        timezone: CONFIG.TIMEZONE
+      });
+    }
+
+    // ตั้งค่า cron job สำหรับย้ายเดือนที่ปิดแล้วออกจาก MAIN
+    if (CONFIG.ARCHIVE.ENABLED) {
+      cron.schedule(CONFIG.ARCHIVE.CRON, async () => {
+        console.log('🗄️ Running monthly archive job...');
+        try {
+          const result = await sheetsService.archiveClosedMonths();
+          console.log(`✅ Archive job completed: ${result.archivedCount} records moved`);
+        } catch (error) {
+          console.error('❌ Error in archive job:', error);
+        }
+      }, {
+        scheduled: true,
+        timezone: CONFIG.TIMEZONE
+      });
+    }
+
     // เริ่มต้นเซิร์ฟเวอร์
     const server = app.listen(PORT, () => {
       console.log('🎉 Server Started Successfully!');
@@ -2444,5 +4142,15 @@ async function startServer() {
   }
 }
 
-// เรียกใช้ฟังก์ชัน startServer
-startServer();
\ No newline at end of file
+// เรียกใช้ฟังก์ชัน startServer เมื่อรันไฟล์นี้โดยตรง (test จะ require เพื่อใช้ service เท่านั้น)
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  sheetsService,
+  apiMonitor,
+  GoogleSheetsService,
+  calculateWorkingHours
+};
@@ -0,0 +1,73 @@
+// services/autoCheckout.js - กำหนดเวลาลงเวลาออกอัตโนมัติของรายการที่ค้างอยู่ตามกะและนโยบาย
+const datetime = require('./datetime');
+
+const POLICIES = ['shift_end', 'cutoff', 'flag'];
+
+function normalizePolicy(value) {
+  const policy = (value || '').toString().trim().toLowerCase();
+  return POLICIES.includes(policy) ? policy : null;
+}
+
+/**
+ * นโยบายของรายการนี้: ตั้งรายคนใน EMPLOYEES ก่อน แล้วจึงรายกะใน SHIFTS แล้วค่าเริ่มต้น
+ * @param {Object} employee
+ * @param {Object|null} schedule - ผลของ expectedSchedule()
+ * @param {string} defaultPolicy
+ * @returns {string}
+ */
+function resolvePolicy(employee, schedule, defaultPolicy) {
+  return normalizePolicy(employee && employee.autoCheckout) ||
+    normalizePolicy(schedule && schedule.shift && schedule.shift.autoCheckout) ||
+    defaultPolicy;
+}
+
+// เวลาตัดรอบของวันที่เข้างาน (เข้างานหลังเวลาตัดรอบ ใช้ของวันถัดไป)
+function cutoffFor(clockIn, { cutoffHour, cutoffMinute }) {
+  const cutoff = clockIn.clone().set({ hour: cutoffHour, minute: cutoffMinute, second: 59, millisecond: 0 });
+  return cutoff.isBefore(clockIn) ? cutoff.add(1, 'day') : cutoff;
+}
+
+/**
+ * วางแผนลงเวลาออกอัตโนมัติของรายการที่ค้างอยู่หนึ่งรายการ
+ * - shift_end: ครบกำหนดเมื่อเลยเวลาเลิกกะ + graceMinutes และลงเวลาออกเป็นเวลาเลิกกะ
+ *   (ไม่มีกะ หรือเข้างานหลังเลิกกะแล้ว ใช้เวลาตัดรอบแทน)
+ * - cutoff: ครบกำหนดและลงเวลาออกที่เวลาตัดรอบของวันที่เข้างาน
+ * - flag: ครบกำหนดแบบ shift_end แต่ไม่ปิดรายการ
+ * @param {Object} options
+ * @param {*} options.clockIn
+ * @param {Object|null} options.schedule - กะที่รายการนี้นับอยู่ (getScheduleAt)
+ * @param {string} options.policy
+ * @param {moment.Moment} options.now
+ * @param {number} options.graceMinutes
+ * @param {number} options.cutoffHour
+ * @param {number} options.cutoffMinute
+ * @returns {{due: boolean, action: 'close'|'flag', policy: string, clockOut: string, dueAt: string}|null} null ถ้าอ่านเวลาเข้าไม่ได้
+ */
+function planAutoCheckout({ clockIn, schedule, policy, now, graceMinutes, cutoffHour, cutoffMinute }) {
+  const clockInTime = datetime.parseTimestamp(clockIn);
+  if (!clockInTime) return null;
+
+  let clockOut = cutoffFor(clockInTime, { cutoffHour, cutoffMinute });
+  let dueAt = clockOut;
+
+  const shiftEnd = schedule && schedule.working ? datetime.parseTimestamp(schedule.expectedEnd) : null;
+  if (policy !== 'cutoff' && shiftEnd && shiftEnd.isAfter(clockInTime)) {
+    clockOut = shiftEnd;
+    dueAt = shiftEnd.clone().add(graceMinutes, 'minutes');
+  }
+
+  return {
+    due: !now.isBefore(dueAt),
+    action: policy === 'flag' ? 'flag' : 'close',
+    policy,
+    clockOut: datetime.formatForSheet(clockOut),
+    dueAt: datetime.formatForSheet(dueAt)
+  };
+}
+
+module.exports = {
+  POLICIES,
+  normalizePolicy,
+  resolvePolicy,
+  planAutoCheckout
+};
@@ -0,0 +1,194 @@
+// services/breaks.js - เวลาพักระหว่างลงเวลาเข้าและออก (BREAKS) และชั่วโมงทำงานสุทธิ
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const datetime = require('./datetime');
+const SheetCache = require('./sheetCache');
+const { text } = require('./sheetValues');
+
+function breakError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * แถวของ BREAKS -> ช่วงพัก
+ * @param {Object} record - { id, recordId, employeeCode, employeeName, start, end }
+ */
+function toBreak(record) {
+  return {
+    id: text(record.id),
+    recordId: text(record.recordId),
+    employeeCode: text(record.employeeCode),
+    employeeName: text(record.employeeName),
+    start: text(record.start),
+    end: text(record.end)
+  };
+}
+
+/**
+ * สรุปเวลาพักของรายการลงเวลาหนึ่งรายการ
+ * - ช่วงพักถูกตัดให้อยู่ระหว่างเวลาเข้าและเวลาออก (ยังไม่จบพัก = พักถึงเวลาออก)
+ * - ไม่ได้บันทึกพักเลยและอยู่งานตั้งแต่ autoDeductAfterHours ชั่วโมง หักพัก autoDeductMinutes นาที
+ * @param {Object[]} breaks - ช่วงพักของรายการนี้ (toBreak)
+ * @param {Object} options
+ * @param {*} options.clockIn
+ * @param {*} [options.clockOut] - ไม่ให้ = เวลาปัจจุบัน (ยังทำงานอยู่ ไม่หักอัตโนมัติ)
+ * @param {number} [options.autoDeductMinutes]
+ * @param {number} [options.autoDeductAfterHours]
+ * @returns {{breakMinutes: number, auto: boolean, onBreak: boolean, label: string}}
+ */
+function summarizeBreaks(breaks, { clockIn, clockOut, autoDeductMinutes = 0, autoDeductAfterHours = 0 }) {
+  const from = datetime.parseTimestamp(clockIn);
+  const to = clockOut ? datetime.parseTimestamp(clockOut) : datetime.now();
+  if (!from || !to) {
+    return { breakMinutes: 0, auto: false, onBreak: false, label: '' };
+  }
+
+  const intervals = breaks
+    .map(entry => {
+      const start = datetime.parseTimestamp(entry.start);
+      const end = entry.end ? datetime.parseTimestamp(entry.end) : null;
+      if (!start) return null;
+      return {
+        start: moment.max(start, from),
+        end: end && end.isBefore(to) ? end : to,
+        open: !entry.end
+      };
+    })
+    .filter(interval => interval && interval.end.isAfter(interval.start))
+    .sort((a, b) => a.start.valueOf() - b.start.valueOf());
+
+  const onBreak = !clockOut && breaks.some(entry => !entry.end);
+  if (breaks.length === 0) {
+    const grossHours = to.diff(from, 'hours', true);
+    if (clockOut && autoDeductMinutes > 0 && grossHours >= autoDeductAfterHours) {
+      return { breakMinutes: autoDeductMinutes, auto: true, onBreak, label: `หักอัตโนมัติ ${autoDeductMinutes} นาที` };
+    }
+  }
+
+  const milliseconds = intervals.reduce((sum, interval) => sum + interval.end.diff(interval.start), 0);
+  return {
+    breakMinutes: Math.round(milliseconds / 60000),
+    auto: false,
+    onBreak,
+    label: intervals.map(interval => `${interval.start.format('HH:mm')}-${interval.open && !clockOut ? '' : interval.end.format('HH:mm')}`).join(', ')
+  };
+}
+
+// field ของ MAIN ที่เก็บผลสรุปเวลาพัก
+function toBreakFields(summary) {
+  return {
+    breakMinutes: String(summary.breakMinutes),
+    breaks: summary.label
+  };
+}
+
+class BreakService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {number} options.autoDeductMinutes - นาทีที่หักเมื่อไม่ได้บันทึกพัก (0 = ไม่หัก)
+   * @param {number} options.autoDeductAfterHours - หักเมื่ออยู่งานตั้งแต่กี่ชั่วโมง
+   */
+  constructor(storage, { autoDeductMinutes, autoDeductAfterHours }) {
+    this.storage = storage;
+    this.autoDeductMinutes = autoDeductMinutes;
+    this.autoDeductAfterHours = autoDeductAfterHours;
+    this.cache = new SheetCache({ breaks: 60000 }); // 1 นาที
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - อ่านล่าสุดแทน cache (ใช้ก่อนเขียน)
+   */
+  async getBreaks({ fresh = false } = {}) {
+    if (fresh) this.cache.invalidate('breaks');
+    return this.cache.get('breaks', async () =>
+      (await this.storage.getBreaks()).map(toBreak).filter(entry => entry.id)
+    );
+  }
+
+  async getRecordBreaks(recordId, options) {
+    return (await this.getBreaks(options)).filter(entry => entry.recordId === recordId);
+  }
+
+  /**
+   * เริ่มพัก
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {Object} workRecord - รายการที่กำลังทำงาน ({ recordId, clockIn })
+   * @param {string} time - เวลาในรูปแบบของ sheet
+   * @throws {Error} code 'BREAK_IN_PROGRESS' | 'INVALID_BREAK' (รวมเวลาที่อ่านไม่ได้)
+   */
+  async startBreak(employee, workRecord, time) {
+    const breaks = await this.getRecordBreaks(workRecord.recordId, { fresh: true });
+    if (breaks.some(entry => !entry.end)) {
+      throw breakError('BREAK_IN_PROGRESS', 'คุณกำลังพักอยู่ กรุณากดจบการพักก่อน');
+    }
+    const latestEnd = breaks.map(entry => datetime.parseTimestamp(entry.end)).filter(Boolean).sort((a, b) => b.valueOf() - a.valueOf())[0];
+    const start = datetime.parseTimestamp(time);
+    if (!start) {
+      throw breakError('INVALID_BREAK', 'รูปแบบเวลาไม่ถูกต้อง');
+    }
+    if (start.isBefore(datetime.parseTimestamp(workRecord.clockIn)) || (latestEnd && start.isBefore(latestEnd))) {
+      throw breakError('INVALID_BREAK', 'เวลาเริ่มพักต้องอยู่หลังเวลาเข้างานและการพักครั้งก่อน');
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      recordId: workRecord.recordId,
+      employeeCode: employee.code || '',
+      employeeName: employee.name,
+      start: time,
+      end: ''
+    };
+    await this.storage.saveBreak(entry);
+    this.cache.update('breaks', entries => [...entries, entry]);
+    console.log(`☕ Break started: ${employee.name} at ${time} (record ${workRecord.recordId})`);
+    return entry;
+  }
+
+  /**
+   * จบการพักที่เริ่มไว้
+   * @throws {Error} code 'NOT_ON_BREAK' | 'INVALID_BREAK'
+   */
+  async endBreak(employee, workRecord, time) {
+    const open = (await this.getRecordBreaks(workRecord.recordId, { fresh: true })).find(entry => !entry.end);
+    if (!open) {
+      throw breakError('NOT_ON_BREAK', 'คุณยังไม่ได้เริ่มพัก');
+    }
+    const end = datetime.parseTimestamp(time);
+    if (!end) {
+      throw breakError('INVALID_BREAK', 'รูปแบบเวลาไม่ถูกต้อง');
+    }
+    if (end.isBefore(datetime.parseTimestamp(open.start))) {
+      throw breakError('INVALID_BREAK', 'เวลาจบการพักต้องอยู่หลังเวลาเริ่มพัก');
+    }
+
+    const entry = { ...open, end: time };
+    await this.storage.saveBreak(entry);
+    this.cache.update('breaks', entries => entries.map(e => (e.id === entry.id ? entry : e)));
+    console.log(`☕ Break ended: ${employee.name} at ${time} (record ${workRecord.recordId})`);
+    return entry;
+  }
+
+  /**
+   * สรุปเวลาพักของรายการตามกฎของระบบ (ดู summarizeBreaks)
+   * @param {Object[]} breaks - ช่วงพักของรายการนี้
+   * @param {Object} times - { clockIn, clockOut }
+   */
+  summarize(breaks, times) {
+    return summarizeBreaks(breaks, {
+      ...times,
+      autoDeductMinutes: this.autoDeductMinutes,
+      autoDeductAfterHours: this.autoDeductAfterHours
+    });
+  }
+}
+
+module.exports = {
+  BreakService,
+  toBreak,
+  summarizeBreaks,
+  toBreakFields
+};
@@ -0,0 +1,127 @@
+// services/datetime.js - แปลงและจัดรูปแบบเวลาที่บันทึกใน sheet (ใช้ร่วมกันทั้งระบบ, เวลาไทย)
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+
+// รูปแบบที่ clockIn()/clockOut() เขียนลง sheet
+const SHEET_FORMAT = 'DD/MM/YYYY HH:mm:ss';
+
+const THAI_MONTHS = [
+  'มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
+  'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'
+];
+
+// รูปแบบข้อความที่พบใน sheet (ข้อมูลเก่าบางส่วนเขียนเป็น YYYY-MM-DD)
+const TEXT_FORMATS = [
+  { pattern: /^\d{1,2}\/\d{1,2}\/\d{4}( \d{1,2}:\d{2}(:\d{2})?)?$/, format: 'D/M/YYYY H:mm:ss' },
+  { pattern: /^\d{4}-\d{2}-\d{2}( \d{1,2}:\d{2}(:\d{2})?)?$/, format: 'YYYY-MM-DD H:mm:ss' }
+];
+
+/**
+ * แปลงเวลาที่เก็บไว้ทุกรูปแบบเป็น moment ในเขตเวลาไทย
+ * รองรับ 'DD/MM/YYYY HH:mm:ss' (ปี ค.ศ. หรือ พ.ศ.), 'YYYY-MM-DD HH:mm:ss', ISO, Date, moment และ timestamp (ms)
+ * @param {*} value
+ * @returns {moment.Moment|null} null ถ้าไม่มีค่าหรืออ่านไม่ได้
+ */
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let parsed;
+  if (moment.isMoment(value) || value instanceof Date || typeof value === 'number') {
+    parsed = moment(value).tz(CONFIG.TIMEZONE);
+  } else {
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    const known = TEXT_FORMATS.find(entry => entry.pattern.test(text));
+
+    if (known) {
+      parsed = moment.tz(text, known.format, CONFIG.TIMEZONE);
+      // sheet ที่ตั้ง locale ไทยอาจแสดงปีเป็น พ.ศ.
+      if (parsed.isValid() && parsed.year() > 2400) {
+        parsed.subtract(543, 'years');
+      }
+    } else {
+      // ISO ที่ไม่มี offset ถือว่าเป็นเวลาไทย
+      parsed = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text)
+        ? moment(text, moment.ISO_8601).tz(CONFIG.TIMEZONE)
+        : moment.tz(text, moment.ISO_8601, CONFIG.TIMEZONE);
+    }
+  }
+
+  return parsed.isValid() ? parsed : null;
+}
+
+// เวลาปัจจุบัน (เวลาไทย)
+function now() {
+  return moment().tz(CONFIG.TIMEZONE);
+}
+
+// จัดรูปแบบสำหรับเขียนลง sheet
+function formatForSheet(value = now()) {
+  const parsed = parseTimestamp(value);
+  return parsed ? parsed.format(SHEET_FORMAT) : '';
+}
+
+// 'YYYY-MM-DD' ของเวลานั้น (ใช้เทียบวัน)
+function toDateKey(value) {
+  const parsed = parseTimestamp(value);
+  return parsed ? parsed.format('YYYY-MM-DD') : null;
+}
+
+// 'YYYY-MM' ของเวลานั้น (ใช้แบ่ง partition รายเดือน)
+function toMonthKey(value) {
+  const parsed = parseTimestamp(value);
+  return parsed ? parsed.format('YYYY-MM') : null;
+}
+
+function formatDate(value) {
+  const parsed = parseTimestamp(value);
+  return parsed ? parsed.format('DD/MM/YYYY') : '';
+}
+
+function formatTime(value, format = 'HH:mm:ss') {
+  const parsed = parseTimestamp(value);
+  return parsed ? parsed.format(format) : '';
+}
+
+/**
+ * ชื่อเดือนภาษาไทยพร้อมปี พ.ศ. เช่น 'มิถุนายน 2568'
+ * @param {number} month - 1-12
+ * @param {number} year - ปี ค.ศ.
+ * @returns {string}
+ */
+function formatThaiMonth(month, year) {
+  return `${THAI_MONTHS[month - 1]} ${year + 543}`;
+}
+
+// วันที่แบบไทย เช่น '26 มิถุนายน 2568'
+function formatThaiDate(value) {
+  const parsed = parseTimestamp(value);
+  return parsed ? `${parsed.date()} ${formatThaiMonth(parsed.month() + 1, parsed.year())}` : '';
+}
+
+/**
+ * จำนวนชั่วโมงระหว่างสองเวลา (ทศนิยม)
+ * @param {*} start
+ * @param {*} [end] - ถ้าไม่ให้จะใช้เวลาปัจจุบัน
+ * @returns {number|null} null ถ้าอ่านเวลาไม่ได้
+ */
+function hoursBetween(start, end = null) {
+  const startMoment = parseTimestamp(start);
+  const endMoment = end === null ? now() : parseTimestamp(end);
+  if (!startMoment || !endMoment) return null;
+  return endMoment.diff(startMoment, 'hours', true);
+}
+
+module.exports = {
+  SHEET_FORMAT,
+  THAI_MONTHS,
+  parseTimestamp,
+  now,
+  formatForSheet,
+  toDateKey,
+  toMonthKey,
+  formatDate,
+  formatTime,
+  formatThaiMonth,
+  formatThaiDate,
+  hoursBetween
+};
@@ -0,0 +1,251 @@
+// services/duty.js - ไปราชการ/อบรม/ปฏิบัติงานนอกสถานที่ (DUTIES) และการอนุมัติ
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+const SheetCache = require('./sheetCache');
+const { isSameEmployee } = require('./employees');
+const { text, normalizeDate, overlaps } = require('./sheetValues');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// รายการที่ยังจองช่วงวันที่ไว้ (ขอซ้ำช่วงเดิมไม่ได้)
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+function dutyError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function toDutyType(raw) {
+  return { code: text(raw.code).toUpperCase(), name: text(raw.name) };
+}
+
+/**
+ * แถวของ DUTIES -> รายการไปราชการ
+ * @returns {{id, employeeCode, employeeName, type, startDate: string|null, endDate: string|null, destination, purpose,
+ *            status, requestedAt, requestedBy, decidedBy, decidedAt, decisionNote}}
+ */
+function toDuty(raw) {
+  const status = text(raw.status).toLowerCase();
+  return {
+    id: text(raw.id),
+    employeeCode: text(raw.employeeCode),
+    employeeName: text(raw.employeeName),
+    type: text(raw.type).toUpperCase(),
+    startDate: normalizeDate(raw.startDate),
+    endDate: normalizeDate(raw.endDate),
+    destination: text(raw.destination),
+    purpose: text(raw.purpose),
+    status: STATUSES.includes(status) ? status : 'pending',
+    requestedAt: text(raw.requestedAt),
+    requestedBy: text(raw.requestedBy),
+    decidedBy: text(raw.decidedBy),
+    decidedAt: text(raw.decidedAt),
+    decisionNote: text(raw.decisionNote)
+  };
+}
+
+function toDutyRecord(duty) {
+  return { ...duty, startDate: duty.startDate || '', endDate: duty.endDate || '' };
+}
+
+/**
+ * field ใน MAIN ของรายการลงเวลาในวันที่ไปราชการ - ไม่ประเมินมาสาย/กลับก่อน
+ * @param {Object} duty - รายการที่อนุมัติแล้ว + { typeName }
+ */
+function toDutyFields(duty) {
+  return {
+    dutyId: duty.id,
+    lateMinutes: '',
+    earlyLeaveMinutes: '',
+    attendanceTag: `${duty.typeName}: ${duty.destination}`
+  };
+}
+
+function ownedBy(duty, employee) {
+  return isSameEmployee({ code: duty.employeeCode || null, names: [duty.employeeName] }, employee);
+}
+
+class DutyService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {Object[]} options.types - ประเภท { code, name }
+   * @param {number} options.maxDaysPerRequest - ช่วงวันที่สูงสุดของรายการหนึ่งรายการ
+   */
+  constructor(storage, { types, maxDaysPerRequest }) {
+    this.storage = storage;
+    this.types = types.map(toDutyType);
+    this.maxDaysPerRequest = maxDaysPerRequest;
+    this.cache = new SheetCache({ duties: 60000 }); // 1 นาที
+  }
+
+  getTypes() {
+    return this.types;
+  }
+
+  typeName(code) {
+    const type = this.types.find(entry => entry.code === code);
+    return type ? type.name : code;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - อ่านล่าสุดแทน cache (ใช้ก่อนเขียน)
+   */
+  async getDuties({ fresh = false } = {}) {
+    if (fresh) this.cache.invalidate('duties');
+    return this.cache.get('duties', async () =>
+      (await this.storage.getDuties()).map(toDuty).filter(duty => duty.id)
+    );
+  }
+
+  async getEmployeeDuties(employee, options) {
+    return (await this.getDuties(options)).filter(duty => ownedBy(duty, employee));
+  }
+
+  /**
+   * ขอไปราชการ - พนักงานขอเอง = รออนุมัติ, ผู้ดูแลบันทึกให้ (approvedBy) = อนุมัติทันที
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {Object} input - { type, startDate, endDate?, destination, purpose? }
+   * @param {Object} meta
+   * @param {string} meta.requestedAt - เวลาในรูปแบบของ sheet
+   * @param {string} [meta.requestedBy] - ชื่อผู้ใช้ของผู้บันทึก (ว่าง = พนักงานขอเอง)
+   * @param {string} [meta.approvedBy] - อนุมัติทันทีในชื่อผู้ใช้นี้
+   * @throws {Error} code 'INVALID_DUTY' | 'DUTY_OVERLAP'
+   */
+  async request(employee, input, { requestedAt, requestedBy = '', approvedBy = '' }) {
+    const type = this.types.find(entry => entry.code === text(input.type || this.types[0].code).toUpperCase());
+    const startDate = normalizeDate(input.startDate);
+    const endDate = text(input.endDate) ? normalizeDate(input.endDate) : startDate;
+    const destination = text(input.destination);
+
+    const errors = [];
+    if (!type) errors.push(`ประเภทต้องเป็น ${this.types.map(entry => `${entry.code} (${entry.name})`).join(', ')}`);
+    if (!startDate) errors.push('กรุณาระบุวันที่เริ่ม');
+    if (text(input.endDate) && !endDate) errors.push('วันที่สิ้นสุดไม่ถูกต้อง');
+    if (startDate && endDate) {
+      if (endDate < startDate) errors.push('วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่ม');
+      else if (moment.tz(endDate, 'YYYY-MM-DD', CONFIG.TIMEZONE).diff(moment.tz(startDate, 'YYYY-MM-DD', CONFIG.TIMEZONE), 'days') >= this.maxDaysPerRequest) {
+        errors.push(`ระบุได้ไม่เกิน ${this.maxDaysPerRequest} วันต่อรายการ`);
+      }
+    }
+    if (!destination) errors.push('กรุณาระบุสถานที่ไป');
+    if (errors.length > 0) {
+      throw dutyError('INVALID_DUTY', errors.join('; '), errors);
+    }
+
+    const duties = await this.getEmployeeDuties(employee, { fresh: true });
+    const overlapping = duties.find(duty => ACTIVE_STATUSES.includes(duty.status) && overlaps(duty, startDate, endDate));
+    if (overlapping) {
+      throw dutyError('DUTY_OVERLAP', `มีรายการไปราชการในช่วงวันที่นี้แล้ว (${overlapping.startDate} - ${overlapping.endDate})`);
+    }
+
+    const duty = {
+      id: crypto.randomUUID(),
+      employeeCode: employee.code || '',
+      employeeName: employee.name,
+      type: type.code,
+      startDate,
+      endDate,
+      destination,
+      purpose: text(input.purpose),
+      status: approvedBy ? 'approved' : 'pending',
+      requestedAt,
+      requestedBy,
+      decidedBy: approvedBy,
+      decidedAt: approvedBy ? requestedAt : '',
+      decisionNote: ''
+    };
+    await this.storage.saveDuty(toDutyRecord(duty));
+    this.cache.update('duties', entries => [...entries, duty]);
+    console.log(`🚗 Duty ${duty.status}: ${employee.name} ${type.code} ${startDate}${endDate !== startDate ? ` - ${endDate}` : ''} → ${destination}`);
+    return duty;
+  }
+
+  async findDuty(id) {
+    const duty = (await this.getDuties({ fresh: true })).find(entry => entry.id === id);
+    if (!duty) {
+      throw dutyError('DUTY_NOT_FOUND', `Duty not found: ${id}`);
+    }
+    return duty;
+  }
+
+  /**
+   * อนุมัติหรือไม่อนุมัติรายการที่รออนุมัติ
+   * @param {string} id
+   * @param {Object} decision - { approve: boolean, note? }
+   * @param {string} decidedBy - ชื่อผู้ใช้ของผู้พิจารณา
+   * @param {string} decidedAt - เวลาในรูปแบบของ sheet
+   * @throws {Error} code 'DUTY_NOT_FOUND' | 'DUTY_ALREADY_DECIDED'
+   */
+  async decide(id, { approve, note }, decidedBy, decidedAt) {
+    const duty = await this.findDuty(id);
+    if (duty.status !== 'pending') {
+      throw dutyError('DUTY_ALREADY_DECIDED', `Duty ${id} is already ${duty.status}`);
+    }
+
+    return this.updateDuty({
+      ...duty,
+      status: approve ? 'approved' : 'rejected',
+      decidedBy,
+      decidedAt,
+      decisionNote: text(note)
+    });
+  }
+
+  /**
+   * พนักงานยกเลิกรายการของตัวเองที่ยังรออนุมัติ
+   * @throws {Error} code 'DUTY_NOT_FOUND' | 'DUTY_ALREADY_DECIDED'
+   */
+  async cancel(employee, id) {
+    const duty = await this.findDuty(id);
+    if (!ownedBy(duty, employee)) {
+      throw dutyError('DUTY_NOT_FOUND', 'ไม่พบรายการไปราชการนี้');
+    }
+    if (duty.status !== 'pending') {
+      throw dutyError('DUTY_ALREADY_DECIDED', 'รายการนี้ได้รับการพิจารณาแล้ว ยกเลิกไม่ได้');
+    }
+    return this.updateDuty({ ...duty, status: 'cancelled' });
+  }
+
+  async updateDuty(duty) {
+    await this.storage.saveDuty(toDutyRecord(duty));
+    this.cache.update('duties', entries => entries.map(entry => (entry.id === duty.id ? duty : entry)));
+    console.log(`🚗 Duty ${duty.status}: ${duty.employeeName} ${duty.type} ${duty.startDate} (${duty.id})`);
+    return duty;
+  }
+
+  /**
+   * รายการไปราชการที่อนุมัติแล้วของพนักงานในวันนั้น + { typeName } (null = ไม่มี)
+   * @param {Object} employee
+   * @param {*} date - 'YYYY-MM-DD' หรือรูปแบบที่ datetime อ่านได้
+   */
+  async getApprovedDuty(employee, date) {
+    const dateKey = normalizeDate(date);
+    if (!dateKey) return null;
+    const duty = (await this.getEmployeeDuties(employee))
+      .find(entry => entry.status === 'approved' && overlaps(entry, dateKey, dateKey));
+    return duty ? { ...duty, typeName: this.typeName(duty.type) } : null;
+  }
+
+  /**
+   * รายการที่อนุมัติแล้วในช่วงวันที่
+   * @param {string} startDate - 'YYYY-MM-DD'
+   * @param {string} endDate - 'YYYY-MM-DD'
+   * @returns {Promise<Object[]>} รายการ + { typeName }
+   */
+  async getApprovedDuties(startDate, endDate) {
+    return (await this.getDuties())
+      .filter(duty => duty.status === 'approved' && overlaps(duty, startDate, endDate))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.employeeName.localeCompare(b.employeeName, 'th'))
+      .map(duty => ({ ...duty, typeName: this.typeName(duty.type) }));
+  }
+}
+
+module.exports = {
+  DutyService,
+  toDuty,
+  toDutyFields
+};
@@ -0,0 +1,278 @@
+// services/employeeAdmin.js - เพิ่ม/แก้ไข/ปิดใช้งานพนักงานใน EMPLOYEES และนำเข้าจากไฟล์ Excel
+const ExcelJS = require('exceljs');
+const { SHEET_SCHEMAS } = require('./storage/schema');
+const { POLICIES } = require('./autoCheckout');
+const {
+  EMPLOYMENT_TYPES,
+  toEmployee,
+  toEmployeeRecord,
+  normalizeName,
+  resolveEmployee,
+  identityKey
+} = require('./employees');
+
+const CODE_PATTERN = /^\d{2,}$/;
+// field ที่แก้ไขผ่าน API ได้ (ชื่อเดิมระบบเก็บให้เองเมื่อเปลี่ยนชื่อ)
+const EDITABLE_FIELDS = ['name', 'code', 'department', 'position', 'employmentType', 'active', 'startDate', 'autoCheckout'];
+
+function employeeError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value.toString().trim() !== '';
+}
+
+class EmployeeAdmin {
+  /**
+   * @param {Object} storage - storage adapter
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // อ่านจาก storage โดยตรง - ตรวจค่าซ้ำกับข้อมูลล่าสุดเสมอ
+  async list() {
+    return this.storage.getEmployees();
+  }
+
+  /**
+   * หาพนักงานจากรหัส หรือชื่อที่ตรงทั้งชื่อ
+   * @param {Object[]} employees
+   * @param {string} ref
+   * @returns {Object}
+   * @throws {Error} code 'EMPLOYEE_NOT_FOUND'
+   */
+  find(employees, ref) {
+    const { employee } = resolveEmployee(employees, { name: ref });
+    if (!employee) {
+      throw employeeError('EMPLOYEE_NOT_FOUND', `Employee not found: ${ref}`);
+    }
+    return employee;
+  }
+
+  /**
+   * รวมค่าที่ส่งมากับข้อมูลเดิมแล้วตรวจความถูกต้อง
+   * @param {Object} input - field ตาม EDITABLE_FIELDS
+   * @param {Object|null} current - พนักงานเดิม (null = เพิ่มใหม่)
+   * @param {Object[]} employees - พนักงานทั้งหมด (ใช้ตรวจรหัส/ชื่อซ้ำ)
+   * @returns {{employee: Object, errors: string[]}}
+   */
+  build(input, current, employees) {
+    const errors = [];
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) changes[field] = input[field];
+    });
+
+    const employee = toEmployee({ ...(current ? toEmployeeRecord(current) : {}), ...changes });
+
+    if (!employee.name) {
+      errors.push('name is required');
+    }
+    if ([employee.name, employee.department, employee.position].some(value => value.startsWith('='))) {
+      errors.push('values must not start with "="');
+    }
+
+    if (!current && !employee.code) {
+      errors.push('code is required');
+    } else if (employee.code && !CODE_PATTERN.test(employee.code)) {
+      errors.push(`code "${employee.code}" must be digits only`);
+    }
+    if (current && current.code && employee.code !== current.code) {
+      errors.push(`code cannot be changed (${current.code})`);
+    }
+
+    if (employee.employmentType && !EMPLOYMENT_TYPES.includes(employee.employmentType)) {
+      errors.push(`employmentType must be one of: ${EMPLOYMENT_TYPES.join(', ')}`);
+    }
+    if (employee.autoCheckout && !POLICIES.includes(employee.autoCheckout)) {
+      errors.push(`autoCheckout must be one of: ${POLICIES.join(', ')} (or empty)`);
+    }
+    if (hasValue(changes.startDate) && !employee.startDate) {
+      errors.push(`startDate "${changes.startDate}" is not a valid date`);
+    }
+
+    // รหัสและชื่อต้องไม่ซ้ำกับพนักงานคนอื่น
+    const others = current
+      ? employees.filter(other => identityKey(other) !== identityKey(current))
+      : employees;
+    if (employee.code && others.some(other => other.code === employee.code)) {
+      errors.push(`code "${employee.code}" is already used`);
+    }
+    if (employee.name && others.some(other => normalizeName(other.name) === normalizeName(employee.name))) {
+      errors.push(`name "${employee.name}" is already used`);
+    }
+
+    // เปลี่ยนชื่อ: เก็บชื่อเดิมไว้ให้ข้อมูลเก่ายังจับคู่กับพนักงานคนนี้ได้
+    if (current && employee.name && normalizeName(employee.name) !== normalizeName(current.name)) {
+      employee.previousNames = [...current.previousNames, current.name]
+        .filter((name, index, names) =>
+          normalizeName(name) !== normalizeName(employee.name) &&
+          names.findIndex(other => normalizeName(other) === normalizeName(name)) === index
+        );
+    }
+
+    return { employee, errors };
+  }
+
+  async save(changes) {
+    const results = await this.storage.saveEmployees(
+      changes.map(({ current, employee }) => ({ match: current, record: toEmployeeRecord(employee) }))
+    );
+    if (results.some(result => !result.created && !result.updated)) {
+      throw employeeError('EMPLOYEE_NOT_FOUND', 'Employee row not found while saving, please reload and try again');
+    }
+  }
+
+  async create(input) {
+    const employees = await this.list();
+    const { employee, errors } = this.build(input, null, employees);
+    if (errors.length > 0) {
+      throw employeeError('INVALID_EMPLOYEE', errors.join('; '), errors);
+    }
+
+    await this.save([{ current: null, employee }]);
+    console.log(`👤 Employee created: ${employee.code}-${employee.name}`);
+    return employee;
+  }
+
+  async update(ref, input) {
+    const employees = await this.list();
+    const current = this.find(employees, ref);
+    const { employee, errors } = this.build(input, current, employees);
+    if (errors.length > 0) {
+      throw employeeError('INVALID_EMPLOYEE', errors.join('; '), errors);
+    }
+
+    await this.save([{ current, employee }]);
+    if (employee.name !== current.name) {
+      console.log(`👤 Employee renamed: "${current.name}" → "${employee.name}"`);
+    }
+    return employee;
+  }
+
+  async deactivate(ref) {
+    return this.update(ref, { active: false });
+  }
+
+  // แถวที่นำเข้าตรงกับพนักงานเดิม: รหัสเดียวกัน หรือชื่อตรงกับพนักงานที่ยังไม่มีรหัส
+  findExisting(employees, input) {
+    const code = hasValue(input.code) ? input.code.toString().trim() : '';
+    const byCode = code && employees.find(employee => employee.code === code);
+    if (byCode) return byCode;
+
+    const { employee } = resolveEmployee(employees, { name: input.name });
+    return employee && (!employee.code || !code) ? employee : null;
+  }
+
+  /**
+   * นำเข้าพนักงานหลายคน - แถวที่มีรหัส (หรือชื่อ) ตรงกับพนักงานเดิมจะเป็นการแก้ไข ที่เหลือเป็นการเพิ่มใหม่
+   * แถวที่ไม่ผ่านการตรวจจะถูกข้ามและรายงานกลับ ส่วนแถวที่ผ่านบันทึกพร้อมกันครั้งเดียว
+   * @param {Array<{row: number, input: Object}>} rows - จาก parseWorkbook()
+   * @returns {Promise<{created: number, updated: number, errors: Array<{row: number, errors: string[]}>}>}
+   */
+  async import(rows) {
+    let employees = await this.list();
+    const changes = [];
+    const errors = [];
+
+    rows.forEach(({ row, input }) => {
+      const current = this.findExisting(employees, input);
+
+      const result = this.build(input, current, employees);
+      if (result.errors.length > 0) {
+        errors.push({ row, errors: result.errors });
+        return;
+      }
+
+      // แถวถัดไปในไฟล์ต้องเห็นค่าที่เพิ่ง import (กันรหัส/ชื่อซ้ำกันเองในไฟล์)
+      employees = current
+        ? employees.map(employee => (employee === current ? result.employee : employee))
+        : [...employees, result.employee];
+      // แก้ไขคนเดียวกันหลายแถวในไฟล์ - ใช้แถวแรกเป็นตัวอ้างอิงใน storage
+      const existing = changes.find(change => change.employee === current);
+      if (existing) {
+        existing.employee = result.employee;
+      } else {
+        changes.push({ current, employee: result.employee });
+      }
+    });
+
+    if (changes.length > 0) {
+      await this.save(changes);
+    }
+
+    const created = changes.filter(change => !change.current).length;
+    console.log(`👤 Employee import: ${created} created, ${changes.length - created} updated, ${errors.length} rows rejected`);
+    return { created, updated: changes.length - created, errors };
+  }
+
+  /**
+   * อ่านไฟล์ .xlsx (sheet แรก, แถวที่ 1 เป็น header ตาม EMPLOYEES หรือชื่อ field)
+   * @param {Buffer} buffer
+   * @returns {Promise<Array<{row: number, input: Object}>>}
+   */
+  static async parseWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw employeeError('INVALID_EMPLOYEE', `Cannot read .xlsx file: ${error.message}`);
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw employeeError('INVALID_EMPLOYEE', 'Workbook has no worksheet');
+    }
+
+    const fieldsByHeader = {};
+    SHEET_SCHEMAS.EMPLOYEES.columns
+      .filter(column => EDITABLE_FIELDS.includes(column.key))
+      .forEach(column => {
+        fieldsByHeader[column.header] = column.key;
+        fieldsByHeader[column.key] = column.key;
+      });
+
+    const columns = {}; // เลขคอลัมน์ -> field
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+      const field = fieldsByHeader[EmployeeAdmin.cellText(cell.value)];
+      if (field) columns[columnNumber] = field;
+    });
+    if (!Object.values(columns).includes('name')) {
+      throw employeeError('INVALID_EMPLOYEE', `Header row must contain "${SHEET_SCHEMAS.EMPLOYEES.columns[0].header}"`);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const input = {};
+      Object.keys(columns).forEach(columnNumber => {
+        const text = EmployeeAdmin.cellText(row.getCell(Number(columnNumber)).value);
+        if (text) input[columns[columnNumber]] = text;
+      });
+      if (Object.keys(input).length > 0) {
+        rows.push({ row: rowNumber, input });
+      }
+    });
+    return rows;
+  }
+
+  // ค่าในเซลล์ของ ExcelJS เป็นข้อความ (วันที่เป็น 'YYYY-MM-DD')
+  static cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return value.text.toString().trim(); // hyperlink
+      if (value.result !== undefined) return EmployeeAdmin.cellText(value.result); // formula
+    }
+    return value.toString().trim();
+  }
+}
+
+module.exports = EmployeeAdmin;
@@ -0,0 +1,72 @@
+// services/employeeLock.js - ล็อกรายพนักงาน ป้องกันการลงเวลาซ้อนกัน (กดซ้ำ/หลายเครื่องพร้อมกัน)
+const DEFAULT_STALE_AFTER_MS = 60000; // ถือว่าล็อกค้าง (เช่น API ค้าง) หลัง 1 นาที
+
+class EmployeeLock {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.staleAfterMs] - ล็อกที่ถือนานกว่านี้จะถูกแย่งได้
+   */
+  constructor({ staleAfterMs = DEFAULT_STALE_AFTER_MS } = {}) {
+    this.staleAfterMs = staleAfterMs;
+    this.holders = new Map();
+    this.rejectedCount = 0;
+  }
+
+  normalize(key) {
+    return (key || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * ผู้ที่ถือล็อกของพนักงานคนนี้อยู่ (null ถ้าว่างหรือค้างเกินเวลา)
+   * @param {string} key
+   * @returns {{operation: string, since: number}|null}
+   */
+  holder(key) {
+    const holder = this.holders.get(this.normalize(key));
+    if (!holder) return null;
+    if (Date.now() - holder.since >= this.staleAfterMs) return null;
+    return holder;
+  }
+
+  /**
+   * ขอล็อกแบบไม่รอ - ถ้ามีคนถืออยู่จะคืน null ทันที
+   * @param {string} key - ชื่อ/รหัสพนักงาน
+   * @param {string} operation - เช่น 'clockIn', 'clockOut'
+   * @returns {Function|null} ฟังก์ชันปลดล็อก
+   */
+  tryAcquire(key, operation) {
+    const normalized = this.normalize(key);
+    const current = this.holders.get(normalized);
+
+    if (current && Date.now() - current.since < this.staleAfterMs) {
+      this.rejectedCount++;
+      return null;
+    }
+    if (current) {
+      console.warn(`⚠️ Taking over stale lock for "${key}" (${current.operation} held ${Date.now() - current.since}ms)`);
+    }
+
+    const holder = { operation, since: Date.now() };
+    this.holders.set(normalized, holder);
+
+    // ปลดเฉพาะล็อกของตัวเอง (ล็อกที่ค้างอาจถูกคนอื่นแย่งไปแล้ว)
+    return () => {
+      if (this.holders.get(normalized) === holder) {
+        this.holders.delete(normalized);
+      }
+    };
+  }
+
+  getStats() {
+    return {
+      held: [...this.holders.entries()].map(([key, holder]) => ({
+        employee: key,
+        operation: holder.operation,
+        heldMs: Date.now() - holder.since
+      })),
+      rejectedCount: this.rejectedCount
+    };
+  }
+}
+
+module.exports = EmployeeLock;
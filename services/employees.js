@@ -0,0 +1,182 @@
+// services/employees.js - แปลงข้อมูลพนักงานจาก storage ให้อยู่ในรูปแบบเดียวกัน
+const datetime = require('./datetime');
+
+const EMPLOYMENT_TYPES = ['ข้าราชการ', 'พนักงานจ้าง'];
+
+// ค่าในคอลัมน์สถานะที่ถือว่าไม่ใช้งานแล้ว (ค่าว่าง = ใช้งาน เพื่อให้ข้อมูลเดิมใช้ได้ต่อ)
+const INACTIVE_VALUES = ['ไม่ใช้งาน', 'ลาออก', 'พ้นสภาพ', 'inactive', 'false', 'no', '0'];
+
+// ชื่อเดิมบางรายการมีรหัสนำหน้า เช่น '1017-เปรมชัย ทองสงคราม'
+const EMBEDDED_CODE_PATTERN = /^(\d{2,})\s*-\s*(.+)$/;
+
+// ชื่อเดิมหลายชื่อเก็บในเซลล์เดียว คั่นด้วย ','
+const NAME_HISTORY_SEPARATOR = ',';
+
+function clean(value) {
+  return (value === null || value === undefined ? '' : value).toString().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * แยกรหัสที่ฝังอยู่หน้าชื่อ
+ * @param {string} name
+ * @returns {{code: string|null, name: string}}
+ */
+function splitEmbeddedCode(name) {
+  const text = clean(name);
+  const match = EMBEDDED_CODE_PATTERN.exec(text);
+  return match ? { code: match[1], name: match[2] } : { code: null, name: text };
+}
+
+function splitNameHistory(value) {
+  if (Array.isArray(value)) return value.map(clean).filter(Boolean);
+  return clean(value).split(NAME_HISTORY_SEPARATOR).map(clean).filter(Boolean);
+}
+
+function parseActive(value) {
+  if (typeof value === 'boolean') return value;
+  const text = clean(value).toLowerCase();
+  return !text || !INACTIVE_VALUES.includes(text);
+}
+
+/**
+ * สร้าง employee object จากข้อมูลดิบของ storage (string ชื่ออย่างเดียวก็ได้)
+ * รหัสที่ฝังในชื่อจะถูกย้ายไปเป็น code ถ้าคอลัมน์รหัสว่างหรือเป็นรหัสเดียวกัน
+ * @param {Object|string} raw
+ * @returns {{code: string|null, name: string, department: string, position: string,
+ *            employmentType: string, active: boolean, startDate: string|null, previousNames: string[],
+ *            autoCheckout: string}}
+ */
+function toEmployee(raw) {
+  const data = typeof raw === 'string' ? { name: raw } : (raw || {});
+  const code = clean(data.code) || null;
+  const embedded = splitEmbeddedCode(data.name);
+  const useEmbedded = embedded.code && (!code || code === embedded.code);
+
+  return {
+    code: useEmbedded ? embedded.code : code,
+    name: useEmbedded ? embedded.name : clean(data.name),
+    department: clean(data.department),
+    position: clean(data.position),
+    employmentType: clean(data.employmentType),
+    active: parseActive(data.active),
+    startDate: datetime.toDateKey(clean(data.startDate)), // 'YYYY-MM-DD' หรือ null
+    previousNames: splitNameHistory(data.previousNames), // ชื่อก่อนเปลี่ยนชื่อ (ใช้จับคู่ข้อมูลเก่า)
+    autoCheckout: clean(data.autoCheckout).toLowerCase() // นโยบายลงเวลาออกอัตโนมัติ (ว่าง = ตามกะ/ค่าเริ่มต้น)
+  };
+}
+
+/**
+ * แปลง employee object กลับเป็นค่าที่เขียนลง storage (ตาม key ของ schema EMPLOYEES)
+ * @param {Object} employee - จาก toEmployee()
+ * @returns {Object}
+ */
+function toEmployeeRecord(employee) {
+  return {
+    name: employee.name,
+    code: employee.code || '',
+    department: employee.department || '',
+    position: employee.position || '',
+    employmentType: employee.employmentType || '',
+    active: employee.active ? 'ใช้งาน' : 'ไม่ใช้งาน',
+    startDate: employee.startDate || '',
+    previousNames: (employee.previousNames || []).join(`${NAME_HISTORY_SEPARATOR} `),
+    autoCheckout: employee.autoCheckout || ''
+  };
+}
+
+function normalizeName(name) {
+  return clean(name).toLowerCase();
+}
+
+/**
+ * แปลงข้อความอ้างอิงพนักงาน (ชื่อ, 'รหัส-ชื่อ' หรือรหัสอย่างเดียว) เป็น { code, name }
+ * @param {string} reference
+ * @returns {{code: string|null, name: string}}
+ */
+function parseReference(reference) {
+  const text = clean(reference);
+  if (/^\d{2,}$/.test(text)) return { code: text, name: '' };
+  return splitEmbeddedCode(text);
+}
+
+/**
+ * หาพนักงานใน EMPLOYEES ให้ได้คนเดียว: จากรหัส หรือชื่อที่ตรงกันทุกตัวอักษร (ไม่สนช่องว่าง/ตัวพิมพ์)
+ * ชื่อที่ตรงบางส่วนจะไม่ถูกเลือกให้ แต่ส่งกลับเป็นรายชื่อให้เลือก
+ * @param {Object[]} employees - จาก toEmployee()
+ * @param {Object} input
+ * @param {string} [input.name]
+ * @param {string} [input.code]
+ * @returns {{employee: Object|null, reason: 'ambiguous'|'not_found'|null, candidates: Object[]}}
+ */
+function resolveEmployee(employees, { name, code } = {}) {
+  const reference = parseReference(name);
+  const wantedCode = clean(code) || reference.code;
+
+  const result = matches => {
+    if (matches.length === 1) return { employee: matches[0], reason: null, candidates: [] };
+    return { employee: null, reason: matches.length > 1 ? 'ambiguous' : 'not_found', candidates: matches };
+  };
+
+  if (wantedCode) {
+    const byCode = employees.filter(employee => employee.code === wantedCode);
+    // รหัสที่ส่งมาโดยตรงต้องพบ - ไม่ย้อนไปหาจากชื่อ
+    if (byCode.length > 0 || clean(code)) return result(byCode);
+  }
+
+  const wantedName = normalizeName(reference.name);
+  if (!wantedName) return result([]);
+
+  const exact = employees.filter(employee => normalizeName(employee.name) === wantedName);
+  if (exact.length > 0) return result(exact);
+
+  // ชื่อเดิมก่อนเปลี่ยนชื่อ
+  const renamed = employees.filter(employee =>
+    (employee.previousNames || []).some(previous => normalizeName(previous) === wantedName)
+  );
+  if (renamed.length > 0) return result(renamed);
+
+  const partial = employees.filter(employee => {
+    const candidate = normalizeName(employee.name);
+    return candidate.includes(wantedName) || wantedName.includes(candidate);
+  });
+  return { employee: null, reason: partial.length > 0 ? 'ambiguous' : 'not_found', candidates: partial };
+}
+
+/**
+ * ตรวจว่าข้อมูลที่บันทึกไว้ (แถว ON WORK, ตารางเวร, บัญชี LINE) เป็นพนักงานคนนี้หรือไม่
+ * ถ้าทั้งสองฝั่งมีรหัสจะเทียบรหัส ไม่เช่นนั้นเทียบชื่อแบบตรงทั้งชื่อ (รวมชื่อเดิมของพนักงาน)
+ * @param {{code?: string, names: string[]}} entry
+ * @param {{code: string|null, name: string}} employee
+ * @returns {boolean}
+ */
+function isSameEmployee(entry, employee) {
+  if (!employee) return false;
+  if (entry.code && employee.code) return clean(entry.code) === employee.code;
+
+  return entry.names.filter(Boolean).some(value => {
+    const reference = parseReference(value);
+    if (reference.code && employee.code) return reference.code === employee.code;
+    if (!reference.name) return false;
+    return [employee.name, ...(employee.previousNames || [])]
+      .some(name => normalizeName(name) === normalizeName(reference.name));
+  });
+}
+
+// key เดียวกันสำหรับพนักงานคนเดียวกัน (ใช้กับ lock)
+function identityKey(employee) {
+  return employee.code ? `code:${employee.code}` : `name:${normalizeName(employee.name)}`;
+}
+
+module.exports = {
+  EMPLOYMENT_TYPES,
+  splitEmbeddedCode,
+  parseActive,
+  splitNameHistory,
+  toEmployee,
+  toEmployeeRecord,
+  normalizeName,
+  parseReference,
+  resolveEmployee,
+  isSameEmployee,
+  identityKey
+};
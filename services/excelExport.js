@@ -1,7 +1,10 @@
 // services/excelExport.js - Excel Export Service
 const ExcelJS = require('exceljs');
-const moment = require('moment-timezone');
-const { CONFIG } = require('../config');
+const datetime = require('./datetime');
+const { summarizeOvertime } = require('./overtime');
+
+// คอลัมน์สุดท้ายของตาราง (ใช้ merge หัวกระดาษและสรุป)
+const LAST_COLUMN = 'P';
 
 class ExcelExportService {
   static async createWorkbook(data, type, params) {
@@ -22,29 +25,23 @@ class ExcelExportService {
     switch (type) {
       case 'daily':
         reportTitle = 'รายงานการลงเวลาเข้า-ออกงาน รายวัน';
-        reportPeriod = `วันที่ ${moment(params.date).tz(CONFIG.TIMEZONE).format('DD MMMM YYYY')}`;
+        reportPeriod = `วันที่ ${datetime.formatThaiDate(params.date)}`;
         break;
       case 'monthly':
-        const monthNames = [
-          'มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
-          'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'
-        ];
         const isDetailed = params.format === 'detailed';
         reportTitle = isDetailed 
           ? 'รายงานการลงเวลาเข้า-ออกงาน รายเดือน (แบ่งตามวันชัดเจน)'
           : 'รายงานการลงเวลาเข้า-ออกงาน รายเดือน';
-        reportPeriod = `เดือน ${monthNames[params.month - 1]} ${parseInt(params.year) + 543}`;
+        reportPeriod = `เดือน ${datetime.formatThaiMonth(parseInt(params.month), parseInt(params.year))}`;
         break;
       case 'range':
         reportTitle = 'รายงานการลงเวลาเข้า-ออกงาน ช่วงวันที่';
-        const startDate = moment(params.startDate).tz(CONFIG.TIMEZONE);
-        const endDate = moment(params.endDate).tz(CONFIG.TIMEZONE);
-        reportPeriod = `${startDate.format('DD MMMM YYYY')} - ${endDate.format('DD MMMM YYYY')}`;
+        reportPeriod = `${datetime.formatThaiDate(params.startDate)} - ${datetime.formatThaiDate(params.endDate)}`;
         break;
     }
 
     // จัดรูปแบบหัวกระดาษ
-    worksheet.mergeCells('A1:J3');
+    worksheet.mergeCells(`A1:${LAST_COLUMN}3`);
     const titleCell = worksheet.getCell('A1');
     titleCell.value = `${orgInfo.name}\n${reportTitle}\n${reportPeriod}`;
     titleCell.font = { name: 'Angsana New', size: 18, bold: true };
@@ -54,7 +51,7 @@ class ExcelExportService {
     worksheet.getCell('A4').value = `${orgInfo.address} โทร. ${orgInfo.phone}`;
     worksheet.getCell('A4').font = { name: 'Angsana New', size: 14 };
     worksheet.getCell('A4').alignment = { horizontal: 'center' };
-    worksheet.mergeCells('A4:J4');
+    worksheet.mergeCells(`A4:${LAST_COLUMN}4`);
 
     // สร้างหัวตาราง
     const headerRow = 6;
@@ -68,7 +65,13 @@ class ExcelExportService {
       'หมายเหตุ',
       'สถานที่เข้า',
       'สถานที่ออก',
-      'ชื่อไลน์'
+      'ชื่อไลน์',
+      'สถานะเวลา',
+      'มาสาย (นาที)',
+      'กลับก่อน (นาที)',
+      'พัก (นาที)',
+      'ช่วงพัก',
+      'นอกพื้นที่'
     ];
 
     headers.forEach((header, index) => {
@@ -90,88 +93,34 @@ class ExcelExportService {
     });
 
     // เพิ่มข้อมูล
+    let rows = data;
     if (type === 'monthly' && params.format === 'detailed') {
-      // สำหรับรายงานรายเดือนแบบ detailed: จัดเรียงข้อมูลตามวันที่
+      // สำหรับรายงานรายเดือนแบบ detailed: จัดเรียงข้อมูลตามวันที่ และแทรกแถววันหยุด
       data = ExcelExportService.organizeDetailedMonthlyData(data, params);
+      rows = ExcelExportService.withHolidayRows(data, params.holidays || []);
     }
     
-    data.forEach((record, index) => {
+    let recordCount = 0;
+    rows.forEach((record, index) => {
       const rowNumber = headerRow + 1 + index;
+      if (record.holiday) {
+        ExcelExportService.writeHolidayRow(worksheet, rowNumber, record.holiday);
+        return;
+      }
+      recordCount++;
       
       // จัดการวันที่และเวลา
-      let clockInDate = null;
-      let clockOutDate = null;
-      let dateDisplay = '';
-      let clockInTime = '';
-      let clockOutTime = '';
-
-      if (record.clockIn) {
-        try {
-          if (typeof record.clockIn === 'string' && record.clockIn.includes(' ')) {
-            // ตรวจสอบรูปแบบ DD/MM/YYYY HH:mm:ss ก่อน
-            if (record.clockIn.match(/^\d{2}\/\d{2}\/\d{4} \d{2}:\d{2}:\d{2}$/)) {
-              clockInDate = moment.tz(record.clockIn, 'DD/MM/YYYY HH:mm:ss', CONFIG.TIMEZONE);
-              console.log(`📅 Parsed DD/MM/YYYY format: ${record.clockIn} -> ${clockInDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-            // รูปแบบ YYYY-MM-DD HH:mm:ss
-            else if (record.clockIn.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
-              clockInDate = moment.tz(record.clockIn, 'YYYY-MM-DD HH:mm:ss', CONFIG.TIMEZONE);
-              console.log(`📅 Parsed YYYY-MM-DD format: ${record.clockIn} -> ${clockInDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-            else {
-              // ลองให้ moment แปลงเอง
-              clockInDate = moment(record.clockIn).tz(CONFIG.TIMEZONE);
-              console.log(`📅 Auto-parsed format: ${record.clockIn} -> ${clockInDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-          } else {
-            clockInDate = moment(record.clockIn).tz(CONFIG.TIMEZONE);
-            console.log(`📅 Parsed non-string format: ${record.clockIn} -> ${clockInDate.format('YYYY-MM-DD HH:mm:ss')}`);
-          }
-          
-          if (clockInDate.isValid()) {
-            dateDisplay = clockInDate.format('DD/MM/YYYY');
-            clockInTime = clockInDate.format('HH:mm:ss');
-            console.log(`✅ Final display: Date="${dateDisplay}", Time="${clockInTime}"`);
-          } else {
-            console.warn(`⚠️ Invalid clockIn date: "${record.clockIn}"`);
-          }
-        } catch (error) {
-          console.warn('Error parsing clockIn time:', record.clockIn, error);
-        }
-      }
+      const clockInDate = datetime.parseTimestamp(record.clockIn);
+      const clockOutDate = datetime.parseTimestamp(record.clockOut);
+      const dateDisplay = clockInDate ? clockInDate.format('DD/MM/YYYY') : '';
+      const clockInTime = clockInDate ? clockInDate.format('HH:mm:ss') : '';
+      const clockOutTime = clockOutDate ? clockOutDate.format('HH:mm:ss') : '';
 
-      if (record.clockOut) {
-        try {
-          if (typeof record.clockOut === 'string' && record.clockOut.includes(' ')) {
-            // ตรวจสอบรูปแบบ DD/MM/YYYY HH:mm:ss ก่อน
-            if (record.clockOut.match(/^\d{2}\/\d{2}\/\d{4} \d{2}:\d{2}:\d{2}$/)) {
-              clockOutDate = moment.tz(record.clockOut, 'DD/MM/YYYY HH:mm:ss', CONFIG.TIMEZONE);
-              console.log(`📅 Parsed clockOut DD/MM/YYYY format: ${record.clockOut} -> ${clockOutDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-            // รูปแบบ YYYY-MM-DD HH:mm:ss
-            else if (record.clockOut.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
-              clockOutDate = moment.tz(record.clockOut, 'YYYY-MM-DD HH:mm:ss', CONFIG.TIMEZONE);
-              console.log(`📅 Parsed clockOut YYYY-MM-DD format: ${record.clockOut} -> ${clockOutDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-            else {
-              // ลองให้ moment แปลงเอง
-              clockOutDate = moment(record.clockOut).tz(CONFIG.TIMEZONE);
-              console.log(`📅 Auto-parsed clockOut format: ${record.clockOut} -> ${clockOutDate.format('YYYY-MM-DD HH:mm:ss')}`);
-            }
-          } else {
-            clockOutDate = moment(record.clockOut).tz(CONFIG.TIMEZONE);
-            console.log(`📅 Parsed clockOut non-string format: ${record.clockOut} -> ${clockOutDate.format('YYYY-MM-DD HH:mm:ss')}`);
-          }
-          
-          if (clockOutDate.isValid()) {
-            clockOutTime = clockOutDate.format('HH:mm:ss');
-            console.log(`✅ Final clockOut time: "${clockOutTime}"`);
-          } else {
-            console.warn(`⚠️ Invalid clockOut date: "${record.clockOut}"`);
-          }
-        } catch (error) {
-          console.warn('Error parsing clockOut time:', record.clockOut, error);
-        }
+      if (record.clockIn && !clockInDate) {
+        console.warn(`⚠️ Invalid clockIn date: "${record.clockIn}"`);
+      }
+      if (record.clockOut && !clockOutDate) {
+        console.warn(`⚠️ Invalid clockOut date: "${record.clockOut}"`);
       }
 
       // จัดการชั่วโมงทำงาน
@@ -186,7 +135,7 @@ class ExcelExportService {
       }
 
       const rowData = [
-        record.no || (index + 1),
+        record.no || recordCount,
         record.employee || '',
         dateDisplay,
         clockInTime,
@@ -195,7 +144,13 @@ class ExcelExportService {
         record.note || '',
         record.locationIn || '',
         record.locationOut || '',
-        record.lineName || ''
+        record.lineName || '',
+        record.attendanceTag || '',
+        ExcelExportService.minutesValue(record.lateMinutes),
+        ExcelExportService.minutesValue(record.earlyLeaveMinutes),
+        ExcelExportService.minutesValue(record.breakMinutes),
+        record.breaks || '',
+        record.zoneFlag || ''
       ];
 
       rowData.forEach((value, colIndex) => {
@@ -220,47 +175,364 @@ class ExcelExportService {
             pattern: 'solid',
             fgColor: { argb: 'FFFFCCCC' } // สีแดงอ่อน
           };
+        } else if (record.zoneFlag) {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFFFE5CC' } // สีส้มอ่อน
+          };
+        } else if (record.dutyId) {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFDDEBF7' } // สีฟ้าอ่อน
+          };
         }
       });
     });
 
     // ปรับขนาดคอลัมน์
-    const columnWidths = [8, 25, 15, 12, 12, 15, 25, 30, 30, 20];
+    const columnWidths = [8, 25, 15, 12, 12, 15, 25, 30, 30, 20, 25, 14, 14, 12, 25, 30];
     columnWidths.forEach((width, index) => {
       worksheet.getColumn(index + 1).width = width;
     });
 
     // สรุปข้อมูล
-    const summaryRow = headerRow + data.length + 2;
+    const summaryRow = headerRow + rows.length + 2;
     
     // สถิติการทำงาน
     const totalRecords = data.length;
     const normalCheckouts = data.filter(r => !r.note || !r.note.includes('ลืมลงเวลาออก')).length;
     const missedCheckouts = data.filter(r => r.note && r.note.includes('ลืมลงเวลาออก')).length;
     
-    worksheet.getCell(summaryRow, 1).value = `สรุปข้อมูล: ทั้งหมด ${totalRecords} รายการ | ลงเวลาออกปกติ ${normalCheckouts} คน | ลืมลงเวลาออก ${missedCheckouts} คน`;
+    const totals = ExcelExportService.summarizePunctuality(data);
+    const leaves = params.leaves || [];
+    const leaveDays = leaves.reduce((sum, leave) => sum + leave.daysInRange, 0);
+    const duties = params.duties || [];
+    const outsideZone = data.filter(r => r.zoneFlag).length;
+    
+    worksheet.getCell(summaryRow, 1).value = `สรุปข้อมูล: ทั้งหมด ${totalRecords} รายการ | ลงเวลาออกปกติ ${normalCheckouts} คน | ลืมลงเวลาออก ${missedCheckouts} คน` +
+      ` | มาสาย ${totals.lateCount} ครั้ง (${totals.lateMinutes} นาที) | กลับก่อน ${totals.earlyLeaveCount} ครั้ง (${totals.earlyLeaveMinutes} นาที)` +
+      (leaves.length > 0 ? ` | ลา ${leaveDays} วัน (${leaves.length} ใบลา)` : '') +
+      (duties.length > 0 ? ` | ไปราชการ ${duties.length} รายการ` : '') +
+      (outsideZone > 0 ? ` | นอกพื้นที่ ${outsideZone} รายการ` : '');
     worksheet.getCell(summaryRow, 1).font = { name: 'Angsana New', size: 12, bold: true };
-    worksheet.mergeCells(`A${summaryRow}:J${summaryRow}`);
+    worksheet.mergeCells(`A${summaryRow}:${LAST_COLUMN}${summaryRow}`);
+
+    // สรุปมาสาย/กลับก่อนรายคน
+    const totalsHeaderRow = summaryRow + 2;
+    ['ชื่อ-นามสกุล', 'มาสาย (ครั้ง)', 'มาสาย (นาที)', 'กลับก่อน (ครั้ง)', 'กลับก่อน (นาที)'].forEach((header, index) => {
+      const cell = worksheet.getCell(totalsHeaderRow, index + 2);
+      cell.value = header;
+      cell.font = { name: 'Angsana New', size: 12, bold: true };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    });
+    totals.employees.forEach((employee, index) => {
+      [employee.name, employee.lateCount, employee.lateMinutes, employee.earlyLeaveCount, employee.earlyLeaveMinutes]
+        .forEach((value, colIndex) => {
+          const cell = worksheet.getCell(totalsHeaderRow + 1 + index, colIndex + 2);
+          cell.value = value;
+          cell.font = { name: 'Angsana New', size: 12 };
+          cell.alignment = { horizontal: colIndex === 0 ? 'left' : 'center', vertical: 'middle' };
+          cell.border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+        });
+    });
 
     // วันที่สร้างรายงาน
-    const footerRow = summaryRow + 2;
-    const currentTime = moment().tz(CONFIG.TIMEZONE);
-    worksheet.getCell(footerRow, 1).value = `สร้างรายงานเมื่อ: ${currentTime.format('DD/MM/YYYY HH:mm:ss')} (เวลาไทย)`;
+    const footerRow = totalsHeaderRow + totals.employees.length + 2;
+    worksheet.getCell(footerRow, 1).value = `สร้างรายงานเมื่อ: ${datetime.formatForSheet(datetime.now())} (เวลาไทย)`;
     worksheet.getCell(footerRow, 1).font = { name: 'Angsana New', size: 10 };
     worksheet.getCell(footerRow, 1).alignment = { horizontal: 'right' };
-    worksheet.mergeCells(`A${footerRow}:J${footerRow}`);
+    worksheet.mergeCells(`A${footerRow}:${LAST_COLUMN}${footerRow}`);
 
     // เพิ่มหมายเหตุเกี่ยวกับสี
+    let noteRow = footerRow;
     if (data.some(r => r.note && r.note.includes('ลืมลงเวลาออก'))) {
-      const noteRow = footerRow + 1;
+      noteRow++;
       worksheet.getCell(noteRow, 1).value = 'หมายเหตุ: แถวที่มีพื้นหลังสีแดงอ่อน = ลืมลงเวลาออก (ระบบอัตโนมัติ)';
       worksheet.getCell(noteRow, 1).font = { name: 'Angsana New', size: 10, italic: true };
-      worksheet.mergeCells(`A${noteRow}:J${noteRow}`);
+      worksheet.mergeCells(`A${noteRow}:${LAST_COLUMN}${noteRow}`);
+    }
+    if (outsideZone > 0) {
+      noteRow++;
+      worksheet.getCell(noteRow, 1).value = 'หมายเหตุ: แถวที่มีพื้นหลังสีส้มอ่อน = ลงเวลานอกพื้นที่ที่กำหนด (ดูคอลัมน์นอกพื้นที่)';
+      worksheet.getCell(noteRow, 1).font = { name: 'Angsana New', size: 10, italic: true };
+      worksheet.mergeCells(`A${noteRow}:${LAST_COLUMN}${noteRow}`);
+    }
+    if (data.some(r => r.dutyId)) {
+      noteRow++;
+      worksheet.getCell(noteRow, 1).value = 'หมายเหตุ: แถวที่มีพื้นหลังสีฟ้าอ่อน = ลงเวลาระหว่างไปราชการ/ปฏิบัติงานนอกสถานที่';
+      worksheet.getCell(noteRow, 1).font = { name: 'Angsana New', size: 10, italic: true };
+      worksheet.mergeCells(`A${noteRow}:${LAST_COLUMN}${noteRow}`);
+    }
+    if (rows.length > data.length) {
+      noteRow++;
+      worksheet.getCell(noteRow, 1).value = 'หมายเหตุ: แถวที่มีพื้นหลังสีเขียวอ่อน = วันหยุดตามปฏิทินวันหยุด';
+      worksheet.getCell(noteRow, 1).font = { name: 'Angsana New', size: 10, italic: true };
+      worksheet.mergeCells(`A${noteRow}:${LAST_COLUMN}${noteRow}`);
+    }
+
+    if (type === 'monthly') {
+      ExcelExportService.addOvertimeSheet(workbook, data, `${orgInfo.name}\nสรุปชั่วโมงล่วงเวลา (OT)\n${reportPeriod}`);
+    }
+    if (leaves.length > 0) {
+      ExcelExportService.addLeaveSheet(workbook, leaves, `${orgInfo.name}\nสรุปการลา (อนุมัติแล้ว)\n${reportPeriod}`);
+    }
+    if (duties.length > 0) {
+      ExcelExportService.addDutySheet(workbook, duties, `${orgInfo.name}\nไปราชการ/ปฏิบัติงานนอกสถานที่ (อนุมัติแล้ว)\n${reportPeriod}`);
     }
 
     return workbook;
   }
 
+  /**
+   * sheet สรุป OT รายคน และรายการที่มี OT ของเดือน
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Object[]} data - จาก getReportData()
+   * @param {string} title - หัวกระดาษ
+   */
+  static addOvertimeSheet(workbook, data, title) {
+    const worksheet = workbook.addWorksheet('สรุป OT');
+    const border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    const writeRow = (rowNumber, values, bold = false) => {
+      values.forEach((value, colIndex) => {
+        const cell = worksheet.getCell(rowNumber, colIndex + 1);
+        cell.value = value;
+        cell.font = { name: 'Angsana New', size: bold ? 14 : 12, bold };
+        cell.alignment = { horizontal: colIndex <= 2 && !bold ? 'left' : 'center', vertical: 'middle' };
+        cell.border = border;
+      });
+    };
+
+    worksheet.mergeCells('A1:I3');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = title;
+    titleCell.font = { name: 'Angsana New', size: 18, bold: true };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+    // สรุปรายคน
+    const { employees, totals } = summarizeOvertime(data);
+    writeRow(5, ['ลำดับ', 'รหัสพนักงาน', 'ชื่อ-นามสกุล', 'วันทำงาน', 'ชั่วโมงปกติ', 'OT หลังเวลาเลิกงาน (ชม.)', 'OT วันหยุด (ชม.)', 'OT รวม (ชม.)', 'OT คิดตามอัตรา (ชม.)'], true);
+    employees.forEach((employee, index) => {
+      writeRow(6 + index, [
+        index + 1, employee.code, employee.name, employee.days, employee.regularHours,
+        employee.weekdayOvertimeHours, employee.dayOffOvertimeHours, employee.overtimeHours, employee.payableOvertimeHours
+      ]);
+    });
+    const totalRow = 6 + employees.length;
+    writeRow(totalRow, [
+      '', '', 'รวม', totals.days, totals.regularHours,
+      totals.weekdayOvertimeHours, totals.dayOffOvertimeHours, totals.overtimeHours, totals.payableOvertimeHours
+    ], true);
+
+    // รายการที่มี OT
+    const detailHeaderRow = totalRow + 2;
+    writeRow(detailHeaderRow, ['ลำดับ', 'วันที่', 'ชื่อ-นามสกุล', 'เวลาเข้า', 'เวลาออก', 'ชั่วโมงปกติ', 'ชั่วโมง OT', 'ประเภท OT'], true);
+    data
+      .filter(record => parseFloat(record.overtimeHours) > 0)
+      .forEach((record, index) => {
+        const clockIn = datetime.parseTimestamp(record.clockIn);
+        const clockOut = datetime.parseTimestamp(record.clockOut);
+        writeRow(detailHeaderRow + 1 + index, [
+          index + 1,
+          clockIn ? clockIn.format('DD/MM/YYYY') : '',
+          record.employee || '',
+          clockIn ? clockIn.format('HH:mm') : '',
+          clockOut ? clockOut.format('HH:mm') : '',
+          parseFloat(record.regularHours) || 0,
+          parseFloat(record.overtimeHours) || 0,
+          record.overtimeType || ''
+        ]);
+      });
+
+    [8, 14, 25, 12, 12, 18, 16, 14, 18].forEach((width, index) => {
+      worksheet.getColumn(index + 1).width = width;
+    });
+    return worksheet;
+  }
+
+  /**
+   * sheet สรุปวันลาที่อนุมัติแล้วรายคนตามประเภท และรายการใบลาในช่วงของรายงาน
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Object[]} leaves - จาก LeaveService.getApprovedLeaves()
+   * @param {string} title - หัวกระดาษ
+   */
+  static addLeaveSheet(workbook, leaves, title) {
+    const worksheet = workbook.addWorksheet('การลา');
+    const border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    const writeRow = (rowNumber, values, bold = false) => {
+      values.forEach((value, colIndex) => {
+        const cell = worksheet.getCell(rowNumber, colIndex + 1);
+        cell.value = value;
+        cell.font = { name: 'Angsana New', size: bold ? 14 : 12, bold };
+        cell.alignment = { horizontal: colIndex === 1 && !bold ? 'left' : 'center', vertical: 'middle' };
+        cell.border = border;
+      });
+    };
+
+    worksheet.mergeCells('A1:H3');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = title;
+    titleCell.font = { name: 'Angsana New', size: 18, bold: true };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+    // สรุปรายคน (วันลาภายในช่วงของรายงาน)
+    const typeNames = [...new Set(leaves.map(leave => leave.typeName))];
+    const byEmployee = new Map();
+    leaves.forEach(leave => {
+      const key = leave.employeeCode || leave.employeeName;
+      if (!byEmployee.has(key)) byEmployee.set(key, { name: leave.employeeName, days: {} });
+      const days = byEmployee.get(key).days;
+      days[leave.typeName] = (days[leave.typeName] || 0) + leave.daysInRange;
+    });
+    const employees = [...byEmployee.values()].sort((a, b) => a.name.localeCompare(b.name, 'th'));
+
+    writeRow(5, ['ลำดับ', 'ชื่อ-นามสกุล', ...typeNames, 'รวม (วัน)'], true);
+    employees.forEach((employee, index) => {
+      const days = typeNames.map(name => employee.days[name] || 0);
+      writeRow(6 + index, [index + 1, employee.name, ...days, days.reduce((sum, value) => sum + value, 0)]);
+    });
+
+    // รายการใบลา
+    const detailHeaderRow = 6 + employees.length + 1;
+    writeRow(detailHeaderRow, ['ลำดับ', 'ชื่อ-นามสกุล', 'ประเภทการลา', 'ตั้งแต่วันที่', 'ถึงวันที่', 'วันลา', 'เหตุผล', 'ผู้อนุมัติ'], true);
+    leaves.forEach((leave, index) => {
+      writeRow(detailHeaderRow + 1 + index, [
+        index + 1,
+        leave.employeeName,
+        leave.halfDay ? `${leave.typeName} (ครึ่งวัน)` : leave.typeName,
+        datetime.formatDate(leave.startDate),
+        datetime.formatDate(leave.endDate),
+        leave.daysInRange,
+        leave.reason,
+        leave.decidedBy
+      ]);
+    });
+
+    [8, 25, 16, 14, 14, 12, 30, 16].forEach((width, index) => {
+      worksheet.getColumn(index + 1).width = width;
+    });
+    return worksheet;
+  }
+
+  /**
+   * sheet รายการไปราชการที่อนุมัติแล้วในช่วงของรายงาน
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Object[]} duties - จาก DutyService.getApprovedDuties()
+   * @param {string} title - หัวกระดาษ
+   */
+  static addDutySheet(workbook, duties, title) {
+    const worksheet = workbook.addWorksheet('ไปราชการ');
+    const border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    const writeRow = (rowNumber, values, bold = false) => {
+      values.forEach((value, colIndex) => {
+        const cell = worksheet.getCell(rowNumber, colIndex + 1);
+        cell.value = value;
+        cell.font = { name: 'Angsana New', size: bold ? 14 : 12, bold };
+        cell.alignment = { horizontal: [1, 5, 6].includes(colIndex) && !bold ? 'left' : 'center', vertical: 'middle' };
+        cell.border = border;
+      });
+    };
+
+    worksheet.mergeCells('A1:H3');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = title;
+    titleCell.font = { name: 'Angsana New', size: 18, bold: true };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+    writeRow(5, ['ลำดับ', 'ชื่อ-นามสกุล', 'ประเภท', 'ตั้งแต่วันที่', 'ถึงวันที่', 'สถานที่ไป', 'รายละเอียด', 'ผู้อนุมัติ'], true);
+    duties.forEach((duty, index) => {
+      writeRow(6 + index, [
+        index + 1,
+        duty.employeeName,
+        duty.typeName,
+        datetime.formatDate(duty.startDate),
+        datetime.formatDate(duty.endDate),
+        duty.destination,
+        duty.purpose,
+        duty.decidedBy
+      ]);
+    });
+
+    [8, 25, 20, 14, 14, 30, 30, 16].forEach((width, index) => {
+      worksheet.getColumn(index + 1).width = width;
+    });
+    return worksheet;
+  }
+
+  // จำนวนนาทีที่บันทึกไว้ (ว่าง = ไม่ได้ประเมิน)
+  static minutesValue(value) {
+    const minutes = parseInt(value, 10);
+    return Number.isNaN(minutes) ? '' : minutes;
+  }
+
+  /**
+   * รวมจำนวนครั้งและนาทีที่มาสาย/กลับก่อน ทั้งหมดและรายคน
+   * @param {Object[]} data - จาก getReportData()
+   * @returns {{lateCount, lateMinutes, earlyLeaveCount, earlyLeaveMinutes, employees: Object[]}}
+   */
+  static summarizePunctuality(data) {
+    const empty = () => ({ lateCount: 0, lateMinutes: 0, earlyLeaveCount: 0, earlyLeaveMinutes: 0 });
+    const totals = empty();
+    const byEmployee = new Map();
+
+    data.forEach(record => {
+      const name = record.employee || '';
+      if (!byEmployee.has(name)) byEmployee.set(name, { name, ...empty() });
+      const employee = byEmployee.get(name);
+
+      const late = ExcelExportService.minutesValue(record.lateMinutes) || 0;
+      const early = ExcelExportService.minutesValue(record.earlyLeaveMinutes) || 0;
+      [totals, employee].forEach(summary => {
+        if (late > 0) {
+          summary.lateCount++;
+          summary.lateMinutes += late;
+        }
+        if (early > 0) {
+          summary.earlyLeaveCount++;
+          summary.earlyLeaveMinutes += early;
+        }
+      });
+    });
+
+    totals.employees = [...byEmployee.values()].sort((a, b) => a.name.localeCompare(b.name, 'th'));
+    return totals;
+  }
+
+  /**
+   * แทรกแถววันหยุดก่อนรายการของวันนั้น (ข้อมูลต้องเรียงตามวันที่แล้ว)
+   * @param {Object[]} data - รายการที่เรียงตามวันที่
+   * @param {Object[]} holidays - { date: 'YYYY-MM-DD', name } เรียงตามวันที่
+   * @returns {Object[]} รายการเดิมปนกับ { holiday }
+   */
+  static withHolidayRows(data, holidays) {
+    const pending = [...holidays];
+    const rows = [];
+    data.forEach(record => {
+      const dateKey = datetime.toDateKey(record.clockIn) || '';
+      while (pending.length > 0 && pending[0].date <= dateKey) {
+        rows.push({ holiday: pending.shift() });
+      }
+      rows.push(record);
+    });
+    return [...rows, ...pending.map(holiday => ({ holiday }))];
+  }
+
+  static writeHolidayRow(worksheet, rowNumber, holiday) {
+    const lastColumn = worksheet.getColumn(LAST_COLUMN).number;
+    worksheet.getCell(rowNumber, 3).value = datetime.formatDate(holiday.date);
+    worksheet.getCell(rowNumber, 4).value = `วันหยุด: ${holiday.name}`;
+    worksheet.mergeCells(rowNumber, 4, rowNumber, lastColumn);
+    for (let column = 1; column <= lastColumn; column++) {
+      const cell = worksheet.getCell(rowNumber, column);
+      cell.font = { name: 'Angsana New', size: 12, bold: column === 4 };
+      cell.alignment = { horizontal: column === 4 ? 'center' : 'left', vertical: 'middle' };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9F2D9' } }; // สีเขียวอ่อน
+      cell.border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    }
+  }
+
   // ฟังก์ชันสำหรับจัดเรียงข้อมูลรายเดือนแบบ detailed
   static organizeDetailedMonthlyData(data, params) {
     console.log(`📊 Organizing detailed monthly data: ${data.length} records`);
@@ -268,11 +540,11 @@ class ExcelExportService {
     // จัดเรียงข้อมูลตามวันที่ และ ชื่อพนักงาน
     const sortedData = data.sort((a, b) => {
       // เรียงตามวันที่ก่อน
-      const dateA = moment(a.clockIn).tz(CONFIG.TIMEZONE);
-      const dateB = moment(b.clockIn).tz(CONFIG.TIMEZONE);
+      const dateA = datetime.toDateKey(a.clockIn) || '';
+      const dateB = datetime.toDateKey(b.clockIn) || '';
       
-      if (dateA.format('YYYY-MM-DD') !== dateB.format('YYYY-MM-DD')) {
-        return dateA.diff(dateB);
+      if (dateA !== dateB) {
+        return dateA.localeCompare(dateB);
       }
       
       // ถ้าวันที่เดียวกัน เรียงตามชื่อพนักงาน
@@ -0,0 +1,254 @@
+// services/geofence.js - พื้นที่ลงเวลา (ZONES) และการตรวจพิกัดตอนลงเวลาเข้า/ออก
+const SheetCache = require('./sheetCache');
+const { parseActive } = require('./employees');
+const { text } = require('./sheetValues');
+
+const SHAPES = ['circle', 'polygon'];
+// reject = ไม่ให้ลงเวลา, flag = ลงเวลาได้แต่ทำเครื่องหมายใน MAIN, allow = ลงเวลาได้ตามปกติ
+const POLICIES = ['reject', 'flag', 'allow'];
+const EARTH_RADIUS_METERS = 6371000;
+
+function geofenceError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function toNumber(value) {
+  const number = parseFloat(text(value));
+  return Number.isFinite(number) ? number : null;
+}
+
+function isCoordinate(lat, lon) {
+  return lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+/**
+ * อ่านพิกัดขอบเขต - 'lat,lon; lat,lon; ...' หรือ [[lat, lon], ...] / [{ lat, lon }, ...]
+ * @returns {Array<{lat: number, lon: number}>} (จุดที่อ่านไม่ได้เป็น null)
+ */
+function parsePolygon(value) {
+  const points = Array.isArray(value) ? value : text(value).split(';').filter(part => part.trim());
+  return points.map(point => {
+    const [lat, lon] = Array.isArray(point) ? point : (typeof point === 'object' ? [point.lat, point.lon] : point.split(','));
+    const parsed = { lat: toNumber(lat), lon: toNumber(lon) };
+    return isCoordinate(parsed.lat, parsed.lon) ? parsed : null;
+  });
+}
+
+function formatPolygon(points) {
+  return points.map(point => `${point.lat},${point.lon}`).join('; ');
+}
+
+/**
+ * แถวของ ZONES -> พื้นที่ลงเวลา
+ * @returns {{code, name, site, shape: string, lat: number|null, lon: number|null, radius: number|null,
+ *            polygon: Array<{lat, lon}>, policy: string, active: boolean}}
+ */
+function toZone(raw) {
+  const polygon = parsePolygon(raw.polygon);
+  return {
+    code: text(raw.code).toUpperCase(),
+    name: text(raw.name),
+    site: text(raw.site),
+    shape: text(raw.shape).toLowerCase() || (polygon.length > 0 ? 'polygon' : 'circle'),
+    lat: toNumber(raw.lat),
+    lon: toNumber(raw.lon),
+    radius: toNumber(raw.radius),
+    polygon,
+    policy: text(raw.policy).toLowerCase(),
+    active: parseActive(raw.active)
+  };
+}
+
+function toZoneRecord(zone) {
+  const isCircle = zone.shape === 'circle';
+  return {
+    code: zone.code,
+    name: zone.name,
+    site: zone.site,
+    shape: zone.shape,
+    lat: isCircle ? String(zone.lat) : '',
+    lon: isCircle ? String(zone.lon) : '',
+    radius: isCircle ? String(zone.radius) : '',
+    polygon: isCircle ? '' : formatPolygon(zone.polygon),
+    policy: zone.policy,
+    active: zone.active ? 'ใช้งาน' : 'ไม่ใช้งาน'
+  };
+}
+
+function validateZone(zone) {
+  const errors = [];
+  if (!/^[A-Z0-9_-]+$/.test(zone.code)) {
+    errors.push('code is required (letters, digits, "-" or "_")');
+  }
+  if (!zone.name) errors.push('name is required');
+  if (!SHAPES.includes(zone.shape)) {
+    errors.push(`shape must be one of: ${SHAPES.join(', ')}`);
+  } else if (zone.shape === 'circle') {
+    if (!isCoordinate(zone.lat, zone.lon)) errors.push('lat/lon of the circle center are required');
+    if (!(zone.radius > 0)) errors.push('radius must be a positive number of meters');
+  } else {
+    if (zone.polygon.length < 3) errors.push('polygon needs at least 3 points');
+    if (zone.polygon.some(point => !point)) errors.push('polygon points must be "lat,lon"');
+  }
+  if (zone.policy && !POLICIES.includes(zone.policy)) {
+    errors.push(`policy must be one of: ${POLICIES.join(', ')} (or empty)`);
+  }
+  return errors;
+}
+
+/**
+ * ระยะทางบนผิวโลกระหว่างสองพิกัด (haversine)
+ * @returns {number} เมตร
+ */
+function distanceMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// ระยะจากจุดถึงขอบพื้นที่หลายเหลี่ยม (0 = อยู่ข้างใน) - ฉายพิกัดเป็นเมตรรอบจุดนั้น พอสำหรับพื้นที่ขนาดสำนักงาน
+function distanceToPolygon(point, polygon) {
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const project = ({ lat, lon }) => ({
+    x: (lon - point.lon) * metersPerDegree * Math.cos(point.lat * Math.PI / 180),
+    y: (lat - point.lat) * metersPerDegree
+  });
+  const vertices = polygon.map(project);
+
+  let inside = false;
+  let nearest = Infinity;
+  vertices.forEach((a, index) => {
+    const b = vertices[(index + 1) % vertices.length];
+    if ((a.y > 0) !== (b.y > 0) && 0 < a.x + (0 - a.y) * (b.x - a.x) / (b.y - a.y)) {
+      inside = !inside;
+    }
+    // จุดที่ใกล้ที่สุดบนขอบ a-b (จุดที่ตรวจอยู่ที่ 0,0)
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / length)) : 0;
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  });
+  return inside ? 0 : nearest;
+}
+
+// ระยะจากพิกัดถึงพื้นที่ (0 = อยู่ในพื้นที่)
+function distanceToZone(point, zone) {
+  if (zone.shape === 'polygon') {
+    return distanceToPolygon(point, zone.polygon);
+  }
+  return Math.max(0, distanceMeters(point, zone) - zone.radius);
+}
+
+class GeofenceService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {boolean} options.enabled - false = ไม่ตรวจพิกัดเลย
+   * @param {string} options.defaultPolicy - นโยบายของพื้นที่ที่ไม่ได้กำหนด (reject / flag / allow)
+   */
+  constructor(storage, { enabled, defaultPolicy }) {
+    this.storage = storage;
+    this.enabled = enabled;
+    this.defaultPolicy = POLICIES.includes(defaultPolicy) ? defaultPolicy : 'flag';
+    this.cache = new SheetCache({ zones: 600000 }); // 10 นาที
+  }
+
+  // พื้นที่ที่อ่านได้ถูกต้อง (รวมที่ปิดใช้งาน)
+  async getZones() {
+    return this.cache.get('zones', async () =>
+      (await this.storage.getZones()).map(toZone).filter(zone => zone.code && validateZone(zone).length === 0)
+    );
+  }
+
+  /**
+   * เพิ่มหรือแก้ไขพื้นที่ (รหัสเดียวกัน = แก้ไข)
+   * @param {Object} input - { code, name, site, shape, lat, lon, radius, polygon, policy, active }
+   * @throws {Error} code 'INVALID_ZONE'
+   */
+  async save(input) {
+    const zone = toZone(input);
+    const errors = validateZone(zone);
+    if (errors.length > 0) {
+      throw geofenceError('INVALID_ZONE', errors.join('; '), errors);
+    }
+
+    await this.storage.saveZone(toZoneRecord(zone));
+    this.cache.update('zones', zones => [...zones.filter(entry => entry.code !== zone.code), zone]);
+    console.log(`📍 Zone saved: ${zone.code} (${zone.shape}, ${zone.policy || this.defaultPolicy})`);
+    return zone;
+  }
+
+  async remove(code) {
+    const zoneCode = text(code).toUpperCase();
+    const removed = zoneCode ? await this.storage.removeZone(zoneCode) : false;
+    if (!removed) {
+      throw geofenceError('ZONE_NOT_FOUND', `Zone not found: ${code}`);
+    }
+
+    this.cache.update('zones', zones => zones.filter(zone => zone.code !== zoneCode));
+    return true;
+  }
+
+  /**
+   * ตรวจพิกัดเทียบกับพื้นที่ที่ใช้งานอยู่
+   * - อยู่ในพื้นที่ใดพื้นที่หนึ่ง = allow
+   * - อยู่นอกทุกพื้นที่ = นโยบายของพื้นที่ที่ใกล้ที่สุด
+   * - พิกัดอ่านไม่ได้ = นโยบายที่เข้มที่สุดของทุกพื้นที่
+   * @returns {Promise<{checked: boolean, inside: boolean, action: 'allow'|'flag'|'reject',
+   *                    zone: Object|null, distanceMeters: number|null}>}
+   */
+  async check(lat, lon) {
+    const zones = this.enabled ? (await this.getZones()).filter(zone => zone.active) : [];
+    if (zones.length === 0) {
+      return { checked: false, inside: true, action: 'allow', zone: null, distanceMeters: null };
+    }
+
+    const policyOf = zone => zone.policy || this.defaultPolicy;
+    const point = { lat: toNumber(lat), lon: toNumber(lon) };
+    if (!isCoordinate(point.lat, point.lon)) {
+      const strictest = zones.reduce((worst, zone) =>
+        POLICIES.indexOf(policyOf(zone)) < POLICIES.indexOf(policyOf(worst)) ? zone : worst
+      );
+      return { checked: true, inside: false, action: policyOf(strictest), zone: strictest, distanceMeters: null };
+    }
+
+    const nearest = zones
+      .map(zone => ({ zone, distance: distanceToZone(point, zone) }))
+      .reduce((best, entry) => (entry.distance < best.distance ? entry : best));
+    const inside = nearest.distance === 0;
+    return {
+      checked: true,
+      inside,
+      action: inside ? 'allow' : policyOf(nearest.zone),
+      zone: nearest.zone,
+      distanceMeters: Math.round(nearest.distance)
+    };
+  }
+}
+
+/**
+ * ข้อความในคอลัมน์ "นอกพื้นที่" ของ MAIN
+ * @param {'เข้า'|'ออก'} direction
+ * @param {Object} result - จาก GeofenceService.check()
+ */
+function formatZoneFlag(direction, result) {
+  const where = result.zone.site ? `${result.zone.name} (${result.zone.site})` : result.zone.name;
+  return result.distanceMeters === null
+    ? `${direction}: ไม่มีพิกัด`
+    : `${direction}: ${result.distanceMeters} ม. จาก${where}`;
+}
+
+module.exports = {
+  POLICIES,
+  GeofenceService,
+  toZone,
+  distanceMeters,
+  formatZoneFlag
+};
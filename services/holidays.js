@@ -0,0 +1,244 @@
+// services/holidays.js - ปฏิทินวันหยุด (HOLIDAYS) และวันทำงานปกติของหน่วยงาน
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+const SheetCache = require('./sheetCache');
+const { text, normalizeDate } = require('./sheetValues');
+
+const DEFAULT_TYPE = 'นักขัตฤกษ์';
+
+function holidayError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * แถวของ HOLIDAYS -> วันหยุด
+ * @param {Object} record - { date, name, type }
+ */
+function toHoliday(record) {
+  return {
+    date: normalizeDate(record.date) || '',
+    name: text(record.name),
+    type: text(record.type) || DEFAULT_TYPE
+  };
+}
+
+// แยกบรรทัด CSV หนึ่งบรรทัด (รองรับค่าในเครื่องหมาย "...")
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * อ่านไฟล์ CSV: วันที่,ชื่อวันหยุด[,ประเภท] (แถวแรกที่ไม่ใช่วันที่ถือเป็น header)
+ * @param {string} content
+ * @returns {Object[]} รายการดิบ { line, date, name, type }
+ */
+function parseCsv(content) {
+  return content
+    .replace(/^﻿/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, cells: splitCsvLine(line) }))
+    .filter(({ cells }) => cells.some(Boolean))
+    .filter(({ cells }, index) => index > 0 || normalizeDate(cells[0]))
+    .map(({ line, cells }) => ({ line, date: cells[0], name: cells[1], type: cells[2] }));
+}
+
+// 'YYYYMMDD' หรือ 'YYYYMMDDTHHmmss(Z)' -> moment ของวันนั้น
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(text(value));
+  return match ? moment.tz(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD', CONFIG.TIMEZONE) : null;
+}
+
+/**
+ * อ่านไฟล์ iCalendar (.ics) - VEVENT หนึ่งรายการต่อวันหยุด (หลายวัน = DTEND แบบไม่รวมวันสุดท้าย)
+ * @param {string} content
+ * @returns {Object[]} รายการดิบ { line, date, name, type }
+ */
+function parseIcs(content) {
+  // บรรทัดที่ขึ้นต้นด้วยช่องว่างเป็นส่วนต่อของบรรทัดก่อนหน้า
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const entries = [];
+  let event = null;
+
+  lines.forEach((line, index) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = { line: index + 1 };
+      return;
+    }
+    if (line === 'END:VEVENT' && event) {
+      const start = parseIcsDate(event.DTSTART);
+      const end = parseIcsDate(event.DTEND);
+      const name = (event.SUMMARY || '').replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      if (!start) {
+        entries.push({ line: event.line, date: event.DTSTART || '', name });
+      } else {
+        const days = end && end.isAfter(start) ? end.diff(start, 'days') : 1;
+        for (let day = 0; day < days; day++) {
+          entries.push({ line: event.line, date: start.clone().add(day, 'days').format('YYYY-MM-DD'), name });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (event) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        event[line.slice(0, separator).split(';')[0].toUpperCase()] = line.slice(separator + 1);
+      }
+    }
+  });
+
+  return entries;
+}
+
+// ข้อผิดพลาดของวันหยุดหนึ่งรายการ
+function validateHoliday(holiday, input) {
+  const errors = [];
+  if (!holiday.date) errors.push(`date "${text(input.date)}" is not a valid date`);
+  if (!holiday.name) errors.push('name is required');
+  return errors;
+}
+
+class HolidayCalendar {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {number[]} options.weekdays - วันทำงานปกติ (1 = จันทร์ ... 7 = อาทิตย์)
+   */
+  constructor(storage, { weekdays }) {
+    this.storage = storage;
+    this.weekdays = weekdays;
+    this.cache = new SheetCache({ holidays: 600000 }); // 10 นาที
+  }
+
+  async getHolidays() {
+    return this.cache.get('holidays', async () =>
+      (await this.storage.getHolidays()).map(toHoliday).filter(holiday => holiday.date)
+    );
+  }
+
+  // วันหยุดในช่วงวันที่ (รวมวันเริ่มและวันสิ้นสุด, ไม่ระบุ = ไม่จำกัด) เรียงตามวันที่
+  async getHolidaysBetween(startDate, endDate) {
+    const from = normalizeDate(startDate);
+    const to = normalizeDate(endDate);
+    return (await this.getHolidays())
+      .filter(holiday => (!from || holiday.date >= from) && (!to || holiday.date <= to))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getMonthHolidays(month, year) {
+    const start = moment.tz({ year: Number(year), month: Number(month) - 1, day: 1 }, CONFIG.TIMEZONE);
+    return this.getHolidaysBetween(start.format('YYYY-MM-DD'), start.clone().endOf('month').format('YYYY-MM-DD'));
+  }
+
+  /**
+   * วันนั้นเป็นวันทำงานปกติหรือไม่ (ไม่ใช่วันหยุดสุดสัปดาห์และไม่อยู่ในปฏิทินวันหยุด)
+   * @param {*} date - 'YYYY-MM-DD' หรือรูปแบบที่ datetime อ่านได้
+   * @returns {Promise<{date: string, working: boolean, weekend: boolean, holiday: Object|null}>}
+   */
+  async getWorkingDay(date) {
+    const dateKey = normalizeDate(date);
+    if (!dateKey) {
+      throw holidayError('INVALID_HOLIDAY', `Invalid date: ${date}`);
+    }
+
+    const holiday = (await this.getHolidays()).find(entry => entry.date === dateKey) || null;
+    const weekend = !this.weekdays.includes(moment.tz(dateKey, 'YYYY-MM-DD', CONFIG.TIMEZONE).isoWeekday());
+    return { date: dateKey, working: !weekend && !holiday, weekend, holiday };
+  }
+
+  /**
+   * เพิ่มหรือแก้ไขวันหยุดหลายรายการ (วันที่เดียวกัน = แก้ไข) - รายการที่ไม่ถูกต้องไม่ถูกบันทึก
+   * @param {Object[]} inputs - { date, name, type, line? }
+   * @returns {Promise<{created: number, updated: number, errors: Object[]}>}
+   */
+  async saveMany(inputs) {
+    const existing = new Set((await this.getHolidays()).map(holiday => holiday.date));
+    const valid = new Map();
+    const errors = [];
+
+    inputs.forEach((input, index) => {
+      const holiday = toHoliday(input);
+      const problems = validateHoliday(holiday, input);
+      if (problems.length > 0) {
+        errors.push({ line: input.line || index + 1, errors: problems });
+      } else {
+        valid.set(holiday.date, holiday);
+      }
+    });
+
+    const holidays = [...valid.values()];
+    if (holidays.length > 0) {
+      await this.storage.saveHolidays(holidays);
+      this.cache.update('holidays', entries => [...entries.filter(entry => !valid.has(entry.date)), ...holidays]);
+      console.log(`🎌 Holidays saved: ${holidays.length} (${holidays[0].date}${holidays.length > 1 ? ` - ${holidays[holidays.length - 1].date}` : ''})`);
+    }
+
+    const created = holidays.filter(holiday => !existing.has(holiday.date)).length;
+    return { created, updated: holidays.length - created, errors };
+  }
+
+  /**
+   * @param {Object} input - { date, name, type }
+   * @throws {Error} code 'INVALID_HOLIDAY'
+   */
+  async save(input) {
+    const { errors } = await this.saveMany([input]);
+    if (errors.length > 0) {
+      throw holidayError('INVALID_HOLIDAY', errors[0].errors.join('; '), errors[0].errors);
+    }
+    return toHoliday(input);
+  }
+
+  /**
+   * นำเข้าจากไฟล์ .ics หรือ CSV
+   * @param {string} content
+   * @param {'ics'|'csv'} [format] - ไม่ระบุ = ดูจากเนื้อหา
+   */
+  async import(content, format) {
+    const isIcs = format ? format === 'ics' : /BEGIN:VCALENDAR/.test(content);
+    const entries = isIcs ? parseIcs(content) : parseCsv(content);
+    if (entries.length === 0) {
+      throw holidayError('INVALID_HOLIDAY', `No holidays found in the ${isIcs ? '.ics' : 'CSV'} file`);
+    }
+    return this.saveMany(entries);
+  }
+
+  async remove(date) {
+    const dateKey = normalizeDate(date);
+    const removed = dateKey ? await this.storage.removeHoliday(dateKey) : false;
+    if (!removed) {
+      throw holidayError('HOLIDAY_NOT_FOUND', `Holiday not found: ${date}`);
+    }
+
+    this.cache.update('holidays', entries => entries.filter(entry => entry.date !== dateKey));
+    return true;
+  }
+}
+
+module.exports = {
+  HolidayCalendar,
+  toHoliday,
+  parseCsv,
+  parseIcs
+};
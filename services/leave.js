@@ -0,0 +1,333 @@
+// services/leave.js - ใบลา (LEAVE_REQUESTS), การอนุมัติ และยอดวันลาคงเหลือต่อปีงบประมาณ
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+const datetime = require('./datetime');
+const SheetCache = require('./sheetCache');
+const { isSameEmployee } = require('./employees');
+const { text, normalizeDate, isTrue, overlaps } = require('./sheetValues');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// ใบลาที่ยังนับวันลา (รออนุมัติจองวันลาไว้ก่อน)
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+function leaveError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function toLeaveType(raw) {
+  return {
+    code: text(raw.code).toUpperCase(),
+    name: text(raw.name),
+    quotaDays: Number(raw.quotaDays) || 0
+  };
+}
+
+/**
+ * แถวของ LEAVE_REQUESTS -> ใบลา
+ * @returns {{id, employeeCode, employeeName, type, startDate: string|null, endDate: string|null, halfDay: boolean,
+ *            days: number, fiscalYear: number, reason, status, requestedAt, decidedBy, decidedAt, decisionNote}}
+ */
+function toLeaveRequest(raw) {
+  const status = text(raw.status).toLowerCase();
+  return {
+    id: text(raw.id),
+    employeeCode: text(raw.employeeCode),
+    employeeName: text(raw.employeeName),
+    type: text(raw.type).toUpperCase(),
+    startDate: normalizeDate(raw.startDate),
+    endDate: normalizeDate(raw.endDate),
+    halfDay: isTrue(raw.halfDay),
+    days: Number(text(raw.days)) || 0,
+    fiscalYear: Number(text(raw.fiscalYear)) || 0,
+    reason: text(raw.reason),
+    status: STATUSES.includes(status) ? status : 'pending',
+    requestedAt: text(raw.requestedAt),
+    decidedBy: text(raw.decidedBy),
+    decidedAt: text(raw.decidedAt),
+    decisionNote: text(raw.decisionNote)
+  };
+}
+
+function toLeaveRecord(request) {
+  return {
+    ...request,
+    startDate: request.startDate || '',
+    endDate: request.endDate || '',
+    halfDay: request.halfDay ? 'TRUE' : '',
+    days: String(request.days),
+    fiscalYear: String(request.fiscalYear)
+  };
+}
+
+/**
+ * ปีงบประมาณ (พ.ศ.) ของวันนั้น - ปีงบประมาณตั้งชื่อตามปีที่สิ้นสุด
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} startMonth - เดือนแรกของปีงบประมาณ (1-12)
+ */
+function fiscalYearOf(dateKey, startMonth) {
+  const date = moment.tz(dateKey, 'YYYY-MM-DD', CONFIG.TIMEZONE);
+  const endingYear = startMonth > 1 && date.month() + 1 >= startMonth ? date.year() + 1 : date.year();
+  return endingYear + 543;
+}
+
+function eachDate(startDate, endDate) {
+  const dates = [];
+  for (const day = moment.tz(startDate, 'YYYY-MM-DD', CONFIG.TIMEZONE); day.format('YYYY-MM-DD') <= endDate; day.add(1, 'day')) {
+    dates.push(day.format('YYYY-MM-DD'));
+  }
+  return dates;
+}
+
+class LeaveService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {Object[]} options.types - ประเภทการลา { code, name, quotaDays }
+   * @param {number} options.fiscalYearStartMonth - เดือนแรกของปีงบประมาณ (10 = ตุลาคม)
+   * @param {number} options.maxDaysPerRequest - ช่วงวันที่สูงสุดของใบลาหนึ่งใบ
+   * @param {Object} options.schedule - ScheduleService (นับเฉพาะวันที่ต้องทำงาน)
+   */
+  constructor(storage, { types, fiscalYearStartMonth, maxDaysPerRequest, schedule }) {
+    this.storage = storage;
+    this.types = types.map(toLeaveType);
+    this.fiscalYearStartMonth = fiscalYearStartMonth;
+    this.maxDaysPerRequest = maxDaysPerRequest;
+    this.schedule = schedule;
+    this.cache = new SheetCache({ requests: 60000 }); // 1 นาที
+  }
+
+  getTypes() {
+    return this.types;
+  }
+
+  fiscalYearOf(date) {
+    return fiscalYearOf(datetime.toDateKey(date), this.fiscalYearStartMonth);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - อ่านล่าสุดแทน cache (ใช้ก่อนเขียน)
+   */
+  async getRequests({ fresh = false } = {}) {
+    if (fresh) this.cache.invalidate('requests');
+    return this.cache.get('requests', async () =>
+      (await this.storage.getLeaveRequests()).map(toLeaveRequest).filter(request => request.id)
+    );
+  }
+
+  async getEmployeeRequests(employee, options) {
+    return (await this.getRequests(options)).filter(request =>
+      isSameEmployee({ code: request.employeeCode || null, names: [request.employeeName] }, employee)
+    );
+  }
+
+  /**
+   * วันที่ต้องทำงานของพนักงานในช่วงนั้น (ตามกะ ตารางเวร และวันหยุด)
+   * @returns {Promise<string[]>} 'YYYY-MM-DD'
+   */
+  async getWorkingDates(employee, startDate, endDate) {
+    const dates = eachDate(startDate, endDate);
+    const schedules = await Promise.all(dates.map(date => this.schedule.getExpectedSchedule(employee, date)));
+    return dates.filter((date, index) => schedules[index].working);
+  }
+
+  /**
+   * ยอดวันลาของพนักงานในปีงบประมาณ
+   * @param {Object} employee
+   * @param {number} [fiscalYear] - พ.ศ. (ค่าเริ่มต้น = ปีงบประมาณปัจจุบัน)
+   * @returns {Promise<{fiscalYear: number, balances: Object[]}>}
+   *          balances: { type, name, quotaDays, usedDays, pendingDays, remainingDays }
+   */
+  async getBalances(employee, fiscalYear = this.fiscalYearOf(datetime.now())) {
+    const requests = (await this.getEmployeeRequests(employee))
+      .filter(request => request.fiscalYear === Number(fiscalYear));
+    const sum = (type, status) => requests
+      .filter(request => request.type === type && request.status === status)
+      .reduce((total, request) => total + request.days, 0);
+
+    return {
+      fiscalYear: Number(fiscalYear),
+      balances: this.types.map(type => {
+        const usedDays = sum(type.code, 'approved');
+        return {
+          type: type.code,
+          name: type.name,
+          quotaDays: type.quotaDays,
+          usedDays,
+          pendingDays: sum(type.code, 'pending'),
+          remainingDays: type.quotaDays - usedDays
+        };
+      })
+    };
+  }
+
+  /**
+   * ยื่นใบลา (สถานะรออนุมัติ)
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {Object} input - { type, startDate, endDate?, halfDay?, reason? }
+   * @param {string} requestedAt - เวลาในรูปแบบของ sheet
+   * @throws {Error} code 'INVALID_LEAVE' | 'LEAVE_OVERLAP' | 'LEAVE_QUOTA_EXCEEDED'
+   */
+  async request(employee, input, requestedAt) {
+    const type = this.types.find(entry => entry.code === text(input.type).toUpperCase());
+    const startDate = normalizeDate(input.startDate);
+    const endDate = text(input.endDate) ? normalizeDate(input.endDate) : startDate;
+    const halfDay = isTrue(input.halfDay);
+
+    const errors = [];
+    if (!type) errors.push(`ประเภทการลาต้องเป็น ${this.types.map(entry => `${entry.code} (${entry.name})`).join(', ')}`);
+    if (!startDate) errors.push('กรุณาระบุวันที่เริ่มลา');
+    if (text(input.endDate) && !endDate) errors.push('วันที่สิ้นสุดไม่ถูกต้อง');
+    if (startDate && endDate) {
+      if (endDate < startDate) errors.push('วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มลา');
+      else if (eachDate(startDate, endDate).length > this.maxDaysPerRequest) errors.push(`ลาได้ไม่เกิน ${this.maxDaysPerRequest} วันต่อใบลา`);
+      if (halfDay && endDate !== startDate) errors.push('ลาครึ่งวันได้เฉพาะใบลาวันเดียว');
+      if (fiscalYearOf(startDate, this.fiscalYearStartMonth) !== fiscalYearOf(endDate, this.fiscalYearStartMonth)) {
+        errors.push('ใบลาหนึ่งใบต้องอยู่ในปีงบประมาณเดียวกัน');
+      }
+    }
+    if (errors.length > 0) {
+      throw leaveError('INVALID_LEAVE', errors.join('; '), errors);
+    }
+
+    const workingDates = await this.getWorkingDates(employee, startDate, endDate);
+    if (workingDates.length === 0) {
+      throw leaveError('INVALID_LEAVE', 'ช่วงที่ลาไม่มีวันทำงาน (วันหยุดหรือไม่มีเวร)');
+    }
+
+    const requests = await this.getEmployeeRequests(employee, { fresh: true });
+    const overlapping = requests.find(request => ACTIVE_STATUSES.includes(request.status) && overlaps(request, startDate, endDate));
+    if (overlapping) {
+      throw leaveError('LEAVE_OVERLAP', `มีใบลาในช่วงวันที่นี้แล้ว (${overlapping.startDate} - ${overlapping.endDate})`);
+    }
+
+    const days = halfDay ? 0.5 : workingDates.length;
+    const fiscalYear = fiscalYearOf(startDate, this.fiscalYearStartMonth);
+    const balance = (await this.getBalances(employee, fiscalYear)).balances.find(entry => entry.type === type.code);
+    const available = balance.remainingDays - balance.pendingDays;
+    if (days > available) {
+      throw leaveError('LEAVE_QUOTA_EXCEEDED', `${type.name}คงเหลือ ${available} วัน (ขอลา ${days} วัน)`, balance);
+    }
+
+    const request = {
+      id: crypto.randomUUID(),
+      employeeCode: employee.code || '',
+      employeeName: employee.name,
+      type: type.code,
+      startDate,
+      endDate,
+      halfDay,
+      days,
+      fiscalYear,
+      reason: text(input.reason),
+      status: 'pending',
+      requestedAt,
+      decidedBy: '',
+      decidedAt: '',
+      decisionNote: ''
+    };
+    await this.storage.saveLeaveRequest(toLeaveRecord(request));
+    this.cache.update('requests', entries => [...entries, request]);
+    console.log(`📝 Leave requested: ${employee.name} ${type.code} ${startDate}${endDate !== startDate ? ` - ${endDate}` : ''} (${days} วัน)`);
+    return request;
+  }
+
+  async findRequest(id) {
+    const request = (await this.getRequests({ fresh: true })).find(entry => entry.id === id);
+    if (!request) {
+      throw leaveError('LEAVE_NOT_FOUND', `Leave request not found: ${id}`);
+    }
+    return request;
+  }
+
+  /**
+   * อนุมัติหรือไม่อนุมัติใบลาที่รออนุมัติ
+   * @param {string} id
+   * @param {Object} decision - { approve: boolean, note? }
+   * @param {string} decidedBy - ชื่อผู้ใช้ของผู้พิจารณา
+   * @param {string} decidedAt - เวลาในรูปแบบของ sheet
+   * @throws {Error} code 'LEAVE_NOT_FOUND' | 'LEAVE_ALREADY_DECIDED' | 'LEAVE_QUOTA_EXCEEDED'
+   */
+  async decide(id, { approve, note }, decidedBy, decidedAt) {
+    const request = await this.findRequest(id);
+    if (request.status !== 'pending') {
+      throw leaveError('LEAVE_ALREADY_DECIDED', `Leave request ${id} is already ${request.status}`);
+    }
+
+    if (approve) {
+      const employee = { code: request.employeeCode || null, name: request.employeeName };
+      const balance = (await this.getBalances(employee, request.fiscalYear)).balances.find(entry => entry.type === request.type);
+      if (balance && request.days > balance.remainingDays) {
+        throw leaveError('LEAVE_QUOTA_EXCEEDED', `Only ${balance.remainingDays} days of ${balance.name} left (requested ${request.days})`, balance);
+      }
+    }
+
+    return this.updateRequest({
+      ...request,
+      status: approve ? 'approved' : 'rejected',
+      decidedBy,
+      decidedAt,
+      decisionNote: text(note)
+    });
+  }
+
+  /**
+   * พนักงานยกเลิกใบลาของตัวเองที่ยังรออนุมัติ
+   * @throws {Error} code 'LEAVE_NOT_FOUND' | 'LEAVE_ALREADY_DECIDED'
+   */
+  async cancel(employee, id) {
+    const request = await this.findRequest(id);
+    if (!isSameEmployee({ code: request.employeeCode || null, names: [request.employeeName] }, employee)) {
+      throw leaveError('LEAVE_NOT_FOUND', 'ไม่พบใบลานี้');
+    }
+    if (request.status !== 'pending') {
+      throw leaveError('LEAVE_ALREADY_DECIDED', 'ใบลานี้ได้รับการพิจารณาแล้ว ยกเลิกไม่ได้');
+    }
+    return this.updateRequest({ ...request, status: 'cancelled' });
+  }
+
+  async updateRequest(request) {
+    await this.storage.saveLeaveRequest(toLeaveRecord(request));
+    this.cache.update('requests', entries => entries.map(entry => (entry.id === request.id ? request : entry)));
+    console.log(`📝 Leave ${request.status}: ${request.employeeName} ${request.type} ${request.startDate} (${request.id})`);
+    return request;
+  }
+
+  /**
+   * ใบลาที่อนุมัติแล้วในช่วงวันที่ พร้อมวันทำงานที่ลาภายในช่วงนั้น
+   * @param {string} startDate - 'YYYY-MM-DD'
+   * @param {string} endDate - 'YYYY-MM-DD'
+   * @returns {Promise<Object[]>} ใบลา + { typeName, dates: string[], daysInRange: number }
+   */
+  async getApprovedLeaves(startDate, endDate) {
+    const approved = (await this.getRequests())
+      .filter(request => request.status === 'approved' && overlaps(request, startDate, endDate))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.employeeName.localeCompare(b.employeeName, 'th'));
+
+    return Promise.all(approved.map(async request => {
+      const employee = { code: request.employeeCode || null, name: request.employeeName };
+      const dates = await this.getWorkingDates(
+        employee,
+        request.startDate > startDate ? request.startDate : startDate,
+        request.endDate < endDate ? request.endDate : endDate
+      );
+      const type = this.types.find(entry => entry.code === request.type);
+      return {
+        ...request,
+        typeName: type ? type.name : request.type,
+        dates,
+        daysInRange: request.halfDay ? dates.length * 0.5 : dates.length
+      };
+    }));
+  }
+}
+
+module.exports = {
+  LeaveService,
+  toLeaveRequest,
+  fiscalYearOf
+};
@@ -0,0 +1,174 @@
+// services/liffToken.js - ตรวจ ID token ของ LIFF (ลายเซ็น, audience, วันหมดอายุ) ด้วย public key ของ LINE
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fetch = require('node-fetch');
+
+const DEFAULT_KEYS_TTL = 3600000; // 1 ชั่วโมง
+const MIN_REFETCH_INTERVAL = 60000; // kid ที่ไม่รู้จักโหลด key ใหม่ได้ไม่เกินนาทีละครั้ง
+
+function verificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class LiffTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.channelId - LINE Login channel ID (ค่า aud ของ token)
+   * @param {string} options.issuer - ค่า iss ที่ยอมรับ
+   * @param {string} [options.jwksUrl] - ที่อยู่ public key ของ LINE (JWK set)
+   * @param {string} [options.jwksFile] - ไฟล์ JWK set ในเครื่อง - ถ้าระบุจะไม่โหลดจาก jwksUrl (เช่น ตอนทดสอบ)
+   * @param {number} [options.keysTtlMs] - อายุ cache ของ key ที่โหลดจาก jwksUrl
+   */
+  constructor({ channelId, issuer, jwksUrl, jwksFile, keysTtlMs = DEFAULT_KEYS_TTL }) {
+    this.channelId = channelId;
+    this.issuer = issuer;
+    this.jwksUrl = jwksUrl;
+    this.keysTtlMs = keysTtlMs;
+    this.keys = null; // kid -> KeyObject
+    this.keysLoadedAt = 0;
+    this.inflight = null;
+
+    if (jwksFile) {
+      this.keys = this.parseKeySet(JSON.parse(fs.readFileSync(jwksFile, 'utf8')));
+      this.keysTtlMs = Infinity;
+    }
+  }
+
+  parseKeySet(jwks) {
+    const keys = new Map();
+    (jwks.keys || []).forEach(jwk => {
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable LINE public key ${jwk.kid}: ${error.message}`);
+      }
+    });
+    return keys;
+  }
+
+  // โหลด key set ใหม่ (รวม request ที่ซ้ำกัน)
+  async refreshKeys() {
+    if (!this.inflight) {
+      this.inflight = fetch(this.jwksUrl, { timeout: 5000 })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(jwks => {
+          this.keys = this.parseKeySet(jwks);
+          this.keysLoadedAt = Date.now();
+          console.log(`🔑 Loaded ${this.keys.size} LINE public keys`);
+        })
+        .catch(error => {
+          throw verificationError('KEYS_UNAVAILABLE', `Cannot load LINE public keys: ${error.message}`);
+        })
+        .finally(() => {
+          this.inflight = null;
+        });
+    }
+    return this.inflight;
+  }
+
+  async getKey(kid) {
+    const age = Date.now() - this.keysLoadedAt;
+    const expired = this.keysTtlMs !== Infinity && age >= this.keysTtlMs;
+    const unknownKid = this.keys && !this.keys.has(kid) && this.keysTtlMs !== Infinity && age >= MIN_REFETCH_INTERVAL;
+
+    if (!this.keys || expired || unknownKid) {
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        // ใช้ key เดิมต่อไปถ้าเคยโหลดได้
+        if (!this.keys) throw error;
+        console.warn(`⚠️ ${error.message}, using cached keys`);
+      }
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * ตรวจ ID token และคืนข้อมูลบัญชี LINE ที่ยืนยันแล้ว
+   * @param {string} idToken
+   * @returns {Promise<{userId: string, name: string, picture: string}>}
+   * @throws {Error} error.code: 'INVALID_TOKEN' | 'TOKEN_EXPIRED' | 'KEYS_UNAVAILABLE'
+   */
+  async verify(idToken) {
+    if (!this.channelId) {
+      throw verificationError('INVALID_TOKEN', 'LINE channel ID is not configured');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw verificationError('INVALID_TOKEN', 'Invalid ID token format');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) {
+      throw verificationError('INVALID_TOKEN', `Unknown signing key: ${decoded.header.kid}`);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: ['ES256'],
+        audience: this.channelId,
+        issuer: this.issuer
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw verificationError('TOKEN_EXPIRED', 'ID token has expired');
+      }
+      throw verificationError('INVALID_TOKEN', error.message);
+    }
+
+    if (!payload.sub) {
+      throw verificationError('INVALID_TOKEN', 'ID token has no subject');
+    }
+    return { userId: payload.sub, name: payload.name || '', picture: payload.picture || '' };
+  }
+}
+
+/**
+ * middleware ตรวจ ID token จาก header X-Line-ID-Token แล้วเก็บบัญชีที่ยืนยันแล้วไว้ที่ req.lineIdentity
+ * โหมดพัฒนา: ยอมรับ request ที่ไม่มีหรือตรวจ token ไม่ผ่าน (req.lineIdentity = null)
+ * @param {LiffTokenVerifier} verifier
+ * @param {Object} [options]
+ * @param {boolean} [options.devMode]
+ * @returns {Function} express middleware
+ */
+function createLiffAuthMiddleware(verifier, { devMode = false } = {}) {
+  return async (req, res, next) => {
+    const token = req.headers['x-line-id-token'];
+    req.lineIdentity = null;
+
+    try {
+      if (!token) {
+        throw verificationError('NO_TOKEN', 'LINE ID token required');
+      }
+      req.lineIdentity = await verifier.verify(token);
+      return next();
+    } catch (error) {
+      if (devMode) {
+        console.warn(`⚠️ Unverified LINE request accepted (development mode): ${error.message}`);
+        return next();
+      }
+
+      console.warn(`🚫 LINE ID token rejected on ${req.path}: ${error.message}`);
+      return res.status(error.code === 'KEYS_UNAVAILABLE' ? 503 : 401).json({
+        success: false,
+        error: error.message,
+        errorCode: error.code || 'INVALID_TOKEN'
+      });
+    }
+  };
+}
+
+module.exports = {
+  LiffTokenVerifier,
+  createLiffAuthMiddleware
+};
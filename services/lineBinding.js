@@ -0,0 +1,356 @@
+// services/lineBinding.js - ผูกบัญชี LINE กับพนักงาน (หนึ่งบัญชีต่อหนึ่งคน) และบันทึกการใช้บัญชีไม่ตรง
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const datetime = require('./datetime');
+const SheetCache = require('./sheetCache');
+const { isSameEmployee, identityKey } = require('./employees');
+
+const STATUS_ACTIVE = 'active';
+const STATUS_PENDING = 'pending'; // รอผู้ดูแลอนุมัติ
+
+class LineBindingService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {string} options.secret - ใช้สร้างรหัสลงทะเบียน (ไม่มี = ใช้รหัสลงทะเบียนไม่ได้)
+   * @param {number} options.enrollmentTtlHours - อายุรหัสลงทะเบียน
+   * @param {number} options.maxFailedAttempts - จำนวนครั้งที่กรอกรหัสผิดได้ก่อนถูกล็อก
+   * @param {number} options.lockoutMinutes - ช่วงเวลานับรหัสผิด/ระยะเวลาล็อก
+   * @param {string} options.logFile - ไฟล์บันทึกเหตุการณ์ (JSONL)
+   * @param {Object} [options.locks] - EmployeeLock ที่ใช้ร่วมกับการลงเวลา (ไม่ให้ = ผูกบัญชีโดยไม่ล็อก)
+   */
+  constructor(storage, { secret, enrollmentTtlHours = 24, maxFailedAttempts = 5, lockoutMinutes = 15, logFile, locks = null }) {
+    this.storage = storage;
+    this.locks = locks;
+    this.secret = secret;
+    this.windowMs = enrollmentTtlHours * 3600000;
+    this.maxFailedAttempts = maxFailedAttempts;
+    this.lockoutMs = lockoutMinutes * 60000;
+    this.failedAttempts = new Map(); // 'line:<id>' / 'employee:<key>' -> { count, since }
+    this.logFile = path.resolve(logFile);
+    this.cache = new SheetCache({ bindings: 300000 }); // 5 นาที
+  }
+
+  async getBindings() {
+    return this.cache.get('bindings', () => this.storage.getLineBindings());
+  }
+
+  async findByLineUserId(lineUserId) {
+    const bindings = await this.getBindings();
+    return bindings.find(binding => binding.lineUserId === lineUserId) || null;
+  }
+
+  // binding ที่ใช้งานอยู่ของพนักงานคนนี้
+  async findActiveByEmployee(employee) {
+    const bindings = await this.getBindings();
+    return bindings.find(binding =>
+      binding.status === STATUS_ACTIVE && this.isBoundTo(binding, employee)
+    ) || null;
+  }
+
+  isBoundTo(binding, employee) {
+    return isSameEmployee({ code: binding.employeeCode, names: [binding.employeeName] }, employee);
+  }
+
+  async save(binding) {
+    await this.storage.saveLineBinding(binding);
+    this.cache.update('bindings', bindings => [
+      ...bindings.filter(b => b.lineUserId !== binding.lineUserId),
+      binding
+    ]);
+    return binding;
+  }
+
+  // ========== Enrollment codes ==========
+
+  // รหัส 6 หลักของพนักงานในช่วงเวลานั้น (คำนวณจาก secret - ไม่ต้องเก็บไว้)
+  codeForWindow(employee, windowIndex) {
+    if (!this.secret) {
+      const error = new Error('Enrollment codes are disabled: LINE_BINDING_SECRET is not set');
+      error.code = 'ENROLLMENT_DISABLED';
+      throw error;
+    }
+    const digest = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${employee.code || ''}:${employee.name}:${windowIndex}`)
+      .digest();
+    return String(digest.readUInt32BE(0) % 1000000).padStart(6, '0');
+  }
+
+  /**
+   * ออกรหัสลงทะเบียนให้พนักงาน (ใช้ได้จนจบช่วงเวลาถัดไป)
+   * @param {Object} employee
+   * @returns {{code: string, expiresAt: string}}
+   */
+  issueEnrollmentCode(employee) {
+    const windowIndex = Math.floor(Date.now() / this.windowMs);
+    return {
+      code: this.codeForWindow(employee, windowIndex),
+      expiresAt: new Date((windowIndex + 2) * this.windowMs).toISOString()
+    };
+  }
+
+  verifyEnrollmentCode(employee, code) {
+    const text = (code || '').toString().trim();
+    if (!this.secret || !/^\d{6}$/.test(text)) return false;
+
+    // ยอมรับรหัสของช่วงปัจจุบันและช่วงก่อนหน้า
+    const windowIndex = Math.floor(Date.now() / this.windowMs);
+    return [windowIndex, windowIndex - 1].some(index =>
+      crypto.timingSafeEqual(Buffer.from(this.codeForWindow(employee, index)), Buffer.from(text))
+    );
+  }
+
+  // key ที่นับรหัสผิด - ทั้งบัญชี LINE ที่กรอก และพนักงานที่ถูกขอผูก (กันการเดารหัสจากหลายบัญชี)
+  attemptKeys(lineUserId, employee) {
+    return [`line:${lineUserId}`, `employee:${identityKey(employee)}`];
+  }
+
+  isEnrollmentLocked(keys) {
+    return keys.some(key => {
+      const entry = this.failedAttempts.get(key);
+      return !!entry && Date.now() - entry.since < this.lockoutMs && entry.count >= this.maxFailedAttempts;
+    });
+  }
+
+  recordFailedAttempt(keys) {
+    const now = Date.now();
+    this.failedAttempts.forEach((entry, key) => {
+      if (now - entry.since >= this.lockoutMs) this.failedAttempts.delete(key);
+    });
+    keys.forEach(key => {
+      const entry = this.failedAttempts.get(key) || { count: 0, since: now };
+      entry.count++;
+      this.failedAttempts.set(key, entry);
+    });
+  }
+
+  // ========== Authorization ==========
+
+  /**
+   * ตรวจว่าบัญชี LINE นี้ลงเวลาแทนพนักงานได้หรือไม่
+   * - ผูกไว้แล้ว: ใช้พนักงานที่ผูกไว้ (ถ้าระบุพนักงานคนอื่นมาจะถูกปฏิเสธและบันทึก)
+   * - ยังไม่ผูก: ผูกทันทีเมื่อมีรหัสลงทะเบียนที่ถูกต้อง ไม่เช่นนั้นสร้างคำขอรอผู้ดูแลอนุมัติ
+   *   (กรอกรหัสผิดครบจำนวนต่อบัญชี LINE หรือต่อพนักงาน = ไม่ตรวจรหัสจนครบเวลาล็อก)
+   * @param {Object[]} employees - รายชื่อพนักงานทั้งหมด
+   * @param {Object} request
+   * @param {string} request.lineUserId
+   * @param {string} [request.lineName]
+   * @param {Object|null} request.requested - พนักงานที่ระบุมา (resolve แล้ว)
+   * @param {string} [request.enrollmentCode]
+   * @returns {Promise<{allowed: boolean, employee?: Object, reason?: string, message?: string}>}
+   */
+  async authorize(employees, { lineUserId, lineName, requested, enrollmentCode }) {
+    if (!lineUserId) {
+      return { allowed: false, reason: 'line_required', message: 'กรุณาเปิดผ่าน LINE เพื่อยืนยันตัวตนก่อนลงเวลา' };
+    }
+
+    const binding = await this.findByLineUserId(lineUserId);
+
+    if (binding && binding.status === STATUS_ACTIVE) {
+      const bound = employees.find(employee => this.isBoundTo(binding, employee));
+      if (!bound) {
+        return { allowed: false, reason: 'binding_invalid', message: 'ไม่พบพนักงานที่ผูกกับบัญชี LINE นี้ กรุณาติดต่อผู้ดูแลระบบ' };
+      }
+      if (requested && !this.isBoundTo(binding, requested)) {
+        await this.log({ type: 'mismatch', lineUserId, lineName, boundTo: bound.name, requested: requested.name });
+        console.warn(`🚫 LINE ${lineUserId} (${lineName || '-'}) bound to "${bound.name}" tried to clock "${requested.name}"`);
+        return {
+          allowed: false,
+          reason: 'binding_mismatch',
+          message: `บัญชี LINE นี้ผูกกับ "${bound.name}" ไม่สามารถลงเวลาแทนผู้อื่นได้`
+        };
+      }
+      return { allowed: true, employee: bound };
+    }
+
+    // ยังไม่ผูก (หรือรออนุมัติ) - ต้องรู้ว่าขอผูกกับใคร
+    const target = requested || (binding ? employees.find(employee => this.isBoundTo(binding, employee)) : null);
+    if (!target) {
+      return { allowed: false, reason: 'employee_required' };
+    }
+
+    // ตรวจว่าพนักงานยังไม่ถูกผูกจนถึงบันทึกการผูกภายใต้ล็อกของพนักงานและบัญชี LINE นั้น
+    // (ลงทะเบียนพร้อมกันจากหลายบัญชีต้องผูกได้บัญชีเดียว)
+    const releases = this.acquireEnrollmentLocks(lineUserId, target);
+    if (!releases) {
+      return {
+        allowed: false,
+        reason: 'processing',
+        message: 'ระบบกำลังบันทึกเวลาของคุณอยู่ กรุณารอสักครู่แล้วลองใหม่อีกครั้ง'
+      };
+    }
+    try {
+      return await this.enroll({ lineUserId, lineName, binding, target, enrollmentCode });
+    } finally {
+      releases.forEach(release => release());
+    }
+  }
+
+  // ล็อกพนักงานเป้าหมายและบัญชี LINE - null ถ้ามี request อื่นถืออยู่
+  acquireEnrollmentLocks(lineUserId, target) {
+    if (!this.locks) return [];
+
+    const releases = [];
+    for (const key of [identityKey(target), `line:${lineUserId}`]) {
+      const release = this.locks.tryAcquire(key, 'lineBinding');
+      if (!release) {
+        releases.forEach(held => held());
+        return null;
+      }
+      releases.push(release);
+    }
+    return releases;
+  }
+
+  // ผูกด้วยรหัสลงทะเบียนหรือสร้างคำขอรออนุมัติ (เรียกภายใต้ล็อกจาก authorize)
+  async enroll({ lineUserId, lineName, binding, target, enrollmentCode }) {
+    const owner = await this.findActiveByEmployee(target);
+    if (owner) {
+      await this.log({ type: 'mismatch', lineUserId, lineName, requested: target.name, boundLineUserId: owner.lineUserId });
+      console.warn(`🚫 LINE ${lineUserId} (${lineName || '-'}) tried to use "${target.name}" who is bound to another account`);
+      return {
+        allowed: false,
+        reason: 'employee_bound',
+        message: `"${target.name}" ผูกกับบัญชี LINE อื่นแล้ว กรุณาติดต่อผู้ดูแลระบบ`
+      };
+    }
+
+    const attemptKeys = this.attemptKeys(lineUserId, target);
+    if (enrollmentCode && this.isEnrollmentLocked(attemptKeys)) {
+      await this.log({ type: 'enrollment_locked', lineUserId, lineName, employee: target.name });
+      console.warn(`🚫 LINE ${lineUserId} (${lineName || '-'}) enrollment code for "${target.name}" locked after failed attempts`);
+      return {
+        allowed: false,
+        reason: 'enrollment_locked',
+        message: `กรอกรหัสลงทะเบียนผิดหลายครั้ง กรุณารอ ${Math.round(this.lockoutMs / 60000)} นาทีแล้วลองใหม่ หรือติดต่อผู้ดูแลระบบ`
+      };
+    }
+
+    const now = datetime.now().toISOString();
+    if (this.verifyEnrollmentCode(target, enrollmentCode)) {
+      attemptKeys.forEach(key => this.failedAttempts.delete(key));
+      await this.save({
+        ...this.baseBinding(lineUserId, lineName, target, binding, now),
+        status: STATUS_ACTIVE,
+        approvedAt: now,
+        approvedBy: 'enrollment_code',
+        method: 'enrollment_code'
+      });
+      await this.log({ type: 'bound', lineUserId, lineName, employee: target.name, method: 'enrollment_code' });
+      console.log(`🔗 LINE ${lineUserId} bound to "${target.name}" with enrollment code`);
+      return { allowed: true, employee: target };
+    }
+
+    if (enrollmentCode) {
+      this.recordFailedAttempt(attemptKeys);
+      await this.log({ type: 'enrollment_failed', lineUserId, lineName, employee: target.name });
+    }
+
+    // สร้าง/อัปเดตคำขอรออนุมัติ (คำขอใหม่แทนที่คำขอเดิมของบัญชีนี้)
+    if (!binding || !this.isBoundTo(binding, target)) {
+      await this.save({ ...this.baseBinding(lineUserId, lineName, target, null, now), status: STATUS_PENDING });
+      await this.log({ type: 'requested', lineUserId, lineName, employee: target.name });
+    }
+    return {
+      allowed: false,
+      reason: 'pending_approval',
+      message: enrollmentCode
+        ? 'รหัสลงทะเบียนไม่ถูกต้องหรือหมดอายุ'
+        : `ส่งคำขอผูกบัญชี LINE กับ "${target.name}" แล้ว กรุณารอผู้ดูแลอนุมัติ หรือกรอกรหัสลงทะเบียน`
+    };
+  }
+
+  baseBinding(lineUserId, lineName, employee, previous, now) {
+    return {
+      lineUserId,
+      employeeCode: employee.code || '',
+      employeeName: employee.name,
+      lineName: lineName || (previous && previous.lineName) || '',
+      requestedAt: (previous && previous.requestedAt) || now,
+      approvedAt: '',
+      approvedBy: '',
+      method: ''
+    };
+  }
+
+  // ========== Admin ==========
+
+  async approve(lineUserId, actor) {
+    const binding = await this.findByLineUserId(lineUserId);
+    if (!binding) {
+      throw new Error(`LINE binding not found: ${lineUserId}`);
+    }
+
+    const owner = await this.findActiveByEmployee({ code: binding.employeeCode || null, name: binding.employeeName });
+    if (owner && owner.lineUserId !== lineUserId) {
+      throw new Error(`"${binding.employeeName}" is already bound to another LINE account`);
+    }
+
+    const approved = {
+      ...binding,
+      status: STATUS_ACTIVE,
+      approvedAt: datetime.now().toISOString(),
+      approvedBy: actor,
+      method: 'admin'
+    };
+    await this.save(approved);
+    await this.log({ type: 'approved', lineUserId, employee: binding.employeeName, actor });
+    return approved;
+  }
+
+  /**
+   * ผูกบัญชี LINE กับพนักงานคนใหม่ (ผู้ดูแลเป็นผู้อนุมัติ)
+   * @param {string} lineUserId
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {string} actor
+   */
+  async reassign(lineUserId, employee, actor) {
+    const binding = await this.findByLineUserId(lineUserId);
+    if (!binding) {
+      throw new Error(`LINE binding not found: ${lineUserId}`);
+    }
+
+    const owner = await this.findActiveByEmployee(employee);
+    if (owner && owner.lineUserId !== lineUserId) {
+      throw new Error(`"${employee.name}" is already bound to another LINE account`);
+    }
+
+    const now = datetime.now().toISOString();
+    const reassigned = {
+      ...this.baseBinding(lineUserId, binding.lineName, employee, binding, now),
+      status: STATUS_ACTIVE,
+      approvedAt: now,
+      approvedBy: actor,
+      method: 'admin'
+    };
+    await this.save(reassigned);
+    await this.log({ type: 'reassigned', lineUserId, from: binding.employeeName, to: employee.name, actor });
+    return reassigned;
+  }
+
+  // ลบการผูก - บัญชีนี้ต้องลงทะเบียนใหม่
+  async reset(lineUserId, actor) {
+    const binding = await this.findByLineUserId(lineUserId);
+    if (!binding) {
+      return false;
+    }
+
+    await this.storage.removeLineBinding(lineUserId);
+    this.cache.update('bindings', bindings => bindings.filter(b => b.lineUserId !== lineUserId));
+    await this.log({ type: 'reset', lineUserId, employee: binding.employeeName, actor });
+    return true;
+  }
+
+  async log(entry) {
+    const line = JSON.stringify({ at: datetime.now().toISOString(), ...entry });
+    await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+    await fs.promises.appendFile(this.logFile, `${line}\n`, 'utf8');
+  }
+}
+
+LineBindingService.STATUS_ACTIVE = STATUS_ACTIVE;
+LineBindingService.STATUS_PENDING = STATUS_PENDING;
+
+module.exports = LineBindingService;
@@ -0,0 +1,130 @@
+// services/overtime.js - แยกชั่วโมงปกติ/ชั่วโมงล่วงเวลา (OT) ของแต่ละรายการตามกฎใน CONFIG.OVERTIME
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+const datetime = require('./datetime');
+
+// ประเภท OT -> ข้อความที่เขียนลงคอลัมน์ "ประเภท OT" ของ MAIN
+const OVERTIME_TYPES = {
+  weekday: 'หลังเวลาเลิกงาน',
+  dayoff: 'วันหยุด'
+};
+
+// กฎจาก config (ส่งกฎอื่นเข้ามาได้ใน test)
+function defaultRules() {
+  return {
+    weekdayEnabled: CONFIG.OVERTIME.WEEKDAY_ENABLED,
+    dayOffEnabled: CONFIG.OVERTIME.DAY_OFF_ENABLED,
+    minBlockMinutes: CONFIG.OVERTIME.MIN_BLOCK_MINUTES
+  };
+}
+
+function roundHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * แยกชั่วโมงทำงานสุทธิของรายการหนึ่งเป็นชั่วโมงปกติและ OT
+ * - วันทำงาน: เวลาที่ทำหลังเวลาเลิกกะเป็น OT (เวลาพักหักจากชั่วโมงปกติก่อน)
+ * - วันหยุด (ไม่มีกะในวันนั้น): เวลาทำงานทั้งหมดเป็น OT
+ * - OT ที่สั้นกว่า minBlockMinutes ไม่นับ (เป็นชั่วโมงปกติ)
+ * @param {Object|null} schedule - กะที่รายการนี้นับอยู่ (getScheduleAt)
+ * @param {Object} times
+ * @param {*} times.clockIn
+ * @param {*} times.clockOut
+ * @param {number} [times.breakMinutes]
+ * @param {Object} [rules] - ค่าเริ่มต้นจาก CONFIG.OVERTIME
+ * @returns {{type: string, regularHours: number, overtimeHours: number}|null} null ถ้าไม่มีกะหรืออ่านเวลาไม่ได้
+ */
+function evaluateOvertime(schedule, { clockIn, clockOut, breakMinutes = 0 }, rules = defaultRules()) {
+  const from = datetime.parseTimestamp(clockIn);
+  const to = datetime.parseTimestamp(clockOut);
+  if (!schedule || !from || !to) return null;
+
+  const workedMinutes = Math.max(0, to.diff(from, 'minutes', true) - (breakMinutes || 0));
+  let type = '';
+  let overtimeMinutes = 0;
+
+  if (!schedule.working) {
+    if (rules.dayOffEnabled) {
+      type = 'dayoff';
+      overtimeMinutes = workedMinutes;
+    }
+  } else if (rules.weekdayEnabled) {
+    const shiftEnd = datetime.parseTimestamp(schedule.expectedEnd);
+    const afterShift = to.diff(moment.max(shiftEnd, from), 'minutes', true);
+    type = 'weekday';
+    overtimeMinutes = Math.min(workedMinutes, Math.max(0, afterShift));
+  }
+
+  if (overtimeMinutes < rules.minBlockMinutes) {
+    overtimeMinutes = 0;
+  }
+
+  return {
+    type: overtimeMinutes > 0 ? type : '',
+    regularHours: roundHours(workedMinutes - overtimeMinutes),
+    overtimeHours: roundHours(overtimeMinutes)
+  };
+}
+
+// field ของ MAIN ที่เก็บผลการแยก OT
+function toOvertimeFields(result) {
+  return {
+    regularHours: result.regularHours.toFixed(2),
+    overtimeHours: result.overtimeHours.toFixed(2),
+    overtimeType: OVERTIME_TYPES[result.type] || ''
+  };
+}
+
+/**
+ * สรุปชั่วโมงปกติและ OT รายคน (เช่น ของทั้งเดือน)
+ * @param {Object[]} records - จาก getReportData()
+ * @param {Object} [rates] - ตัวคูณค่าแรงของแต่ละประเภท (ค่าเริ่มต้นจาก CONFIG.OVERTIME.RATES)
+ * @returns {{employees: Object[], totals: Object}} payableOvertimeHours = ชั่วโมง OT x ตัวคูณ
+ */
+function summarizeOvertime(records, rates = CONFIG.OVERTIME.RATES) {
+  const empty = () => ({ days: 0, regularHours: 0, weekdayOvertimeHours: 0, dayOffOvertimeHours: 0, overtimeHours: 0, payableOvertimeHours: 0 });
+  const totals = empty();
+  const byEmployee = new Map();
+
+  records.forEach(record => {
+    if (!record.clockOut) return;
+    const overtime = parseFloat(record.overtimeHours) || 0;
+    // รายการเก่าที่ยังไม่ได้แยก OT นับชั่วโมงทำงานทั้งหมดเป็นชั่วโมงปกติ
+    const regular = parseFloat(record.regularHours || record.workingHours) || 0;
+
+    const key = record.employeeCode || record.employee || '';
+    if (!byEmployee.has(key)) {
+      byEmployee.set(key, { code: record.employeeCode || '', name: record.employee || '', ...empty() });
+    }
+    const type = Object.keys(OVERTIME_TYPES).find(name => OVERTIME_TYPES[name] === record.overtimeType);
+
+    [totals, byEmployee.get(key)].forEach(summary => {
+      summary.days++;
+      summary.regularHours += regular;
+      summary.overtimeHours += overtime;
+      if (type === 'weekday') summary.weekdayOvertimeHours += overtime;
+      if (type === 'dayoff') summary.dayOffOvertimeHours += overtime;
+      summary.payableOvertimeHours += overtime * ((type && rates[type]) || 1);
+    });
+  });
+
+  const round = summary => {
+    Object.keys(summary).forEach(field => {
+      if (field.endsWith('Hours')) summary[field] = Math.round(summary[field] * 100) / 100;
+    });
+    return summary;
+  };
+
+  return {
+    employees: [...byEmployee.values()].map(round).sort((a, b) => a.name.localeCompare(b.name, 'th')),
+    totals: round(totals)
+  };
+}
+
+module.exports = {
+  OVERTIME_TYPES,
+  evaluateOvertime,
+  toOvertimeFields,
+  summarizeOvertime
+};
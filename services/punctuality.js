@@ -0,0 +1,68 @@
+// services/punctuality.js - เทียบเวลาเข้า/ออกจริงกับกะที่คาดหวัง (ตรงเวลา / มาสาย / กลับก่อน)
+const datetime = require('./datetime');
+
+const TAG_ON_TIME = 'ตรงเวลา';
+const TAG_UNSCHEDULED = 'นอกตารางงาน'; // วันหยุดหรือไม่มีกะ
+
+// จำนวนนาทีเต็มจาก from ถึง to (ติดลบถ้า to มาก่อน)
+function minutesBetween(from, to) {
+  const diff = to.diff(from, 'milliseconds') / 60000;
+  return diff >= 0 ? Math.floor(diff) : Math.ceil(diff);
+}
+
+function formatTag({ lateMinutes, earlyLeaveMinutes }) {
+  const parts = [];
+  if (lateMinutes > 0) parts.push(`สาย ${lateMinutes} นาที`);
+  if (earlyLeaveMinutes > 0) parts.push(`กลับก่อน ${earlyLeaveMinutes} นาที`);
+  return parts.join(', ') || TAG_ON_TIME;
+}
+
+/**
+ * ประเมินการลงเวลาหนึ่งรายการเทียบกับกะ
+ * - มาสาย: เข้างานหลังเวลาเริ่มเกินช่วงผ่อนผัน (นับนาทีจากเวลาเริ่มกะ)
+ * - กลับก่อน: ออกงานก่อนเวลาเลิกกะ
+ * @param {Object|null} schedule - ผลของ expectedSchedule()
+ * @param {Object} times
+ * @param {*} times.clockIn
+ * @param {*} [times.clockOut] - ยังไม่ลงเวลาออก = ไม่ประเมินการกลับก่อน
+ * @returns {{shiftCode: string, lateMinutes: number|null, earlyLeaveMinutes: number|null, tag: string}}
+ */
+function evaluateAttendance(schedule, { clockIn, clockOut }) {
+  const clockInTime = datetime.parseTimestamp(clockIn);
+  if (!schedule || !schedule.working || !clockInTime) {
+    return { shiftCode: '', lateMinutes: null, earlyLeaveMinutes: null, tag: TAG_UNSCHEDULED };
+  }
+
+  const late = minutesBetween(datetime.parseTimestamp(schedule.expectedStart), clockInTime);
+  const lateMinutes = late > schedule.shift.graceMinutes ? late : 0;
+
+  const clockOutTime = datetime.parseTimestamp(clockOut);
+  const earlyLeaveMinutes = clockOutTime
+    ? Math.max(0, minutesBetween(clockOutTime, datetime.parseTimestamp(schedule.expectedEnd)))
+    : null;
+
+  return {
+    shiftCode: schedule.shift.code,
+    lateMinutes,
+    earlyLeaveMinutes,
+    tag: formatTag({ lateMinutes, earlyLeaveMinutes })
+  };
+}
+
+// field ของ MAIN ที่เก็บผลการประเมิน
+function toAttendanceFields(evaluation) {
+  return {
+    shiftCode: evaluation.shiftCode,
+    lateMinutes: evaluation.lateMinutes === null ? '' : String(evaluation.lateMinutes),
+    earlyLeaveMinutes: evaluation.earlyLeaveMinutes === null ? '' : String(evaluation.earlyLeaveMinutes),
+    attendanceTag: evaluation.tag
+  };
+}
+
+module.exports = {
+  TAG_ON_TIME,
+  TAG_UNSCHEDULED,
+  evaluateAttendance,
+  formatTag,
+  toAttendanceFields
+};
@@ -0,0 +1,375 @@
+// services/reconciler.js - ตรวจและซ่อมความสอดคล้องระหว่าง ON WORK และ MAIN
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const datetime = require('./datetime');
+
+const RECONCILE_NOTE = 'ปิดโดยระบบตรวจสอบความสอดคล้อง';
+
+/**
+ * ประเภทปัญหาที่ตรวจพบ:
+ *   missingRecord  - แถวใน ON WORK อ้างอิงรหัสรายการที่ไม่มีใน MAIN         → ลบแถว ON WORK
+ *   closedRecord   - แถวใน ON WORK อ้างอิงรายการที่ลงเวลาออกแล้ว             → ลบแถว ON WORK
+ *   unlinkedShift  - แถวใน ON WORK ไม่มีรหัสรายการ                           → ซ่อมไม่ได้ (ใช้ backfill-ids)
+ *   nameMismatch   - ชื่อใน ON WORK ไม่ตรงกับชื่อใน MAIN                     → เขียนแถว ON WORK ใหม่ด้วยชื่อจาก MAIN
+ *   duplicateShift - พนักงานคนเดียวมีหลายแถวใน ON WORK (แถวที่เก่ากว่า)       → ปิดรายการนั้นและลบแถว ON WORK
+ *   orphanRecord   - รายการใน MAIN ที่ยังไม่ลงเวลาออกแต่ไม่มีใน ON WORK       → วันนี้: เพิ่มกลับเข้า ON WORK,
+ *                                                                             วันก่อน: ปิดรายการ
+ * รายการที่ถูกปิดใช้เวลาเลิกกะของรายการนั้น (closeTimeOf) ถ้าไม่มีใช้เวลาตัดรอบของวันที่เข้างาน
+ */
+class AttendanceReconciler {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {string} options.logFile - ไฟล์บันทึกการเปลี่ยนแปลง (JSONL)
+   * @param {Object} [options.locks] - EmployeeLock ที่ใช้ร่วมกับการลงเวลา (ไม่ให้ = ซ่อมโดยไม่ล็อก)
+   * @param {Function} [options.lockKey] - async (shift) => key ของพนักงานใน locks
+   * @param {Function} [options.closeTimeOf] - async (shift) => เวลาปิดรายการตามกะของพนักงาน (null = ใช้เวลาตัดรอบ)
+   */
+  constructor(storage, { logFile, locks = null, lockKey = null, closeTimeOf = null }) {
+    this.storage = storage;
+    this.logFile = path.resolve(logFile);
+    this.locks = locks;
+    this.lockKey = lockKey;
+    this.closeTimeOf = closeTimeOf;
+  }
+
+  normalize(name) {
+    return (name || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // พนักงานเจ้าของรายการ: ใช้รหัสพนักงานถ้ามี (ชื่ออาจเปลี่ยนหรือซ้ำกับคนอื่น) ไม่เช่นนั้นใช้ชื่อ
+  employeeKey({ shift, record }) {
+    const code = record.employeeCode || shift.employeeCode;
+    return code ? `code:${code}` : `name:${this.normalize(record.employee)}`;
+  }
+
+  /**
+   * อ่านข้อมูลล่าสุดจาก storage แล้วหาปัญหาทั้งหมด
+   * @returns {Promise<{checkedAt: string, fingerprint: string, counts: Object, issues: Object[]}>}
+   */
+  async analyze() {
+    const [shifts, records] = await Promise.all([
+      this.storage.getOpenShifts(),
+      this.storage.getAttendanceRecords()
+    ]);
+
+    const recordsById = new Map(records.filter(r => r.id).map(record => [record.id, record]));
+    const issues = [];
+    const validShifts = [];
+    const nameMismatches = [];
+
+    shifts.forEach(shift => {
+      const base = { employee: shift.employeeName || shift.systemName, recordId: shift.recordId, clockIn: shift.clockIn };
+
+      if (!shift.recordId) {
+        issues.push({ ...base, type: 'unlinkedShift', repairable: false, shift });
+        return;
+      }
+
+      const record = recordsById.get(shift.recordId);
+      if (!record) {
+        issues.push({ ...base, type: 'missingRecord', repairable: true, shift });
+      } else if (record.clockOut) {
+        issues.push({ ...base, type: 'closedRecord', repairable: true, shift, record });
+      } else {
+        if (this.normalize(record.employee) !== this.normalize(base.employee)) {
+          nameMismatches.push({ ...base, type: 'nameMismatch', repairable: true, shift, record, expected: record.employee });
+        }
+        validShifts.push({ shift, record });
+      }
+    });
+
+    // พนักงานคนเดียวมีหลายแถว - เก็บแถวที่เข้างานล่าสุดไว้
+    const byEmployee = new Map();
+    validShifts.forEach(entry => {
+      const key = this.employeeKey(entry);
+      if (!byEmployee.has(key)) byEmployee.set(key, []);
+      byEmployee.get(key).push(entry);
+    });
+    byEmployee.forEach(entries => {
+      if (entries.length < 2) return;
+      const sorted = [...entries].sort((a, b) => {
+        const timeA = datetime.parseTimestamp(a.record.clockIn);
+        const timeB = datetime.parseTimestamp(b.record.clockIn);
+        return (timeB ? timeB.valueOf() : 0) - (timeA ? timeA.valueOf() : 0);
+      });
+      sorted.slice(1).forEach(({ shift, record }) => {
+        issues.push({
+          type: 'duplicateShift',
+          repairable: true,
+          employee: record.employee,
+          recordId: record.id,
+          clockIn: record.clockIn,
+          keptRecordId: sorted[0].record.id,
+          shift,
+          record
+        });
+      });
+    });
+
+    // แถวที่จะถูกปิดเพราะซ้ำไม่ต้องแก้ชื่อ
+    const duplicateIds = new Set(issues.filter(issue => issue.type === 'duplicateShift').map(issue => issue.recordId));
+    issues.push(...nameMismatches.filter(issue => !duplicateIds.has(issue.recordId)));
+
+    // รายการที่ยังเปิดอยู่ใน MAIN แต่ไม่มีใน ON WORK
+    const shiftRecordIds = new Set(shifts.map(shift => shift.recordId).filter(Boolean));
+    records
+      .filter(record => record.id && !record.clockOut && !shiftRecordIds.has(record.id))
+      .forEach(record => {
+        issues.push({
+          type: 'orphanRecord',
+          repairable: true,
+          employee: record.employee,
+          recordId: record.id,
+          clockIn: record.clockIn,
+          record
+        });
+      });
+
+    const counts = {};
+    issues.forEach(issue => {
+      counts[issue.type] = (counts[issue.type] || 0) + 1;
+    });
+
+    return {
+      checkedAt: datetime.now().toISOString(),
+      fingerprint: this.fingerprint(issues),
+      counts,
+      issues
+    };
+  }
+
+  issueKey(issue) {
+    return `${issue.type}:${issue.recordId || ''}:${this.normalize(issue.employee)}:${issue.clockIn || ''}`;
+  }
+
+  // รหัสของชุดปัญหา - ใช้ยืนยันว่าผู้ดูแลอนุมัติชุดเดียวกับที่จะซ่อม
+  fingerprint(issues) {
+    const keys = issues.map(issue => this.issueKey(issue)).sort();
+    return crypto.createHash('sha256').update(keys.join('\n')).digest('hex').slice(0, 16);
+  }
+
+  // key ของล็อกพนักงานเจ้าของปัญหา (null = ไม่ต้องล็อก)
+  async lockKeyOf(issue) {
+    if (!this.locks || !this.lockKey) return null;
+    return this.lockKey(issue.shift || this.shiftFromRecord(issue.record));
+  }
+
+  /**
+   * ล็อกพนักงานทุกคนที่มีปัญหาที่ซ่อมได้ - คนที่กำลังลงเวลาอยู่จะไม่ถูกล็อก (ข้ามไปรอบหน้า)
+   * @returns {Promise<{held: Map<string, Function>, busy: Set<string>}>} held: key -> ฟังก์ชันปลดล็อก
+   */
+  async acquireLocks(issues) {
+    const held = new Map();
+    const busy = new Set();
+    for (const issue of issues.filter(entry => entry.repairable)) {
+      const key = await this.lockKeyOf(issue);
+      if (!key || held.has(key) || busy.has(key)) continue;
+
+      const release = this.locks.tryAcquire(key, 'reconcile');
+      if (release) {
+        held.set(key, release);
+      } else {
+        busy.add(key);
+      }
+    }
+    return { held, busy };
+  }
+
+  // ตัดข้อมูลภายในออกก่อนส่งให้ client
+  toPublicReport(report) {
+    return {
+      ...report,
+      issues: report.issues.map(({ shift, record, ...issue }) => issue)
+    };
+  }
+
+  // เวลาตัดรอบลงเวลาออกอัตโนมัติของวันที่เข้างาน
+  cutoffFor(clockIn) {
+    const clockInMoment = datetime.parseTimestamp(clockIn);
+    if (!clockInMoment) return null;
+    return clockInMoment.clone().set({
+      hour: CONFIG.AUTO_CHECKOUT.CUTOFF_HOUR,
+      minute: CONFIG.AUTO_CHECKOUT.CUTOFF_MINUTE,
+      second: 59,
+      millisecond: 0
+    });
+  }
+
+  // เวลาเลิกกะของรายการ (กะข้ามคืนเลิกวันถัดไป) - อ่านตารางเวรไม่ได้คืน null
+  async scheduledCloseTime(record, shift) {
+    if (!this.closeTimeOf) return null;
+    try {
+      return datetime.parseTimestamp(await this.closeTimeOf(shift || this.shiftFromRecord(record)));
+    } catch (error) {
+      console.error(`⚠️ Cannot read schedule of "${record.employee}" for reconcile:`, error.message);
+      return null;
+    }
+  }
+
+  async buildClosure(record, shift) {
+    const cutoff = this.cutoffFor(record.clockIn);
+    if (!cutoff) return null;
+
+    // ไม่บันทึกเวลาออกในอนาคต (กะที่ยังไม่เลิก)
+    const now = datetime.now();
+    let closeAt = (await this.scheduledCloseTime(record, shift)) || cutoff;
+    if (closeAt.isAfter(now)) closeAt = now;
+
+    const hours = Math.max(datetime.hoursBetween(record.clockIn, closeAt) || 0, 0);
+    return {
+      id: record.id,
+      fields: {
+        note: RECONCILE_NOTE,
+        clockOut: datetime.formatForSheet(closeAt),
+        workingHours: hours.toFixed(2)
+      },
+      shift
+    };
+  }
+
+  /**
+   * ซ่อมปัญหาที่ซ่อมได้ทั้งหมด - ต้องส่ง fingerprint ของรายงานที่ผู้ดูแลตรวจดูแล้ว
+   * ถ้าข้อมูลเปลี่ยนไปหลังจากนั้นจะไม่ซ่อมอะไรเลย
+   * ซ่อมภายใต้ล็อกของพนักงานแต่ละคนเหมือนการลงเวลาออกอัตโนมัติ - คนที่กำลังลงเวลาอยู่จะถูกข้าม
+   * @param {string} fingerprint - จาก analyze()
+   * @param {string} actor - ผู้สั่งซ่อม
+   * @returns {Promise<{applied: Object[], skipped: Object[]}>}
+   */
+  async repair(fingerprint, actor) {
+    const report = await this.analyze();
+    if (report.fingerprint !== fingerprint) {
+      const error = new Error('Reconcile report has changed, please review it again before repairing');
+      error.code = 'STALE_REPORT';
+      throw error;
+    }
+
+    const { held, busy } = await this.acquireLocks(report.issues);
+    try {
+      return await this.applyRepairs(report, held, busy, fingerprint, actor);
+    } finally {
+      held.forEach(release => release());
+    }
+  }
+
+  async applyRepairs(report, held, busy, fingerprint, actor) {
+    // ข้อมูลอาจเปลี่ยนก่อนได้ล็อก - อ่านใหม่แล้วซ่อมเฉพาะปัญหาที่อยู่ในรายงานที่อนุมัติ
+    const approved = new Set(report.issues.map(issue => this.issueKey(issue)));
+    const issues = held.size > 0 ? (await this.analyze()).issues : report.issues;
+
+    const today = datetime.toDateKey(datetime.now());
+    const applied = [];
+    const skipped = [];
+    const closures = [];
+
+    // ลบ/เขียนแถว ON WORK ทีละรายการ แล้วปิดรายการใน MAIN ทั้งหมดใน batch เดียว
+    for (const issue of issues) {
+      const summary = { type: issue.type, employee: issue.employee, recordId: issue.recordId };
+
+      if (!issue.repairable) {
+        skipped.push({ ...summary, reason: 'not repairable automatically' });
+        continue;
+      }
+      if (!approved.has(this.issueKey(issue))) {
+        skipped.push({ ...summary, reason: 'not in the reviewed report' });
+        continue;
+      }
+      const lockKey = await this.lockKeyOf(issue);
+      if (lockKey && !held.has(lockKey)) {
+        skipped.push({ ...summary, reason: busy.has(lockKey) ? 'employee is clocking in/out right now' : 'changed since the report was reviewed' });
+        continue;
+      }
+
+      try {
+        switch (issue.type) {
+          case 'missingRecord':
+          case 'closedRecord':
+            await this.storage.removeOpenShift(issue.shift);
+            applied.push({ ...summary, action: 'removeOpenShift' });
+            break;
+
+          case 'nameMismatch': {
+            const { ref, ...shift } = issue.shift;
+            await this.storage.removeOpenShift(issue.shift);
+            await this.storage.addOpenShift({ ...shift, employeeName: issue.expected, systemName: issue.expected });
+            applied.push({ ...summary, action: 'renameOpenShift', from: issue.employee, to: issue.expected });
+            break;
+          }
+
+          case 'duplicateShift':
+          case 'orphanRecord': {
+            if (issue.type === 'orphanRecord' && datetime.toDateKey(issue.clockIn) === today) {
+              await this.storage.addOpenShift(this.shiftFromRecord(issue.record));
+              applied.push({ ...summary, action: 'restoreOpenShift' });
+              break;
+            }
+
+            const closure = await this.buildClosure(issue.record, issue.shift);
+            if (!closure) {
+              skipped.push({ ...summary, reason: `unreadable clock in time "${issue.clockIn}"` });
+              break;
+            }
+            closures.push({ issue, summary, closure });
+            break;
+          }
+
+          default:
+            skipped.push({ ...summary, reason: 'unknown issue type' });
+        }
+      } catch (error) {
+        skipped.push({ ...summary, reason: error.message });
+      }
+    }
+
+    if (closures.length > 0) {
+      const outcomes = await this.storage.closeAttendanceRecords(closures.map(c => c.closure));
+      closures.forEach(({ summary, closure }, index) => {
+        if (outcomes[index] && outcomes[index].updated) {
+          applied.push({ ...summary, action: 'closeRecord', clockOut: closure.fields.clockOut });
+        } else if (outcomes[index] && outcomes[index].alreadyClosed) {
+          skipped.push({ ...summary, reason: 'already clocked out' });
+        } else {
+          skipped.push({ ...summary, reason: 'record not found while closing' });
+        }
+      });
+    }
+
+    // บันทึกทุกการเปลี่ยนแปลงแยกบรรทัด
+    for (const change of applied) {
+      await this.log({ ...change, type: 'change', issue: change.type, actor, fingerprint });
+      console.log(`🔧 Reconcile ${change.action}: ${change.employee} (${change.recordId || '-'})`);
+    }
+    if (skipped.length > 0) {
+      await this.log({ type: 'skipped', actor, fingerprint, skipped });
+    }
+
+    return { applied, skipped };
+  }
+
+  shiftFromRecord(record) {
+    return {
+      employeeName: record.employee,
+      systemName: record.employee,
+      clockIn: record.clockIn,
+      userinfo: record.note || '',
+      coords: record.coordsIn || '',
+      locationName: record.locationIn || '',
+      recordId: record.id,
+      employeeCode: record.employeeCode || '',
+      mainRowIndex: record.rowNumber || null,
+      lineName: record.lineName || '',
+      linePicture: record.linePicture || ''
+    };
+  }
+
+  // บันทึกการเปลี่ยนแปลงต่อท้ายไฟล์ (หนึ่งบรรทัดต่อครั้ง)
+  async log(entry) {
+    const line = JSON.stringify({ at: datetime.now().toISOString(), ...entry });
+    await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+    await fs.promises.appendFile(this.logFile, `${line}\n`, 'utf8');
+  }
+}
+
+module.exports = AttendanceReconciler;
@@ -0,0 +1,346 @@
+// services/schedule.js - กะทำงาน (SHIFTS), ตารางเวรของพนักงาน (ROSTERS) และเวลาทำงานที่คาดหวังของแต่ละวัน
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { CONFIG } = require('../config');
+const datetime = require('./datetime');
+const SheetCache = require('./sheetCache');
+const { isSameEmployee } = require('./employees');
+const { POLICIES } = require('./autoCheckout');
+const { text, normalizeDate, isTrue } = require('./sheetValues');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OFF_SHIFT_CODE = 'OFF'; // ตารางเวรที่ใช้รหัสนี้ = วันหยุด
+
+function scheduleError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+// 'H:mm' -> 'HH:mm' (null ถ้าอ่านไม่ได้)
+function normalizeTime(value) {
+  const match = TIME_PATTERN.exec(text(value));
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+// '1,2,3' หรือ [1, 2, 3] -> [1, 2, 3] (1 = จันทร์ ... 7 = อาทิตย์), ว่าง = ทุกวัน
+function parseWeekdays(value) {
+  const parts = Array.isArray(value) ? value : text(value).split(/[,\s]+/);
+  const weekdays = parts.map(part => Number(text(part))).filter(day => Number.isInteger(day) && day >= 1 && day <= 7);
+  return [...new Set(weekdays)].sort((a, b) => a - b);
+}
+
+/**
+ * แถวของ SHIFTS -> กะทำงาน
+ * @returns {{code: string, name: string, start: string|null, end: string|null, graceMinutes: number,
+ *            crossesMidnight: boolean, autoCheckout: string}}
+ */
+function toShift(raw) {
+  const graceMinutes = Number(text(raw.graceMinutes) || 0);
+  return {
+    code: text(raw.code).toUpperCase(),
+    name: text(raw.name),
+    start: normalizeTime(raw.start),
+    end: normalizeTime(raw.end),
+    graceMinutes: Number.isFinite(graceMinutes) ? graceMinutes : 0,
+    crossesMidnight: isTrue(raw.crossesMidnight),
+    autoCheckout: text(raw.autoCheckout).toLowerCase()
+  };
+}
+
+function toShiftRecord(shift) {
+  return {
+    code: shift.code,
+    name: shift.name,
+    start: shift.start,
+    end: shift.end,
+    graceMinutes: String(shift.graceMinutes),
+    crossesMidnight: shift.crossesMidnight ? 'TRUE' : 'FALSE',
+    autoCheckout: shift.autoCheckout
+  };
+}
+
+/**
+ * แถวของ ROSTERS -> รายการตารางเวร
+ * @returns {{id, employeeCode, employeeName, shiftCode, startDate: string|null, endDate: string|null, weekdays: number[], note}}
+ */
+function toRosterEntry(raw) {
+  return {
+    id: text(raw.id),
+    employeeCode: text(raw.employeeCode),
+    employeeName: text(raw.employeeName),
+    shiftCode: text(raw.shiftCode).toUpperCase(),
+    startDate: normalizeDate(raw.startDate),
+    endDate: normalizeDate(raw.endDate),
+    weekdays: parseWeekdays(raw.weekdays),
+    note: text(raw.note)
+  };
+}
+
+function toRosterRecord(entry) {
+  return {
+    ...entry,
+    startDate: entry.startDate || '',
+    endDate: entry.endDate || '',
+    weekdays: entry.weekdays.join(',')
+  };
+}
+
+function validateShift(shift) {
+  const errors = [];
+  if (!/^[A-Z0-9_-]+$/.test(shift.code)) {
+    errors.push('code is required (letters, digits, "-" or "_")');
+  }
+  if (shift.code === OFF_SHIFT_CODE) {
+    errors.push(`code "${OFF_SHIFT_CODE}" is reserved for days off`);
+  }
+  if (!shift.start) errors.push('start must be HH:mm');
+  if (!shift.end) errors.push('end must be HH:mm');
+  if (shift.graceMinutes < 0) errors.push('graceMinutes must not be negative');
+  if (shift.autoCheckout && !POLICIES.includes(shift.autoCheckout)) {
+    errors.push(`autoCheckout must be one of: ${POLICIES.join(', ')} (or empty)`);
+  }
+
+  // กะข้ามเที่ยงคืนต้องเลิกก่อนเวลาเริ่ม และกะปกติต้องเลิกหลังเวลาเริ่ม
+  if (shift.start && shift.end) {
+    const endsNextDay = shift.end <= shift.start;
+    if (shift.crossesMidnight !== endsNextDay) {
+      errors.push(shift.crossesMidnight
+        ? 'a shift crossing midnight must end before it starts'
+        : 'end must be after start (set crossesMidnight for overnight shifts)');
+    }
+  }
+  return errors;
+}
+
+function inRange(entry, dateKey) {
+  return (!entry.startDate || dateKey >= entry.startDate) && (!entry.endDate || dateKey <= entry.endDate);
+}
+
+function onWeekday(entry, dateKey) {
+  return entry.weekdays.length === 0 ||
+    entry.weekdays.includes(moment.tz(dateKey, 'YYYY-MM-DD', CONFIG.TIMEZONE).isoWeekday());
+}
+
+// ตารางเวรที่มีวันสิ้นสุดชนะตารางที่ไม่มีกำหนด จากนั้นตารางที่เริ่มทีหลังชนะ (เท่ากันใช้แถวหลัง)
+function pickRoster(entries) {
+  const [best] = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) =>
+      (Number(!!b.entry.endDate) - Number(!!a.entry.endDate)) ||
+      (b.entry.startDate || '').localeCompare(a.entry.startDate || '') ||
+      (b.index - a.index)
+    );
+  return best ? best.entry : null;
+}
+
+/**
+ * เวลาทำงานที่คาดหวังของพนักงานในวันนั้น
+ * - มีตารางเวรครอบคลุมวันนั้น: ทำงานตามตารางที่ตรงกับวันในสัปดาห์ (ไม่ตรงเลย = วันหยุด)
+ * - ไม่มีตารางเวร: ใช้กะเริ่มต้นในวันทำงานปกติ ยกเว้นวันหยุดในปฏิทินวันหยุด
+ *   (ตารางเวรมีผลในวันหยุดด้วย - คนที่ต้องเข้าเวรวันหยุดให้กำหนดในตารางเวร)
+ * @param {Object} employee
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {Object} context
+ * @param {Object[]} context.shifts - จาก toShift()
+ * @param {Object[]} context.rosters - จาก toRosterEntry()
+ * @param {Object} context.defaultShift
+ * @param {number[]} context.defaultWeekdays
+ * @param {Object[]} [context.holidays] - วันหยุดจาก HolidayCalendar
+ * @returns {{date, employee, working: boolean, source: 'roster'|'default'|'holiday', rosterId, holiday, shift, expectedStart, expectedEnd}}
+ */
+function expectedSchedule(employee, dateKey, { shifts, rosters, defaultShift, defaultWeekdays, holidays = [] }) {
+  const covering = rosters.filter(entry =>
+    isSameEmployee({ code: entry.employeeCode || null, names: [entry.employeeName] }, employee) &&
+    inRange(entry, dateKey)
+  );
+  const matching = pickRoster(covering.filter(entry => onWeekday(entry, dateKey)));
+  const roster = matching || pickRoster(covering);
+
+  const holiday = holidays.find(entry => entry.date === dateKey) || null;
+  let shift = null;
+  if (matching) {
+    shift = matching.shiftCode === OFF_SHIFT_CODE ? null : shifts.find(s => s.code === matching.shiftCode) || null;
+    if (!shift && matching.shiftCode !== OFF_SHIFT_CODE) {
+      console.warn(`⚠️ Roster ${matching.id} uses unknown shift "${matching.shiftCode}"`);
+    }
+  } else if (!roster) {
+    const isoWeekday = moment.tz(dateKey, 'YYYY-MM-DD', CONFIG.TIMEZONE).isoWeekday();
+    shift = defaultWeekdays.includes(isoWeekday) && !holiday ? defaultShift : null;
+  }
+
+  const result = {
+    date: dateKey,
+    employee: { code: employee.code || null, name: employee.name },
+    working: !!shift,
+    source: roster ? 'roster' : holiday ? 'holiday' : 'default',
+    rosterId: roster ? roster.id : null,
+    holiday,
+    shift,
+    expectedStart: null,
+    expectedEnd: null
+  };
+  if (shift) {
+    const start = moment.tz(`${dateKey} ${shift.start}`, 'YYYY-MM-DD HH:mm', CONFIG.TIMEZONE);
+    const end = moment.tz(`${dateKey} ${shift.end}`, 'YYYY-MM-DD HH:mm', CONFIG.TIMEZONE);
+    if (shift.crossesMidnight) end.add(1, 'day');
+    result.expectedStart = datetime.formatForSheet(start);
+    result.expectedEnd = datetime.formatForSheet(end);
+  }
+  return result;
+}
+
+class ScheduleService {
+  /**
+   * @param {Object} storage - storage adapter
+   * @param {Object} options
+   * @param {Object} options.defaultShift - กะของพนักงานที่ไม่มีตารางเวร
+   * @param {number[]} options.defaultWeekdays - วันทำงานของกะเริ่มต้น (1 = จันทร์)
+   * @param {Object} [options.holidays] - HolidayCalendar (ไม่ให้ = ไม่มีวันหยุดนักขัตฤกษ์)
+   */
+  constructor(storage, { defaultShift, defaultWeekdays, holidays = null }) {
+    this.storage = storage;
+    this.holidays = holidays;
+    this.defaultShift = toShift(defaultShift);
+    this.defaultWeekdays = defaultWeekdays;
+    this.cache = new SheetCache({ shifts: 300000, rosters: 300000 }); // 5 นาที
+  }
+
+  // กะทั้งหมด - กะเริ่มต้นจาก config ถูกแทนที่ได้ด้วยแถวรหัสเดียวกันใน SHIFTS
+  async getShifts() {
+    const shifts = await this.cache.get('shifts', async () =>
+      (await this.storage.getShifts()).map(toShift).filter(shift => shift.code)
+    );
+    return shifts.some(shift => shift.code === this.defaultShift.code) ? shifts : [this.defaultShift, ...shifts];
+  }
+
+  async getRosterEntries() {
+    return this.cache.get('rosters', async () =>
+      (await this.storage.getRosterEntries()).map(toRosterEntry).filter(entry => entry.id)
+    );
+  }
+
+  /**
+   * เพิ่มหรือแก้ไขกะ (รหัสเดียวกัน = แก้ไข)
+   * @param {Object} input - { code, name, start, end, graceMinutes, crossesMidnight, autoCheckout }
+   * @throws {Error} code 'INVALID_SCHEDULE'
+   */
+  async saveShift(input) {
+    const shift = toShift(input);
+    const errors = validateShift(shift);
+    if (errors.length > 0) {
+      throw scheduleError('INVALID_SCHEDULE', errors.join('; '), errors);
+    }
+
+    await this.storage.saveShift(toShiftRecord(shift));
+    this.cache.update('shifts', shifts => [...shifts.filter(s => s.code !== shift.code), shift]);
+    console.log(`🕘 Shift saved: ${shift.code} ${shift.start}-${shift.end}`);
+    return shift;
+  }
+
+  /**
+   * กำหนดกะให้พนักงานตามช่วงวันที่ และ/หรือวันในสัปดาห์
+   * @param {Object} employee - พนักงานที่ resolve แล้ว
+   * @param {Object} input - { shiftCode, startDate, endDate, weekdays, note }
+   * @throws {Error} code 'INVALID_SCHEDULE'
+   */
+  async assign(employee, input) {
+    const entry = toRosterEntry({
+      ...input,
+      id: crypto.randomUUID(),
+      employeeCode: employee.code || '',
+      employeeName: employee.name
+    });
+
+    const errors = [];
+    const shifts = await this.getShifts();
+    if (entry.shiftCode !== OFF_SHIFT_CODE && !shifts.some(shift => shift.code === entry.shiftCode)) {
+      errors.push(`shiftCode "${entry.shiftCode}" not found`);
+    }
+    if (!entry.startDate) {
+      errors.push('startDate is required');
+    }
+    if (text(input.endDate) && !entry.endDate) {
+      errors.push(`endDate "${input.endDate}" is not a valid date`);
+    }
+    if (entry.startDate && entry.endDate && entry.endDate < entry.startDate) {
+      errors.push('endDate must not be before startDate');
+    }
+    if (text(input.weekdays) && entry.weekdays.length === 0) {
+      errors.push('weekdays must be numbers 1 (Monday) to 7 (Sunday)');
+    }
+    if (errors.length > 0) {
+      throw scheduleError('INVALID_SCHEDULE', errors.join('; '), errors);
+    }
+
+    await this.storage.saveRosterEntry(toRosterRecord(entry));
+    this.cache.update('rosters', rosters => [...rosters, entry]);
+    console.log(`🗓️ Roster: ${employee.name} → ${entry.shiftCode} from ${entry.startDate}${entry.endDate ? ` to ${entry.endDate}` : ''}`);
+    return entry;
+  }
+
+  async removeAssignment(id) {
+    const removed = await this.storage.removeRosterEntry(id);
+    if (!removed) {
+      throw scheduleError('SCHEDULE_NOT_FOUND', `Roster entry not found: ${id}`);
+    }
+
+    this.cache.update('rosters', rosters => rosters.filter(entry => entry.id !== id));
+    return true;
+  }
+
+  /**
+   * เวลาทำงานที่คาดหวังของพนักงานแต่ละคนในวันนั้น
+   * @param {Object[]} employees
+   * @param {string} date - 'YYYY-MM-DD' หรือรูปแบบที่ datetime อ่านได้
+   * @returns {Promise<Object[]>} ผลของ expectedSchedule() ตามลำดับ employees
+   */
+  async getExpectedSchedules(employees, date) {
+    const dateKey = DATE_PATTERN.test(text(date)) ? text(date) : datetime.toDateKey(date);
+    if (!dateKey) {
+      throw scheduleError('INVALID_SCHEDULE', `Invalid date: ${date}`);
+    }
+
+    const [shifts, rosters, holidays] = await Promise.all([
+      this.getShifts(),
+      this.getRosterEntries(),
+      this.holidays ? this.holidays.getHolidays() : []
+    ]);
+    const context = { shifts, rosters, holidays, defaultShift: this.defaultShift, defaultWeekdays: this.defaultWeekdays };
+    return employees.map(employee => expectedSchedule(employee, dateKey, context));
+  }
+
+  async getExpectedSchedule(employee, date) {
+    const [schedule] = await this.getExpectedSchedules([employee], date);
+    return schedule;
+  }
+
+  /**
+   * กะที่การลงเวลาเข้า ณ เวลานั้นนับอยู่
+   * ลงเวลาหลังเที่ยงคืนก่อนกะข้ามคืนของเมื่อวานเลิก นับเป็นกะของเมื่อวาน
+   * @param {Object} employee
+   * @param {*} time - เวลาที่ลงเวลาเข้า
+   * @returns {Promise<Object|null>} ผลของ expectedSchedule() (null ถ้าอ่านเวลาไม่ได้)
+   */
+  async getScheduleAt(employee, time) {
+    const at = datetime.parseTimestamp(time);
+    if (!at) return null;
+
+    const previous = await this.getExpectedSchedule(employee, at.clone().subtract(1, 'day').format('YYYY-MM-DD'));
+    if (previous.working && previous.shift.crossesMidnight && at.isBefore(datetime.parseTimestamp(previous.expectedEnd))) {
+      return previous;
+    }
+    return this.getExpectedSchedule(employee, at.format('YYYY-MM-DD'));
+  }
+}
+
+module.exports = {
+  OFF_SHIFT_CODE,
+  ScheduleService,
+  toShift,
+  toRosterEntry,
+  validateShift,
+  expectedSchedule
+};
@@ -0,0 +1,175 @@
+// services/sheetCache.js - Cache ข้อมูล sheet แบบ stale-while-revalidate พร้อมรวม request ที่ซ้ำกัน
+const DEFAULT_TTL = 300000; // 5 นาที
+const REFRESH_AHEAD_RATIO = 0.8; // เริ่ม refresh เบื้องหลังเมื่ออายุข้อมูลเกิน 80% ของ TTL
+
+class SheetCache {
+  /**
+   * @param {Object<string, number>} ttls - TTL (ms) ของแต่ละ key
+   */
+  constructor(ttls = {}) {
+    this.ttls = { ...ttls };
+    this.ttlOverride = null; // ใช้ตอน emergency mode
+    this.entries = {};
+    this.inflight = new Map();
+    this.metrics = {};
+  }
+
+  getTtl(key) {
+    return this.ttlOverride || this.ttls[key] || DEFAULT_TTL;
+  }
+
+  // ตั้ง TTL เดียวกันให้ทุก key (null = กลับไปใช้ค่าปกติ)
+  setTtlOverride(ttl) {
+    this.ttlOverride = ttl;
+  }
+
+  count(key, metric) {
+    if (!this.metrics[key]) {
+      this.metrics[key] = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+    }
+    this.metrics[key][metric]++;
+  }
+
+  age(key) {
+    const entry = this.entries[key];
+    return entry ? Date.now() - entry.timestamp : Infinity;
+  }
+
+  isFresh(key) {
+    return !!this.entries[key] && this.age(key) < this.getTtl(key);
+  }
+
+  // ข้อมูลล่าสุดที่มี (ไม่สนอายุ)
+  peek(key) {
+    const entry = this.entries[key];
+    return entry ? entry.data : null;
+  }
+
+  set(key, data, ttl) {
+    if (ttl) this.ttls[key] = ttl;
+    this.entries[key] = { data, timestamp: Date.now() };
+  }
+
+  /**
+   * อัปเดตข้อมูลใน cache หลังเขียนสำเร็จ (write-through) โดยไม่เปลี่ยนเวลาที่อ่านจากต้นทาง
+   * @param {string} key
+   * @param {Function} updater - (data) => newData
+   */
+  update(key, updater) {
+    const entry = this.entries[key];
+    if (entry) {
+      entry.data = updater(entry.data);
+    }
+  }
+
+  invalidate(key) {
+    delete this.entries[key];
+  }
+
+  clear() {
+    this.entries = {};
+  }
+
+  /**
+   * โหลดข้อมูลใหม่ - ถ้ามีการโหลด key เดียวกันค้างอยู่จะใช้ promise เดิมร่วมกัน (single-flight)
+   * @param {string} key
+   * @param {Function} loader - async () => data
+   * @returns {Promise<*>}
+   */
+  refresh(key, loader) {
+    if (this.inflight.has(key)) {
+      this.count(key, 'coalesced');
+      return this.inflight.get(key);
+    }
+
+    this.count(key, 'refreshes');
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(data => {
+        this.set(key, data);
+        return data;
+      })
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  refreshInBackground(key, loader) {
+    if (this.inflight.has(key)) return;
+
+    this.refresh(key, loader).catch(error => {
+      this.count(key, 'errors');
+      console.warn(`⚠️ Background refresh failed for ${key}: ${error.message}`);
+    });
+  }
+
+  /**
+   * อ่านข้อมูลจาก cache
+   * - ยังไม่หมดอายุ: คืนทันที (และ refresh เบื้องหลังเมื่อใกล้หมดอายุ)
+   * - หมดอายุไม่เกิน 1 TTL: คืนข้อมูลเก่าทันทีแล้ว refresh เบื้องหลัง
+   * - ไม่มีข้อมูลหรือเก่ากว่านั้น: รอโหลดใหม่ (ถ้าโหลดไม่ได้จะคืนข้อมูลเก่าที่มี)
+   * @param {string} key
+   * @param {Function} loader - async () => data
+   * @returns {Promise<*>}
+   */
+  async get(key, loader) {
+    const ttl = this.getTtl(key);
+    const age = this.age(key);
+
+    if (age < ttl) {
+      this.count(key, 'hits');
+      if (age >= ttl * REFRESH_AHEAD_RATIO) {
+        this.refreshInBackground(key, loader);
+      }
+      return this.entries[key].data;
+    }
+
+    if (age < ttl * 2) {
+      this.count(key, 'staleHits');
+      this.refreshInBackground(key, loader);
+      return this.entries[key].data;
+    }
+
+    this.count(key, 'misses');
+    try {
+      return await this.refresh(key, loader);
+    } catch (error) {
+      this.count(key, 'errors');
+      const stale = this.peek(key);
+      if (stale) {
+        console.warn(`⚠️ Using stale cache for ${key} (${error.message})`);
+        return stale;
+      }
+      throw error;
+    }
+  }
+
+  getStats() {
+    const keys = Object.keys({ ...this.metrics, ...this.entries });
+    const totals = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+
+    const byKey = {};
+    keys.forEach(key => {
+      const metrics = this.metrics[key] || {};
+      Object.keys(totals).forEach(metric => {
+        totals[metric] += metrics[metric] || 0;
+      });
+      byKey[key] = {
+        ...metrics,
+        ttl: this.getTtl(key),
+        ageMs: this.entries[key] ? this.age(key) : null,
+        refreshing: this.inflight.has(key)
+      };
+    });
+
+    const lookups = totals.hits + totals.staleHits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? (totals.hits + totals.staleHits) / lookups : null,
+      keys: byKey
+    };
+  }
+}
+
+module.exports = SheetCache;
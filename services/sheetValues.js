@@ -0,0 +1,37 @@
+// services/sheetValues.js - อ่านค่าจากแถวของ sheet (ใช้ร่วมกันในทุก service ที่แปลงแถวเป็น object)
+const datetime = require('./datetime');
+
+// ค่าที่ถือว่าเป็นจริงในช่อง checkbox/ข้อความ (ไม่สนตัวพิมพ์)
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'ใช่', '✓'];
+
+// ค่าในเซลล์ -> ข้อความที่ตัดช่องว่างหัวท้ายแล้ว (ว่าง = '')
+function text(value) {
+  return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+// วันที่ใน sheet (DD/MM/YYYY, พ.ศ. หรือ YYYY-MM-DD) -> 'YYYY-MM-DD' (null ถ้าว่างหรืออ่านไม่ได้)
+function normalizeDate(value) {
+  return text(value) ? datetime.toDateKey(text(value)) : null;
+}
+
+function isTrue(value) {
+  return value === true || TRUE_VALUES.includes(text(value).toLowerCase());
+}
+
+/**
+ * ช่วงวันที่ของรายการซ้อนกับช่วงที่ให้หรือไม่ (รวมวันเริ่มและวันสิ้นสุด)
+ * @param {{startDate: string, endDate: string}} entry - วันที่แบบ 'YYYY-MM-DD'
+ * @param {string} startDate
+ * @param {string} endDate
+ */
+function overlaps(entry, startDate, endDate) {
+  return entry.startDate <= endDate && entry.endDate >= startDate;
+}
+
+module.exports = {
+  TRUE_VALUES,
+  text,
+  normalizeDate,
+  isTrue,
+  overlaps
+};
@@ -0,0 +1,409 @@
+// services/storage/fakeSpreadsheet.js - Spreadsheet จำลองในหน่วยความจำ (เฉพาะส่วนของ google-spreadsheet ที่ระบบใช้)
+// ใช้กับ STORAGE_DRIVER=fake สำหรับทดสอบโดยไม่ต้องต่อ Google Sheets จริง
+const fs = require('fs');
+const path = require('path');
+
+// ตัวอักษรคอลัมน์ -> index (A = 0)
+function columnIndex(letters) {
+  let index = 0;
+  for (const char of letters.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * แปลง A1 notation เป็นช่วง index (0-based, end แบบไม่รวม)
+ * รองรับ 'A1', 'A1:M10', 'M2:M' และ '1:1'
+ * @param {string} a1
+ * @returns {{startRow: number, endRow: number, startColumn: number, endColumn: number}}
+ */
+function parseA1Range(a1) {
+  const [startRef, endRef = startRef] = a1.split(':');
+  const parse = ref => {
+    const match = /^([A-Za-z]*)(\d*)$/.exec(ref);
+    if (!match) {
+      throw new Error(`Invalid A1 reference: ${a1}`);
+    }
+    return {
+      column: match[1] ? columnIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2]) - 1 : null
+    };
+  };
+
+  const start = parse(startRef);
+  const end = parse(endRef);
+  return {
+    startRow: start.row === null ? 0 : start.row,
+    endRow: end.row === null ? Infinity : end.row + 1,
+    startColumn: start.column === null ? 0 : start.column,
+    endColumn: end.column === null ? Infinity : end.column + 1
+  };
+}
+
+// ค่าที่อ่านกลับจาก sheet (FORMATTED_VALUE) - สูตรอย่าง =IMAGE() อ่านได้เป็นค่าว่าง
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  const text = value.toString();
+  return text.startsWith('=') ? '' : text;
+}
+
+function isEmptyRow(values) {
+  return !values || values.every(value => value === '' || value === null || value === undefined);
+}
+
+class FakeCell {
+  constructor(sheet, rowIndex, columnIndex) {
+    this.sheet = sheet;
+    this.rowIndex = rowIndex;
+    this.columnIndex = columnIndex;
+    this._draftValue = undefined;
+  }
+
+  get a1Address() {
+    return `${this.sheet.constructor.columnLetter(this.columnIndex)}${this.rowIndex + 1}`;
+  }
+
+  get value() {
+    if (this._draftValue !== undefined) return this._draftValue;
+    const formatted = formatValue(this.sheet.readValue(this.rowIndex, this.columnIndex));
+    return formatted === '' ? null : formatted;
+  }
+
+  set value(newValue) {
+    this._draftValue = newValue;
+  }
+
+  get formattedValue() {
+    return formatValue(this.value);
+  }
+
+  get _isDirty() {
+    return this._draftValue !== undefined;
+  }
+}
+
+class FakeRow {
+  constructor(sheet, rowNumber, rawData) {
+    this._sheet = sheet;
+    this._rowNumber = rowNumber;
+    this._rawData = rawData;
+    this._deleted = false;
+  }
+
+  get rowNumber() {
+    return this._rowNumber;
+  }
+
+  get deleted() {
+    return this._deleted;
+  }
+
+  get(header) {
+    const index = this._sheet.headerValues.indexOf(header);
+    return index === -1 ? undefined : this._rawData[index];
+  }
+
+  async delete() {
+    if (this._deleted) {
+      throw new Error('This row has been deleted - call getRows again before making updates.');
+    }
+    this._sheet.deleteRows(this._rowNumber - 1, this._rowNumber);
+    this._deleted = true;
+  }
+}
+
+class FakeWorksheet {
+  constructor(doc, { sheetId, title, values = [], columnCount = 0 }) {
+    this._doc = doc;
+    this.sheetId = sheetId;
+    this.title = title;
+    this.values = values.map(row => [...row]);
+    this._columnCount = Math.max(columnCount, ...this.values.map(row => row.length), 1);
+    this._rowCount = Math.max(this.values.length, 1);
+    this._cells = new Map();
+    this._rowCache = [];
+  }
+
+  static columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+  }
+
+  get rowCount() {
+    return Math.max(this._rowCount, this.values.length);
+  }
+
+  get columnCount() {
+    return this._columnCount;
+  }
+
+  get headerValues() {
+    const header = (this.values[0] || []).map(formatValue);
+    while (header.length > 0 && header[header.length - 1] === '') header.pop();
+    return header;
+  }
+
+  // ตรวจ header เหมือนไลบรารีจริง (ว่างทั้งแถวหรือซ้ำกัน = error)
+  async loadHeaderRow() {
+    const header = this.headerValues;
+    if (header.length === 0 || header.every(value => value === '')) {
+      throw new Error('No values in the header row - fill the first row with header values before trying to interact with rows');
+    }
+    const duplicates = header.filter((value, index) => value && header.indexOf(value) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Duplicate header detected: "${duplicates.join(', ')}". Please make sure all non-empty headers are unique`);
+    }
+  }
+
+  readValue(rowIndex, columnIndex) {
+    const row = this.values[rowIndex];
+    return row ? row[columnIndex] : undefined;
+  }
+
+  writeValue(rowIndex, columnIndex, value) {
+    while (this.values.length <= rowIndex) this.values.push([]);
+    const row = this.values[rowIndex];
+    while (row.length < columnIndex) row.push('');
+    row[columnIndex] = value === null || value === undefined ? '' : value;
+    this._columnCount = Math.max(this._columnCount, columnIndex + 1);
+  }
+
+  lastNonEmptyRowIndex() {
+    for (let index = this.values.length - 1; index >= 0; index--) {
+      if (!isEmptyRow(this.values[index])) return index;
+    }
+    return -1;
+  }
+
+  // ========== Rows ==========
+
+  async getRows({ offset = 0, limit } = {}) {
+    await this.loadHeaderRow();
+    const headerLength = this.headerValues.length;
+    const firstIndex = 1 + offset;
+    const lastIndex = limit ? Math.min(firstIndex + limit, this.lastNonEmptyRowIndex() + 1) : this.lastNonEmptyRowIndex() + 1;
+
+    const rows = [];
+    for (let index = firstIndex; index < lastIndex; index++) {
+      const rawData = (this.values[index] || []).slice(0, headerLength).map(formatValue);
+      while (rawData.length > 0 && rawData[rawData.length - 1] === '') rawData.pop();
+
+      const row = new FakeRow(this, index + 1, rawData);
+      this._rowCache[index + 1] = row;
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  toRowValues(values) {
+    if (Array.isArray(values)) return values;
+    return this.headerValues.map(header => (values[header] === undefined ? '' : values[header]));
+  }
+
+  // ต่อท้ายหลังแถวสุดท้ายที่มีข้อมูล (เหมือน values.append ของ Sheets API)
+  async addRow(values) {
+    const [row] = await this.addRows([values]);
+    return row;
+  }
+
+  async addRows(rowsValues) {
+    await this.loadHeaderRow();
+    const rows = [];
+    rowsValues.forEach(values => {
+      const rowIndex = this.lastNonEmptyRowIndex() + 1;
+      const rowValues = this.toRowValues(values).map(value => (value === null || value === undefined ? '' : value));
+      this.values[rowIndex] = rowValues;
+      this._columnCount = Math.max(this._columnCount, rowValues.length);
+
+      const row = new FakeRow(this, rowIndex + 1, rowValues.map(formatValue));
+      this._rowCache[rowIndex + 1] = row;
+      rows.push(row);
+    });
+    this._cells.clear();
+    return rows;
+  }
+
+  // ลบแถว [startIndex, endIndex) แล้วเลื่อนเลขแถวของ row object ที่เคยอ่านไว้ (เหมือน _shiftRowCache)
+  deleteRows(startIndex, endIndex) {
+    const count = endIndex - startIndex;
+    this.values.splice(startIndex, count);
+    this._rowCount = Math.max(this._rowCount - count, 1);
+    this._cells.clear();
+
+    const shifted = [];
+    this._rowCache.forEach((row, rowNumber) => {
+      if (!row) return;
+      if (rowNumber > startIndex && rowNumber <= endIndex) {
+        row._deleted = true;
+      } else if (rowNumber > endIndex) {
+        row._rowNumber = rowNumber - count;
+        shifted[rowNumber - count] = row;
+      } else {
+        shifted[rowNumber] = row;
+      }
+    });
+    this._rowCache = shifted;
+  }
+
+  // ========== Cells ==========
+
+  async getCellsInRange(a1) {
+    const range = parseA1Range(a1);
+    const endRow = Math.min(range.endRow, this.values.length);
+    const result = [];
+
+    for (let rowIndex = range.startRow; rowIndex < endRow; rowIndex++) {
+      const row = this.values[rowIndex] || [];
+      const endColumn = Math.min(range.endColumn, row.length);
+      const values = [];
+      for (let columnIndex = range.startColumn; columnIndex < endColumn; columnIndex++) {
+        values.push(formatValue(row[columnIndex]));
+      }
+      while (values.length > 0 && values[values.length - 1] === '') values.pop();
+      result.push(values);
+    }
+
+    // Sheets API ไม่ส่งแถวว่างท้ายช่วงกลับมา และไม่ส่ง values เลยถ้าทั้งช่วงว่าง
+    while (result.length > 0 && result[result.length - 1].length === 0) result.pop();
+    return result.length > 0 ? result : undefined;
+  }
+
+  // ข้อมูลอยู่ในหน่วยความจำแล้ว - ตรวจแค่รูปแบบช่วง
+  async loadCells(a1) {
+    if (a1) parseA1Range(a1);
+  }
+
+  getCell(rowIndex, columnIndex) {
+    const key = `${rowIndex}:${columnIndex}`;
+    if (!this._cells.has(key)) {
+      this._cells.set(key, new FakeCell(this, rowIndex, columnIndex));
+    }
+    return this._cells.get(key);
+  }
+
+  getCellByA1(a1) {
+    const { startRow, startColumn } = parseA1Range(a1);
+    return this.getCell(startRow, startColumn);
+  }
+
+  async saveUpdatedCells() {
+    this._cells.forEach(cell => {
+      if (!cell._isDirty) return;
+      this.writeValue(cell.rowIndex, cell.columnIndex, cell._draftValue);
+      cell._draftValue = undefined;
+    });
+  }
+
+  async resize({ rowCount, columnCount }) {
+    if (rowCount !== undefined) this._rowCount = rowCount;
+    if (columnCount !== undefined) this._columnCount = columnCount;
+  }
+}
+
+class FakeSpreadsheet {
+  /**
+   * @param {Object} fixture
+   * @param {string} [fixture.title]
+   * @param {Object<string, Array<Array<*>>>} fixture.sheets - ชื่อ sheet -> ค่าทุกแถว (แถวแรกคือ header)
+   */
+  constructor({ title = 'Fake Spreadsheet', sheets = {} } = {}) {
+    this.title = title;
+    this.nextSheetId = 0;
+    this._sheets = [];
+    Object.keys(sheets).forEach(sheetTitle => {
+      this._sheets.push(new FakeWorksheet(this, { sheetId: this.nextSheetId++, title: sheetTitle, values: sheets[sheetTitle] }));
+    });
+  }
+
+  /**
+   * สร้างจากไฟล์ fixture (JSON)
+   * @param {string} filePath
+   * @returns {FakeSpreadsheet}
+   */
+  static fromFixture(filePath) {
+    const fixture = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    return new FakeSpreadsheet(fixture);
+  }
+
+  async loadInfo() {}
+
+  get sheetsByIndex() {
+    return [...this._sheets];
+  }
+
+  get sheetsByTitle() {
+    const byTitle = {};
+    this._sheets.forEach(sheet => {
+      byTitle[sheet.title] = sheet;
+    });
+    return byTitle;
+  }
+
+  get sheetsById() {
+    const byId = {};
+    this._sheets.forEach(sheet => {
+      byId[sheet.sheetId] = sheet;
+    });
+    return byId;
+  }
+
+  async addSheet({ title, headerValues = [] } = {}) {
+    if (this.sheetsByTitle[title]) {
+      throw new Error(`A sheet with the name "${title}" already exists`);
+    }
+    const sheet = new FakeWorksheet(this, {
+      sheetId: this.nextSheetId++,
+      title,
+      values: headerValues.length > 0 ? [headerValues] : []
+    });
+    this._sheets.push(sheet);
+    return sheet;
+  }
+
+  getSheetById(sheetId) {
+    const sheet = this.sheetsById[sheetId];
+    if (!sheet) {
+      throw new Error(`No grid with id: ${sheetId}`);
+    }
+    return sheet;
+  }
+
+  // รองรับเฉพาะ request ที่ระบบส่ง (updateCells และ deleteDimension แบบ ROWS) - ทำตามลำดับเหมือน batchUpdate จริง
+  async _makeBatchUpdateRequest(requests) {
+    requests.forEach(request => {
+      if (request.updateCells) {
+        const { range, rows } = request.updateCells;
+        const sheet = this.getSheetById(range.sheetId);
+        rows.forEach((row, rowOffset) => {
+          row.values.forEach((cellData, columnOffset) => {
+            const value = cellData.userEnteredValue || {};
+            const cellValue = [value.stringValue, value.numberValue, value.boolValue, value.formulaValue]
+              .find(candidate => candidate !== undefined);
+            sheet.writeValue(range.startRowIndex + rowOffset, range.startColumnIndex + columnOffset, cellValue);
+          });
+        });
+      } else if (request.deleteDimension) {
+        const { range } = request.deleteDimension;
+        if (range.dimension !== 'ROWS') {
+          throw new Error(`Unsupported dimension in fake spreadsheet: ${range.dimension}`);
+        }
+        this.getSheetById(range.sheetId).deleteRows(range.startIndex, range.endIndex);
+      } else {
+        throw new Error(`Unsupported batch request in fake spreadsheet: ${Object.keys(request).join(', ')}`);
+      }
+    });
+    return { replies: requests.map(() => ({})) };
+  }
+}
+
+module.exports = FakeSpreadsheet;
+module.exports.FakeWorksheet = FakeWorksheet;
+module.exports.parseA1Range = parseA1Range;
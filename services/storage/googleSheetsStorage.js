@@ -0,0 +1,852 @@
+// services/storage/googleSheetsStorage.js - Google Sheets storage adapter
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+const { CONFIG } = require('../../config');
+const { SHEET_SCHEMAS, columnKeys, headerOf, validateHeaders } = require('./schema');
+const { toEmployee, identityKey } = require('../employees');
+
+// ลำดับคอลัมน์ของ MAIN sheet (A-R) - sheet นี้อ่านด้วย index เพราะไม่มี header ที่เชื่อถือได้
+const MAIN_COLUMNS = columnKeys('MAIN');
+// ON WORK อ่านด้วย header แต่เขียนเป็นแถวตามลำดับคอลัมน์
+const ON_WORK_COLUMNS = columnKeys('ON_WORK');
+const ON_WORK_ID_INDEX = ON_WORK_COLUMNS.indexOf('recordId');
+
+/**
+ * แปลง index ของคอลัมน์ (0 = A) เป็นตัวอักษรคอลัมน์
+ * @param {number} index
+ * @returns {string}
+ */
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+class GoogleSheetsStorage {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.doc] - spreadsheet ที่สร้างไว้แล้ว (เช่น FakeSpreadsheet) - ถ้าไม่ให้จะเชื่อมต่อ Google Sheets ตาม CONFIG
+   * @param {string} [options.name]
+   */
+  constructor({ doc = null, name = 'sheets' } = {}) {
+    this.name = name;
+    this.isRemote = !doc; // spreadsheet จริง: ทุกการอ่าน/เขียนนับเป็น API call
+    this.doc = doc;
+    this.isInitialized = false;
+    // การเขียนที่หาเลขแถวก่อนแล้วค่อยเขียน/ลบแถว ทำทีละครั้ง (ดู serializeRowWrites)
+    this.rowWrites = Promise.resolve();
+  }
+
+  /**
+   * รันงานที่อ้างอิงเลขแถวต่อคิวเดียวกัน: ปิดรายการ, ย้ายไป archive, ลบแถว ON WORK, backfill
+   * เลขแถวที่หาไว้จึงไม่เลื่อนเพราะการลบแถวของงานอื่นระหว่างหาจนถึงเขียน (งานที่ล้มเหลวไม่ขวางงานถัดไป)
+   * @param {Function} task - async () => ผลลัพธ์
+   */
+  serializeRowWrites(task) {
+    const run = this.rowWrites.then(task, task);
+    this.rowWrites = run.catch(() => {});
+    return run;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    if (!this.doc) {
+      const serviceAccountAuth = new JWT({
+        email: CONFIG.GOOGLE_SHEETS.CLIENT_EMAIL,
+        key: CONFIG.GOOGLE_SHEETS.PRIVATE_KEY,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      });
+      this.doc = new GoogleSpreadsheet(CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID, serviceAccountAuth);
+    }
+    await this.doc.loadInfo();
+    // batchUpdate ใช้ method ภายในของ google-spreadsheet (ล็อกเวอร์ชันใน package.json) - ถ้าอัปเกรดแล้วหายไปให้หยุดตั้งแต่เริ่ม
+    if (typeof this.doc._makeBatchUpdateRequest !== 'function') {
+      throw new Error('google-spreadsheet does not provide _makeBatchUpdateRequest - check the version pinned in package.json');
+    }
+
+    console.log(`✅ Connected to ${this.name === 'sheets' ? 'Google Sheets' : `${this.name} spreadsheet`}: ${this.doc.title}`);
+    this.isInitialized = true;
+  }
+
+  async getSheet(sheetName) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const sheet = this.doc.sheetsByTitle[sheetName];
+    if (!sheet) {
+      throw new Error(`Sheet ${sheetName} not found`);
+    }
+
+    return sheet;
+  }
+
+  // ========== Employees ==========
+
+  toEmployeeFromRow(row) {
+    const raw = {};
+    columnKeys('EMPLOYEES').forEach(key => {
+      raw[key] = row.get(headerOf('EMPLOYEES', key));
+    });
+    return toEmployee(raw);
+  }
+
+  async getEmployees() {
+    const sheet = await this.getSheet(CONFIG.SHEETS.EMPLOYEES);
+    const rows = await sheet.getRows();
+
+    return rows
+      .map(row => this.toEmployeeFromRow(row))
+      .filter(employee => employee.name);
+  }
+
+  /**
+   * เพิ่ม/แก้ไขพนักงานหลายคนพร้อมกัน (อ่าน 1 ครั้ง, แก้ไขด้วย batchUpdate 1 ครั้ง, เพิ่มแถวใหม่ 1 ครั้ง)
+   * @param {Array<{match: Object|null, record: Object}>} changes - match = พนักงานเดิมที่จะแก้ไข (null = เพิ่มใหม่),
+   *   record = ค่าตาม key ของ schema EMPLOYEES (จาก toEmployeeRecord)
+   * @returns {Promise<Array<{created: boolean, updated: boolean}>>}
+   */
+  async saveEmployees(changes) {
+    const sheet = await this.getSheet(CONFIG.SHEETS.EMPLOYEES);
+    const rows = await sheet.getRows(); // โหลด header ไปด้วย
+    const entries = rows.map(row => ({ row, key: identityKey(this.toEmployeeFromRow(row)) }));
+
+    // คอลัมน์ของ EMPLOYEES อ่านด้วย header - หาตำแหน่งจริงจากแถวที่ 1
+    const columnIndexOf = key => {
+      const index = sheet.headerValues.indexOf(headerOf('EMPLOYEES', key));
+      if (index === -1) {
+        throw new Error(`EMPLOYEES column not found: ${headerOf('EMPLOYEES', key)}`);
+      }
+      return index;
+    };
+
+    const requests = [];
+    const appended = [];
+    const results = changes.map(({ match, record }) => {
+      if (!match) {
+        appended.push(record);
+        return { created: true, updated: false };
+      }
+
+      const entry = entries.find(e => e.key === identityKey(match));
+      if (!entry) {
+        return { created: false, updated: false };
+      }
+      Object.keys(record).forEach(key => {
+        requests.push(this.buildCellUpdate(sheet, entry.row.rowNumber, columnIndexOf(key), record[key]));
+      });
+      return { created: false, updated: true };
+    });
+
+    await this.batchUpdate(requests);
+    if (appended.length > 0) {
+      await sheet.addRows(appended.map(record => {
+        const values = new Array(sheet.headerValues.length).fill('');
+        Object.keys(record).forEach(key => {
+          values[columnIndexOf(key)] = record[key];
+        });
+        return values;
+      }));
+    }
+    return results;
+  }
+
+  // ========== Header-keyed tables (LINE_BINDINGS, SHIFTS, ROSTERS, BREAKS, HOLIDAYS, LEAVE_REQUESTS, DUTIES, ZONES) ==========
+  // คอลัมน์แรกของ schema เป็น key ของแต่ละแถว
+
+  async getTable(schemaName) {
+    const sheet = await this.getSheet(SHEET_SCHEMAS[schemaName].title);
+    const rows = await sheet.getRows(); // โหลด header ไปด้วย
+    const keys = columnKeys(schemaName);
+
+    const entries = rows.map(row => {
+      const record = {};
+      keys.forEach(key => {
+        record[key] = row.get(headerOf(schemaName, key)) || '';
+      });
+      return { row, record };
+    });
+    return { sheet, entries: entries.filter(entry => entry.record[keys[0]]) };
+  }
+
+  async getTableRecords(schemaName) {
+    const { entries } = await this.getTable(schemaName);
+    return entries.map(entry => entry.record);
+  }
+
+  // เพิ่มหรือแทนที่แถวที่มี key เดียวกัน
+  upsertTableRecord(schemaName, record) {
+    return this.upsertTableRecords(schemaName, [record]);
+  }
+
+  // หลายแถวพร้อมกัน: อ่าน sheet ครั้งเดียว แก้แถวเดิมใน batch เดียว และเพิ่มแถวใหม่ครั้งเดียว
+  async upsertTableRecords(schemaName, records) {
+    const { sheet, entries } = await this.getTable(schemaName);
+    const [keyField] = columnKeys(schemaName);
+
+    // อ่านด้วย header - เขียนตามตำแหน่ง header จริงในแถวที่ 1
+    const toValues = record => {
+      const values = new Array(sheet.headerValues.length).fill('');
+      columnKeys(schemaName).forEach(key => {
+        const index = sheet.headerValues.indexOf(headerOf(schemaName, key));
+        if (index === -1) {
+          throw new Error(`${sheet.title} column not found: ${headerOf(schemaName, key)}`);
+        }
+        values[index] = record[key] === undefined || record[key] === null ? '' : record[key];
+      });
+      return values;
+    };
+
+    const updates = [];
+    const appended = [];
+    records.forEach(record => {
+      const entry = entries.find(e => e.record[keyField] === record[keyField]);
+      if (entry) {
+        toValues(record).forEach((value, index) => updates.push(this.buildCellUpdate(sheet, entry.row.rowNumber, index, value)));
+      } else {
+        appended.push(toValues(record));
+      }
+    });
+
+    if (updates.length > 0) {
+      await this.batchUpdate(updates);
+    }
+    if (appended.length > 0) {
+      await sheet.addRows(appended);
+    }
+  }
+
+  async removeTableRecord(schemaName, keyValue) {
+    const { entries } = await this.getTable(schemaName);
+    const [keyField] = columnKeys(schemaName);
+    const entry = entries.find(e => e.record[keyField] === keyValue);
+    if (!entry) {
+      return false;
+    }
+
+    await entry.row.delete();
+    return true;
+  }
+
+  getLineBindings() {
+    return this.getTableRecords('LINE_BINDINGS');
+  }
+
+  saveLineBinding(binding) {
+    return this.upsertTableRecord('LINE_BINDINGS', binding);
+  }
+
+  removeLineBinding(lineUserId) {
+    return this.removeTableRecord('LINE_BINDINGS', lineUserId);
+  }
+
+  getShifts() {
+    return this.getTableRecords('SHIFTS');
+  }
+
+  saveShift(shift) {
+    return this.upsertTableRecord('SHIFTS', shift);
+  }
+
+  getRosterEntries() {
+    return this.getTableRecords('ROSTERS');
+  }
+
+  saveRosterEntry(entry) {
+    return this.upsertTableRecord('ROSTERS', entry);
+  }
+
+  removeRosterEntry(id) {
+    return this.removeTableRecord('ROSTERS', id);
+  }
+
+  getBreaks() {
+    return this.getTableRecords('BREAKS');
+  }
+
+  saveBreak(entry) {
+    return this.upsertTableRecord('BREAKS', entry);
+  }
+
+  getHolidays() {
+    return this.getTableRecords('HOLIDAYS');
+  }
+
+  saveHolidays(holidays) {
+    return this.upsertTableRecords('HOLIDAYS', holidays);
+  }
+
+  removeHoliday(date) {
+    return this.removeTableRecord('HOLIDAYS', date);
+  }
+
+  getLeaveRequests() {
+    return this.getTableRecords('LEAVE_REQUESTS');
+  }
+
+  saveLeaveRequest(request) {
+    return this.upsertTableRecord('LEAVE_REQUESTS', request);
+  }
+
+  getDuties() {
+    return this.getTableRecords('DUTIES');
+  }
+
+  saveDuty(duty) {
+    return this.upsertTableRecord('DUTIES', duty);
+  }
+
+  getZones() {
+    return this.getTableRecords('ZONES');
+  }
+
+  saveZone(zone) {
+    return this.upsertTableRecord('ZONES', zone);
+  }
+
+  removeZone(code) {
+    return this.removeTableRecord('ZONES', code);
+  }
+
+  // ========== Open shifts (ON WORK) ==========
+
+  toOpenShift(row) {
+    const rowRef1 = row.get(headerOf('ON_WORK', 'mainRowRef'));
+    const rowRef2 = row.get(headerOf('ON_WORK', 'mainRow'));
+    let mainRowIndex = null;
+
+    if (rowRef1 && !isNaN(parseInt(rowRef1))) {
+      mainRowIndex = parseInt(rowRef1);
+    } else if (rowRef2 && !isNaN(parseInt(rowRef2))) {
+      mainRowIndex = parseInt(rowRef2);
+    }
+
+    return {
+      employeeName: row.get(headerOf('ON_WORK', 'employeeName')),
+      systemName: row.get(headerOf('ON_WORK', 'systemName')),
+      clockIn: row.get(headerOf('ON_WORK', 'clockIn')),
+      recordId: row.get(headerOf('ON_WORK', 'recordId')) || null,
+      employeeCode: row.get(headerOf('ON_WORK', 'employeeCode')) || null,
+      mainRowIndex,
+      ref: row
+    };
+  }
+
+  async getOpenShifts() {
+    const sheet = await this.getSheet(CONFIG.SHEETS.ON_WORK);
+    const rows = await sheet.getRows({ offset: SHEET_SCHEMAS.ON_WORK.dataStartRow - 2 }); // เริ่มจากแถว 3
+    return rows.map(row => this.toOpenShift(row));
+  }
+
+  /**
+   * @param {Object} shift
+   * @param {Object} [options]
+   * @param {boolean} [options.ifAbsent] - ไม่เพิ่มถ้ามีแถวของรหัสรายการนี้แล้ว (ใช้ตอนส่งซ้ำ - ครั้งก่อนอาจเขียนสำเร็จแต่ได้ error กลับมา)
+   */
+  async addOpenShift(shift, { ifAbsent = false } = {}) {
+    if (ifAbsent && shift.recordId) {
+      const existing = (await this.getOpenShifts()).find(s => s.recordId === shift.recordId);
+      if (existing) {
+        console.log(`ℹ️ ON WORK row for record ${shift.recordId} already exists, skipped`);
+        return existing;
+      }
+    }
+
+    const sheet = await this.getSheet(CONFIG.SHEETS.ON_WORK);
+    const values = {
+      timestamp: shift.clockIn,
+      employeeName: shift.employeeName,
+      clockIn: shift.clockIn,
+      status: 'ทำงาน',
+      userinfo: shift.userinfo || '',
+      coords: shift.coords || '',
+      locationName: shift.locationName || '',
+      mainRow: shift.mainRowIndex,
+      lineName: shift.lineName || '',
+      linePicture: shift.linePicture || '',
+      mainRowRef: shift.mainRowIndex,
+      systemName: shift.systemName || shift.employeeName,
+      recordId: shift.recordId,
+      employeeCode: shift.employeeCode || ''
+    };
+    const row = await sheet.addRow(ON_WORK_COLUMNS.map(key => values[key]));
+    return this.toOpenShift(row);
+  }
+
+  async removeOpenShift(shift) {
+    return this.serializeRowWrites(async () => {
+      let row = shift.ref && typeof shift.ref.delete === 'function' ? shift.ref : null;
+
+      // record ที่มาจาก adapter อื่น (เช่น mirror) ไม่มี row ของ sheet นี้ - ค้นหาจากรหัสรายการ
+      if (!row) {
+        const shifts = await this.getOpenShifts();
+        const match = shifts.find(s => s.recordId && s.recordId === shift.recordId);
+        if (!match) {
+          console.warn(`⚠️ ON WORK row not found for ${shift.employeeName} (record ${shift.recordId})`);
+          return false;
+        }
+        row = match.ref;
+      }
+
+      await row.delete();
+      return true;
+    });
+  }
+
+  // ========== Attendance records (MAIN) ==========
+
+  toAttendanceRecord(row) {
+    const record = { rowNumber: row.rowNumber };
+    MAIN_COLUMNS.forEach((field, index) => {
+      record[field] = row._rawData[index] || '';
+    });
+    return record;
+  }
+
+  async getAttendanceRecords() {
+    const sheet = await this.getSheet(CONFIG.SHEETS.MAIN);
+    const rows = await sheet.getRows();
+    return rows.map(row => this.toAttendanceRecord(row));
+  }
+
+  /**
+   * @param {Object} record
+   * @param {Object} [options]
+   * @param {boolean} [options.ifAbsent] - ไม่เพิ่มถ้ามีรหัสรายการนี้ใน MAIN แล้ว (อ่านเฉพาะคอลัมน์รหัส)
+   */
+  async addAttendanceRecord(record, { ifAbsent = false } = {}) {
+    const sheet = await this.getSheet(CONFIG.SHEETS.MAIN);
+    if (ifAbsent && record.id) {
+      const rowNumber = (await this.findAttendanceRowNumbers(sheet, [record.id])).get(record.id);
+      if (rowNumber) {
+        console.log(`ℹ️ MAIN record ${record.id} already exists (row ${rowNumber}), skipped`);
+        return { ...record, rowNumber };
+      }
+    }
+
+    const values = MAIN_COLUMNS.map(field => {
+      if (field === 'linePicture') {
+        return record.linePicture ? `=IMAGE("${record.linePicture}")` : '';
+      }
+      return record[field] || '';
+    });
+
+    const row = await sheet.addRow(values);
+    return { ...record, rowNumber: row.rowNumber };
+  }
+
+  /**
+   * หาเลขแถวของ record ใน MAIN จากรหัสรายการ (อ่านเฉพาะคอลัมน์รหัส 1 ครั้งสำหรับทุก id)
+   * @param {Object} sheet - MAIN worksheet
+   * @param {string[]} ids - รหัสรายการ
+   * @returns {Promise<Map<string, number>>} id -> เลขแถวใน sheet (ไม่มี key ถ้าไม่พบ)
+   */
+  async findAttendanceRowNumbers(sheet, ids) {
+    const idColumn = columnLetter(MAIN_COLUMNS.indexOf('id'));
+    const values = await sheet.getCellsInRange(`${idColumn}2:${idColumn}${sheet.rowCount}`) || [];
+    const wanted = new Set(ids);
+    const rowNumbers = new Map();
+
+    values.forEach((row, index) => {
+      const id = row && row[0];
+      if (id && wanted.has(id)) {
+        rowNumbers.set(id, index + 2);
+      }
+    });
+    return rowNumbers;
+  }
+
+  /**
+   * หาเลขแถวและเวลาออกปัจจุบันของ record ใน MAIN (อ่านช่วงคอลัมน์เวลาออกถึงรหัสรายการ 1 ครั้ง)
+   * @returns {Promise<Map<string, {rowNumber: number, clockOut: string}>>}
+   */
+  async findAttendanceRows(sheet, ids) {
+    const clockOutIndex = MAIN_COLUMNS.indexOf('clockOut');
+    const idIndex = MAIN_COLUMNS.indexOf('id');
+    const range = `${columnLetter(clockOutIndex)}2:${columnLetter(idIndex)}${sheet.rowCount}`;
+    const values = await sheet.getCellsInRange(range) || [];
+    const wanted = new Set(ids);
+    const rows = new Map();
+
+    values.forEach((row, index) => {
+      const id = row && row[idIndex - clockOutIndex];
+      if (id && wanted.has(id)) {
+        rows.set(id, { rowNumber: index + 2, clockOut: row[0] || '' });
+      }
+    });
+    return rows;
+  }
+
+  // แปลงค่าเป็น CellData ของ Sheets API (ชนิดเดียวกับการเซ็ต cell.value ของ google-spreadsheet)
+  toCellValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number' && isFinite(value)) return { numberValue: value };
+
+    const text = value === null || value === undefined ? '' : value.toString();
+    return text.startsWith('=') ? { formulaValue: text } : { stringValue: text };
+  }
+
+  // request สำหรับเขียนเซลล์เดียว - ไม่ต้อง loadCells ก่อน และไม่แตะเซลล์ข้างเคียง
+  buildCellUpdate(sheet, rowNumber, columnIndex, value) {
+    return {
+      updateCells: {
+        range: {
+          sheetId: sheet.sheetId,
+          startRowIndex: rowNumber - 1,
+          endRowIndex: rowNumber,
+          startColumnIndex: columnIndex,
+          endColumnIndex: columnIndex + 1
+        },
+        rows: [{ values: [{ userEnteredValue: this.toCellValue(value) }] }],
+        fields: 'userEnteredValue'
+      }
+    };
+  }
+
+  buildRowDelete(sheet, rowNumber) {
+    return {
+      deleteDimension: {
+        range: {
+          sheetId: sheet.sheetId,
+          dimension: 'ROWS',
+          startIndex: rowNumber - 1,
+          endIndex: rowNumber
+        }
+      }
+    };
+  }
+
+  // ส่งหลาย request (ข้ามหลาย sheet ได้) ใน batchUpdate เดียว - เหมือนที่ saveCells/row.delete ของไลบรารีใช้ภายใน
+  async batchUpdate(requests) {
+    if (requests.length === 0) return;
+    await this.doc._makeBatchUpdateRequest(requests);
+  }
+
+  /**
+   * ปิดรายการลงเวลาหลายรายการพร้อมกัน: อัปเดตเซลล์ใน MAIN และลบแถวใน ON WORK ด้วย batchUpdate ครั้งเดียว
+   * (อ่าน MAIN 1 ครั้ง + อ่าน ON WORK 1 ครั้ง + เขียน 1 ครั้ง ไม่ว่าจะมีกี่รายการ)
+   * ไม่เขียนทับเวลาออกที่มีอยู่แล้ว - รายการนั้นคืน alreadyClosed และไม่แตะทั้ง MAIN และ ON WORK
+   * @param {Array<{id: string, fields: Object, shift?: Object}>} closures
+   * @returns {Promise<Array<{id: string, updated: boolean, removed: boolean, alreadyClosed?: boolean}>>}
+   */
+  async closeAttendanceRecords(closures) {
+    return this.serializeRowWrites(async () => {
+      const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
+      const rows = await this.findAttendanceRows(mainSheet, closures.map(c => c.id));
+
+      const requests = [];
+      const results = closures.map(closure => {
+        const row = rows.get(closure.id);
+        if (!row) {
+          return { id: closure.id, updated: false, removed: false };
+        }
+        if (closure.fields.clockOut && row.clockOut) {
+          console.warn(`⚠️ MAIN record ${closure.id} already clocked out at ${row.clockOut}, not overwritten`);
+          return { id: closure.id, updated: false, removed: false, alreadyClosed: true };
+        }
+        const { rowNumber } = row;
+
+        // อัปเดตเฉพาะเซลล์ที่ระบุ ไม่แตะเซลล์เวลาเข้า (column D) เพื่อรักษารูปแบบเดิม
+        Object.keys(closure.fields).forEach(field => {
+          const columnIndex = MAIN_COLUMNS.indexOf(field);
+          if (columnIndex === -1) {
+            throw new Error(`Unknown MAIN field: ${field}`);
+          }
+          requests.push(this.buildCellUpdate(mainSheet, rowNumber, columnIndex, closure.fields[field]));
+        });
+        return { id: closure.id, updated: true, removed: false };
+      });
+
+      // หาแถว ON WORK ที่ต้องลบจากข้อมูลล่าสุด (row object ที่ cache ไว้อาจมีเลขแถวเลื่อนไปแล้ว)
+      // ลบเฉพาะรายการที่อัปเดต MAIN สำเร็จ - ที่เหลือคงไว้ให้ผู้ดูแลตรวจสอบ
+      const shiftClosures = closures.filter((c, index) => c.shift && results[index].updated);
+      if (shiftClosures.length > 0) {
+        const onWorkSheet = await this.getSheet(CONFIG.SHEETS.ON_WORK);
+        const currentShifts = await this.getOpenShifts();
+
+        const deleteRows = [];
+        shiftClosures.forEach(closure => {
+          const { shift } = closure;
+          const match = currentShifts.find(s => {
+            if (shift.recordId) return s.recordId === shift.recordId;
+            // แถวเก่าที่ไม่มีรหัสรายการ - ใช้เลขแถวเดิมเมื่อชื่อยังตรงกัน
+            return shift.ref && s.ref.rowNumber === shift.ref.rowNumber && s.employeeName === shift.employeeName;
+          });
+          const rowNumber = match ? match.ref.rowNumber : null;
+
+          const result = results.find(r => r.id === closure.id);
+          if (rowNumber && !deleteRows.includes(rowNumber)) {
+            deleteRows.push(rowNumber);
+            result.removed = true;
+          } else if (!rowNumber) {
+            console.warn(`⚠️ ON WORK row not found for ${closure.shift.employeeName} (record ${closure.id})`);
+          }
+        });
+
+        // ลบจากแถวล่างขึ้นบน เพื่อไม่ให้เลขแถวที่เหลือเลื่อน
+        deleteRows
+          .sort((a, b) => b - a)
+          .forEach(rowNumber => requests.push(this.buildRowDelete(onWorkSheet, rowNumber)));
+      }
+
+      await this.batchUpdate(requests);
+      return results;
+    });
+  }
+
+  /**
+   * อัปเดตเฉพาะเซลล์ที่ระบุของ record ใน MAIN โดยไม่แตะเซลล์อื่น (ป้องกันการเปลี่ยนรูปแบบเวลาเข้า)
+   * @param {string} id - รหัสรายการ
+   * @param {Object} fields - ค่าที่ต้องการอัปเดต เช่น { clockOut, workingHours }
+   * @returns {Promise<boolean>} false ถ้าไม่พบ record
+   */
+  async updateAttendanceRecord(id, fields) {
+    const [result] = await this.closeAttendanceRecords([{ id, fields }]);
+    return result.updated;
+  }
+
+  // ========== Monthly archive partitions ==========
+
+  partitionTitle(monthKey) {
+    return `${CONFIG.SHEETS.MAIN_ARCHIVE_PREFIX}${monthKey}`;
+  }
+
+  async listArchivePartitions() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const prefix = CONFIG.SHEETS.MAIN_ARCHIVE_PREFIX;
+    return this.doc.sheetsByIndex
+      .map(sheet => sheet.title)
+      .filter(title => title.startsWith(prefix) && /^\d{4}-\d{2}$/.test(title.slice(prefix.length)))
+      .map(title => title.slice(prefix.length))
+      .sort();
+  }
+
+  async getArchivedAttendanceRecords(monthKey) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const sheet = this.doc.sheetsByTitle[this.partitionTitle(monthKey)];
+    if (!sheet) {
+      return [];
+    }
+
+    const rows = await sheet.getRows();
+    return rows.map(row => ({ ...this.toAttendanceRecord(row), partition: monthKey }));
+  }
+
+  /**
+   * ย้าย record ที่ปิดแล้วจาก MAIN ไปยัง sheet ของเดือนนั้น (เพิ่มลง partition ก่อน แล้วค่อยลบจาก MAIN)
+   * record ที่มีอยู่ใน partition แล้ว (จากการรันที่ล้มเหลวกลางทาง) จะไม่ถูกเพิ่มซ้ำ
+   * @param {string} monthKey - 'YYYY-MM'
+   * @param {Object[]} records - record จาก MAIN (ต้องมีรหัสรายการ)
+   * @returns {Promise<number>} จำนวน record ที่ลบออกจาก MAIN
+   */
+  async archiveAttendanceRecords(monthKey, records) {
+    return this.serializeRowWrites(async () => {
+      const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
+      const title = this.partitionTitle(monthKey);
+
+      let partition = this.doc.sheetsByTitle[title];
+      if (!partition) {
+        await mainSheet.loadHeaderRow();
+        const headerValues = MAIN_COLUMNS.map((field, index) =>
+          mainSheet.headerValues[index] || SHEET_SCHEMAS.MAIN.columns[index].header
+        );
+        partition = await this.doc.addSheet({ title, headerValues });
+        console.log(`📁 Created archive sheet: ${title}`);
+      }
+
+      const archivedIds = new Set((await this.getArchivedAttendanceRecords(monthKey)).map(r => r.id));
+      const toAppend = records.filter(record => !archivedIds.has(record.id));
+
+      // รูปจาก =IMAGE() อ่านกลับมาเป็นค่าว่าง - คัดลอกเฉพาะค่าที่อ่านได้
+      if (toAppend.length > 0) {
+        await partition.addRows(toAppend.map(record => MAIN_COLUMNS.map(field => record[field] || '')));
+      }
+
+      // หาเลขแถวล่าสุดจากรหัสรายการก่อนลบ แล้วลบจากล่างขึ้นบนใน batch เดียว
+      const rowNumbers = await this.findAttendanceRowNumbers(mainSheet, records.map(r => r.id));
+      const requests = [...rowNumbers.values()]
+        .sort((a, b) => b - a)
+        .map(rowNumber => this.buildRowDelete(mainSheet, rowNumber));
+
+      await this.batchUpdate(requests);
+      return requests.length;
+    });
+  }
+
+  // ========== Schema ==========
+
+  /**
+   * ตรวจ header ของทุก sheet เทียบกับ schema ที่ประกาศไว้
+   * @returns {Promise<{valid: boolean, sheets: Array<{sheet: string, errors: string[], warnings: string[]}>}>}
+   */
+  async validateSchema() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const sheets = [];
+    for (const schemaName of Object.keys(SHEET_SCHEMAS)) {
+      const { title } = SHEET_SCHEMAS[schemaName];
+      const sheet = this.doc.sheetsByTitle[title];
+      if (!sheet) {
+        sheets.push({ sheet: title, errors: ['sheet not found'], warnings: [] });
+        continue;
+      }
+
+      const values = await sheet.getCellsInRange('1:1') || [];
+      sheets.push(validateHeaders(schemaName, values[0] || [], sheet.columnCount));
+    }
+
+    return { valid: sheets.every(result => result.errors.length === 0), sheets };
+  }
+
+  /**
+   * สร้าง sheet ที่ยังไม่มี เพิ่มคอลัมน์ที่ขาดและเติม header ที่ว่างตาม schema (ไม่เขียนทับ header ที่มีค่าอยู่แล้ว)
+   * @returns {Promise<Array<{sheet: string, added: string[]}>>}
+   */
+  async migrateSchema() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const changes = [];
+    for (const schemaName of Object.keys(SHEET_SCHEMAS)) {
+      const { title, columns } = SHEET_SCHEMAS[schemaName];
+      if (!this.doc.sheetsByTitle[title]) {
+        await this.doc.addSheet({ title, headerValues: columns.map(column => column.header) });
+        console.log(`📁 Created sheet: ${title}`);
+        changes.push({ sheet: title, added: ['sheet'] });
+        continue;
+      }
+
+      const sheet = await this.getSheet(title);
+      await this.ensureColumnCount(sheet, columns.length);
+      await sheet.loadCells(`A1:${columnLetter(columns.length - 1)}1`);
+
+      const added = [];
+      columns.forEach((column, index) => {
+        const cell = sheet.getCell(0, index);
+        if (!cell.value) {
+          cell.value = column.header;
+          added.push(`${columnLetter(index)}1 "${column.header}"`);
+        }
+      });
+      await sheet.saveUpdatedCells();
+
+      changes.push({ sheet: title, added });
+    }
+    return changes;
+  }
+
+  // ========== One-time migration ==========
+
+  async ensureColumnCount(sheet, columnCount) {
+    if (sheet.columnCount < columnCount) {
+      await sheet.resize({ rowCount: sheet.rowCount, columnCount });
+    }
+  }
+
+  /**
+   * ใส่รหัสรายการให้ทุกแถวใน MAIN ที่ยังไม่มี และผูกแถวใน ON WORK เข้ากับรหัสนั้น
+   * (ผูกจากเลขแถวเดิมก่อน ถ้าชื่อไม่ตรงจะค้นหารายการที่ยังไม่ลงเวลาออกของพนักงานคนนั้นแทน)
+   * @param {Function} generateId - ฟังก์ชันสร้างรหัสใหม่
+   * @returns {Promise<{assigned: number, linked: number, unresolved: Array}>}
+   */
+  async backfillRecordIds(generateId) {
+    return this.serializeRowWrites(async () => {
+      const idIndex = MAIN_COLUMNS.indexOf('id');
+      const employeeIndex = MAIN_COLUMNS.indexOf('employee');
+      const clockOutIndex = MAIN_COLUMNS.indexOf('clockOut');
+      const legacyIndex = MAIN_COLUMNS.indexOf('legacyNote');
+      const onWorkNameIndex = ON_WORK_COLUMNS.indexOf('employeeName');
+      const onWorkRowIndex = ON_WORK_COLUMNS.indexOf('mainRow');
+      const onWorkRowRefIndex = ON_WORK_COLUMNS.indexOf('mainRowRef');
+
+      // --- MAIN ---
+      const mainSheet = await this.getSheet(CONFIG.SHEETS.MAIN);
+      await this.ensureColumnCount(mainSheet, MAIN_COLUMNS.length);
+      await mainSheet.loadCells(`A1:${columnLetter(idIndex)}${mainSheet.rowCount}`);
+
+      const idHeader = mainSheet.getCell(0, idIndex);
+      if (!idHeader.value) idHeader.value = headerOf('MAIN', 'id');
+      const legacyHeader = mainSheet.getCell(0, legacyIndex);
+      if (!legacyHeader.value) legacyHeader.value = headerOf('MAIN', 'legacyNote');
+
+      let assigned = 0;
+      const mainByRow = {};
+      for (let rowIndex = 1; rowIndex < mainSheet.rowCount; rowIndex++) {
+        const employee = mainSheet.getCell(rowIndex, employeeIndex).value;
+        if (!employee) continue;
+
+        const idCell = mainSheet.getCell(rowIndex, idIndex);
+        if (!idCell.value) {
+          idCell.value = generateId();
+          assigned++;
+        }
+
+        mainByRow[rowIndex + 1] = {
+          id: idCell.value,
+          employee: employee.toString(),
+          clockOut: mainSheet.getCell(rowIndex, clockOutIndex).value
+        };
+      }
+      await mainSheet.saveUpdatedCells();
+
+      // --- ON WORK (ข้อมูลเริ่มแถว 3) ---
+      const onWorkSheet = await this.getSheet(CONFIG.SHEETS.ON_WORK);
+      await this.ensureColumnCount(onWorkSheet, ON_WORK_ID_INDEX + 1);
+      await onWorkSheet.loadCells(`A1:${columnLetter(ON_WORK_ID_INDEX)}${onWorkSheet.rowCount}`);
+
+      const onWorkHeader = onWorkSheet.getCell(0, ON_WORK_ID_INDEX);
+      if (!onWorkHeader.value) onWorkHeader.value = headerOf('ON_WORK', 'recordId');
+
+      const normalize = name => (name || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+      const openMainRecords = Object.values(mainByRow).filter(record => !record.clockOut);
+
+      let linked = 0;
+      const unresolved = [];
+      for (let rowIndex = SHEET_SCHEMAS.ON_WORK.dataStartRow - 1; rowIndex < onWorkSheet.rowCount; rowIndex++) {
+        const employee = onWorkSheet.getCell(rowIndex, onWorkNameIndex).value;
+        if (!employee) continue;
+
+        const idCell = onWorkSheet.getCell(rowIndex, ON_WORK_ID_INDEX);
+        if (idCell.value) continue;
+
+        const rowRef = parseInt(
+          onWorkSheet.getCell(rowIndex, onWorkRowRefIndex).value || onWorkSheet.getCell(rowIndex, onWorkRowIndex).value
+        );
+        let target = mainByRow[rowRef];
+        if (!target || normalize(target.employee) !== normalize(employee) || target.clockOut) {
+          const candidates = openMainRecords.filter(record => normalize(record.employee) === normalize(employee));
+          target = candidates.length === 1 ? candidates[0] : null;
+        }
+
+        if (target) {
+          idCell.value = target.id;
+          linked++;
+        } else {
+          unresolved.push({ employee: employee.toString(), row: rowIndex + 1 });
+        }
+      }
+      await onWorkSheet.saveUpdatedCells();
+
+      return { assigned, linked, unresolved };
+    });
+  }
+}
+
+module.exports = GoogleSheetsStorage;
+module.exports.MAIN_COLUMNS = MAIN_COLUMNS;
+module.exports.columnLetter = columnLetter;
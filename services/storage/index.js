@@ -0,0 +1,87 @@
+// services/storage/index.js - เลือก storage adapter ตาม CONFIG.STORAGE
+const crypto = require('crypto');
+const { CONFIG } = require('../../config');
+const GoogleSheetsStorage = require('./googleSheetsStorage');
+const LocalFileStorage = require('./localFileStorage');
+const MirroredStorage = require('./mirroredStorage');
+const JournaledStorage = require('./journaledStorage');
+const FakeSpreadsheet = require('./fakeSpreadsheet');
+
+// ครอบ Google Sheets ด้วย write journal ถ้าเปิดใช้งาน (หรือ force - ใช้กับ mirror)
+function createSheetsStorage(journalConfig, { force = false } = {}) {
+  const sheets = new GoogleSheetsStorage();
+  if (!journalConfig || (!journalConfig.ENABLED && !force)) {
+    return sheets;
+  }
+
+  return new JournaledStorage(sheets, {
+    filePath: journalConfig.FILE,
+    baseDelayMs: journalConfig.BASE_DELAY_MS,
+    maxDelayMs: journalConfig.MAX_DELAY_MS
+  });
+}
+
+/**
+ * สร้าง storage adapter ตามการตั้งค่า
+ *
+ * ทุก adapter มี interface เดียวกัน:
+ *   getEmployees(), saveEmployees([{ match, record }]),
+ *   getLineBindings(), saveLineBinding(binding), removeLineBinding(lineUserId),
+ *   getShifts(), saveShift(shift), getRosterEntries(), saveRosterEntry(entry), removeRosterEntry(id),
+ *   getBreaks(), saveBreak(entry), getHolidays(), saveHolidays([holiday]), removeHoliday(date),
+ *   getLeaveRequests(), saveLeaveRequest(request), getDuties(), saveDuty(duty),
+ *   getZones(), saveZone(zone), removeZone(code),
+ *   getOpenShifts(), addOpenShift(shift), removeOpenShift(shift),
+ *   getAttendanceRecords(), addAttendanceRecord(record), updateAttendanceRecord(id, fields),
+ *   closeAttendanceRecords([{ id, fields, shift }]) - อัปเดต MAIN และลบ ON WORK ในครั้งเดียว
+ *     (ไม่เขียนทับเวลาออกที่มีอยู่แล้ว - คืน { updated: false, alreadyClosed: true }),
+ *   listArchivePartitions(), getArchivedAttendanceRecords(monthKey), archiveAttendanceRecords(monthKey, records),
+ *   validateSchema(), migrateSchema(), backfillRecordIds(generateId)
+ *
+ * @param {Object} [storageConfig] - ค่าเริ่มต้นคือ CONFIG.STORAGE
+ * @param {Object} [journalConfig] - ค่าเริ่มต้นคือ CONFIG.WRITE_JOURNAL
+ * @returns {Object} storage adapter
+ */
+function createStorage(storageConfig = CONFIG.STORAGE, journalConfig = CONFIG.WRITE_JOURNAL) {
+  switch (storageConfig.DRIVER) {
+    case 'sheets':
+      return createSheetsStorage(journalConfig);
+
+    case 'local': {
+      const local = new LocalFileStorage({ filePath: storageConfig.LOCAL_FILE });
+      if (storageConfig.MIRROR_TO_SHEETS) {
+        // mirror ใช้ journal เสมอ - การเขียนที่ส่งไม่สำเร็จต้องส่งซ้ำได้ ไม่อย่างนั้น mirror จะค่อยๆ ไม่ตรงกับข้อมูลหลัก
+        return new MirroredStorage(local, createSheetsStorage(journalConfig, { force: true }));
+      }
+      return local;
+    }
+
+    // ใช้โค้ดของ Google Sheets adapter ทั้งหมด แต่เปลี่ยน spreadsheet เป็นตัวจำลอง (ไม่มี journal)
+    case 'fake':
+      return new GoogleSheetsStorage({
+        doc: FakeSpreadsheet.fromFixture(storageConfig.FAKE_FIXTURE),
+        name: 'fake'
+      });
+
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.DRIVER}`);
+  }
+}
+
+/**
+ * สร้างรหัสรายการลงเวลาที่ไม่ซ้ำ (ใช้อ้างอิง record ใน MAIN แทนเลขแถว)
+ * @returns {string}
+ */
+function generateRecordId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  createStorage,
+  generateRecordId,
+  GoogleSheetsStorage,
+  LocalFileStorage,
+  MirroredStorage,
+  JournaledStorage,
+  FakeSpreadsheet
+};
@@ -0,0 +1,401 @@
+// services/storage/journaledStorage.js - รับการเขียนทันทีผ่าน journal แล้วค่อยส่งไปยัง storage หลักตามลำดับ
+const WriteJournal = require('./writeJournal');
+
+// การเพิ่มแถวที่ส่งซ้ำได้โดยไม่เกิดแถวซ้ำ - ครั้งก่อนอาจเขียนสำเร็จแล้วแต่ได้ error กลับมา (timeout, 5xx)
+const IDEMPOTENT_ADDS = ['addAttendanceRecord', 'addOpenShift'];
+
+// error ที่ควรลองใหม่เรื่อยๆ (quota, network) - error อื่นถือว่าล้มเหลวตั้งแต่ครั้งแรก (ลองซ้ำก็ได้ผลเดิม)
+function isRetryableError(error) {
+  const message = (error && error.message) || '';
+  const status = error && error.response && error.response.status;
+  return status === 429 || status >= 500 ||
+    message.includes('quota') || message.includes('limit') ||
+    message.includes('429') || message.includes('RATE_LIMIT') ||
+    ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error && error.code);
+}
+
+/**
+ * journal ครอบคลุมเฉพาะการลงเวลา (MAIN และ ON WORK) - การเขียนอื่นส่งตรงไปยัง storage หลัก
+ * และล้มเหลวทันทีเมื่อ storage หลักใช้ไม่ได้ (ดูหมายเหตุของแต่ละกลุ่มด้านล่าง)
+ */
+class JournaledStorage {
+  /**
+   * @param {Object} primary - storage ที่ต้องการส่งการเขียนไปในที่สุด (เช่น Google Sheets)
+   * @param {Object} options
+   * @param {string} options.filePath - ไฟล์ journal
+   * @param {number} options.baseDelayMs - เวลารอเริ่มต้นเมื่อส่งไม่สำเร็จ
+   * @param {number} options.maxDelayMs - เวลารอสูงสุด
+   */
+  constructor(primary, { filePath, baseDelayMs = 2000, maxDelayMs = 300000 }) {
+    this.name = `${primary.name}+journal`;
+    this.isRemote = primary.isRemote;
+    this.primary = primary;
+    this.journal = new WriteJournal({ filePath });
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    this.timer = null;
+    this.isReplaying = false;
+    this.nextAttemptAt = 0;
+    this.lastReplayError = null;
+    // ข้อมูลล่าสุดที่อ่านจาก storage หลักได้สำเร็จ (ใช้เมื่ออ่านไม่ได้ เช่น ติด quota)
+    this.lastKnown = {};
+  }
+
+  async initialize() {
+    this.journal.load();
+    await this.primary.initialize();
+    this.scheduleReplay(0);
+  }
+
+  getSheet(sheetName) {
+    return this.primary.getSheet(sheetName);
+  }
+
+  // ========== Background replay ==========
+
+  scheduleReplay(delayMs) {
+    if (this.timer) clearTimeout(this.timer);
+    this.nextAttemptAt = Date.now() + delayMs;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.replay();
+    }, delayMs);
+    // ไม่ให้ timer ค้าง process ไว้ตอนปิดเซิร์ฟเวอร์
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  backoffDelay(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * ส่งรายการที่ค้างไปยัง storage หลักทีละรายการตามลำดับ
+   * - error ที่ต้องรอ (quota, network) หยุดทั้งคิวแล้วลองใหม่ตาม backoff
+   * - error อื่นย้ายรายการไปเป็น failed ทันทีแล้วส่งรายการถัดไป ไม่ให้รายการเดียวขวางการลงเวลาของคนอื่น
+   *   (ผู้ดูแลสั่งส่งซ้ำได้ด้วย retryFailed)
+   */
+  async replay() {
+    if (this.isReplaying) return;
+    this.isReplaying = true;
+
+    try {
+      let entry;
+      while ((entry = this.journal.getPending()[0])) {
+        entry.attempts++;
+
+        try {
+          const args = IDEMPOTENT_ADDS.includes(entry.op) ? [...entry.args, { ifAbsent: true }] : entry.args;
+          const result = await this.primary[entry.op](...args);
+          if (result === false) {
+            throw new Error(`${entry.op}: target record not found`);
+          }
+          if (entry.op === 'closeAttendanceRecords') {
+            // ลงเวลาออกไปแล้วใน storage หลัก (เช่นปิดจากอีกเครื่อง) - ไม่เขียนทับ ถือว่าส่งเสร็จ
+            result.filter(r => r.alreadyClosed).forEach(r => {
+              console.warn(`⚠️ Journal #${entry.seq} record ${r.id} was already clocked out, kept the existing time`);
+            });
+          }
+          if (entry.op === 'closeAttendanceRecords' && result.some(r => r.updated === false && !r.alreadyClosed)) {
+            const missing = result.filter(r => r.updated === false && !r.alreadyClosed).map(r => r.id);
+            throw new Error(`${entry.op}: records not found: ${missing.join(', ')}`);
+          }
+
+          await this.journal.setStatus(entry, 'done');
+          this.lastReplayError = null;
+          console.log(`📒 Journal #${entry.seq} ${entry.op} replayed (attempt ${entry.attempts})`);
+
+        } catch (error) {
+          this.lastReplayError = error.message;
+
+          if (isRetryableError(error)) {
+            await this.journal.setStatus(entry, 'pending', error.message);
+            const delay = this.backoffDelay(entry.attempts);
+            console.warn(`⚠️ Journal #${entry.seq} ${entry.op} failed (attempt ${entry.attempts}), retry in ${Math.round(delay / 1000)}s: ${error.message}`);
+            this.scheduleReplay(delay);
+            return;
+          }
+
+          await this.journal.setStatus(entry, 'failed', error.message);
+          console.error(`❌ Journal #${entry.seq} ${entry.op} failed permanently: ${error.message}`);
+        }
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+
+  /**
+   * บันทึกการเขียนลง journal แล้วส่งในเบื้องหลัง (MirroredStorage ใช้ส่งทุกการเขียนไปยัง mirror ด้วย)
+   * @param {string} op - ชื่อ method ของ storage หลัก
+   * @param {Array} args
+   */
+  async enqueue(op, args) {
+    const entry = await this.journal.append(op, args);
+    // ถ้าไม่มีรายการรอ backoff อยู่ ให้ส่งทันที
+    if (!this.timer || this.journal.getPending().length === 1) {
+      this.scheduleReplay(0);
+    }
+    return entry;
+  }
+
+  /**
+   * ให้ผู้ดูแลสั่งลองส่งรายการที่ล้มเหลวอีกครั้ง (ต่อท้ายคิวตามลำดับ seq เดิม)
+   * @param {number} seq
+   * @returns {Promise<boolean>}
+   */
+  async retryFailed(seq) {
+    const entry = this.journal.get(seq);
+    if (!entry || entry.status !== 'failed') return false;
+
+    entry.attempts = 0;
+    await this.journal.setStatus(entry, 'pending');
+    this.scheduleReplay(0);
+    return true;
+  }
+
+  getStatus() {
+    const describe = entry => ({
+      seq: entry.seq,
+      op: entry.op,
+      args: entry.args,
+      createdAt: entry.createdAt,
+      attempts: entry.attempts,
+      lastError: entry.lastError
+    });
+
+    return {
+      pending: this.journal.getPending().map(describe),
+      failed: this.journal.getFailed().map(describe),
+      isReplaying: this.isReplaying,
+      nextAttemptAt: this.timer ? new Date(this.nextAttemptAt).toISOString() : null,
+      lastError: this.lastReplayError
+    };
+  }
+
+  // ========== Reads (รวมรายการที่ยังค้างใน journal เพื่อให้อ่านสิ่งที่เพิ่งเขียนได้) ==========
+
+  async readPrimary(method) {
+    try {
+      const data = await this.primary[method]();
+      this.lastKnown[method] = data;
+      return data;
+    } catch (error) {
+      if (!this.lastKnown[method]) throw error;
+      console.warn(`⚠️ ${method} failed (${error.message}), using last known data with journal overlay`);
+      return this.lastKnown[method];
+    }
+  }
+
+  getEmployees() {
+    return this.readPrimary('getEmployees');
+  }
+
+  async getOpenShifts() {
+    let shifts = await this.readPrimary('getOpenShifts');
+
+    for (const entry of this.journal.getPending()) {
+      const [shift] = entry.args;
+      if (entry.op === 'addOpenShift' && !shifts.some(s => s.recordId && s.recordId === shift.recordId)) {
+        shifts = [...shifts, { ...shift, pending: true }];
+      } else if (entry.op === 'removeOpenShift') {
+        shifts = shifts.filter(s => !s.recordId || s.recordId !== shift.recordId);
+      } else if (entry.op === 'closeAttendanceRecords') {
+        const closedIds = entry.args[0].filter(c => c.shift).map(c => c.shift.recordId);
+        shifts = shifts.filter(s => !s.recordId || !closedIds.includes(s.recordId));
+      }
+    }
+
+    return shifts;
+  }
+
+  async getAttendanceRecords() {
+    let records = await this.readPrimary('getAttendanceRecords');
+
+    for (const entry of this.journal.getPending()) {
+      if (entry.op === 'addAttendanceRecord') {
+        const [record] = entry.args;
+        if (!records.some(r => r.id && r.id === record.id)) {
+          records = [...records, { ...record, rowNumber: null, pending: true }];
+        }
+      } else if (entry.op === 'updateAttendanceRecord') {
+        const [id, fields] = entry.args;
+        records = records.map(r => (r.id === id ? { ...r, ...fields } : r));
+      } else if (entry.op === 'closeAttendanceRecords') {
+        const [closures] = entry.args;
+        records = records.map(r => {
+          const closure = closures.find(c => c.id === r.id);
+          if (!closure || (closure.fields.clockOut && r.clockOut)) return r;
+          return { ...r, ...closure.fields };
+        });
+      }
+    }
+
+    return records;
+  }
+
+  // ========== Writes ==========
+
+  async addAttendanceRecord(record) {
+    await this.enqueue('addAttendanceRecord', [record]);
+    return { ...record, rowNumber: null, pending: true };
+  }
+
+  async updateAttendanceRecord(id, fields) {
+    await this.enqueue('updateAttendanceRecord', [id, fields]);
+    return true;
+  }
+
+  async closeAttendanceRecords(closures) {
+    // แถวเก่าที่ยังไม่มีรหัสรายการส่งตรงไปยัง storage หลัก (อ้างอิงได้เฉพาะจาก row object)
+    if (closures.some(c => c.shift && !c.shift.recordId)) {
+      return this.primary.closeAttendanceRecords(closures);
+    }
+
+    const data = closures.map(({ shift, ...closure }) => {
+      if (!shift) return closure;
+      const { ref, ...shiftData } = shift;
+      return { ...closure, shift: shiftData };
+    });
+    await this.enqueue('closeAttendanceRecords', [data]);
+    return closures.map(c => ({ id: c.id, updated: true, removed: !!c.shift }));
+  }
+
+  async addOpenShift(shift) {
+    const { ref, ...data } = shift;
+    await this.enqueue('addOpenShift', [data]);
+    return { ...data, pending: true };
+  }
+
+  async removeOpenShift(shift) {
+    // แถวเก่าที่ยังไม่มีรหัสรายการอ้างอิงได้เฉพาะจาก row object - ส่งตรงไปยัง storage หลัก
+    if (!shift.recordId) {
+      return this.primary.removeOpenShift(shift);
+    }
+
+    const { ref, ...data } = shift;
+    await this.enqueue('removeOpenShift', [data]);
+    return true;
+  }
+
+  // ========== Employees, LINE bindings, shifts, rosters and holidays (ไม่ผ่าน journal - ผู้ดูแลต้องเห็นผลทันที) ==========
+
+  saveEmployees(changes) {
+    return this.primary.saveEmployees(changes);
+  }
+
+  getLineBindings() {
+    return this.primary.getLineBindings();
+  }
+
+  saveLineBinding(binding) {
+    return this.primary.saveLineBinding(binding);
+  }
+
+  removeLineBinding(lineUserId) {
+    return this.primary.removeLineBinding(lineUserId);
+  }
+
+  getShifts() {
+    return this.primary.getShifts();
+  }
+
+  saveShift(shift) {
+    return this.primary.saveShift(shift);
+  }
+
+  getRosterEntries() {
+    return this.primary.getRosterEntries();
+  }
+
+  saveRosterEntry(entry) {
+    return this.primary.saveRosterEntry(entry);
+  }
+
+  removeRosterEntry(id) {
+    return this.primary.removeRosterEntry(id);
+  }
+
+  getZones() {
+    return this.primary.getZones();
+  }
+
+  saveZone(zone) {
+    return this.primary.saveZone(zone);
+  }
+
+  removeZone(code) {
+    return this.primary.removeZone(code);
+  }
+
+  getHolidays() {
+    return this.primary.getHolidays();
+  }
+
+  saveHolidays(holidays) {
+    return this.primary.saveHolidays(holidays);
+  }
+
+  removeHoliday(date) {
+    return this.primary.removeHoliday(date);
+  }
+
+  // เวลาพักก็ไม่ผ่าน journal - พนักงานต้องรู้ผลทันทีว่าเริ่ม/จบพักสำเร็จหรือไม่
+  getBreaks() {
+    return this.primary.getBreaks();
+  }
+
+  saveBreak(entry) {
+    return this.primary.saveBreak(entry);
+  }
+
+  // ใบลาก็เช่นกัน - ผลการยื่น/อนุมัติขึ้นกับยอดวันลาที่บันทึกแล้วจริง
+  getLeaveRequests() {
+    return this.primary.getLeaveRequests();
+  }
+
+  saveLeaveRequest(request) {
+    return this.primary.saveLeaveRequest(request);
+  }
+
+  // ไปราชการ - การลงเวลานอกพื้นที่ขึ้นกับรายการที่อนุมัติแล้วจริง
+  getDuties() {
+    return this.primary.getDuties();
+  }
+
+  saveDuty(duty) {
+    return this.primary.saveDuty(duty);
+  }
+
+  // ========== Monthly archive partitions (ไม่ผ่าน journal) ==========
+
+  listArchivePartitions() {
+    return this.primary.listArchivePartitions();
+  }
+
+  getArchivedAttendanceRecords(monthKey) {
+    return this.primary.getArchivedAttendanceRecords(monthKey);
+  }
+
+  async archiveAttendanceRecords(monthKey, records) {
+    // ข้อมูลที่อ่านได้ยังรวมรายการค้างใน journal - รอให้ส่งครบก่อนเพื่อไม่ให้ย้ายข้อมูลที่ยังไม่ได้เขียนจริง
+    if (this.journal.getPending().length > 0) {
+      throw new Error('Write journal has pending entries, archive postponed');
+    }
+    return this.primary.archiveAttendanceRecords(monthKey, records);
+  }
+
+  validateSchema() {
+    return this.primary.validateSchema();
+  }
+
+  migrateSchema() {
+    return this.primary.migrateSchema();
+  }
+
+  backfillRecordIds(generateId) {
+    return this.primary.backfillRecordIds(generateId);
+  }
+}
+
+module.exports = JournaledStorage;
@@ -0,0 +1,429 @@
+// services/storage/localFileStorage.js - Local JSON file storage adapter (ใช้งานแบบออฟไลน์)
+const fs = require('fs');
+const path = require('path');
+const { toEmployee, identityKey } = require('../employees');
+
+const EMPTY_STORE = {
+  employees: [],
+  onWork: [],
+  main: [],
+  lineBindings: [],
+  shifts: [],
+  rosters: [],
+  breaks: [],
+  holidays: [],
+  leaveRequests: [],
+  duties: [],
+  zones: [],
+  archive: {} // 'YYYY-MM' -> records ที่ย้ายออกจาก main แล้ว
+};
+
+class LocalFileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - ที่อยู่ไฟล์ JSON สำหรับเก็บข้อมูล
+   */
+  constructor({ filePath }) {
+    this.name = 'local';
+    this.isRemote = false;
+    this.filePath = path.resolve(filePath);
+    this.store = null;
+    this.nextShiftId = 1;
+    this.loading = null;
+    // การเขียนไฟล์ทำทีละครั้ง - lastWrite คือรอบล่าสุด, queuedWrite คือรอบที่รอเริ่ม (ยังไม่ได้อ่าน store)
+    this.lastWrite = Promise.resolve();
+    this.queuedWrite = null;
+  }
+
+  // โหลดครั้งเดียว แม้จะถูกเรียกพร้อมกันหลาย request
+  initialize() {
+    if (!this.loading) {
+      this.loading = this.load().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (fs.existsSync(this.filePath)) {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      this.store = { ...EMPTY_STORE, ...JSON.parse(content) };
+    } else {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      this.store = JSON.parse(JSON.stringify(EMPTY_STORE));
+      await this.persist();
+    }
+
+    this.nextShiftId = this.store.onWork.reduce((max, s) => Math.max(max, s.id || 0), 0) + 1;
+    console.log(`✅ Local storage loaded: ${this.filePath} (${this.store.main.length} attendance records)`);
+  }
+
+  /**
+   * บันทึก store ลงไฟล์ - ต่อคิวทีละครั้งเพราะทุกรอบใช้ไฟล์ชั่วคราวเดียวกัน
+   * การเรียกที่เข้ามาระหว่างรอคิวใช้รอบเดียวกัน (รอบนั้นเขียน store ล่าสุดตอนเริ่มเขียน)
+   */
+  persist() {
+    if (!this.queuedWrite) {
+      this.queuedWrite = this.lastWrite
+        .catch(() => {})
+        .then(() => {
+          this.queuedWrite = null;
+          return this.writeFile();
+        });
+      this.lastWrite = this.queuedWrite;
+    }
+    return this.queuedWrite;
+  }
+
+  // เขียนไฟล์ใหม่ทั้งไฟล์แบบ atomic (เขียนไฟล์ชั่วคราวแล้ว rename)
+  async writeFile() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.store, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async ensureLoaded() {
+    if (!this.store) {
+      await this.initialize();
+    }
+  }
+
+  // ========== Employees ==========
+
+  async getEmployees() {
+    await this.ensureLoaded();
+    return this.store.employees
+      .map(employee => toEmployee(employee))
+      .filter(employee => employee.name);
+  }
+
+  async saveEmployees(changes) {
+    await this.ensureLoaded();
+    const results = changes.map(({ match, record }) => {
+      if (!match) {
+        this.store.employees.push({ ...record });
+        return { created: true, updated: false };
+      }
+
+      const index = this.store.employees.findIndex(employee => identityKey(toEmployee(employee)) === identityKey(match));
+      if (index === -1) {
+        return { created: false, updated: false };
+      }
+      // รายการเก่าอาจเป็นชื่ออย่างเดียว (string)
+      const current = typeof this.store.employees[index] === 'string'
+        ? { name: this.store.employees[index] }
+        : this.store.employees[index];
+      this.store.employees[index] = { ...current, ...record };
+      return { created: false, updated: true };
+    });
+
+    await this.persist();
+    return results;
+  }
+
+  // ========== Keyed tables (lineBindings, shifts, rosters, breaks, holidays, leaveRequests, duties, zones) ==========
+
+  async getTableRecords(storeKey) {
+    await this.ensureLoaded();
+    return this.store[storeKey].map(record => ({ ...record }));
+  }
+
+  // เพิ่มหรือแทนที่รายการที่มี keyField เดียวกัน
+  upsertTableRecord(storeKey, keyField, record) {
+    return this.upsertTableRecords(storeKey, keyField, [record]);
+  }
+
+  async upsertTableRecords(storeKey, keyField, records) {
+    await this.ensureLoaded();
+    const table = this.store[storeKey];
+    records.forEach(record => {
+      const index = table.findIndex(r => r[keyField] === record[keyField]);
+      if (index === -1) {
+        table.push({ ...record });
+      } else {
+        table[index] = { ...record };
+      }
+    });
+    await this.persist();
+  }
+
+  async removeTableRecord(storeKey, keyField, keyValue) {
+    await this.ensureLoaded();
+    const table = this.store[storeKey];
+    const index = table.findIndex(r => r[keyField] === keyValue);
+    if (index === -1) {
+      return false;
+    }
+
+    table.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  getLineBindings() {
+    return this.getTableRecords('lineBindings');
+  }
+
+  saveLineBinding(binding) {
+    return this.upsertTableRecord('lineBindings', 'lineUserId', binding);
+  }
+
+  removeLineBinding(lineUserId) {
+    return this.removeTableRecord('lineBindings', 'lineUserId', lineUserId);
+  }
+
+  getShifts() {
+    return this.getTableRecords('shifts');
+  }
+
+  saveShift(shift) {
+    return this.upsertTableRecord('shifts', 'code', shift);
+  }
+
+  getRosterEntries() {
+    return this.getTableRecords('rosters');
+  }
+
+  saveRosterEntry(entry) {
+    return this.upsertTableRecord('rosters', 'id', entry);
+  }
+
+  removeRosterEntry(id) {
+    return this.removeTableRecord('rosters', 'id', id);
+  }
+
+  getBreaks() {
+    return this.getTableRecords('breaks');
+  }
+
+  saveBreak(entry) {
+    return this.upsertTableRecord('breaks', 'id', entry);
+  }
+
+  getHolidays() {
+    return this.getTableRecords('holidays');
+  }
+
+  saveHolidays(holidays) {
+    return this.upsertTableRecords('holidays', 'date', holidays);
+  }
+
+  removeHoliday(date) {
+    return this.removeTableRecord('holidays', 'date', date);
+  }
+
+  getLeaveRequests() {
+    return this.getTableRecords('leaveRequests');
+  }
+
+  saveLeaveRequest(request) {
+    return this.upsertTableRecord('leaveRequests', 'id', request);
+  }
+
+  getDuties() {
+    return this.getTableRecords('duties');
+  }
+
+  saveDuty(duty) {
+    return this.upsertTableRecord('duties', 'id', duty);
+  }
+
+  getZones() {
+    return this.getTableRecords('zones');
+  }
+
+  saveZone(zone) {
+    return this.upsertTableRecord('zones', 'code', zone);
+  }
+
+  removeZone(code) {
+    return this.removeTableRecord('zones', 'code', code);
+  }
+
+  // ========== Open shifts (ON WORK) ==========
+
+  async getOpenShifts() {
+    await this.ensureLoaded();
+    return this.store.onWork.map(shift => ({ ...shift, ref: shift.id }));
+  }
+
+  async addOpenShift(shift) {
+    await this.ensureLoaded();
+    const { ref, ...data } = shift;
+    const stored = { ...data, id: this.nextShiftId++ };
+    this.store.onWork.push(stored);
+    await this.persist();
+    return { ...stored, ref: stored.id };
+  }
+
+  async removeOpenShift(shift) {
+    await this.ensureLoaded();
+    const index = this.store.onWork.findIndex(s =>
+      (shift.ref !== undefined && s.id === shift.ref) ||
+      (shift.ref === undefined && s.recordId && s.recordId === shift.recordId)
+    );
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.store.onWork.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  // ========== Attendance records (MAIN) ==========
+
+  // rowNumber เลียนแบบเลขแถวของ MAIN sheet (แถว 1 เป็น header)
+  async getAttendanceRecords() {
+    await this.ensureLoaded();
+    return this.store.main.map((record, index) => ({ ...record, rowNumber: index + 2 }));
+  }
+
+  async addAttendanceRecord(record) {
+    await this.ensureLoaded();
+    const { rowNumber, ...data } = record;
+    this.store.main.push(data);
+    await this.persist();
+    return { ...data, rowNumber: this.store.main.length + 1 };
+  }
+
+  async updateAttendanceRecord(id, fields) {
+    await this.ensureLoaded();
+    const record = this.store.main.find(r => r.id === id);
+    if (!record) {
+      return false;
+    }
+
+    Object.assign(record, fields);
+    await this.persist();
+    return true;
+  }
+
+  async closeAttendanceRecords(closures) {
+    await this.ensureLoaded();
+
+    const results = closures.map(closure => {
+      const record = this.store.main.find(r => r.id === closure.id);
+      // ไม่เขียนทับเวลาออกที่มีอยู่แล้ว (เหมือน GoogleSheetsStorage)
+      if (record && closure.fields.clockOut && record.clockOut) {
+        return { id: closure.id, updated: false, removed: false, alreadyClosed: true };
+      }
+      if (record) {
+        Object.assign(record, closure.fields);
+      }
+
+      let removed = false;
+      if (closure.shift && record) {
+        const index = this.store.onWork.findIndex(s =>
+          (closure.shift.ref !== undefined && s.id === closure.shift.ref) ||
+          (s.recordId && s.recordId === closure.shift.recordId)
+        );
+        if (index !== -1) {
+          this.store.onWork.splice(index, 1);
+          removed = true;
+        }
+      }
+
+      return { id: closure.id, updated: !!record, removed };
+    });
+
+    await this.persist();
+    return results;
+  }
+
+  // ========== Monthly archive partitions ==========
+
+  async listArchivePartitions() {
+    await this.ensureLoaded();
+    return Object.keys(this.store.archive).sort();
+  }
+
+  async getArchivedAttendanceRecords(monthKey) {
+    await this.ensureLoaded();
+    return (this.store.archive[monthKey] || []).map(record => ({ ...record, partition: monthKey }));
+  }
+
+  async archiveAttendanceRecords(monthKey, records) {
+    await this.ensureLoaded();
+    const ids = new Set(records.map(r => r.id));
+    const partition = this.store.archive[monthKey] || (this.store.archive[monthKey] = []);
+
+    const moved = this.store.main.filter(record => ids.has(record.id));
+    moved.forEach(record => {
+      if (!partition.some(r => r.id === record.id)) partition.push(record);
+    });
+    this.store.main = this.store.main.filter(record => !ids.has(record.id));
+
+    await this.persist();
+    return moved.length;
+  }
+
+  // ========== Schema ==========
+
+  // ไฟล์ JSON ไม่มี header - ตรวจแค่ว่ามีทุกส่วนของ store ในรูปแบบที่ถูกต้อง
+  async validateSchema() {
+    await this.ensureLoaded();
+    const errors = Object.keys(EMPTY_STORE)
+      .filter(key => Array.isArray(EMPTY_STORE[key]) !== Array.isArray(this.store[key]))
+      .map(key => `"${key}" has invalid type`);
+
+    return { valid: errors.length === 0, sheets: [{ sheet: this.filePath, errors, warnings: [] }] };
+  }
+
+  async migrateSchema() {
+    await this.ensureLoaded();
+    const added = Object.keys(EMPTY_STORE).filter(key => !this.store[key]);
+    added.forEach(key => {
+      this.store[key] = JSON.parse(JSON.stringify(EMPTY_STORE[key]));
+    });
+
+    if (added.length > 0) {
+      await this.persist();
+    }
+    return [{ sheet: this.filePath, added }];
+  }
+
+  // ========== One-time migration ==========
+
+  async backfillRecordIds(generateId) {
+    await this.ensureLoaded();
+    const normalize = name => (name || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+
+    let assigned = 0;
+    this.store.main.forEach(record => {
+      if (!record.id) {
+        record.id = generateId();
+        assigned++;
+      }
+    });
+
+    let linked = 0;
+    const unresolved = [];
+    this.store.onWork.forEach(shift => {
+      if (shift.recordId) return;
+
+      let target = this.store.main[shift.mainRowIndex - 2];
+      if (!target || normalize(target.employee) !== normalize(shift.employeeName) || target.clockOut) {
+        const candidates = this.store.main.filter(record =>
+          !record.clockOut && normalize(record.employee) === normalize(shift.employeeName)
+        );
+        target = candidates.length === 1 ? candidates[0] : null;
+      }
+
+      if (target) {
+        shift.recordId = target.id;
+        linked++;
+      } else {
+        unresolved.push({ employee: shift.employeeName, id: shift.id });
+      }
+    });
+
+    await this.persist();
+    return { assigned, linked, unresolved };
+  }
+}
+
+module.exports = LocalFileStorage;
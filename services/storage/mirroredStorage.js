@@ -0,0 +1,240 @@
+// services/storage/mirroredStorage.js - อ่าน/เขียนที่ storage หลัก แล้วคัดลอกการเขียนไปยัง mirror (เช่น Google Sheets)
+class MirroredStorage {
+  /**
+   * @param {Object} primary - adapter หลัก (ใช้ตอบทุกการอ่าน)
+   * @param {Object} mirror - adapter สำรองที่รับเฉพาะการเขียน - ถ้าเป็น JournaledStorage ทุกการเขียนจะผ่าน journal
+   *   (ส่งไม่สำเร็จก็ยังค้างไว้ส่งซ้ำและดูได้ที่ /api/admin/write-journal) ไม่อย่างนั้นการเขียนที่ล้มเหลวจะถูกข้ามไป
+   */
+  constructor(primary, mirror) {
+    this.name = `${primary.name}+${mirror.name}`;
+    this.isRemote = primary.isRemote;
+    this.primary = primary;
+    this.mirror = mirror;
+    // ต่อคิวการเขียนไปยัง mirror ให้ทำงานตามลำดับ
+    this.mirrorQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    await this.primary.initialize();
+    try {
+      await this.mirror.initialize();
+    } catch (error) {
+      console.error(`⚠️ Mirror storage (${this.mirror.name}) unavailable:`, error.message);
+    }
+  }
+
+  getSheet(sheetName) {
+    const target = typeof this.primary.getSheet === 'function' ? this.primary : this.mirror;
+    return target.getSheet(sheetName);
+  }
+
+  // การเขียนไปยัง mirror ไม่ทำให้ผู้ใช้รอ และ error ไม่กระทบการทำงานหลัก
+  enqueueMirror(operation, args) {
+    this.mirrorQueue = this.mirrorQueue
+      .then(async () => {
+        if (typeof this.mirror.enqueue === 'function') {
+          await this.mirror.enqueue(operation, args);
+          return;
+        }
+        if (await this.mirror[operation](...args) === false) {
+          throw new Error('target record not found');
+        }
+      })
+      .catch(error => {
+        console.error(`⚠️ Mirror ${operation} failed (${this.mirror.name}):`, error.message);
+      });
+    return this.mirrorQueue;
+  }
+
+  getEmployees() {
+    return this.primary.getEmployees();
+  }
+
+  async saveEmployees(changes) {
+    const results = await this.primary.saveEmployees(changes);
+    this.enqueueMirror('saveEmployees', [changes]);
+    return results;
+  }
+
+  getLineBindings() {
+    return this.primary.getLineBindings();
+  }
+
+  async saveLineBinding(binding) {
+    await this.primary.saveLineBinding(binding);
+    this.enqueueMirror('saveLineBinding', [binding]);
+  }
+
+  async removeLineBinding(lineUserId) {
+    const removed = await this.primary.removeLineBinding(lineUserId);
+    this.enqueueMirror('removeLineBinding', [lineUserId]);
+    return removed;
+  }
+
+  getShifts() {
+    return this.primary.getShifts();
+  }
+
+  async saveShift(shift) {
+    await this.primary.saveShift(shift);
+    this.enqueueMirror('saveShift', [shift]);
+  }
+
+  getRosterEntries() {
+    return this.primary.getRosterEntries();
+  }
+
+  async saveRosterEntry(entry) {
+    await this.primary.saveRosterEntry(entry);
+    this.enqueueMirror('saveRosterEntry', [entry]);
+  }
+
+  async removeRosterEntry(id) {
+    const removed = await this.primary.removeRosterEntry(id);
+    this.enqueueMirror('removeRosterEntry', [id]);
+    return removed;
+  }
+
+  getBreaks() {
+    return this.primary.getBreaks();
+  }
+
+  async saveBreak(entry) {
+    await this.primary.saveBreak(entry);
+    this.enqueueMirror('saveBreak', [entry]);
+  }
+
+  getHolidays() {
+    return this.primary.getHolidays();
+  }
+
+  async saveHolidays(holidays) {
+    await this.primary.saveHolidays(holidays);
+    this.enqueueMirror('saveHolidays', [holidays]);
+  }
+
+  async removeHoliday(date) {
+    const removed = await this.primary.removeHoliday(date);
+    this.enqueueMirror('removeHoliday', [date]);
+    return removed;
+  }
+
+  getLeaveRequests() {
+    return this.primary.getLeaveRequests();
+  }
+
+  async saveLeaveRequest(request) {
+    await this.primary.saveLeaveRequest(request);
+    this.enqueueMirror('saveLeaveRequest', [request]);
+  }
+
+  getDuties() {
+    return this.primary.getDuties();
+  }
+
+  async saveDuty(duty) {
+    await this.primary.saveDuty(duty);
+    this.enqueueMirror('saveDuty', [duty]);
+  }
+
+  getZones() {
+    return this.primary.getZones();
+  }
+
+  async saveZone(zone) {
+    await this.primary.saveZone(zone);
+    this.enqueueMirror('saveZone', [zone]);
+  }
+
+  async removeZone(code) {
+    const removed = await this.primary.removeZone(code);
+    this.enqueueMirror('removeZone', [code]);
+    return removed;
+  }
+
+  getOpenShifts() {
+    return this.primary.getOpenShifts();
+  }
+
+  async addOpenShift(shift) {
+    const result = await this.primary.addOpenShift(shift);
+    const { ref, ...data } = result;
+    this.enqueueMirror('addOpenShift', [data]);
+    return result;
+  }
+
+  async removeOpenShift(shift) {
+    const result = await this.primary.removeOpenShift(shift);
+    const { ref, ...data } = shift;
+    this.enqueueMirror('removeOpenShift', [data]);
+    return result;
+  }
+
+  getAttendanceRecords() {
+    return this.primary.getAttendanceRecords();
+  }
+
+  async addAttendanceRecord(record) {
+    const result = await this.primary.addAttendanceRecord(record);
+    const { rowNumber, ...data } = result;
+    this.enqueueMirror('addAttendanceRecord', [data]);
+    return result;
+  }
+
+  async updateAttendanceRecord(id, fields) {
+    const updated = await this.primary.updateAttendanceRecord(id, fields);
+    if (!updated) return false;
+
+    this.enqueueMirror('updateAttendanceRecord', [id, fields]);
+    return true;
+  }
+
+  async closeAttendanceRecords(closures) {
+    const results = await this.primary.closeAttendanceRecords(closures);
+    // ส่งเฉพาะรายการที่ปิดใน storage หลักได้ (ที่ถูกปฏิเสธต้องไม่ไปเขียนทับใน mirror)
+    const data = closures.filter((closure, index) => results[index].updated).map(({ shift, ...closure }) => {
+      if (!shift) return closure;
+      const { ref, ...shiftData } = shift;
+      return { ...closure, shift: shiftData };
+    });
+    if (data.length > 0) this.enqueueMirror('closeAttendanceRecords', [data]);
+    return results;
+  }
+
+  listArchivePartitions() {
+    return this.primary.listArchivePartitions();
+  }
+
+  getArchivedAttendanceRecords(monthKey) {
+    return this.primary.getArchivedAttendanceRecords(monthKey);
+  }
+
+  async archiveAttendanceRecords(monthKey, records) {
+    const moved = await this.primary.archiveAttendanceRecords(monthKey, records);
+    const data = records.map(({ rowNumber, ...record }) => record);
+    this.enqueueMirror('archiveAttendanceRecords', [monthKey, data]);
+    return moved;
+  }
+
+  // ตรวจ schema ทั้งสองฝั่ง - sheet ของ mirror ผิดรูปแบบก็ทำให้ข้อมูลที่ส่งไปเพี้ยนได้
+  async validateSchema() {
+    const primary = await this.primary.validateSchema();
+    const mirror = await this.mirror.validateSchema();
+    return { valid: primary.valid && mirror.valid, sheets: [...primary.sheets, ...mirror.sheets] };
+  }
+
+  async migrateSchema() {
+    const primary = await this.primary.migrateSchema();
+    const mirror = await this.mirror.migrateSchema();
+    return [...primary, ...mirror];
+  }
+
+  // backfill ทั้งสองฝั่งแยกกัน (รหัสที่สร้างใหม่ของแต่ละฝั่งจะไม่ตรงกัน - ควร backfill ก่อนเปิด mirror)
+  async backfillRecordIds(generateId) {
+    const primary = await this.primary.backfillRecordIds(generateId);
+    const mirror = await this.mirror.backfillRecordIds(generateId);
+    return { ...primary, mirror };
+  }
+}
+
+module.exports = MirroredStorage;
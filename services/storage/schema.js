@@ -0,0 +1,261 @@
+// services/storage/schema.js - โครงสร้างคอลัมน์ที่ระบบคาดหวังของแต่ละ sheet
+const { CONFIG } = require('../../config');
+
+/**
+ * คอลัมน์ของแต่ละ sheet ตามลำดับ (index 0 = คอลัมน์ A)
+ *   key       - ชื่อ field ใน record
+ *   header    - ข้อความ header ในแถวที่ 1
+ *   byHeader  - true ถ้าโค้ดอ่านคอลัมน์นี้ด้วย header (header ต้องตรงทุกตัวอักษร)
+ *               false ถ้าอ่านด้วยตำแหน่ง (header ต่างได้ แค่เตือน)
+ */
+const SHEET_SCHEMAS = {
+  MAIN: {
+    title: CONFIG.SHEETS.MAIN,
+    dataStartRow: 2,
+    columns: [
+      { key: 'employee', header: 'ชื่อพนักงาน', byHeader: false },
+      { key: 'lineName', header: 'Line name', byHeader: false },
+      { key: 'linePicture', header: 'รูปภาพ', byHeader: false },
+      { key: 'clockIn', header: 'เวลาเข้า', byHeader: false },
+      { key: 'note', header: 'userinfo', byHeader: false },
+      { key: 'clockOut', header: 'เวลาออก', byHeader: false },
+      { key: 'coordsIn', header: 'พิกัดเข้า', byHeader: false },
+      { key: 'locationIn', header: 'สถานที่เข้า', byHeader: false },
+      { key: 'coordsOut', header: 'พิกัดออก', byHeader: false },
+      { key: 'locationOut', header: 'ที่อยู่ออก', byHeader: false },
+      { key: 'workingHours', header: 'ชั่วโมงทำงาน', byHeader: false },
+      { key: 'legacyNote', header: 'หมายเหตุเดิม', byHeader: false }, // ไม่ใช้แล้ว
+      { key: 'id', header: 'รหัสรายการ', byHeader: false }, // ใช้อ้างอิงแทนเลขแถว
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: false },
+      { key: 'shiftCode', header: 'กะ', byHeader: false },
+      { key: 'lateMinutes', header: 'มาสาย (นาที)', byHeader: false },
+      { key: 'earlyLeaveMinutes', header: 'กลับก่อน (นาที)', byHeader: false },
+      { key: 'attendanceTag', header: 'สถานะเวลา', byHeader: false }, // ตรงเวลา / สาย N นาที / กลับก่อน N นาที
+      { key: 'breakMinutes', header: 'พัก (นาที)', byHeader: false }, // ชั่วโมงทำงาน (K) หักเวลานี้แล้ว
+      { key: 'breaks', header: 'ช่วงพัก', byHeader: false }, // เช่น '12:00-12:45, 15:00-15:10' หรือ 'หักอัตโนมัติ'
+      { key: 'regularHours', header: 'ชั่วโมงปกติ', byHeader: false }, // ชั่วโมงปกติ + OT = ชั่วโมงทำงาน (K)
+      { key: 'overtimeHours', header: 'ชั่วโมง OT', byHeader: false },
+      { key: 'overtimeType', header: 'ประเภท OT', byHeader: false }, // หลังเวลาเลิกงาน / วันหยุด
+      { key: 'dutyId', header: 'รหัสไปราชการ', byHeader: false }, // ว่าง = ลงเวลาที่สำนักงาน
+      { key: 'zoneFlag', header: 'นอกพื้นที่', byHeader: false } // เช่น 'เข้า: 350 ม. จากสำนักงานใหญ่', ว่าง = ในพื้นที่
+    ]
+  },
+  ON_WORK: {
+    title: CONFIG.SHEETS.ON_WORK,
+    dataStartRow: 3, // ข้อมูลเริ่มแถว 3
+    columns: [
+      { key: 'timestamp', header: 'เวลา', byHeader: false },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'clockIn', header: 'เวลาเข้า', byHeader: true },
+      { key: 'status', header: 'สถานะ', byHeader: false },
+      { key: 'userinfo', header: 'userinfo', byHeader: false },
+      { key: 'coords', header: 'พิกัด', byHeader: false },
+      { key: 'locationName', header: 'สถานที่', byHeader: false },
+      { key: 'mainRow', header: 'แถวในMain', byHeader: true },
+      { key: 'lineName', header: 'Line name', byHeader: false },
+      { key: 'linePicture', header: 'รูปภาพ', byHeader: false },
+      { key: 'mainRowRef', header: 'แถวอ้างอิง', byHeader: true },
+      { key: 'systemName', header: 'ชื่อในระบบ', byHeader: true },
+      { key: 'recordId', header: 'รหัสรายการ', byHeader: true },
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true }
+    ]
+  },
+  EMPLOYEES: {
+    title: CONFIG.SHEETS.EMPLOYEES,
+    dataStartRow: 2,
+    columns: [
+      { key: 'name', header: 'ชื่อ-นามสกุล', byHeader: true },
+      { key: 'code', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'department', header: 'กอง', byHeader: true },
+      { key: 'position', header: 'ตำแหน่ง', byHeader: true },
+      { key: 'employmentType', header: 'ประเภทการจ้าง', byHeader: true }, // ข้าราชการ / พนักงานจ้าง
+      { key: 'active', header: 'สถานะ', byHeader: true }, // ว่าง = ใช้งาน
+      { key: 'startDate', header: 'วันที่เริ่มงาน', byHeader: true },
+      { key: 'previousNames', header: 'ชื่อเดิม', byHeader: true }, // คั่นด้วย ','
+      { key: 'autoCheckout', header: 'ลงเวลาออกอัตโนมัติ', byHeader: true } // shift_end / cutoff / flag, ว่าง = ตามกะ
+    ]
+  },
+  LINE_BINDINGS: {
+    title: CONFIG.SHEETS.LINE_BINDINGS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'lineUserId', header: 'LINE userId', byHeader: true },
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'status', header: 'สถานะ', byHeader: true }, // active / pending
+      { key: 'lineName', header: 'Line name', byHeader: true },
+      { key: 'requestedAt', header: 'เวลาที่ขอ', byHeader: true },
+      { key: 'approvedAt', header: 'เวลาที่อนุมัติ', byHeader: true },
+      { key: 'approvedBy', header: 'ผู้อนุมัติ', byHeader: true },
+      { key: 'method', header: 'วิธีผูก', byHeader: true } // admin / enrollment_code
+    ]
+  },
+  SHIFTS: {
+    title: CONFIG.SHEETS.SHIFTS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'code', header: 'รหัสกะ', byHeader: true },
+      { key: 'name', header: 'ชื่อกะ', byHeader: true },
+      { key: 'start', header: 'เวลาเริ่ม', byHeader: true }, // HH:mm
+      { key: 'end', header: 'เวลาเลิก', byHeader: true },
+      { key: 'graceMinutes', header: 'ผ่อนผัน (นาที)', byHeader: true },
+      { key: 'crossesMidnight', header: 'ข้ามเที่ยงคืน', byHeader: true },
+      { key: 'autoCheckout', header: 'ลงเวลาออกอัตโนมัติ', byHeader: true } // shift_end / cutoff / flag, ว่าง = ค่าเริ่มต้น
+    ]
+  },
+  ROSTERS: {
+    title: CONFIG.SHEETS.ROSTERS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'id', header: 'รหัสรายการ', byHeader: true },
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'shiftCode', header: 'รหัสกะ', byHeader: true }, // 'OFF' = วันหยุด
+      { key: 'startDate', header: 'ตั้งแต่วันที่', byHeader: true },
+      { key: 'endDate', header: 'ถึงวันที่', byHeader: true }, // ว่าง = ไม่มีกำหนดสิ้นสุด
+      { key: 'weekdays', header: 'วันในสัปดาห์', byHeader: true }, // เช่น '1,2,3,4,5' (1 = จันทร์), ว่าง = ทุกวัน
+      { key: 'note', header: 'หมายเหตุ', byHeader: true }
+    ]
+  },
+  BREAKS: {
+    title: CONFIG.SHEETS.BREAKS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'id', header: 'รหัสการพัก', byHeader: true },
+      { key: 'recordId', header: 'รหัสรายการ', byHeader: true }, // รายการลงเวลาใน MAIN
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'start', header: 'เริ่มพัก', byHeader: true },
+      { key: 'end', header: 'สิ้นสุดพัก', byHeader: true } // ว่าง = กำลังพัก
+    ]
+  },
+  HOLIDAYS: {
+    title: CONFIG.SHEETS.HOLIDAYS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'date', header: 'วันที่', byHeader: true }, // YYYY-MM-DD
+      { key: 'name', header: 'ชื่อวันหยุด', byHeader: true },
+      { key: 'type', header: 'ประเภท', byHeader: true } // นักขัตฤกษ์ / วันหยุดพิเศษ / วันหยุดหน่วยงาน
+    ]
+  },
+  LEAVE_REQUESTS: {
+    title: CONFIG.SHEETS.LEAVE_REQUESTS,
+    dataStartRow: 2,
+    columns: [
+      { key: 'id', header: 'รหัสใบลา', byHeader: true },
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'type', header: 'ประเภทการลา', byHeader: true }, // รหัสใน CONFIG.LEAVE.TYPES เช่น SICK
+      { key: 'startDate', header: 'ตั้งแต่วันที่', byHeader: true }, // YYYY-MM-DD
+      { key: 'endDate', header: 'ถึงวันที่', byHeader: true },
+      { key: 'halfDay', header: 'ครึ่งวัน', byHeader: true }, // TRUE = ลาครึ่งวัน (วันเดียว)
+      { key: 'days', header: 'จำนวนวัน', byHeader: true }, // วันทำงานที่ลา (ไม่นับวันหยุด)
+      { key: 'fiscalYear', header: 'ปีงบประมาณ', byHeader: true }, // พ.ศ.
+      { key: 'reason', header: 'เหตุผล', byHeader: true },
+      { key: 'status', header: 'สถานะ', byHeader: true }, // pending / approved / rejected / cancelled
+      { key: 'requestedAt', header: 'เวลาที่ยื่น', byHeader: true },
+      { key: 'decidedBy', header: 'ผู้พิจารณา', byHeader: true },
+      { key: 'decidedAt', header: 'เวลาที่พิจารณา', byHeader: true },
+      { key: 'decisionNote', header: 'หมายเหตุผู้พิจารณา', byHeader: true }
+    ]
+  },
+  DUTIES: {
+    title: CONFIG.SHEETS.DUTIES,
+    dataStartRow: 2,
+    columns: [
+      { key: 'id', header: 'รหัสไปราชการ', byHeader: true },
+      { key: 'employeeCode', header: 'รหัสพนักงาน', byHeader: true },
+      { key: 'employeeName', header: 'ชื่อพนักงาน', byHeader: true },
+      { key: 'type', header: 'ประเภท', byHeader: true }, // รหัสใน CONFIG.DUTY.TYPES เช่น OFFICIAL
+      { key: 'startDate', header: 'ตั้งแต่วันที่', byHeader: true }, // YYYY-MM-DD
+      { key: 'endDate', header: 'ถึงวันที่', byHeader: true },
+      { key: 'destination', header: 'สถานที่ไป', byHeader: true },
+      { key: 'purpose', header: 'รายละเอียด', byHeader: true },
+      { key: 'status', header: 'สถานะ', byHeader: true }, // pending / approved / rejected / cancelled
+      { key: 'requestedAt', header: 'เวลาที่ขอ', byHeader: true },
+      { key: 'requestedBy', header: 'ผู้บันทึก', byHeader: true }, // ว่าง = พนักงานขอเอง
+      { key: 'decidedBy', header: 'ผู้พิจารณา', byHeader: true },
+      { key: 'decidedAt', header: 'เวลาที่พิจารณา', byHeader: true },
+      { key: 'decisionNote', header: 'หมายเหตุผู้พิจารณา', byHeader: true }
+    ]
+  },
+  ZONES: {
+    title: CONFIG.SHEETS.ZONES,
+    dataStartRow: 2,
+    columns: [
+      { key: 'code', header: 'รหัสพื้นที่', byHeader: true },
+      { key: 'name', header: 'ชื่อพื้นที่', byHeader: true },
+      { key: 'site', header: 'หน่วยงาน/สถานที่', byHeader: true },
+      { key: 'shape', header: 'รูปแบบ', byHeader: true }, // circle / polygon
+      { key: 'lat', header: 'ละติจูด', byHeader: true }, // จุดศูนย์กลางของวงกลม
+      { key: 'lon', header: 'ลองจิจูด', byHeader: true },
+      { key: 'radius', header: 'รัศมี (เมตร)', byHeader: true },
+      { key: 'polygon', header: 'พิกัดขอบเขต', byHeader: true }, // 'lat,lon; lat,lon; ...' อย่างน้อย 3 จุด
+      { key: 'policy', header: 'นอกพื้นที่', byHeader: true }, // reject / flag / allow, ว่าง = CONFIG.GEOFENCE.DEFAULT_POLICY
+      { key: 'active', header: 'สถานะ', byHeader: true } // ว่าง = ใช้งาน
+    ]
+  }
+};
+
+/**
+ * รายชื่อ field ตามลำดับคอลัมน์
+ * @param {string} schemaName - key ของ SHEET_SCHEMAS เช่น 'MAIN', 'ON_WORK'
+ * @returns {string[]}
+ */
+function columnKeys(schemaName) {
+  return SHEET_SCHEMAS[schemaName].columns.map(column => column.key);
+}
+
+/**
+ * header ของ field ที่ประกาศไว้
+ * @param {string} schemaName
+ * @param {string} key
+ * @returns {string}
+ */
+function headerOf(schemaName, key) {
+  const column = SHEET_SCHEMAS[schemaName].columns.find(c => c.key === key);
+  if (!column) {
+    throw new Error(`Unknown ${schemaName} column: ${key}`);
+  }
+  return column.header;
+}
+
+/**
+ * เปรียบเทียบ header ในแถวที่ 1 กับ schema
+ * - คอลัมน์ที่ไม่มี header หรือ sheet แคบเกินไป และคอลัมน์ที่อ่านด้วย header แต่ข้อความไม่ตรง = error
+ * - คอลัมน์ที่อ่านด้วยตำแหน่งแต่ header ต่างจากที่ประกาศไว้ = warning
+ * @param {string} schemaName
+ * @param {string[]} headerValues - ค่าในแถวที่ 1
+ * @param {number} columnCount - จำนวนคอลัมน์ของ sheet
+ * @returns {{sheet: string, errors: string[], warnings: string[]}}
+ */
+function validateHeaders(schemaName, headerValues, columnCount) {
+  const schema = SHEET_SCHEMAS[schemaName];
+  const errors = [];
+  const warnings = [];
+
+  if (columnCount < schema.columns.length) {
+    errors.push(`has ${columnCount} columns, expected at least ${schema.columns.length}`);
+  }
+
+  schema.columns.forEach((column, index) => {
+    const actual = (headerValues[index] || '').toString().trim();
+    const label = `column ${index + 1} (${column.key})`;
+
+    if (!actual) {
+      errors.push(`${label}: missing header "${column.header}"`);
+    } else if (actual !== column.header) {
+      const message = `${label}: header is "${actual}", expected "${column.header}"`;
+      (column.byHeader ? errors : warnings).push(message);
+    }
+  });
+
+  return { sheet: schema.title, errors, warnings };
+}
+
+module.exports = {
+  SHEET_SCHEMAS,
+  columnKeys,
+  headerOf,
+  validateHeaders
+};
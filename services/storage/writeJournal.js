@@ -0,0 +1,154 @@
+// services/storage/writeJournal.js - Append-only journal ของการเขียนที่ยังไม่ได้ส่งไปยัง storage หลัก
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * แต่ละบรรทัดในไฟล์เป็น JSON หนึ่งรายการ:
+ *   { type: 'write', seq, op, args, createdAt }                 - การเขียนใหม่
+ *   { type: 'status', seq, status, attempts, lastError, at }    - สถานะล่าสุดของการเขียน
+ * สถานะปัจจุบันได้จากการอ่านไฟล์ทั้งหมดตามลำดับ (บรรทัดหลังทับบรรทัดก่อน)
+ */
+class WriteJournal {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - ที่อยู่ไฟล์ journal
+   */
+  constructor({ filePath }) {
+    this.filePath = path.resolve(filePath);
+    this.entries = new Map(); // seq -> entry
+    this.nextSeq = 1;
+    this.doneSinceCompact = 0;
+    // ต่อคิวการเขียนไฟล์ให้เป็นไปตามลำดับ
+    this.writeChain = Promise.resolve();
+  }
+
+  load() {
+    this.entries.clear();
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+
+      lines.forEach((line, index) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // บรรทัดสุดท้ายอาจเขียนไม่ครบถ้าเครื่องดับระหว่างเขียน
+          console.warn(`⚠️ Skipping corrupt journal line ${index + 1}`);
+          return;
+        }
+
+        if (record.type === 'write') {
+          this.entries.set(record.seq, {
+            seq: record.seq,
+            op: record.op,
+            args: record.args,
+            createdAt: record.createdAt,
+            status: 'pending',
+            attempts: 0,
+            lastError: null
+          });
+        } else if (record.type === 'status' && this.entries.has(record.seq)) {
+          Object.assign(this.entries.get(record.seq), {
+            status: record.status,
+            attempts: record.attempts,
+            lastError: record.lastError || null
+          });
+        }
+      });
+    } else {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.nextSeq = Math.max(0, ...this.entries.keys()) + 1;
+    this.compact();
+
+    console.log(`📒 Write journal loaded: ${this.getPending().length} pending, ${this.getFailed().length} failed`);
+  }
+
+  appendLine(record) {
+    const line = JSON.stringify(record) + '\n';
+    this.writeChain = this.writeChain.then(() => fs.promises.appendFile(this.filePath, line, 'utf8'));
+    return this.writeChain;
+  }
+
+  /**
+   * บันทึกการเขียนใหม่ลงไฟล์ (resolve เมื่อข้อมูลอยู่บนดิสก์แล้ว)
+   * @param {string} op - ชื่อ method ของ storage
+   * @param {Array} args - arguments ของ method
+   * @returns {Promise<Object>} entry ที่บันทึก
+   */
+  async append(op, args) {
+    const entry = {
+      seq: this.nextSeq++,
+      op,
+      args,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      attempts: 0,
+      lastError: null
+    };
+
+    this.entries.set(entry.seq, entry);
+    await this.appendLine({ type: 'write', seq: entry.seq, op, args, createdAt: entry.createdAt });
+    return entry;
+  }
+
+  async setStatus(entry, status, lastError = null) {
+    entry.status = status;
+    entry.lastError = lastError;
+    await this.appendLine({
+      type: 'status',
+      seq: entry.seq,
+      status,
+      attempts: entry.attempts,
+      lastError,
+      at: new Date().toISOString()
+    });
+
+    if (status === 'done') {
+      this.doneSinceCompact++;
+      if (this.doneSinceCompact >= 100) {
+        await this.writeChain;
+        // ตรวจซ้ำหลังรอ - ระหว่างรออาจมีการเขียนใหม่เข้ามา
+        if (this.getPending().length === 0) {
+          this.compact();
+        }
+      }
+    }
+  }
+
+  // เขียนไฟล์ใหม่ให้เหลือเฉพาะรายการที่ยังไม่สำเร็จ
+  compact() {
+    for (const [seq, entry] of this.entries) {
+      if (entry.status === 'done') this.entries.delete(seq);
+    }
+
+    const lines = [];
+    for (const entry of this.entries.values()) {
+      lines.push(JSON.stringify({ type: 'write', seq: entry.seq, op: entry.op, args: entry.args, createdAt: entry.createdAt }));
+      if (entry.status !== 'pending' || entry.attempts > 0) {
+        lines.push(JSON.stringify({ type: 'status', seq: entry.seq, status: entry.status, attempts: entry.attempts, lastError: entry.lastError }));
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.map(line => line + '\n').join(''), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+    this.doneSinceCompact = 0;
+  }
+
+  getPending() {
+    return [...this.entries.values()].filter(entry => entry.status === 'pending');
+  }
+
+  getFailed() {
+    return [...this.entries.values()].filter(entry => entry.status === 'failed');
+  }
+
+  get(seq) {
+    return this.entries.get(seq) || null;
+  }
+}
+
+module.exports = WriteJournal;
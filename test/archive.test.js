@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+
+// fixture: MAIN มีรายการเดือน 2025-06 (4 รายการ) และ 2025-07 (1 รายการ), partition MAIN_2025-05 มีอยู่แล้ว
+
+test('archive ย้ายรายการที่ปิดแล้วของเดือนที่ผ่านไปแล้วออกจาก MAIN และรันซ้ำไม่เพิ่มซ้ำ', async () => {
+  const { service, doc } = createService();
+  // รายการที่ยังไม่ลงเวลาออกในเดือนที่ปิดแล้วคงอยู่ใน MAIN
+  await service.storage.addAttendanceRecord({ id: 'rec-open', employee: 'วิชัย ขยัน', clockIn: '10/06/2025 08:00:00' });
+
+  const result = await service.archiveClosedMonths();
+  assert.deepEqual(result.months, [{ month: '2025-06', archived: 4 }, { month: '2025-07', archived: 1 }]);
+  assert.equal(result.skippedCount, 1);
+
+  assert.deepEqual((await sheetRows(doc, 'MAIN')).map(row => row[12]), ['rec-open']);
+  assert.deepEqual((await sheetRows(doc, 'MAIN_2025-06')).map(row => row[12]),
+    ['rec-0602-a', 'rec-0603-a', 'rec-0603-b', 'rec-0630-a']);
+  assert.deepEqual(await service.storage.listArchivePartitions(), ['2025-05', '2025-06', '2025-07']);
+
+  const again = await service.archiveClosedMonths();
+  assert.equal(again.archivedCount, 0);
+  assert.equal((await sheetRows(doc, 'MAIN_2025-06')).length, 4);
+});
+
+test('รายงานหลัง archive อ่านจาก partition ของเดือนที่ต้องใช้เท่านั้น', async () => {
+  const { service } = createService();
+  const before = await service.getReportData('range', { startDate: '2025-06-01', endDate: '2025-07-31' });
+  await service.archiveClosedMonths();
+
+  const read = [];
+  const original = service.storage.getArchivedAttendanceRecords.bind(service.storage);
+  service.storage.getArchivedAttendanceRecords = monthKey => {
+    read.push(monthKey);
+    return original(monthKey);
+  };
+
+  const after = await service.getReportData('range', { startDate: '2025-06-01', endDate: '2025-07-31' });
+  assert.deepEqual(after.map(row => row.clockIn), before.map(row => row.clockIn));
+  assert.deepEqual(read, ['2025-06', '2025-07']);
+
+  read.length = 0;
+  const daily = await service.getReportData('daily', { date: '2025-07-01' });
+  assert.deepEqual(daily.map(row => row.employee), ['สมชาย ใจดี']);
+  // partition ของเดือน 2025-07 อยู่ใน cache แล้ว และไม่อ่านเดือนอื่น
+  assert.deepEqual(read, []);
+
+  assert.deepEqual(await service.getReportData('daily', { date: '2025-08-01' }), []);
+  assert.deepEqual(read, []);
+});
+
+test('archive และการปิดรายการที่ทำพร้อมกันไม่เขียนลงแถวที่เลื่อนไปแล้ว', async () => {
+  const { service, doc } = createService();
+  const { storage } = service;
+  await storage.addAttendanceRecord({ id: 'rec-open', employee: 'วิชัย ขยัน', clockIn: '10/07/2025 08:00:00' });
+  const june = (await storage.getAttendanceRecords()).filter(record => record.id.startsWith('rec-06'));
+
+  // ให้การเขียนของการปิดรายการเกิดหลังจาก archive ลบแถวเหนือรายการนั้นออกจาก MAIN แล้ว
+  let rowsDeleted;
+  const deleted = new Promise(resolve => {
+    rowsDeleted = resolve;
+  });
+  const batchUpdate = storage.batchUpdate.bind(storage);
+  storage.batchUpdate = async requests => {
+    if (requests.some(request => request.updateCells)) await deleted;
+    await batchUpdate(requests);
+    if (requests.some(request => request.deleteDimension)) rowsDeleted();
+  };
+
+  const [moved, [closed]] = await Promise.all([
+    storage.archiveAttendanceRecords('2025-06', june),
+    storage.closeAttendanceRecords([{ id: 'rec-open', fields: { clockOut: '10/07/2025 17:00:00', workingHours: '8.00' } }])
+  ]);
+  assert.equal(moved, 4);
+  assert.equal(closed.updated, true);
+
+  const main = await sheetRows(doc, 'MAIN');
+  assert.deepEqual(main.map(row => [row[12], row[5]]), [
+    ['rec-0701-a', '01/07/2025 17:00:00'],
+    ['rec-open', '10/07/2025 17:00:00']
+  ]);
+});
@@ -0,0 +1,245 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+const datetime = require('../services/datetime');
+const { CONFIG } = require('../config');
+
+const LOCATION = { lat: 13.7563, lon: 100.5018 };
+const RECORD_ID = 12; // index ของคอลัมน์รหัสรายการ (M)
+
+async function clockIn(service, employee, mockTime, extra = {}) {
+  return service.clockIn({ employee, userinfo: '', ...LOCATION, mock_time: mockTime, ...extra });
+}
+
+test('clockIn เพิ่มแถวใน MAIN และ ON WORK ที่ผูกด้วยรหัสรายการเดียวกัน', async () => {
+  const { service, doc } = createService();
+
+  const result = await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:15:00', {
+    line_name: 'wichai',
+    line_picture: 'https://example.com/p.jpg'
+  });
+  assert.equal(result.success, true);
+  assert.equal(result.time, '08:15:00');
+
+  const main = await sheetRows(doc, 'MAIN');
+  assert.equal(main.length, 6);
+  const record = main[5];
+  assert.equal(record[0], 'วิชัย ขยัน');
+  assert.equal(record[1], 'wichai');
+  assert.equal(record[3], '10/06/2025 08:15:00');
+  assert.equal(record[6], '13.7563,100.5018');
+  assert.ok(record[RECORD_ID]);
+  // รูปเขียนเป็นสูตร =IMAGE() (อ่านกลับมาเป็นค่าว่าง)
+  assert.equal(doc.sheetsByTitle.MAIN.values[6][2], '=IMAGE("https://example.com/p.jpg")');
+
+  const onWork = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.equal(onWork.length, 1);
+  assert.equal(onWork[0].rowNumber, 3);
+  assert.equal(onWork[0].get('ชื่อพนักงาน'), 'วิชัย ขยัน');
+  assert.equal(onWork[0].get('รหัสรายการ'), record[RECORD_ID]);
+  assert.equal(onWork[0].get('แถวในMain'), '7');
+});
+
+test('clockIn ซ้ำโดยยังไม่ลงเวลาออกถูกปฏิเสธ', async () => {
+  const { service, doc } = createService();
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:15:00');
+
+  const result = await clockIn(service, 'วิชัย ขยัน', '2025-06-10 09:00:00');
+  assert.equal(result.success, false);
+  assert.equal(result.currentStatus, 'clocked_in');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 6);
+});
+
+test('clockOut อัปเดตเฉพาะเซลล์ของรายการนั้นและลบแถว ON WORK', async () => {
+  const { service, doc } = createService();
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:00:00');
+  await clockIn(service, 'สมหญิง รักงาน', '2025-06-10 08:30:00');
+
+  const result = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 17:15:00' });
+  assert.equal(result.success, true);
+  assert.equal(result.hours, '8.25'); // ไม่ได้บันทึกพัก - หักพักอัตโนมัติ 60 นาที
+
+  const main = await sheetRows(doc, 'MAIN');
+  const closed = main[5];
+  assert.equal(closed[3], '10/06/2025 08:00:00');
+  assert.equal(closed[5], '10/06/2025 17:15:00');
+  assert.equal(closed[8], '13.7563,100.5018');
+  assert.equal(closed[10], '8.25');
+  assert.deepEqual(closed.slice(18, 20), ['60', 'หักอัตโนมัติ 60 นาที']);
+  assert.equal(main[6][5] || '', '');
+
+  const onWork = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.deepEqual(onWork.map(row => row.get('ชื่อพนักงาน')), ['สมหญิง รักงาน']);
+
+  const { employee } = await service.resolveEmployee('วิชัย ขยัน');
+  const status = await service.getEmployeeStatus(employee);
+  assert.equal(status.isOnWork, false);
+});
+
+test('clockOut โดยไม่ได้ลงเวลาเข้าถูกปฏิเสธ', async () => {
+  const { service, doc } = createService();
+
+  const result = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 17:00:00' });
+  assert.equal(result.success, false);
+  assert.equal(result.currentStatus, 'not_clocked_in');
+  assert.deepEqual((await sheetRows(doc, 'MAIN')).map(row => row[5]).filter(value => !value), []);
+});
+
+test('mock_time ที่อ่านไม่ได้ถูกปฏิเสธ ไม่บันทึกเวลาว่าง', async () => {
+  const { service, doc } = createService();
+
+  const rejectedIn = await clockIn(service, 'วิชัย ขยัน', 'yesterday 8am');
+  assert.deepEqual([rejectedIn.success, rejectedIn.currentStatus], [false, 'invalid_time']);
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 5);
+
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:00:00');
+  const rejectedOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-13-45 17:00:00' });
+  assert.deepEqual([rejectedOut.success, rejectedOut.currentStatus], [false, 'invalid_time']);
+  assert.equal((await sheetRows(doc, 'MAIN')).at(-1)[5], '');
+  assert.equal((await service.getEmployeeStatus({ name: 'วิชัย ขยัน' }, { fresh: true })).isOnWork, true);
+});
+
+test('ปิด MOCK_TIME_ENABLED (production) ไม่สนใจ mock_time และบันทึกเวลาปัจจุบันทั้งลงเวลาและพัก', async t => {
+  const { service, doc } = createService();
+  const enabled = CONFIG.MOCK_TIME_ENABLED;
+  CONFIG.MOCK_TIME_ENABLED = false;
+  t.after(() => {
+    CONFIG.MOCK_TIME_ENABLED = enabled;
+  });
+
+  const today = datetime.now().format('DD/MM/YYYY');
+  await clockIn(service, 'วิชัย ขยัน', '2020-01-01 08:00:00');
+  assert.ok((await sheetRows(doc, 'MAIN')).at(-1)[3].startsWith(today));
+
+  // mock_time ที่อ่านไม่ได้ก็ไม่ถูกใช้
+  const start = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: 'lunch time' });
+  assert.equal(start.success, true);
+  assert.ok((await sheetRows(doc, 'BREAKS'))[0][4].startsWith(today));
+
+  const clockOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2020-01-01 17:00:00' });
+  assert.equal(clockOut.success, true);
+  assert.ok((await sheetRows(doc, 'MAIN')).at(-1)[5].startsWith(today));
+});
+
+test('checkAndHandleMissedCheckouts ปิดรายการที่เลยเวลาเลิกกะ รวมกะข้ามคืนที่เริ่มเมื่อวาน', async () => {
+  const { service, doc } = createService();
+
+  await clockIn(service, 'เปรมชัย ทองสงคราม', '2025-06-09 20:00:00'); // กะ NIGHT เลิก 06:00
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:00:00'); // กะ OFFICE เลิก 16:30
+  await clockIn(service, 'สมชาย ใจดี', '2025-06-10 17:00:00'); // เข้าหลังเลิกกะ - ใช้เวลาตัดรอบ
+
+  const result = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-10 18:00:00') });
+  assert.equal(result.success, true);
+  assert.equal(result.processedCount, 2);
+  assert.equal(result.pendingCount, 1);
+  assert.equal(result.totalChecked, 3);
+
+  const main = await sheetRows(doc, 'MAIN');
+  const office = main.find(row => row[0] === 'วิชัย ขยัน' && row[3] === '10/06/2025 08:00:00');
+  assert.equal(office[4], 'ลืมลงเวลาออก (ระบบอัตโนมัติ)');
+  assert.equal(office[5], '10/06/2025 16:30:00');
+  assert.equal(office[10], '7.50');
+  const night = main.find(row => row[0] === 'เปรมชัย ทองสงคราม');
+  assert.equal(night[5], '10/06/2025 06:00:00');
+  assert.equal(night[10], '9.00');
+
+  const onWork = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.deepEqual(onWork.map(row => row.get('ชื่อพนักงาน')), ['สมชาย ใจดี']);
+
+  const late = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-11 00:00:00') });
+  assert.equal(late.processedCount, 1);
+  assert.equal((await sheetRows(doc, 'MAIN')).find(row => row[0] === 'สมชาย ใจดี' && row[3] === '10/06/2025 17:00:00')[5], '10/06/2025 23:59:59');
+});
+
+test('checkAndHandleMissedCheckouts ตามนโยบายรายคน: flag แจ้งครั้งเดียวและไม่ปิด, cutoff ปิดที่เวลาตัดรอบ', async () => {
+  const { service, doc } = createService();
+  await service.changeEmployees(admin => admin.update('1002', { autoCheckout: 'flag' }));
+  await service.changeEmployees(admin => admin.update('1003', { autoCheckout: 'cutoff' }));
+
+  await clockIn(service, 'สมหญิง รักงาน', '2025-06-10 08:00:00');
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:00:00');
+
+  const evening = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-10 18:00:00') });
+  assert.equal(evening.flaggedCount, 1);
+  assert.equal(evening.processedCount, 0);
+  assert.equal(evening.pendingCount, 1);
+
+  const midnight = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-11 00:00:00') });
+  assert.equal(midnight.flaggedCount, 0);
+  assert.equal(midnight.processedCount, 1);
+
+  const main = await sheetRows(doc, 'MAIN');
+  assert.equal(main.find(row => row[0] === 'วิชัย ขยัน' && row[3] === '10/06/2025 08:00:00')[5], '10/06/2025 23:59:59');
+  const onWork = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.deepEqual(onWork.map(row => row.get('ชื่อพนักงาน')), ['สมหญิง รักงาน']);
+});
+
+test('checkAndHandleMissedCheckouts ไม่เขียนทับเวลาออกที่พนักงานลงเองระหว่างรอบปิดอัตโนมัติ', async () => {
+  const { service, doc } = createService();
+  await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:00:00');
+  await clockIn(service, 'สมหญิง รักงาน', '2025-06-10 08:00:00');
+
+  // วิชัยลงเวลาออกเองหลังรอบปิดอัตโนมัติอ่าน ON WORK ไปแล้ว แต่ก่อนที่จะได้ล็อก
+  const getScheduleAt = service.schedule.getScheduleAt.bind(service.schedule);
+  let manualClockOut;
+  service.schedule.getScheduleAt = async (employee, clockInTime) => {
+    if (!manualClockOut && employee.name === 'วิชัย ขยัน') {
+      manualClockOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 17:45:00' });
+    }
+    return getScheduleAt(employee, clockInTime);
+  };
+
+  const result = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-10 18:00:00') });
+  assert.equal(manualClockOut.success, true);
+  assert.equal(result.processedCount, 1);
+  assert.deepEqual(result.results.map(entry => [entry.employee, entry.action]), [['สมหญิง รักงาน', 'missed_checkout_processed']]);
+
+  const main = await sheetRows(doc, 'MAIN');
+  const wichai = main.find(row => row[0] === 'วิชัย ขยัน' && row[3] === '10/06/2025 08:00:00');
+  assert.deepEqual([wichai[4], wichai[5]], ['', '10/06/2025 17:45:00']);
+  assert.equal(main.find(row => row[0] === 'สมหญิง รักงาน' && row[3] === '10/06/2025 08:00:00')[5], '10/06/2025 16:30:00');
+  assert.deepEqual(await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 }), []);
+  assert.deepEqual(service.employeeLocks.getStats().held, []);
+});
+
+test('checkAndHandleMissedCheckouts ไม่ทำอะไรเมื่อไม่มีคนทำงานอยู่', async () => {
+  const { service } = createService();
+
+  const result = await service.checkAndHandleMissedCheckouts();
+  assert.equal(result.success, true);
+  assert.equal(result.processedCount, 0);
+});
+
+test('clockIn พร้อมกันของพนักงานคนเดียวกันบันทึกได้ครั้งเดียว', async () => {
+  const { service, doc } = createService();
+
+  const results = await Promise.all([
+    clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:15:00'),
+    clockIn(service, 'วิชัย  ขยัน', '2025-06-10 08:15:01')
+  ]);
+  assert.deepEqual(results.map(result => result.success), [true, false]);
+  assert.equal(results[1].currentStatus, 'processing');
+
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 6);
+  assert.equal((await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 })).length, 1);
+
+  // หลังปลดล็อกแล้วตรวจพบว่าลงเวลาเข้าไปแล้วตามปกติ
+  const retry = await clockIn(service, 'วิชัย ขยัน', '2025-06-10 08:16:00');
+  assert.equal(retry.currentStatus, 'clocked_in');
+});
+
+test('clockIn ตรวจสถานะล่าสุดจาก storage แม้ cache ยังไม่เห็นการลงเวลาจากอีกเครื่อง', async () => {
+  const { service: first, doc } = createService();
+  const second = new first.constructor(first.storage);
+  second.getLocationName = first.getLocationName;
+
+  // อีก instance อ่าน ON WORK เก็บไว้ใน cache ก่อนที่จะมีการลงเวลา
+  const { employee } = await second.resolveEmployee('วิชัย ขยัน');
+  assert.equal((await second.getEmployeeStatus(employee)).isOnWork, false);
+  await clockIn(first, 'วิชัย ขยัน', '2025-06-10 08:15:00');
+
+  const result = await clockIn(second, 'วิชัย ขยัน', '2025-06-10 08:15:30');
+  assert.equal(result.success, false);
+  assert.equal(result.currentStatus, 'clocked_in');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 6);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const ExcelExportService = require('../services/excelExport');
+const { summarizeBreaks } = require('../services/breaks');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+const AUTO_DEDUCT = { autoDeductMinutes: 60, autoDeductAfterHours: 5 };
+
+test('summarizeBreaks ตัดช่วงพักให้อยู่ในเวลาทำงานและหักอัตโนมัติเมื่อไม่ได้บันทึกพัก', () => {
+  const times = { clockIn: '10/06/2025 08:00:00', clockOut: '10/06/2025 15:10:00', ...AUTO_DEDUCT };
+
+  // ยังไม่จบพักตอนลงเวลาออก = พักถึงเวลาออก
+  assert.deepEqual(summarizeBreaks([
+    { start: '10/06/2025 15:00:00', end: '' },
+    { start: '10/06/2025 12:00:00', end: '10/06/2025 12:45:00' }
+  ], times), { breakMinutes: 55, auto: false, onBreak: false, label: '12:00-12:45, 15:00-15:10' });
+
+  assert.equal(summarizeBreaks([], times).breakMinutes, 60);
+  assert.equal(summarizeBreaks([], { ...times, clockOut: '10/06/2025 12:59:00' }).breakMinutes, 0);
+  assert.equal(summarizeBreaks([], { ...times, autoDeductMinutes: 0 }).auto, false);
+});
+
+test('เริ่มพัก/จบการพักแล้วชั่วโมงทำงานเป็นชั่วโมงสุทธิ', async () => {
+  const { service, doc } = createService();
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+
+  const start = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:00:00' });
+  assert.equal(start.success, true);
+  assert.equal(start.currentStatus, 'on_break');
+
+  const again = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:10:00' });
+  assert.equal(again.success, false);
+  assert.equal(again.currentStatus, 'on_break');
+
+  const end = await service.endBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:45:00' });
+  assert.equal(end.breakMinutes, 45);
+
+  const clockOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 17:00:00' });
+  assert.equal(clockOut.hours, '8.25');
+  assert.equal(clockOut.breakMinutes, 45);
+
+  const record = (await sheetRows(doc, 'MAIN')).at(-1);
+  assert.equal(record[10], '8.25');
+  assert.deepEqual(record.slice(18, 20), ['45', '12:00-12:45']);
+
+  const [entry] = await sheetRows(doc, 'BREAKS');
+  assert.deepEqual(entry.slice(1), [record[12], '1003', 'วิชัย ขยัน', '10/06/2025 12:00:00', '10/06/2025 12:45:00']);
+});
+
+test('พักได้เฉพาะระหว่างทำงาน และจบการพักได้เมื่อเริ่มพักแล้ว', async () => {
+  const { service } = createService();
+
+  const notClockedIn = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:00:00' });
+  assert.equal(notClockedIn.currentStatus, 'not_clocked_in');
+
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+  const notOnBreak = await service.endBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:00:00' });
+  assert.equal(notOnBreak.success, false);
+  assert.equal(notOnBreak.currentStatus, 'clocked_in');
+
+  const beforeClockIn = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 07:00:00' });
+  assert.equal(beforeClockIn.success, false);
+});
+
+test('เวลาพักที่อ่านไม่ได้ถูกปฏิเสธ ไม่บันทึกลง BREAKS', async () => {
+  const { service, doc } = createService();
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+
+  const start = await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: 'lunch time' });
+  assert.deepEqual([start.success, start.currentStatus], [false, 'invalid_time']);
+  assert.deepEqual(await sheetRows(doc, 'BREAKS'), []);
+
+  await service.startBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 12:00:00' });
+  const end = await service.endBreak({ employee: 'วิชัย ขยัน', mock_time: '2025-06-10 25:00:00' });
+  assert.deepEqual([end.success, end.currentStatus], [false, 'invalid_time']);
+  assert.ok(!(await sheetRows(doc, 'BREAKS'))[0][5]);
+
+  // BreakService เองก็ไม่รับเวลาว่าง
+  const profile = (await service.getEmployees()).find(employee => employee.name === 'วิชัย ขยัน');
+  const { workRecord } = await service.getEmployeeStatus(profile, { fresh: true });
+  await assert.rejects(service.breaks.endBreak(profile, workRecord, ''), { code: 'INVALID_BREAK' });
+});
+
+test('Excel export มีคอลัมน์เวลาพัก', async () => {
+  const data = [
+    { employee: 'ก', clockIn: '10/06/2025 08:00:00', workingHours: '8.25', breakMinutes: '45', breaks: '12:00-12:45' }
+  ];
+
+  const workbook = await ExcelExportService.createWorkbook(data, 'daily', { date: '2025-06-10' });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const sheet = reloaded.worksheets[0];
+  assert.equal(sheet.getCell('N6').value, 'พัก (นาที)');
+  assert.equal(sheet.getCell('N7').value, 45);
+  assert.equal(sheet.getCell('O7').value, '12:00-12:45');
+});
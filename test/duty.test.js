@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const { CONFIG } = require('../config');
+const datetime = require('../services/datetime');
+const ExcelExportService = require('../services/excelExport');
+
+const ADMIN = { id: 1, username: 'admin', role: 'admin' };
+const LOCATION = { lat: 18.79, lon: 98.98 };
+
+async function findEmployee(service, code) {
+  return (await service.getEmployees()).find(employee => employee.code === code);
+}
+
+test('ขอไปราชการตรวจข้อมูลและช่วงซ้ำ ผู้ดูแลบันทึกให้ได้อนุมัติทันที', async () => {
+  const { service, doc } = createService();
+  const somchai = await findEmployee(service, '1001');
+  const meta = { requestedAt: '01/06/2025 08:00:00' };
+
+  const duty = await service.duty.request(somchai, { type: 'official', startDate: '2025-06-23', endDate: '2025-06-24', destination: 'กรมส่งเสริมการปกครองท้องถิ่น' }, meta);
+  assert.equal(duty.status, 'pending');
+  assert.equal(duty.type, 'OFFICIAL');
+
+  await assert.rejects(service.duty.request(somchai, { startDate: '2025-06-24', destination: 'อำเภอ' }, meta), { code: 'DUTY_OVERLAP' });
+  await assert.rejects(service.duty.request(somchai, { startDate: '2025-06-25' }, meta), { code: 'INVALID_DUTY' });
+  await assert.rejects(service.duty.request(somchai, { type: 'TRIP', startDate: '2025-06-25', destination: 'อำเภอ' }, meta), { code: 'INVALID_DUTY' });
+  await assert.rejects(service.duty.request(somchai, { startDate: '2025-06-01', endDate: '2025-07-31', destination: 'อำเภอ' }, meta), { code: 'INVALID_DUTY' });
+
+  const recorded = await service.recordDuty(somchai, { type: 'TRAINING', startDate: '2025-06-26', destination: 'จังหวัดขอนแก่น' }, ADMIN);
+  assert.equal(recorded.status, 'approved');
+  assert.equal(recorded.decidedBy, 'admin');
+
+  const row = (await sheetRows(doc, 'DUTIES')).at(-1);
+  assert.deepEqual(row.slice(1, 11), ['1001', 'สมชาย ใจดี', 'TRAINING', '2025-06-26', '2025-06-26', 'จังหวัดขอนแก่น', '', 'approved', recorded.requestedAt, 'admin']);
+});
+
+test('หัวหน้างานพิจารณาคำขอไปราชการได้เฉพาะกองที่ดูแล', async () => {
+  const { service } = createService();
+  const somchai = await findEmployee(service, '1001');
+  const duty = await service.duty.request(somchai, { startDate: '2025-06-23', destination: 'อำเภอเมือง' }, { requestedAt: '01/06/2025 08:00:00' });
+
+  const supervisor = { id: 99, username: 'head_engineering', role: 'supervisor', departments: ['กองช่าง'] };
+  CONFIG.ADMIN.USERS.push(supervisor);
+  try {
+    await assert.rejects(service.decideDuty(duty.id, { approve: true }, supervisor), { code: 'DUTY_FORBIDDEN' });
+    await assert.rejects(service.recordDuty(somchai, { startDate: '2025-06-30', destination: 'อำเภอเมือง' }, supervisor), { code: 'DUTY_FORBIDDEN' });
+    supervisor.departments = ['สำนักปลัด'];
+    const approved = await service.decideDuty(duty.id, { approve: true }, supervisor);
+    assert.equal(approved.status, 'approved');
+  } finally {
+    CONFIG.ADMIN.USERS.splice(CONFIG.ADMIN.USERS.indexOf(supervisor), 1);
+  }
+
+  await assert.rejects(service.decideDuty(duty.id, { approve: false }, ADMIN), { code: 'DUTY_ALREADY_DECIDED' });
+  await assert.rejects(service.decideDuty('missing', { approve: true }, ADMIN), { code: 'DUTY_NOT_FOUND' });
+  assert.equal((await service.duty.getApprovedDuty(somchai, '2025-06-23')).destination, 'อำเภอเมือง');
+});
+
+test('ลงเวลาในวันที่ไปราชการ: บันทึกรหัสไปราชการและไม่นับมาสาย/กลับก่อน', async () => {
+  const { service, doc } = createService();
+
+  // วิชัยไปอบรมที่เชียงใหม่ 16-18 มิ.ย. 2568 (fixture)
+  const clockIn = await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-16 09:45:00' });
+  assert.equal(clockIn.success, true);
+  assert.equal(clockIn.attendanceTag, 'อบรม/สัมมนา: ศาลากลางจังหวัดเชียงใหม่');
+  assert.deepEqual(clockIn.onDuty, { id: 'duty-1003-training', type: 'TRAINING', typeName: 'อบรม/สัมมนา', destination: 'ศาลากลางจังหวัดเชียงใหม่' });
+
+  const clockOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-16 15:00:00' });
+  assert.equal(clockOut.success, true);
+
+  const row = (await sheetRows(doc, 'MAIN')).at(-1);
+  assert.deepEqual([row[15], row[16], row[17], row[23]], ['', '', 'อบรม/สัมมนา: ศาลากลางจังหวัดเชียงใหม่', 'duty-1003-training']);
+
+  // วันอื่นลงเวลาตามปกติ
+  const normal = await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-19 08:00:00' });
+  assert.equal(normal.onDuty, null);
+});
+
+test('getAdminStats แสดงคนที่ไปราชการวันนี้และไม่นับเป็นขาดงาน', async () => {
+  const { service } = createService();
+  const today = datetime.toDateKey(datetime.now());
+  const employees = await service.getEmployees();
+  const somchai = employees.find(employee => employee.code === '1001');
+
+  // ให้วันนี้เป็นวันทำงานของสมชายไม่ว่า test จะรันวันไหน
+  await service.schedule.assign(somchai, { shiftCode: 'OFFICE', startDate: today });
+  await service.recordDuty(somchai, { type: 'OFFSITE', startDate: today, destination: 'หมู่ 5' }, ADMIN);
+
+  const schedules = await service.schedule.getExpectedSchedules(employees, today);
+  const stats = await service.getAdminStats();
+  assert.deepEqual(stats.onDutyToday, [{ name: 'สมชาย ใจดี', code: '1001', type: 'OFFSITE', typeName: 'ปฏิบัติงานนอกสถานที่', destination: 'หมู่ 5' }]);
+  assert.equal(stats.absentToday, schedules.filter(schedule => schedule.working).length - 1);
+});
+
+test('Excel ไฮไลต์แถวที่ไปราชการ และมี sheet ไปราชการ', async () => {
+  const { service } = createService();
+  const duties = await service.duty.getApprovedDuties('2025-06-01', '2025-06-30');
+  assert.deepEqual(duties.map(duty => [duty.employeeName, duty.typeName]), [['วิชัย ขยัน', 'อบรม/สัมมนา']]);
+
+  const data = [
+    { employee: 'วิชัย ขยัน', clockIn: '16/06/2025 09:45:00', clockOut: '16/06/2025 15:00:00', attendanceTag: 'อบรม/สัมมนา: ศาลากลางจังหวัดเชียงใหม่', dutyId: 'duty-1003-training' },
+    { employee: 'สมชาย ใจดี', clockIn: '16/06/2025 08:00:00', clockOut: '16/06/2025 16:30:00' }
+  ];
+  const workbook = await ExcelExportService.createWorkbook(data, 'range', { startDate: '2025-06-01', endDate: '2025-06-30', duties });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+
+  const sheet = reloaded.worksheets[0];
+  assert.equal(sheet.getCell('B7').fill.fgColor.argb, 'FFDDEBF7');
+  assert.notEqual((sheet.getCell('B8').fill || {}).pattern, 'solid');
+  assert.match(sheet.getCell('A10').value, /ไปราชการ 1 รายการ/);
+
+  const dutySheet = reloaded.getWorksheet('ไปราชการ');
+  assert.deepEqual(['B6', 'C6', 'D6', 'F6'].map(cell => dutySheet.getCell(cell).value),
+    ['วิชัย ขยัน', 'อบรม/สัมมนา', '16/06/2025', 'ศาลากลางจังหวัดเชียงใหม่']);
+});
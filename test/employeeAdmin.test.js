@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const EmployeeAdmin = require('../services/employeeAdmin');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+
+async function workbookBuffer(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('พนักงาน');
+  rows.forEach(row => worksheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('เพิ่มพนักงานใหม่ และปฏิเสธรหัส/ชื่อซ้ำหรือข้อมูลไม่ถูกต้อง', async () => {
+  const { service, doc } = createService();
+  await service.getEmployees(); // โหลดเข้า cache ก่อน
+
+  const created = await service.changeEmployees(admin => admin.create({
+    code: '1005', name: 'ประยุทธ มาใหม่', department: 'กองช่าง', employmentType: 'พนักงานจ้าง', startDate: '2025-07-01'
+  }));
+  assert.equal(created.active, true);
+  assert.deepEqual((await sheetRows(doc, 'EMPLOYEES')).at(-1),
+    ['ประยุทธ มาใหม่', '1005', 'กองช่าง', '', 'พนักงานจ้าง', 'ใช้งาน', '2025-07-01']);
+  // cache ถูกล้าง - ลงเวลาได้ทันที
+  assert.ok((await service.getEmployees()).some(employee => employee.code === '1005'));
+
+  const rejects = (input, pattern) => assert.rejects(
+    service.changeEmployees(admin => admin.create(input)),
+    error => error.code === 'INVALID_EMPLOYEE' && pattern.test(error.message)
+  );
+  await rejects({ code: '1001', name: 'คนใหม่' }, /code "1001" is already used/);
+  await rejects({ code: '1006', name: ' สมชาย  ใจดี ' }, /name "สมชาย ใจดี" is already used/);
+  await rejects({ name: 'ไม่มีรหัส' }, /code is required/);
+  await rejects({ code: '1007', name: 'คนใหม่', employmentType: 'ลูกจ้างรายวัน' }, /employmentType/);
+  await rejects({ code: '1008', name: 'คนใหม่', startDate: 'เมื่อวาน' }, /startDate/);
+});
+
+test('เปลี่ยนชื่อแล้วชื่อเดิมยังจับคู่กับพนักงานคนเดิม', async () => {
+  const { service } = createService();
+
+  // มีแถว ON WORK ที่บันทึกด้วยชื่อเดิม (ไม่มีรหัส)
+  await service.clockIn({ employee: 'เปรมชัย ทองสงคราม', ...LOCATION, mock_time: '2025-06-10 20:00:00' });
+
+  const renamed = await service.changeEmployees(admin => admin.update('1017', { name: 'เปรมชัย ใจเย็น' }));
+  assert.deepEqual(renamed.previousNames, ['เปรมชัย ทองสงคราม']);
+  await assert.rejects(
+    service.changeEmployees(admin => admin.update('1017', { code: '2017' })),
+    /code cannot be changed/
+  );
+
+  const resolution = await service.resolveEmployee('เปรมชัย ทองสงคราม');
+  assert.equal(resolution.employee.name, 'เปรมชัย ใจเย็น');
+
+  const result = await service.clockOut({ employee: 'เปรมชัย ใจเย็น', ...LOCATION, mock_time: '2025-06-11 06:00:00' });
+  assert.equal(result.success, true);
+});
+
+test('ปิดใช้งานพนักงานแล้วลงเวลาไม่ได้ และพนักงานที่ไม่มีอยู่ตอบ EMPLOYEE_NOT_FOUND', async () => {
+  const { service } = createService();
+
+  const deactivated = await service.changeEmployees(admin => admin.deactivate('สมหญิง รักงาน'));
+  assert.equal(deactivated.active, false);
+
+  const result = await service.clockIn({ employee: 'สมหญิง รักงาน', ...LOCATION });
+  assert.equal(result.currentStatus, 'inactive_employee');
+
+  await assert.rejects(
+    service.changeEmployees(admin => admin.deactivate('9999')),
+    error => error.code === 'EMPLOYEE_NOT_FOUND'
+  );
+});
+
+test('นำเข้าไฟล์ Excel: เพิ่มใหม่ แก้ไขตามรหัส และรายงานแถวที่ไม่ผ่าน', async () => {
+  const { service, doc } = createService();
+  const buffer = await workbookBuffer([
+    ['รหัสพนักงาน', 'ชื่อ-นามสกุล', 'กอง', 'ประเภทการจ้าง', 'วันที่เริ่มงาน'],
+    ['1003', 'วิชัย ขยันมาก', 'กองช่าง', 'พนักงานจ้าง', new Date(Date.UTC(2022, 4, 15))],
+    [1010, 'ใหม่ หนึ่ง', 'กองคลัง', 'ข้าราชการ', '2025-08-01'],
+    ['1011', 'ใหม่ หนึ่ง', 'กองคลัง', '', ''],
+    ['1012', '', 'กองคลัง', '', ''],
+    ['1017', 'เปรมชัย ทองสงคราม', 'สำนักปลัด', 'พนักงานจ้าง', '']
+  ]);
+
+  const rows = await EmployeeAdmin.parseWorkbook(buffer);
+  assert.equal(rows.length, 5);
+  assert.deepEqual(rows[1].input, { code: '1010', name: 'ใหม่ หนึ่ง', department: 'กองคลัง', employmentType: 'ข้าราชการ', startDate: '2025-08-01' });
+
+  const result = await service.changeEmployees(admin => admin.import(rows));
+  assert.equal(result.created, 1);
+  assert.equal(result.updated, 2);
+  assert.deepEqual(result.errors.map(error => error.row), [4, 5]);
+
+  const employees = await service.getEmployees({ includeInactive: true });
+  const wichai = employees.find(employee => employee.code === '1003');
+  assert.equal(wichai.name, 'วิชัย ขยันมาก');
+  assert.deepEqual(wichai.previousNames, ['วิชัย ขยัน']);
+  assert.equal(wichai.startDate, '2022-05-15');
+  assert.equal(employees.length, 6);
+  assert.equal((await sheetRows(doc, 'EMPLOYEES')).length, 6);
+});
+
+test('ไฟล์ที่ไม่มีคอลัมน์ชื่อถูกปฏิเสธ', async () => {
+  const buffer = await workbookBuffer([['รหัส', 'อื่นๆ'], ['1', '2']]);
+  await assert.rejects(EmployeeAdmin.parseWorkbook(buffer), error => error.code === 'INVALID_EMPLOYEE');
+  await assert.rejects(EmployeeAdmin.parseWorkbook(Buffer.from('not a workbook')), error => error.code === 'INVALID_EMPLOYEE');
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const EmployeeLock = require('../services/employeeLock');
+
+test('ล็อกของพนักงานคนเดียวกันถือได้ทีละคน (ไม่สนช่องว่าง/ตัวพิมพ์)', () => {
+  const locks = new EmployeeLock();
+
+  const release = locks.tryAcquire('สมชาย  ใจดี', 'clockIn');
+  assert.equal(typeof release, 'function');
+  assert.equal(locks.tryAcquire('สมชาย ใจดี', 'clockOut'), null);
+  assert.equal(locks.holder('สมชาย ใจดี').operation, 'clockIn');
+  assert.ok(locks.tryAcquire('สมหญิง รักงาน', 'clockIn'));
+
+  release();
+  assert.equal(locks.holder('สมชาย ใจดี'), null);
+  assert.ok(locks.tryAcquire('สมชาย ใจดี', 'clockOut'));
+  assert.equal(locks.getStats().rejectedCount, 1);
+});
+
+test('ล็อกที่ค้างเกินเวลาถูกแย่งได้ และการปลดล็อกเก่าไม่กระทบผู้ถือใหม่', () => {
+  const locks = new EmployeeLock({ staleAfterMs: 0 });
+
+  const staleRelease = locks.tryAcquire('วิชัย ขยัน', 'clockIn');
+  const release = locks.tryAcquire('วิชัย ขยัน', 'clockOut');
+  assert.ok(release);
+
+  staleRelease();
+  assert.equal(locks.getStats().held.length, 1);
+  release();
+  assert.equal(locks.getStats().held.length, 0);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService } = require('./helpers');
+const { toEmployee, splitEmbeddedCode } = require('../services/employees');
+
+test('toEmployee ย้ายรหัสที่ฝังหน้าชื่อไปเป็น code', () => {
+  assert.deepEqual(splitEmbeddedCode('1017-เปรมชัย  ทองสงคราม'), { code: '1017', name: 'เปรมชัย ทองสงคราม' });
+  assert.deepEqual(splitEmbeddedCode('สมชาย ใจดี'), { code: null, name: 'สมชาย ใจดี' });
+
+  const employee = toEmployee({ name: '1017-เปรมชัย ทองสงคราม', code: '' });
+  assert.equal(employee.code, '1017');
+  assert.equal(employee.name, 'เปรมชัย ทองสงคราม');
+
+  // รหัสในคอลัมน์ไม่ตรงกับที่ฝังไว้ - ไม่แก้ชื่อ
+  const conflicting = toEmployee({ name: '1017-เปรมชัย ทองสงคราม', code: '2001' });
+  assert.equal(conflicting.code, '2001');
+  assert.equal(conflicting.name, '1017-เปรมชัย ทองสงคราม');
+});
+
+test('toEmployee อ่านสถานะและวันที่เริ่มงาน', () => {
+  assert.equal(toEmployee('สมชาย ใจดี').active, true);
+  assert.equal(toEmployee({ name: 'ก', active: 'ลาออก' }).active, false);
+  assert.equal(toEmployee({ name: 'ก', active: 'FALSE' }).active, false);
+  assert.equal(toEmployee({ name: 'ก', startDate: '15/05/2565' }).startDate, '2022-05-15');
+  assert.equal(toEmployee({ name: 'ก', startDate: '' }).startDate, null);
+});
+
+test('getEmployees คืน object ของพนักงานที่ใช้งานอยู่', async () => {
+  const { service } = createService();
+
+  const employees = await service.getEmployees();
+  assert.equal(employees.length, 4);
+  assert.deepEqual(employees[0], {
+    code: '1001',
+    name: 'สมชาย ใจดี',
+    department: 'สำนักปลัด',
+    position: 'นักจัดการงานทั่วไป',
+    employmentType: 'ข้าราชการ',
+    active: true,
+    startDate: '2020-10-01',
+    previousNames: [],
+    autoCheckout: ''
+  });
+  assert.ok(employees.some(employee => employee.code === '1017' && employee.name === 'เปรมชัย ทองสงคราม'));
+
+  const all = await service.getEmployees({ includeInactive: true });
+  assert.equal(all.length, 5);
+});
+
+test('getEmployeeDirectory ส่งเฉพาะรหัสและชื่อของพนักงานที่ใช้งานอยู่', async () => {
+  const { service } = createService();
+
+  const directory = await service.getEmployeeDirectory();
+  assert.equal(directory.length, 4);
+  assert.deepEqual(directory[0], { code: '1001', name: 'สมชาย ใจดี' });
+  assert.ok(directory.every(entry => Object.keys(entry).join() === 'code,name'));
+});
+
+test('clockIn บันทึกรหัสพนักงานลง MAIN และ ON WORK', async () => {
+  const { service, doc } = createService();
+
+  const result = await service.clockIn({ employee: 'วิชัย ขยัน', lat: 13.75, lon: 100.5, mock_time: '2025-06-10 08:00:00' });
+  assert.equal(result.success, true);
+
+  const main = await doc.sheetsByTitle.MAIN.getRows();
+  assert.equal(main.at(-1)._rawData[13], '1003');
+  const [shift] = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.equal(shift.get('รหัสพนักงาน'), '1003');
+
+  const [record] = await service.getReportData('daily', { date: '2025-06-10' });
+  assert.equal(record.employeeCode, '1003');
+});
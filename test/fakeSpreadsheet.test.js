@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_FILE } = require('./helpers');
+const FakeSpreadsheet = require('../services/storage/fakeSpreadsheet');
+const { parseA1Range } = FakeSpreadsheet;
+
+test('parseA1Range รองรับรูปแบบที่ระบบใช้', () => {
+  assert.deepEqual(parseA1Range('A1:M10'), { startRow: 0, endRow: 10, startColumn: 0, endColumn: 13 });
+  assert.deepEqual(parseA1Range('M2:M'), { startRow: 1, endRow: Infinity, startColumn: 12, endColumn: 13 });
+  assert.deepEqual(parseA1Range('1:1'), { startRow: 0, endRow: 1, startColumn: 0, endColumn: Infinity });
+  assert.throws(() => parseA1Range('A1:!'), /Invalid A1 reference/);
+});
+
+test('โหลด fixture และอ่านแถวด้วย header', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  await doc.loadInfo();
+
+  const employees = await doc.sheetsByTitle.EMPLOYEES.getRows();
+  assert.equal(employees.length, 5);
+  assert.equal(employees[0].get('ชื่อ-นามสกุล'), 'สมชาย ใจดี');
+  assert.equal(employees[0].rowNumber, 2);
+
+  // แถวสรุปในแถวที่ 2 ของ ON WORK เป็นสูตร - อ่านได้เป็นค่าว่าง
+  const onWork = await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 });
+  assert.equal(onWork.length, 0);
+});
+
+test('addRow ต่อท้ายแถวสุดท้ายและ row.delete เลื่อนเลขแถวที่เหลือ', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheet = doc.sheetsByTitle.EMPLOYEES;
+
+  const added = await sheet.addRow({ 'ชื่อ-นามสกุล': 'มานี มีงาน' });
+  assert.equal(added.rowNumber, 7);
+
+  const rows = await sheet.getRows();
+  await rows[1].delete();
+  assert.equal(rows[1].deleted, true);
+  assert.equal(rows[2].rowNumber, 3);
+  assert.equal(rows[5].rowNumber, 6);
+  await assert.rejects(() => rows[1].delete(), /has been deleted/);
+
+  const names = (await sheet.getRows()).map(row => row.get('ชื่อ-นามสกุล'));
+  assert.deepEqual(names, ['สมชาย ใจดี', 'วิชัย ขยัน', '1017-เปรมชัย ทองสงคราม', 'มานพ เกษียณแล้ว', 'มานี มีงาน']);
+});
+
+test('loadCells/getCellByA1/saveUpdatedCells เขียนเฉพาะเซลล์ที่แก้', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheet = doc.sheetsByTitle.MAIN;
+  await sheet.loadCells('A1:M3');
+
+  const cell = sheet.getCellByA1('K2');
+  assert.equal(cell.value, '9.00');
+  cell.value = '8.50';
+  assert.equal((await sheet.getCellsInRange('K2:K2'))[0][0], '9.00');
+
+  await sheet.saveUpdatedCells();
+  assert.deepEqual(await sheet.getCellsInRange('K2:K3'), [['8.50'], ['9.00']]);
+  assert.equal(sheet.getCell(1, 0).value, 'สมชาย ใจดี');
+});
+
+test('getCellsInRange ตัดแถวว่างท้ายช่วงและคืน undefined เมื่อว่างทั้งหมด', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheet = doc.sheetsByTitle.MAIN;
+
+  const ids = await sheet.getCellsInRange(`M2:M${sheet.rowCount + 100}`);
+  assert.equal(ids.length, 5);
+  assert.equal(ids[0][0], 'rec-0602-a');
+  assert.equal(await sheet.getCellsInRange('Z1:Z10'), undefined);
+});
+
+test('_makeBatchUpdateRequest อัปเดตเซลล์และลบแถวตามลำดับ', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheet = doc.sheetsByTitle.MAIN;
+
+  await doc._makeBatchUpdateRequest([
+    {
+      updateCells: {
+        range: { sheetId: sheet.sheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 10, endColumnIndex: 11 },
+        rows: [{ values: [{ userEnteredValue: { numberValue: 7.5 } }] }],
+        fields: 'userEnteredValue'
+      }
+    },
+    { deleteDimension: { range: { sheetId: sheet.sheetId, dimension: 'ROWS', startIndex: 1, endIndex: 2 } } }
+  ]);
+
+  const rows = await sheet.getRows();
+  assert.equal(rows.length, 4);
+  assert.equal(rows[0]._rawData[12], 'rec-0603-a');
+  assert.equal(rows[0]._rawData[10], '7.5');
+
+  await assert.rejects(
+    () => doc._makeBatchUpdateRequest([{ deleteDimension: { range: { sheetId: 999, dimension: 'ROWS', startIndex: 1, endIndex: 2 } } }]),
+    /No grid with id/
+  );
+});
+
+test('addSheet ไม่ยอมให้ชื่อซ้ำ', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheet = await doc.addSheet({ title: 'MAIN_2025-06', headerValues: ['a', 'b'] });
+  assert.deepEqual(sheet.headerValues, ['a', 'b']);
+  assert.equal(doc.sheetsByIndex.at(-1).title, 'MAIN_2025-06');
+  await assert.rejects(() => doc.addSheet({ title: 'MAIN' }), /already exists/);
+});
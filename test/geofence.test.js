@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const ExcelExportService = require('../services/excelExport');
+const { distanceMeters } = require('../services/geofence');
+
+// fixture: HQ = วงกลมรัศมี 500 ม. (flag), DEPOT = สี่เหลี่ยม 13.700-13.702, 100.550-100.552 (reject)
+const INSIDE_HQ = { lat: 13.75, lon: 100.5 };
+const NEAR_HQ = { lat: 13.77, lon: 100.5 };
+const NEAR_DEPOT = { lat: 13.701, lon: 100.553 };
+
+test('ตรวจระยะจากพื้นที่วงกลมและหลายเหลี่ยม', async () => {
+  const { service } = createService();
+  assert.equal(Math.round(distanceMeters({ lat: 13, lon: 100 }, { lat: 14, lon: 100 })), 111195);
+
+  const inside = await service.geofence.check(INSIDE_HQ.lat, INSIDE_HQ.lon);
+  assert.deepEqual([inside.inside, inside.action, inside.zone.code, inside.distanceMeters], [true, 'allow', 'HQ', 0]);
+
+  const nearHq = await service.geofence.check(NEAR_HQ.lat, NEAR_HQ.lon);
+  assert.deepEqual([nearHq.action, nearHq.zone.code], ['flag', 'HQ']);
+  assert.ok(nearHq.distanceMeters > 1350 && nearHq.distanceMeters < 1450);
+
+  const inDepot = await service.geofence.check(13.701, 100.551);
+  assert.deepEqual([inDepot.action, inDepot.zone.code], ['allow', 'DEPOT']);
+
+  const nearDepot = await service.geofence.check(NEAR_DEPOT.lat, NEAR_DEPOT.lon);
+  assert.deepEqual([nearDepot.action, nearDepot.zone.code], ['reject', 'DEPOT']);
+  assert.ok(nearDepot.distanceMeters > 100 && nearDepot.distanceMeters < 115);
+
+  // ไม่มีพิกัด = นโยบายที่เข้มที่สุด
+  const unknown = await service.geofence.check('', '');
+  assert.deepEqual([unknown.action, unknown.distanceMeters], ['reject', null]);
+});
+
+test('ลงเวลานอกพื้นที่: reject ไม่บันทึก, flag บันทึกเครื่องหมายใน MAIN ทั้งตอนเข้าและออก', async () => {
+  const { service, doc } = createService();
+  const rowsBefore = (await sheetRows(doc, 'MAIN')).length;
+
+  const rejected = await service.clockIn({ employee: 'สมชาย ใจดี', ...NEAR_DEPOT, mock_time: '2025-06-20 08:00:00' });
+  assert.equal(rejected.success, false);
+  assert.equal(rejected.currentStatus, 'outside_zone');
+  assert.equal(rejected.zone, 'DEPOT');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, rowsBefore);
+
+  const clockIn = await service.clockIn({ employee: 'สมชาย ใจดี', ...NEAR_HQ, mock_time: '2025-06-20 08:01:00' });
+  assert.equal(clockIn.success, true);
+  assert.match(clockIn.zoneFlag, /^เข้า: \d+ ม\. จากสำนักงาน อบต\. \(สำนักงานใหญ่\)$/);
+
+  const blockedOut = await service.clockOut({ employee: 'สมชาย ใจดี', ...NEAR_DEPOT, mock_time: '2025-06-20 16:30:00' });
+  assert.equal(blockedOut.currentStatus, 'outside_zone');
+
+  const clockOut = await service.clockOut({ employee: 'สมชาย ใจดี', ...NEAR_HQ, mock_time: '2025-06-20 16:31:00' });
+  assert.equal(clockOut.success, true);
+
+  const row = (await sheetRows(doc, 'MAIN')).at(-1);
+  assert.match(row[24], /^เข้า: \d+ ม\. .+ \| ออก: \d+ ม\. /);
+
+  // ในพื้นที่ไม่มีเครื่องหมาย
+  const normal = await service.clockIn({ employee: 'สมหญิง รักงาน', ...INSIDE_HQ, mock_time: '2025-06-20 08:05:00' });
+  assert.equal(normal.zoneFlag, null);
+  assert.ok(!(await sheetRows(doc, 'MAIN')).at(-1)[24]);
+});
+
+test('ไปราชการที่อนุมัติแล้วไม่ตรวจพื้นที่', async () => {
+  const { service, doc } = createService();
+  await service.geofence.save({ code: 'hq', name: 'สำนักงาน อบต.', shape: 'circle', lat: 13.753, lon: 100.501, radius: 500, policy: 'reject', active: 'ใช้งาน' });
+
+  // วิชัยไปอบรมที่เชียงใหม่ 16-18 มิ.ย. 2568 (fixture)
+  const clockIn = await service.clockIn({ employee: 'วิชัย ขยัน', lat: 18.79, lon: 98.98, mock_time: '2025-06-16 08:00:00' });
+  assert.equal(clockIn.success, true);
+  assert.ok(!(await sheetRows(doc, 'MAIN')).at(-1)[24]);
+  await service.clockOut({ employee: 'วิชัย ขยัน', lat: 18.79, lon: 98.98, mock_time: '2025-06-16 16:30:00' });
+
+  const rejected = await service.clockIn({ employee: 'วิชัย ขยัน', lat: 18.79, lon: 98.98, mock_time: '2025-06-19 08:00:00' });
+  assert.equal(rejected.currentStatus, 'outside_zone');
+});
+
+test('เพิ่ม แก้ไข และลบพื้นที่', async () => {
+  const { service, doc } = createService();
+
+  await assert.rejects(service.geofence.save({ code: 'X', name: 'วงกลม', shape: 'circle', lat: 13.7 }), { code: 'INVALID_ZONE' });
+  await assert.rejects(service.geofence.save({ code: 'X', name: 'สามเหลี่ยม', shape: 'polygon', polygon: '13.7,100.5; 13.8,100.5' }), { code: 'INVALID_ZONE' });
+  await assert.rejects(service.geofence.save({ code: 'X', name: 'วงกลม', lat: 13.7, lon: 100.5, radius: 50, policy: 'block' }), { code: 'INVALID_ZONE' });
+
+  const zone = await service.geofence.save({
+    code: 'field-1', name: 'แปลงเกษตร', site: 'กองเกษตร', shape: 'polygon',
+    polygon: [[13.70, 100.40], [13.70, 100.41], [13.69, 100.41]], policy: 'allow', active: true
+  });
+  assert.equal(zone.code, 'FIELD-1');
+
+  const row = (await sheetRows(doc, 'ZONES')).at(-1);
+  assert.deepEqual(row.slice(0, 10), ['FIELD-1', 'แปลงเกษตร', 'กองเกษตร', 'polygon', '', '', '', '13.7,100.4; 13.7,100.41; 13.69,100.41', 'allow', 'ใช้งาน']);
+
+  await service.geofence.remove('field-1');
+  assert.equal((await service.geofence.getZones()).some(entry => entry.code === 'FIELD-1'), false);
+  await assert.rejects(service.geofence.remove('field-1'), { code: 'ZONE_NOT_FOUND' });
+});
+
+test('Excel ไฮไลต์แถวที่ลงเวลานอกพื้นที่', async () => {
+  const data = [
+    { employee: 'สมชาย ใจดี', clockIn: '20/06/2025 08:01:00', clockOut: '20/06/2025 16:31:00', zoneFlag: 'เข้า: 1393 ม. จากสำนักงาน อบต. (สำนักงานใหญ่)' },
+    { employee: 'สมหญิง รักงาน', clockIn: '20/06/2025 08:05:00', clockOut: '20/06/2025 16:30:00' }
+  ];
+  const workbook = await ExcelExportService.createWorkbook(data, 'range', { startDate: '2025-06-20', endDate: '2025-06-20' });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+
+  const sheet = reloaded.worksheets[0];
+  assert.equal(sheet.getCell('P6').value, 'นอกพื้นที่');
+  assert.equal(sheet.getCell('P7').value, 'เข้า: 1393 ม. จากสำนักงาน อบต. (สำนักงานใหญ่)');
+  assert.equal(sheet.getCell('B7').fill.fgColor.argb, 'FFFFE5CC');
+  assert.notEqual((sheet.getCell('B8').fill || {}).pattern, 'solid');
+  assert.match(sheet.getCell('A10').value, /นอกพื้นที่ 1 รายการ/);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_FILE, sheetRows } = require('./helpers');
+const { GoogleSheetsStorage, FakeSpreadsheet } = require('../services/storage');
+
+async function createStorage() {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const storage = new GoogleSheetsStorage({ doc, name: 'fake' });
+  await storage.initialize();
+  return { storage, doc };
+}
+
+function openShift(record) {
+  return { employeeName: record.employee, clockIn: record.clockIn, recordId: record.id, mainRowIndex: null };
+}
+
+test('closeAttendanceRecords อัปเดตเซลล์ MAIN และลบแถว ON WORK ใน batchUpdate ครั้งเดียว', async () => {
+  const { storage, doc } = await createStorage();
+  const records = [
+    { id: 'rec-a', employee: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00' },
+    { id: 'rec-b', employee: 'สมหญิง รักงาน', clockIn: '20/06/2025 08:05:00' },
+    { id: 'rec-c', employee: 'วิชัย ขยัน', clockIn: '20/06/2025 08:10:00' }
+  ];
+  for (const record of records) {
+    await storage.addAttendanceRecord(record);
+    await storage.addOpenShift(openShift(record));
+  }
+
+  const batches = [];
+  const original = doc._makeBatchUpdateRequest.bind(doc);
+  doc._makeBatchUpdateRequest = requests => {
+    batches.push(requests);
+    return original(requests);
+  };
+
+  const shifts = await storage.getOpenShifts();
+  const results = await storage.closeAttendanceRecords([
+    { id: 'rec-a', fields: { clockOut: '20/06/2025 16:30:00', workingHours: '7.50' }, shift: shifts[0] },
+    { id: 'rec-c', fields: { clockOut: '20/06/2025 17:00:00', workingHours: '7.83' }, shift: shifts[2] },
+    { id: 'missing', fields: { clockOut: '20/06/2025 17:00:00' }, shift: { ...shifts[1], recordId: 'missing' } }
+  ]);
+
+  assert.deepEqual(results, [
+    { id: 'rec-a', updated: true, removed: true },
+    { id: 'rec-c', updated: true, removed: true },
+    { id: 'missing', updated: false, removed: false }
+  ]);
+  assert.equal(batches.length, 1);
+  // ลบแถวล่างก่อน เลขแถวที่เหลือจะไม่เลื่อน
+  assert.deepEqual(batches[0].filter(request => request.deleteDimension).map(request => request.deleteDimension.range.startIndex), [4, 2]);
+
+  const main = await sheetRows(doc, 'MAIN');
+  const byId = id => main.find(row => row[12] === id);
+  assert.deepEqual([byId('rec-a')[3], byId('rec-a')[5], byId('rec-a')[10]], ['20/06/2025 08:00:00', '20/06/2025 16:30:00', '7.50']);
+  assert.deepEqual([byId('rec-c')[5], byId('rec-c')[10]], ['20/06/2025 17:00:00', '7.83']);
+  assert.ok(!byId('rec-b')[5]);
+
+  assert.deepEqual((await storage.getOpenShifts()).map(shift => shift.recordId), ['rec-b']);
+  assert.equal(await storage.updateAttendanceRecord('missing', { note: 'x' }), false);
+});
+
+test('closeAttendanceRecords ไม่เขียนทับเวลาออกที่มีอยู่แล้ว และไม่ลบแถว ON WORK ของรายการนั้น', async () => {
+  const { storage, doc } = await createStorage();
+  const record = { id: 'rec-a', employee: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00' };
+  await storage.addAttendanceRecord(record);
+  await storage.addOpenShift(openShift(record));
+  await storage.updateAttendanceRecord('rec-a', { clockOut: '20/06/2025 16:00:00', workingHours: '7.00' });
+
+  const [shift] = await storage.getOpenShifts();
+  const [result] = await storage.closeAttendanceRecords([
+    { id: 'rec-a', fields: { clockOut: '20/06/2025 16:30:00', workingHours: '7.50' }, shift }
+  ]);
+  assert.deepEqual(result, { id: 'rec-a', updated: false, removed: false, alreadyClosed: true });
+
+  const row = (await sheetRows(doc, 'MAIN')).find(values => values[12] === 'rec-a');
+  assert.deepEqual([row[5], row[10]], ['20/06/2025 16:00:00', '7.00']);
+  assert.equal((await storage.getOpenShifts()).length, 1);
+
+  // แก้ช่องอื่นที่ไม่ใช่เวลาออกได้ตามปกติ
+  assert.equal(await storage.updateAttendanceRecord('rec-a', { note: 'แก้ไขโดยผู้ดูแล' }), true);
+});
+
+test('ไม่เริ่มทำงานถ้า google-spreadsheet ไม่มี batchUpdate ภายในที่ใช้อยู่', async () => {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  doc._makeBatchUpdateRequest = undefined;
+  const storage = new GoogleSheetsStorage({ doc, name: 'fake' });
+  await assert.rejects(storage.initialize(), /_makeBatchUpdateRequest/);
+});
@@ -0,0 +1,52 @@
+// test/helpers.js - ตั้งค่าร่วมของ test: ใช้ spreadsheet จำลองจาก fixture แทน Google Sheets
+const path = require('path');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'spreadsheet.json');
+
+// ต้องตั้งก่อน require config/server
+process.env.STORAGE_DRIVER = 'fake';
+process.env.FAKE_SHEETS_FIXTURE = FIXTURE_FILE;
+process.env.KEEP_ALIVE_ENABLED = 'false';
+// test ส่งเวลาจำลอง (mock_time) ให้ทุกการลงเวลา - production ไม่รับ
+process.env.NODE_ENV = 'test';
+process.env.RECONCILER_LOG_FILE = path.join(__dirname, '..', 'data', 'test-reconcile.log');
+process.env.LINE_BINDING_LOG_FILE = path.join(__dirname, '..', 'data', 'test-line-binding.log');
+// test ส่วนใหญ่ไม่เกี่ยวกับการผูกบัญชี LINE - lineBinding.test.js เปิดเอง
+process.env.LINE_BINDING_ENABLED = 'false';
+process.env.LINE_BINDING_SECRET = 'test-line-binding-secret';
+delete process.env.TELEGRAM_BOT_TOKEN;
+delete process.env.TELEGRAM_CHAT_ID;
+
+// log ของ server เยอะมาก - เปิดด้วย TEST_VERBOSE=true
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const { GoogleSheetsStorage, FakeSpreadsheet } = require('../services/storage');
+const { GoogleSheetsService } = require('../server');
+
+/**
+ * สร้าง service ใหม่ที่ใช้ spreadsheet จำลองชุดใหม่ (แต่ละ test ไม่กระทบกัน)
+ * @returns {{service: GoogleSheetsService, doc: FakeSpreadsheet}}
+ */
+function createService() {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const service = new GoogleSheetsService(new GoogleSheetsStorage({ doc, name: 'fake' }));
+  // ไม่เรียก Nominatim ระหว่างทดสอบ
+  service.getLocationName = async (lat, lon) => `${lat}, ${lon}`;
+  return { service, doc };
+}
+
+// ค่าทุกแถวของ sheet (ไม่รวม header)
+async function sheetRows(doc, title) {
+  const rows = await doc.sheetsByTitle[title].getRows();
+  return rows.map(row => row._rawData);
+}
+
+module.exports = {
+  FIXTURE_FILE,
+  createService,
+  sheetRows
+};
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const datetime = require('../services/datetime');
+const ExcelExportService = require('../services/excelExport');
+const { parseIcs, parseCsv } = require('../services/holidays');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+
+test('อ่านวันหยุดจากไฟล์ .ics และ CSV', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20251013',
+    'DTEND;VALUE=DATE:20251015',
+    'SUMMARY:วันหยุดพิเศษ\\, ชดเชย',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20251205T000000',
+    'SUMMARY:วันพ่อ',
+    '  แห่งชาติ',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  assert.deepEqual(parseIcs(ics).map(entry => [entry.date, entry.name]), [
+    ['2025-10-13', 'วันหยุดพิเศษ, ชดเชย'],
+    ['2025-10-14', 'วันหยุดพิเศษ, ชดเชย'],
+    ['2025-12-05', 'วันพ่อ แห่งชาติ']
+  ]);
+
+  const csv = 'วันที่,ชื่อวันหยุด,ประเภท\n2025-12-10,วันรัฐธรรมนูญ,นักขัตฤกษ์\n\n31/12/2568,"วันสิ้นปี, ต่อเนื่อง"\n';
+  assert.deepEqual(parseCsv(csv).map(entry => [entry.date, entry.name, entry.type]), [
+    ['2025-12-10', 'วันรัฐธรรมนูญ', 'นักขัตฤกษ์'],
+    ['31/12/2568', 'วันสิ้นปี, ต่อเนื่อง', undefined]
+  ]);
+});
+
+test('นำเข้า แก้ไข และลบวันหยุด และเช็ควันทำงาน', async () => {
+  const { service, doc } = createService();
+  const { holidays } = service;
+
+  assert.deepEqual(await holidays.getWorkingDay('2025-06-03'), {
+    date: '2025-06-03',
+    working: false,
+    weekend: false,
+    holiday: { date: '2025-06-03', name: 'วันเฉลิมพระชนมพรรษาสมเด็จพระราชินี', type: 'นักขัตฤกษ์' }
+  });
+  assert.equal((await holidays.getWorkingDay('2025-06-15')).weekend, true);
+  assert.equal((await holidays.getWorkingDay('2025-06-10')).working, true);
+
+  const result = await holidays.import('2025-07-10,วันอาสาฬหบูชา (แก้ไข)\n2025-07-11,วันเข้าพรรษา\nไม่ใช่วันที่,ผิด\n', 'csv');
+  assert.equal(result.created, 1);
+  assert.equal(result.updated, 1);
+  assert.deepEqual(result.errors, [{ line: 3, errors: ['date "ไม่ใช่วันที่" is not a valid date'] }]);
+
+  await holidays.remove('2025-06-03');
+  await assert.rejects(holidays.remove('2025-06-04'), { code: 'HOLIDAY_NOT_FOUND' });
+  await assert.rejects(holidays.save({ date: '2025-08-12' }), { code: 'INVALID_HOLIDAY' });
+
+  assert.deepEqual(await sheetRows(doc, 'HOLIDAYS'), [
+    ['2025-07-10', 'วันอาสาฬหบูชา (แก้ไข)', 'นักขัตฤกษ์'],
+    ['2025-07-11', 'วันเข้าพรรษา', 'นักขัตฤกษ์']
+  ]);
+});
+
+test('วันหยุดในปฏิทิน: กะเริ่มต้นหยุดงาน แต่ตารางเวรยังมีผล', async () => {
+  const { service } = createService();
+  const employees = await service.getEmployees();
+  const byCode = code => employees.find(employee => employee.code === code);
+
+  const [somchai, premchai] = await service.schedule.getExpectedSchedules([byCode('1001'), byCode('1017')], '2025-06-03');
+  assert.equal(somchai.working, false);
+  assert.equal(somchai.source, 'holiday');
+  assert.equal(somchai.holiday.name, 'วันเฉลิมพระชนมพรรษาสมเด็จพระราชินี');
+  assert.equal(premchai.working, true);
+  assert.equal(premchai.source, 'roster');
+});
+
+test('getAdminStats นับขาดงานเฉพาะคนที่ต้องทำงานวันนี้', async () => {
+  const { service } = createService();
+  const today = datetime.toDateKey(datetime.now());
+  const employees = await service.getEmployees();
+  const somchai = employees.find(employee => employee.code === '1001');
+
+  // วันนี้เป็นวันหยุด และสมชายมีเวรวันนี้
+  await service.holidays.save({ date: today, name: 'วันหยุดทดสอบ' });
+  await service.schedule.assign(somchai, { shiftCode: 'OFFICE', startDate: today });
+  await service.clockIn({ employee: somchai.name, ...LOCATION, mock_time: `${today} 08:30:00` });
+
+  const schedules = await service.schedule.getExpectedSchedules(employees, today);
+  assert.ok(schedules.every(schedule => schedule.source !== 'default'));
+
+  const stats = await service.getAdminStats();
+  assert.equal(stats.absentToday, schedules.filter(schedule => schedule.working).length - 1);
+  assert.equal(stats.today.holiday.name, 'วันหยุดทดสอบ');
+});
+
+test('Excel รายเดือนแบบแบ่งตามวันมีแถววันหยุด', async () => {
+  const data = [
+    { employee: 'ก', clockIn: '04/06/2025 08:00:00', clockOut: '04/06/2025 16:30:00' },
+    { employee: 'ก', clockIn: '02/06/2025 08:00:00', clockOut: '02/06/2025 16:30:00' }
+  ];
+  const holidays = [{ date: '2025-06-03', name: 'วันเฉลิมฯ' }, { date: '2025-06-30', name: 'วันหยุดพิเศษ' }];
+
+  const workbook = await ExcelExportService.createWorkbook(data, 'monthly', { month: 6, year: 2025, format: 'detailed', holidays });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const sheet = reloaded.worksheets[0];
+
+  assert.deepEqual([7, 8, 9, 10].map(row => sheet.getCell(`C${row}`).value), ['02/06/2025', '03/06/2025', '04/06/2025', '30/06/2025']);
+  assert.equal(sheet.getCell('D8').value, 'วันหยุด: วันเฉลิมฯ');
+  assert.equal(sheet.getCell('A9').value, 2);
+  assert.equal(sheet.getCell('D10').value, 'วันหยุด: วันหยุดพิเศษ');
+  assert.match(sheet.getCell('A12').value, /ทั้งหมด 2 รายการ/);
+});
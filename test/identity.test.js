@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+const { resolveEmployee, isSameEmployee, toEmployee } = require('../services/employees');
+const datetime = require('../services/datetime');
+
+const EMPLOYEES = [
+  toEmployee({ name: 'สมชาย ใจดี', code: '1001' }),
+  toEmployee({ name: 'สมชาย รักดี', code: '1004' }),
+  toEmployee({ name: 'สมหญิง รักงาน' }),
+  toEmployee({ name: '1017-เปรมชัย ทองสงคราม' })
+];
+const LOCATION = { lat: 13.75, lon: 100.5 };
+
+test('resolveEmployee เลือกได้เฉพาะรหัสหรือชื่อที่ตรงทั้งชื่อ', () => {
+  assert.equal(resolveEmployee(EMPLOYEES, { name: ' สมชาย   ใจดี ' }).employee.code, '1001');
+  assert.equal(resolveEmployee(EMPLOYEES, { name: 'อะไรก็ได้', code: '1004' }).employee.name, 'สมชาย รักดี');
+  assert.equal(resolveEmployee(EMPLOYEES, { name: '1017-เปรมชัย ทองสงคราม' }).employee.code, '1017');
+  assert.equal(resolveEmployee(EMPLOYEES, { name: '1017' }).employee.name, 'เปรมชัย ทองสงคราม');
+  assert.equal(resolveEmployee(EMPLOYEES, { name: 'สมหญิง รักงาน' }).employee.code, null);
+});
+
+test('resolveEmployee ไม่เดาจากชื่อบางส่วน แต่คืนรายชื่อที่ใกล้เคียง', () => {
+  const partial = resolveEmployee(EMPLOYEES, { name: 'สมชาย' });
+  assert.equal(partial.employee, null);
+  assert.equal(partial.reason, 'ambiguous');
+  assert.deepEqual(partial.candidates.map(e => e.code), ['1001', '1004']);
+
+  const duplicateNames = resolveEmployee([...EMPLOYEES, toEmployee({ name: 'สมชาย ใจดี', code: '2001' })], { name: 'สมชาย ใจดี' });
+  assert.equal(duplicateNames.reason, 'ambiguous');
+  assert.equal(duplicateNames.candidates.length, 2);
+
+  assert.equal(resolveEmployee(EMPLOYEES, { name: 'ไม่มีคนนี้' }).reason, 'not_found');
+  assert.equal(resolveEmployee(EMPLOYEES, { name: 'สมชาย ใจดี', code: '9999' }).reason, 'not_found');
+});
+
+test('isSameEmployee เทียบรหัสก่อน แล้วจึงเทียบชื่อแบบตรงทั้งชื่อ', () => {
+  const [somchai, somchai2] = EMPLOYEES;
+  assert.equal(isSameEmployee({ code: '1001', names: ['สมชาย รักดี'] }, somchai), true);
+  assert.equal(isSameEmployee({ code: '', names: ['สมชาย'] }, somchai), false);
+  assert.equal(isSameEmployee({ names: ['สมชาย รักดี'] }, somchai2), true);
+  assert.equal(isSameEmployee({ names: ['1017-เปรมชัย ทองสงคราม'] }, EMPLOYEES[3]), true);
+});
+
+test('clockIn ด้วยชื่อบางส่วนถูกปฏิเสธพร้อมรายชื่อให้เลือก', async () => {
+  const { service, doc } = createService();
+
+  const result = await service.clockIn({ employee: 'สมหญิง', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+  assert.equal(result.success, false);
+  assert.equal(result.currentStatus, 'ambiguous_employee');
+  assert.deepEqual(result.candidates, [{ code: '1002', name: 'สมหญิง รักงาน', department: 'กองคลัง' }]);
+
+  const unknown = await service.clockIn({ employee: 'ไม่มีคนนี้', ...LOCATION });
+  assert.equal(unknown.currentStatus, 'unknown_employee');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 5);
+});
+
+test('clockIn ของพนักงานที่ไม่ใช้งานแล้วถูกปฏิเสธ', async () => {
+  const { service } = createService();
+
+  const result = await service.clockIn({ employee: 'มานพ เกษียณแล้ว', ...LOCATION });
+  assert.equal(result.currentStatus, 'inactive_employee');
+});
+
+test('ชื่อที่ซ้อนกันไม่ทำให้สถานะของอีกคนถูกใช้', async () => {
+  const { service, doc } = createService();
+  // แถว ON WORK เก่าที่ไม่มีรหัส ชื่อเป็นส่วนหนึ่งของชื่อพนักงานอีกคน
+  await doc.sheetsByTitle['ON WORK'].addRow(['', 'สมชาย', '10/06/2025 07:00:00', 'ทำงาน', '', '', '', '', '', '', '', 'สมชาย', 'rec-legacy']);
+
+  const status = await service.getEmployeeStatus((await service.resolveEmployee('สมชาย ใจดี')).employee);
+  assert.equal(status.isOnWork, false);
+
+  const result = await service.clockOut({ employee: 'สมชาย ใจดี', ...LOCATION, mock_time: '2025-06-10 17:00:00' });
+  assert.equal(result.currentStatus, 'not_clocked_in');
+});
+
+test('clockOut ใช้รหัสพนักงานที่ส่งมาและปิดแถวของคนนั้น', async () => {
+  const { service, doc } = createService();
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+
+  const result = await service.clockOut({ employee: 'วิชัย', employee_code: '1003', ...LOCATION, mock_time: '2025-06-10 16:00:00' });
+  assert.equal(result.success, true);
+  assert.equal(result.employee, 'วิชัย ขยัน');
+  assert.equal((await doc.sheetsByTitle['ON WORK'].getRows({ offset: 1 })).length, 0);
+});
+
+test('แถว ON WORK เก่าที่ใช้ชื่อแบบมีรหัสนำหน้าใช้กะของพนักงานคนนั้นในการลงเวลาออกอัตโนมัติ', async () => {
+  const { service, doc } = createService();
+  await doc.sheetsByTitle['ON WORK'].addRow(['', '1017-เปรมชัย ทองสงคราม', '10/06/2025 19:00:00', 'ทำงาน', '', '', '', '', '', '', '', '1017-เปรมชัย ทองสงคราม', 'rec-guard']);
+
+  // กะ NIGHT ของ 1017 เลิก 06:00 วันถัดไป - ยังไม่ปิดที่เที่ยงคืน
+  const result = await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-10 23:59:59') });
+  assert.equal(result.pendingCount, 1);
+  assert.equal(result.processedCount, 0);
+});
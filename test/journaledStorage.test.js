@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_FILE, sheetRows } = require('./helpers');
+const { GoogleSheetsStorage, JournaledStorage, FakeSpreadsheet } = require('../services/storage');
+
+const RECORD = { id: 'rec-journal-1', employee: 'สมชาย ใจดี', employeeCode: '1001', clockIn: '20/06/2025 08:00:00' };
+const SHIFT = { employeeName: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00', recordId: 'rec-journal-1', mainRowIndex: null };
+
+function timeoutError() {
+  const error = new Error('socket hang up');
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+// backoff ยาวพอที่ timer จะไม่ทำงานระหว่าง test - test สั่ง replay เองผ่าน flush()
+async function createJournaled() {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheets = new GoogleSheetsStorage({ doc, name: 'fake' });
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'time-tracker-')), 'journal.log');
+  const storage = new JournaledStorage(sheets, { filePath, baseDelayMs: 60000, maxDelayMs: 60000 });
+  await storage.initialize();
+  return { storage, sheets, doc, filePath };
+}
+
+// รอ replay ที่กำลังทำงานให้จบ แล้วส่งรายการที่ค้างทันที (ไม่รอ backoff)
+async function flush(storage) {
+  while (storage.isReplaying) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await storage.replay();
+}
+
+test('ส่งซ้ำหลังเขียนสำเร็จแต่ได้ error กลับมาไม่สร้างแถวซ้ำใน MAIN และ ON WORK', async () => {
+  const { storage, sheets, doc } = await createJournaled();
+
+  // จำลอง timeout หลังจาก Sheets เขียนแถวไปแล้ว (ครั้งแรกของแต่ละ method)
+  for (const method of ['addAttendanceRecord', 'addOpenShift']) {
+    const original = sheets[method].bind(sheets);
+    let calls = 0;
+    sheets[method] = async (...args) => {
+      const result = await original(...args);
+      if (++calls === 1) throw timeoutError();
+      return result;
+    };
+  }
+
+  await storage.addAttendanceRecord(RECORD);
+  await storage.addOpenShift(SHIFT);
+  // แต่ละรอบหยุดที่ error แรก - สองรายการล้มเหลวรายการละครั้ง
+  for (let round = 0; round < 3; round++) {
+    await flush(storage);
+  }
+  assert.equal(storage.journal.getPending().length, 0);
+  assert.equal((await sheetRows(doc, 'MAIN')).filter(row => row[12] === RECORD.id).length, 1);
+  assert.equal((await sheets.getOpenShifts()).filter(shift => shift.recordId === RECORD.id).length, 1);
+});
+
+test('รายการที่ยังค้างใน journal ถูกรวมเข้ากับข้อมูลที่อ่าน (รวมตอนอ่าน storage หลักไม่ได้)', async () => {
+  const { storage, sheets } = await createJournaled();
+  const quota = async () => {
+    throw new Error('Quota exceeded for quota metric');
+  };
+  sheets.addAttendanceRecord = quota;
+
+  await storage.addAttendanceRecord(RECORD);
+  await storage.addOpenShift(SHIFT);
+  await flush(storage);
+
+  // quota หยุดทั้งคิว - รายการยังอยู่ตามลำดับเดิม
+  const pending = storage.journal.getPending();
+  assert.deepEqual(pending.map(entry => entry.op), ['addAttendanceRecord', 'addOpenShift']);
+  assert.equal(pending[0].attempts > 0, true);
+  assert.ok(storage.getStatus().nextAttemptAt);
+
+  const record = (await storage.getAttendanceRecords()).find(r => r.id === RECORD.id);
+  assert.equal(record.pending, true);
+  assert.equal((await storage.getOpenShifts()).filter(shift => shift.recordId === RECORD.id).length, 1);
+
+  await storage.closeAttendanceRecords([{ id: RECORD.id, fields: { clockOut: '20/06/2025 16:30:00' }, shift: SHIFT }]);
+  assert.equal((await storage.getOpenShifts()).some(shift => shift.recordId === RECORD.id), false);
+
+  // อ่าน MAIN ไม่ได้ - ใช้ข้อมูลล่าสุดที่อ่านได้ + รายการใน journal
+  sheets.getAttendanceRecords = quota;
+  const closed = (await storage.getAttendanceRecords()).find(r => r.id === RECORD.id);
+  assert.equal(closed.clockOut, '20/06/2025 16:30:00');
+});
+
+test('error ที่ไม่ใช่ quota/network ย้ายรายการไป failed ทันทีและไม่ขวางรายการถัดไป', async () => {
+  const { storage, doc } = await createJournaled();
+
+  await storage.closeAttendanceRecords([{ id: 'ghost', fields: { clockOut: '20/06/2025 16:30:00' }, shift: { ...SHIFT, recordId: 'ghost' } }]);
+  await storage.addAttendanceRecord(RECORD);
+  await flush(storage);
+
+  assert.equal(storage.journal.getPending().length, 0);
+  const [failed] = storage.getStatus().failed;
+  assert.deepEqual([failed.op, failed.attempts], ['closeAttendanceRecords', 1]);
+  assert.match(failed.lastError, /records not found: ghost/);
+  assert.equal((await sheetRows(doc, 'MAIN')).filter(row => row[12] === RECORD.id).length, 1);
+
+  // ผู้ดูแลสั่งส่งซ้ำได้ - ยังไม่พบ record ก็กลับไปเป็น failed
+  assert.equal(await storage.retryFailed(failed.seq), true);
+  assert.equal(await storage.retryFailed(999), false);
+  await flush(storage);
+  assert.deepEqual(storage.getStatus().failed.map(entry => [entry.seq, entry.attempts]), [[failed.seq, 1]]);
+});
+
+test('โหลด journal ใหม่ตัดรายการที่สำเร็จแล้วและบรรทัดที่เขียนไม่ครบทิ้ง', async () => {
+  const { storage, filePath } = await createJournaled();
+  await storage.updateAttendanceRecord('ghost', { clockOut: '20/06/2025 16:30:00' });
+  await storage.addAttendanceRecord(RECORD);
+  await flush(storage);
+  await storage.journal.writeChain;
+
+  // เครื่องดับระหว่างเขียนบรรทัดสุดท้าย
+  fs.appendFileSync(filePath, '{"type":"write","seq":3,"op":"addOpen');
+
+  const reloaded = new JournaledStorage(storage.primary, { filePath, baseDelayMs: 60000, maxDelayMs: 60000 });
+  reloaded.journal.load();
+  assert.deepEqual(reloaded.getStatus().failed.map(entry => [entry.seq, entry.op]), [[1, 'updateAttendanceRecord']]);
+  assert.equal(reloaded.journal.getPending().length, 0);
+  assert.equal(reloaded.journal.nextSeq, 3);
+
+  // ไฟล์ถูกเขียนใหม่ให้เหลือเฉพาะรายการที่ยังไม่สำเร็จ
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => [line.type, line.seq]), [['write', 1], ['status', 1]]);
+});
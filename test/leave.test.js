@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const { CONFIG } = require('../config');
+const datetime = require('../services/datetime');
+const ExcelExportService = require('../services/excelExport');
+const { fiscalYearOf } = require('../services/leave');
+
+const ADMIN = { id: 1, username: 'admin', role: 'admin' };
+
+async function findEmployee(service, code) {
+  return (await service.getEmployees()).find(employee => employee.code === code);
+}
+
+test('ปีงบประมาณเริ่ม 1 ตุลาคม และตั้งชื่อตามปีที่สิ้นสุด (พ.ศ.)', () => {
+  assert.equal(fiscalYearOf('2025-09-30', 10), 2568);
+  assert.equal(fiscalYearOf('2025-10-01', 10), 2569);
+  assert.equal(fiscalYearOf('2025-10-01', 1), 2568);
+});
+
+test('ยื่นใบลานับเฉพาะวันทำงาน และตรวจช่วงซ้ำ/วันลาคงเหลือ', async () => {
+  const { service, doc } = createService();
+  const somchai = await findEmployee(service, '1001');
+  const at = '01/06/2025 08:00:00';
+
+  // 2-6 มิ.ย. 2568 มีวันหยุด 3 มิ.ย. ในปฏิทิน
+  const request = await service.leave.request(somchai, { type: 'personal', startDate: '2025-06-02', endDate: '2025-06-06', reason: 'ธุระ' }, at);
+  assert.equal(request.days, 4);
+  assert.equal(request.fiscalYear, 2568);
+  assert.equal(request.status, 'pending');
+
+  await assert.rejects(service.leave.request(somchai, { type: 'SICK', startDate: '2025-06-06' }, at), { code: 'LEAVE_OVERLAP' });
+  await assert.rejects(service.leave.request(somchai, { type: 'SICK', startDate: '2025-06-14', endDate: '2025-06-15' }, at), { code: 'INVALID_LEAVE' });
+  await assert.rejects(service.leave.request(somchai, { type: 'SICK', startDate: '2025-06-10', endDate: '2025-06-09' }, at), { code: 'INVALID_LEAVE' });
+  // 16-30 มิ.ย. = 11 วันทำงาน แต่ลาพักผ่อนได้ 10 วัน
+  await assert.rejects(service.leave.request(somchai, { type: 'VACATION', startDate: '2025-06-16', endDate: '2025-06-30' }, at), { code: 'LEAVE_QUOTA_EXCEEDED' });
+
+  const { balances } = await service.leave.getBalances(somchai, 2568);
+  assert.deepEqual(balances.find(balance => balance.type === 'PERSONAL'), {
+    type: 'PERSONAL', name: 'ลากิจส่วนตัว', quotaDays: 45, usedDays: 0, pendingDays: 4, remainingDays: 45
+  });
+
+  const row = (await sheetRows(doc, 'LEAVE_REQUESTS')).at(-1);
+  assert.deepEqual(row.slice(1, 11), ['1001', 'สมชาย ใจดี', 'PERSONAL', '2025-06-02', '2025-06-06', '', '4', '2568', 'ธุระ', 'pending']);
+});
+
+test('ผู้ดูแลอนุมัติได้ทุกใบ หัวหน้างานเฉพาะกองที่ดูแล', async () => {
+  const { service } = createService();
+  const somchai = await findEmployee(service, '1001');
+  const request = await service.leave.request(somchai, { type: 'SICK', startDate: '2025-06-10', halfDay: true }, '10/06/2025 07:00:00');
+  assert.equal(request.days, 0.5);
+
+  const supervisor = { id: 99, username: 'head_engineering', role: 'supervisor', departments: ['กองช่าง'] };
+  CONFIG.ADMIN.USERS.push(supervisor);
+  try {
+    await assert.rejects(service.decideLeave(request.id, { approve: true }, supervisor), { code: 'LEAVE_FORBIDDEN' });
+    supervisor.departments = ['สำนักปลัด'];
+    const approved = await service.decideLeave(request.id, { approve: true, note: 'หายไว ๆ' }, supervisor);
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.decidedBy, 'head_engineering');
+  } finally {
+    CONFIG.ADMIN.USERS.splice(CONFIG.ADMIN.USERS.indexOf(supervisor), 1);
+  }
+
+  await assert.rejects(service.decideLeave(request.id, { approve: false }, ADMIN), { code: 'LEAVE_ALREADY_DECIDED' });
+  await assert.rejects(service.decideLeave('missing', { approve: true }, ADMIN), { code: 'LEAVE_NOT_FOUND' });
+
+  const sick = (await service.leave.getBalances(somchai, 2568)).balances.find(balance => balance.type === 'SICK');
+  assert.equal(sick.usedDays, 0.5);
+  assert.equal(sick.remainingDays, 59.5);
+});
+
+test('พนักงานยื่น ดูยอด และยกเลิกใบลาผ่าน LIFF', async () => {
+  const { service } = createService();
+  const nextMonday = datetime.now().clone().add(1, 'week').isoWeekday(1).format('YYYY-MM-DD');
+
+  const submitted = await service.requestLeave({ employee: 'วิชัย ขยัน', type: 'VACATION', startDate: nextMonday });
+  assert.equal(submitted.success, true);
+
+  const summary = await service.getLeaveSummary({ employee: 'วิชัย ขยัน' });
+  const vacation = summary.data.balances.find(balance => balance.type === 'VACATION');
+  assert.equal(vacation.pendingDays, 1);
+  assert.deepEqual(summary.data.requests.map(request => request.id), [submitted.data.id]);
+
+  const cancelled = await service.cancelLeave({ employee: 'วิชัย ขยัน', id: submitted.data.id });
+  assert.equal(cancelled.data.status, 'cancelled');
+  const again = await service.cancelLeave({ employee: 'วิชัย ขยัน', id: submitted.data.id });
+  assert.equal(again.success, false);
+  assert.equal(again.errorCode, 'LEAVE_ALREADY_DECIDED');
+});
+
+test('getAdminStats ไม่นับคนที่ลาวันนี้เป็นขาดงาน', async () => {
+  const { service } = createService();
+  const today = datetime.toDateKey(datetime.now());
+  const employees = await service.getEmployees();
+  const somchai = employees.find(employee => employee.code === '1001');
+
+  // ให้วันนี้เป็นวันทำงานของสมชายไม่ว่า test จะรันวันไหน
+  await service.schedule.assign(somchai, { shiftCode: 'OFFICE', startDate: today });
+  const request = await service.leave.request(somchai, { type: 'SICK', startDate: today }, datetime.formatForSheet(datetime.now()));
+  await service.decideLeave(request.id, { approve: true }, ADMIN);
+
+  const schedules = await service.schedule.getExpectedSchedules(employees, today);
+  const stats = await service.getAdminStats();
+  assert.deepEqual(stats.onLeaveToday, [{ name: 'สมชาย ใจดี', code: '1001', type: 'SICK', typeName: 'ลาป่วย', halfDay: false }]);
+  assert.equal(stats.absentToday, schedules.filter(schedule => schedule.working).length - 1);
+});
+
+test('Excel มี sheet การลาจากใบลาที่อนุมัติแล้วในช่วงรายงาน', async () => {
+  const { service } = createService();
+  const leaves = await service.leave.getApprovedLeaves('2025-06-01', '2025-06-11');
+  assert.deepEqual(leaves.map(leave => [leave.employeeName, leave.dates, leave.daysInRange]), [['สมหญิง รักงาน', ['2025-06-11'], 1]]);
+
+  const workbook = await ExcelExportService.createWorkbook([], 'range', { startDate: '2025-06-01', endDate: '2025-06-11', leaves });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const sheet = reloaded.getWorksheet('การลา');
+  assert.deepEqual([sheet.getCell('B6').value, sheet.getCell('C5').value, sheet.getCell('C6').value], ['สมหญิง รักงาน', 'ลาพักผ่อน', 1]);
+  assert.equal(sheet.getCell('F9').value, 1);
+  assert.match(reloaded.worksheets[0].getCell('A8').value, /ลา 1 วัน \(1 ใบลา\)/);
+});
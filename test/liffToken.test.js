@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('./helpers');
+const { LiffTokenVerifier, createLiffAuthMiddleware } = require('../services/liffToken');
+
+const CHANNEL_ID = '1234567890';
+const ISSUER = 'https://access.line.me';
+
+// key set ในเครื่องแทน public key ของ LINE
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const { privateKey: otherKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const JWKS_FILE = path.join(os.tmpdir(), `line-jwks-${process.pid}.json`);
+fs.writeFileSync(JWKS_FILE, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'ES256' }] }));
+after(() => fs.rmSync(JWKS_FILE, { force: true }));
+
+function signToken(claims = {}, { key = privateKey, kid = 'test-key', audience = CHANNEL_ID, issuer = ISSUER } = {}) {
+  const payload = { sub: 'U-somchai', name: 'Somchai', picture: 'https://example.com/p.png', exp: Math.floor(Date.now() / 1000) + 3600, ...claims };
+  return jwt.sign(payload, key, { algorithm: 'ES256', keyid: kid, audience, issuer });
+}
+
+function createVerifier() {
+  return new LiffTokenVerifier({ channelId: CHANNEL_ID, issuer: ISSUER, jwksFile: JWKS_FILE });
+}
+
+// เรียก middleware ด้วย req/res จำลอง
+async function runMiddleware(middleware, headers) {
+  const req = { headers, body: {}, path: '/api/clockin' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('ID token ที่ถูกต้องคืนบัญชี LINE ที่ยืนยันแล้ว', async () => {
+  const identity = await createVerifier().verify(signToken());
+  assert.deepEqual(identity, { userId: 'U-somchai', name: 'Somchai', picture: 'https://example.com/p.png' });
+});
+
+test('ID token ที่ลายเซ็น audience issuer หรือวันหมดอายุไม่ถูกต้องถูกปฏิเสธ', async () => {
+  const verifier = createVerifier();
+  const rejects = (token, code) => assert.rejects(verifier.verify(token), error => error.code === code);
+
+  await rejects(signToken({}, { key: otherKey }), 'INVALID_TOKEN');
+  await rejects(signToken({}, { kid: 'unknown' }), 'INVALID_TOKEN');
+  await rejects(signToken({}, { audience: 'other-channel' }), 'INVALID_TOKEN');
+  await rejects(signToken({}, { issuer: 'https://evil.example' }), 'INVALID_TOKEN');
+  await rejects(signToken({ exp: Math.floor(Date.now() / 1000) - 60 }), 'TOKEN_EXPIRED');
+  await rejects('not-a-token', 'INVALID_TOKEN');
+});
+
+test('middleware เก็บบัญชีที่ยืนยันแล้วไว้ที่ req และปฏิเสธ request ที่ไม่มี token', async () => {
+  const middleware = createLiffAuthMiddleware(createVerifier());
+
+  const verified = await runMiddleware(middleware, { 'x-line-id-token': signToken() });
+  assert.equal(verified.nextCalled, true);
+  assert.equal(verified.req.lineIdentity.userId, 'U-somchai');
+
+  const missing = await runMiddleware(middleware, {});
+  assert.equal(missing.nextCalled, false);
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.res.body.errorCode, 'NO_TOKEN');
+
+  const forged = await runMiddleware(middleware, { 'x-line-id-token': signToken({}, { key: otherKey }) });
+  assert.equal(forged.res.statusCode, 401);
+});
+
+test('โหมดพัฒนายอมรับ request ที่ไม่มี token โดยไม่มีบัญชีที่ยืนยันแล้ว', async () => {
+  const middleware = createLiffAuthMiddleware(createVerifier(), { devMode: true });
+
+  const result = await runMiddleware(middleware, {});
+  assert.equal(result.nextCalled, true);
+  assert.equal(result.req.lineIdentity, null);
+});
@@ -0,0 +1,166 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+const { CONFIG, validateConfig } = require('../config');
+const LineBindingService = require('../services/lineBinding');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+
+beforeEach(() => {
+  CONFIG.LINE_BINDING.ENABLED = true;
+});
+
+test('ลงเวลาโดยไม่มีบัญชี LINE ถูกปฏิเสธ', async () => {
+  const { service, doc } = createService();
+
+  const result = await service.clockIn({ employee: 'สมชาย ใจดี', ...LOCATION });
+  assert.equal(result.success, false);
+  assert.equal(result.currentStatus, 'line_required');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 5);
+});
+
+test('บัญชีใหม่สร้างคำขอรออนุมัติ แล้วลงเวลาได้หลังผู้ดูแลอนุมัติ', async () => {
+  const { service, doc } = createService();
+  const request = { employee: 'สมชาย ใจดี', line_user_id: 'U-somchai', line_name: 'Somchai', ...LOCATION, mock_time: '2025-06-10 08:00:00' };
+
+  const pending = await service.clockIn(request);
+  assert.equal(pending.currentStatus, 'pending_approval');
+  assert.deepEqual((await sheetRows(doc, 'LINE_BINDINGS')).map(row => row.slice(0, 5)), [
+    ['U-somchai', '1001', 'สมชาย ใจดี', 'pending', 'Somchai']
+  ]);
+
+  const approved = await service.lineBindings.approve('U-somchai', 'admin');
+  assert.equal(approved.status, 'active');
+
+  const result = await service.clockIn(request);
+  assert.equal(result.success, true);
+  assert.equal(result.employee, 'สมชาย ใจดี');
+});
+
+test('รหัสลงทะเบียนผูกบัญชีได้ทันที และรหัสของคนอื่นใช้ไม่ได้', async () => {
+  const { service } = createService();
+  const [somchai, somying] = await service.getEmployees();
+  const { code } = service.lineBindings.issueEnrollmentCode(somchai);
+
+  const wrong = await service.clockIn({
+    employee: 'สมชาย ใจดี', line_user_id: 'U-somchai', enrollment_code: service.lineBindings.issueEnrollmentCode(somying).code, ...LOCATION
+  });
+  assert.equal(wrong.currentStatus, 'pending_approval');
+
+  const result = await service.clockIn({
+    employee: 'สมชาย ใจดี', line_user_id: 'U-somchai', enrollment_code: code, ...LOCATION, mock_time: '2025-06-10 08:00:00'
+  });
+  assert.equal(result.success, true);
+
+  const [binding] = await service.lineBindings.getBindings();
+  assert.equal(binding.status, 'active');
+  assert.equal(binding.method, 'enrollment_code');
+});
+
+test('ลงทะเบียนพนักงานคนเดียวกันพร้อมกันจากสองบัญชีผูกได้บัญชีเดียว', async () => {
+  const { service } = createService();
+  const [somchai] = await service.getEmployees();
+  const { code } = service.lineBindings.issueEnrollmentCode(somchai);
+
+  const results = await Promise.all(['U-first', 'U-second'].map(lineUserId => service.clockIn({
+    employee: 'สมชาย ใจดี', line_user_id: lineUserId, enrollment_code: code, ...LOCATION, mock_time: '2025-06-10 08:00:00'
+  })));
+  assert.deepEqual(results.map(result => result.currentStatus), ['clocked_in', 'processing']);
+
+  const active = (await service.lineBindings.getBindings()).filter(binding => binding.status === 'active');
+  assert.deepEqual(active.map(binding => binding.lineUserId), ['U-first']);
+  assert.deepEqual(service.employeeLocks.getStats().held, []);
+
+  const retry = await service.clockIn({ employee: 'สมชาย ใจดี', line_user_id: 'U-second', enrollment_code: code, ...LOCATION });
+  assert.equal(retry.currentStatus, 'employee_bound');
+});
+
+test('บัญชีที่ผูกแล้วลงเวลาแทนคนอื่นไม่ได้ และคนอื่นใช้ชื่อของพนักงานที่ผูกแล้วไม่ได้', async () => {
+  const { service, doc } = createService();
+  const [somchai] = await service.getEmployees();
+  await service.lineBindings.authorize([somchai], {
+    lineUserId: 'U-somchai', requested: somchai, enrollmentCode: service.lineBindings.issueEnrollmentCode(somchai).code
+  });
+
+  const mismatch = await service.clockIn({ employee: 'สมหญิง รักงาน', line_user_id: 'U-somchai', ...LOCATION });
+  assert.equal(mismatch.success, false);
+  assert.equal(mismatch.currentStatus, 'binding_mismatch');
+
+  const taken = await service.clockIn({ employee: 'สมชาย ใจดี', line_user_id: 'U-other', ...LOCATION });
+  assert.equal(taken.currentStatus, 'employee_bound');
+  assert.equal((await sheetRows(doc, 'MAIN')).length, 5);
+
+  // ชื่อที่ระบุไม่ชัดเจนใช้พนักงานที่ผูกไว้
+  const result = await service.clockIn({ employee: 'สมชาย', line_user_id: 'U-somchai', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+  assert.equal(result.success, true);
+  assert.equal(result.employee, 'สมชาย ใจดี');
+});
+
+test('ผู้ดูแลย้ายการผูกไปพนักงานคนอื่นและยกเลิกการผูกได้', async () => {
+  const { service, doc } = createService();
+  const [somchai, somying] = await service.getEmployees();
+  await service.clockIn({ employee: 'สมชาย ใจดี', line_user_id: 'U-1', ...LOCATION });
+  await service.lineBindings.approve('U-1', 'admin');
+
+  const reassigned = await service.lineBindings.reassign('U-1', somying, 'admin');
+  assert.equal(reassigned.employeeCode, '1002');
+  assert.equal(reassigned.approvedBy, 'admin');
+  assert.equal((await sheetRows(doc, 'LINE_BINDINGS')).length, 1);
+
+  const other = await service.lineBindings.authorize([somchai, somying], { lineUserId: 'U-2', requested: somying });
+  assert.equal(other.reason, 'employee_bound');
+
+  assert.equal(await service.lineBindings.reset('U-1', 'admin'), true);
+  assert.equal(await service.lineBindings.reset('U-1', 'admin'), false);
+  assert.deepEqual(await sheetRows(doc, 'LINE_BINDINGS'), []);
+});
+
+test('กรอกรหัสผิดครบจำนวนล็อกทั้งบัญชี LINE นั้นและพนักงานที่ถูกขอผูก', async () => {
+  const { service } = createService();
+  const [somchai, somying] = await service.getEmployees();
+  const { code } = service.lineBindings.issueEnrollmentCode(somchai);
+  const wrongCode = code === '000000' ? '000001' : '000000';
+  const attempt = (lineUserId, employee, enrollmentCode) =>
+    service.clockIn({ employee, line_user_id: lineUserId, enrollment_code: enrollmentCode, ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+
+  for (let i = 0; i < CONFIG.LINE_BINDING.ENROLLMENT_MAX_FAILED_ATTEMPTS; i++) {
+    assert.equal((await attempt('U-guess', 'สมชาย ใจดี', wrongCode)).currentStatus, 'pending_approval');
+  }
+
+  // รหัสถูกก็ไม่ตรวจระหว่างล็อก - ทั้งบัญชีเดิม บัญชีอื่นที่ขอผูกกับคนเดิม และบัญชีเดิมที่ขอผูกกับคนอื่น
+  assert.equal((await attempt('U-guess', 'สมชาย ใจดี', code)).currentStatus, 'enrollment_locked');
+  assert.equal((await attempt('U-other', 'สมชาย ใจดี', code)).currentStatus, 'enrollment_locked');
+  const somyingCode = service.lineBindings.issueEnrollmentCode(somying).code;
+  assert.equal((await attempt('U-guess', 'สมหญิง รักงาน', somyingCode)).currentStatus, 'enrollment_locked');
+  // ไม่มีรหัส = ส่งคำขอรออนุมัติได้ตามปกติ
+  assert.equal((await attempt('U-other', 'สมชาย ใจดี', '')).currentStatus, 'pending_approval');
+
+  // ครบเวลาล็อกแล้วใช้รหัสได้อีก และการผูกสำเร็จล้างตัวนับ
+  service.lineBindings.failedAttempts.forEach(entry => {
+    entry.since -= CONFIG.LINE_BINDING.ENROLLMENT_LOCKOUT_MINUTES * 60000;
+  });
+  const result = await attempt('U-other', 'สมชาย ใจดี', code);
+  assert.equal(result.success, true);
+  assert.equal(service.lineBindings.failedAttempts.has('employee:code:1001'), false);
+});
+
+test('รหัสลงทะเบียนใช้ LINE_BINDING_SECRET เท่านั้น - ไม่มี secret เปิดการผูกบัญชีไม่ได้', async () => {
+  const { service } = createService();
+  const [somchai] = await service.getEmployees();
+  assert.equal(service.lineBindings.secret, 'test-line-binding-secret');
+
+  const withoutSecret = new LineBindingService(service.storage, { logFile: CONFIG.LINE_BINDING.LOG_FILE });
+  assert.throws(() => withoutSecret.issueEnrollmentCode(somchai), { code: 'ENROLLMENT_DISABLED' });
+  assert.equal(withoutSecret.verifyEnrollmentCode(somchai, service.lineBindings.issueEnrollmentCode(somchai).code), false);
+
+  const secret = CONFIG.LINE_BINDING.SECRET;
+  try {
+    assert.equal(validateConfig(), true);
+    CONFIG.LINE_BINDING.SECRET = undefined;
+    assert.equal(validateConfig(), false);
+    CONFIG.LINE_BINDING.ENABLED = false;
+    assert.equal(validateConfig(), true);
+  } finally {
+    CONFIG.LINE_BINDING.SECRET = secret;
+  }
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const { LocalFileStorage } = require('../services/storage');
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'time-tracker-')), name);
+}
+
+test('เขียนพร้อมกันหลายรายการกับไฟล์ใหม่ไม่ชนกัน และทุกรายการอยู่ในไฟล์', async () => {
+  const filePath = tempFile('store.json');
+  const storage = new LocalFileStorage({ filePath });
+
+  const results = await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    storage.addAttendanceRecord({ id: `r${index}`, employee: `พนักงาน ${index}`, clockIn: '20/06/2025 08:00:00' })
+  ));
+  assert.equal(results.length, 20);
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(saved.main.map(record => record.id).sort(), Array.from({ length: 20 }, (_, index) => `r${index}`).sort());
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('เขียนต่างชนิดพร้อมกันแล้วโหลดไฟล์ใหม่ได้ข้อมูลครบ', async () => {
+  const filePath = tempFile('store.json');
+  const storage = new LocalFileStorage({ filePath });
+  await storage.initialize();
+
+  await Promise.all([
+    storage.addOpenShift({ employeeName: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00', recordId: 'a' }),
+    storage.addOpenShift({ employeeName: 'สมหญิง รักงาน', clockIn: '20/06/2025 08:01:00', recordId: 'b' }),
+    storage.saveShift({ code: 'OFFICE', name: 'สำนักงาน' }),
+    storage.saveZone({ code: 'HQ', name: 'สำนักงาน' })
+  ]);
+  await storage.closeAttendanceRecords([{ id: 'missing', fields: { clockOut: 'x' } }]);
+
+  const reloaded = new LocalFileStorage({ filePath });
+  assert.deepEqual((await reloaded.getOpenShifts()).map(shift => [shift.id, shift.recordId]), [[1, 'a'], [2, 'b']]);
+  assert.deepEqual((await reloaded.getShifts()).map(shift => shift.code), ['OFFICE']);
+  assert.deepEqual((await reloaded.getZones()).map(zone => zone.code), ['HQ']);
+
+  // รหัสแถว ON WORK ต่อจากที่มีอยู่
+  const next = await reloaded.addOpenShift({ employeeName: 'วิชัย ขยัน', clockIn: '20/06/2025 08:02:00', recordId: 'c' });
+  assert.equal(next.ref, 3);
+});
+
+test('closeAttendanceRecords ไม่เขียนทับเวลาออกที่มีอยู่แล้ว', async () => {
+  const storage = new LocalFileStorage({ filePath: tempFile('store.json') });
+  await storage.addAttendanceRecord({ id: 'a', employee: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00', clockOut: '20/06/2025 16:00:00' });
+  const shift = await storage.addOpenShift({ employeeName: 'สมชาย ใจดี', clockIn: '20/06/2025 08:00:00', recordId: 'a' });
+
+  const [result] = await storage.closeAttendanceRecords([{ id: 'a', fields: { clockOut: '20/06/2025 16:30:00' }, shift }]);
+  assert.deepEqual(result, { id: 'a', updated: false, removed: false, alreadyClosed: true });
+  assert.equal((await storage.getAttendanceRecords())[0].clockOut, '20/06/2025 16:00:00');
+  assert.equal((await storage.getOpenShifts()).length, 1);
+});
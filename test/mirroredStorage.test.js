@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_FILE, sheetRows } = require('./helpers');
+const { GoogleSheetsStorage, LocalFileStorage, MirroredStorage, JournaledStorage, FakeSpreadsheet } = require('../services/storage');
+
+const RECORD = { id: 'rec-mirror-1', employee: 'สมชาย ใจดี', employeeCode: '1001', clockIn: '20/06/2025 08:00:00' };
+const ZONE = { code: 'HQ2', name: 'สำนักงานสาขา', site: '', shape: 'circle', lat: '13.7', lon: '100.5', radius: '100', polygon: '', policy: 'flag', active: 'ใช้งาน' };
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'time-tracker-'));
+}
+
+async function createMirrored({ journaled }) {
+  const dir = tempDir();
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const sheets = new GoogleSheetsStorage({ doc, name: 'fake' });
+  const mirror = journaled
+    ? new JournaledStorage(sheets, { filePath: path.join(dir, 'journal.log'), baseDelayMs: 60000, maxDelayMs: 60000 })
+    : sheets;
+  const storage = new MirroredStorage(new LocalFileStorage({ filePath: path.join(dir, 'store.json') }), mirror);
+  await storage.initialize();
+  return { storage, sheets, mirror, doc };
+}
+
+// รอคิว mirror แล้วส่งรายการที่ค้างใน journal ทันที
+async function flush(storage) {
+  await storage.mirrorQueue;
+  while (storage.mirror.isReplaying) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await storage.mirror.replay();
+}
+
+test('การเขียนไป mirror ที่ล้มเหลวค้างอยู่ใน journal แล้วส่งซ้ำตามลำดับ', async () => {
+  const { storage, sheets, mirror, doc } = await createMirrored({ journaled: true });
+  const quota = async () => {
+    throw new Error('Quota exceeded for quota metric');
+  };
+  const originals = { addAttendanceRecord: sheets.addAttendanceRecord, saveZone: sheets.saveZone };
+  sheets.addAttendanceRecord = quota;
+  sheets.saveZone = quota;
+
+  // storage หลักได้ข้อมูลทันที ไม่ว่า mirror จะเป็นอย่างไร
+  await storage.addAttendanceRecord(RECORD);
+  await storage.saveZone(ZONE);
+  assert.deepEqual((await storage.getAttendanceRecords()).map(record => record.id), [RECORD.id]);
+  await flush(storage);
+
+  assert.deepEqual(mirror.getStatus().pending.map(entry => entry.op), ['addAttendanceRecord', 'saveZone']);
+  assert.equal((await sheetRows(doc, 'MAIN')).some(row => row[12] === RECORD.id), false);
+
+  Object.assign(sheets, originals);
+  await flush(storage);
+  assert.equal(mirror.getStatus().pending.length, 0);
+  assert.equal((await sheetRows(doc, 'MAIN')).filter(row => row[12] === RECORD.id).length, 1);
+  assert.equal((await sheets.getZones()).some(zone => zone.code === 'HQ2'), true);
+});
+
+test('ลบรายการที่ไม่มีใน mirror แล้วบันทึกเป็น failed ให้ผู้ดูแลเห็น', async () => {
+  const { storage, mirror } = await createMirrored({ journaled: true });
+  await storage.saveZone(ZONE);
+  // ลบจาก mirror ไปก่อน (เช่น มีคนแก้ sheet เอง)
+  await flush(storage);
+  await mirror.primary.removeZone('HQ2');
+
+  assert.equal(await storage.removeZone('HQ2'), true);
+  await flush(storage);
+  assert.deepEqual(mirror.getStatus().failed.map(entry => entry.op), ['removeZone']);
+});
+
+test('mirror ที่ไม่มี journal: error ไม่กระทบ storage หลัก', async () => {
+  const { storage, sheets, doc } = await createMirrored({ journaled: false });
+  sheets.addAttendanceRecord = async () => {
+    throw new Error('Quota exceeded for quota metric');
+  };
+
+  await storage.addAttendanceRecord(RECORD);
+  await storage.saveZone(ZONE);
+  await storage.mirrorQueue;
+
+  assert.deepEqual((await storage.getAttendanceRecords()).map(record => record.id), [RECORD.id]);
+  assert.equal((await sheetRows(doc, 'MAIN')).some(row => row[12] === RECORD.id), false);
+  assert.equal((await sheets.getZones()).some(zone => zone.code === 'HQ2'), true);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService } = require('./helpers');
+const datetime = require('../services/datetime');
+const ExcelExportService = require('../services/excelExport');
+const { evaluateOvertime } = require('../services/overtime');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+const RULES = { weekdayEnabled: true, dayOffEnabled: true, minBlockMinutes: 30 };
+const WORKDAY = { working: true, expectedStart: '10/06/2025 08:30:00', expectedEnd: '10/06/2025 16:30:00' };
+
+test('evaluateOvertime: หลังเลิกกะ, วันหยุด และ OT ที่สั้นกว่าขั้นต่ำ', () => {
+  // ทำงาน 08:00-18:00 พัก 60 นาที = 9 ชม. สุทธิ, OT หลัง 16:30 = 1.5 ชม.
+  assert.deepEqual(
+    evaluateOvertime(WORKDAY, { clockIn: '10/06/2025 08:00:00', clockOut: '10/06/2025 18:00:00', breakMinutes: 60 }, RULES),
+    { type: 'weekday', regularHours: 7.5, overtimeHours: 1.5 }
+  );
+  assert.deepEqual(
+    evaluateOvertime(WORKDAY, { clockIn: '10/06/2025 08:00:00', clockOut: '10/06/2025 16:55:00' }, RULES),
+    { type: '', regularHours: 8.92, overtimeHours: 0 }
+  );
+  assert.deepEqual(
+    evaluateOvertime({ working: false }, { clockIn: '15/06/2025 09:00:00', clockOut: '15/06/2025 12:00:00' }, RULES),
+    { type: 'dayoff', regularHours: 0, overtimeHours: 3 }
+  );
+  assert.equal(
+    evaluateOvertime({ working: false }, { clockIn: '15/06/2025 09:00:00', clockOut: '15/06/2025 12:00:00' }, { ...RULES, dayOffEnabled: false }).overtimeHours,
+    0
+  );
+});
+
+async function workDay(service, clockIn, clockOut) {
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: clockIn });
+  return service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: clockOut });
+}
+
+test('clockOut บันทึกชั่วโมงปกติและ OT แยกกัน และสรุปรายเดือน', async () => {
+  const { service } = createService();
+
+  const weekday = await workDay(service, '2025-06-10 08:00:00', '2025-06-10 18:00:00');
+  assert.equal(weekday.hours, '9.00');
+  assert.equal(weekday.overtimeHours, '1.50');
+  await workDay(service, '2025-06-15 09:00:00', '2025-06-15 12:00:00'); // วันอาทิตย์
+
+  const records = await service.getReportData('monthly', { month: 6, year: 2025 });
+  const [tuesday, sunday] = records.filter(record => record.employeeCode === '1003');
+  assert.deepEqual(
+    [tuesday.regularHours, tuesday.overtimeHours, tuesday.overtimeType],
+    ['7.50', '1.50', 'หลังเวลาเลิกงาน']
+  );
+  assert.deepEqual([sunday.regularHours, sunday.overtimeHours, sunday.overtimeType], ['0.00', '3.00', 'วันหยุด']);
+
+  const summary = await service.getOvertimeSummary(6, 2025);
+  assert.deepEqual(summary.employees.find(employee => employee.code === '1003'), {
+    code: '1003',
+    name: 'วิชัย ขยัน',
+    days: 2,
+    regularHours: 7.5,
+    weekdayOvertimeHours: 1.5,
+    dayOffOvertimeHours: 3,
+    overtimeHours: 4.5,
+    payableOvertimeHours: 8.25 // 1.5 x 1.5 + 3 x 2
+  });
+});
+
+test('ลงเวลาออกอัตโนมัติไม่นับ OT', async () => {
+  const { service } = createService();
+  await service.changeEmployees(admin => admin.update('1003', { autoCheckout: 'cutoff' }));
+  await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+
+  await service.checkAndHandleMissedCheckouts({ now: datetime.parseTimestamp('2025-06-11 00:00:00') });
+  const [record] = await service.getReportData('daily', { date: '2025-06-10' });
+  assert.equal(record.overtimeHours, '0.00');
+  assert.equal(record.regularHours, record.workingHours);
+});
+
+test('Excel รายเดือนมี sheet สรุป OT', async () => {
+  const data = [
+    { employee: 'ก', employeeCode: '1', clockIn: '10/06/2025 08:00:00', clockOut: '10/06/2025 18:00:00', regularHours: '7.50', overtimeHours: '1.50', overtimeType: 'หลังเวลาเลิกงาน' },
+    { employee: 'ก', employeeCode: '1', clockIn: '11/06/2025 08:00:00', clockOut: '11/06/2025 16:30:00', regularHours: '7.50', overtimeHours: '0.00', overtimeType: '' }
+  ];
+
+  const workbook = await ExcelExportService.createWorkbook(data, 'monthly', { month: 6, year: 2025 });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const sheet = reloaded.getWorksheet('สรุป OT');
+  assert.equal(sheet.getCell('C6').value, 'ก');
+  assert.equal(sheet.getCell('E6').value, 15);
+  assert.equal(sheet.getCell('I6').value, 2.25);
+  assert.equal(sheet.getCell('G10').value, 1.5); // รายการที่มี OT
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createService, sheetRows } = require('./helpers');
+const datetime = require('../services/datetime');
+const ExcelExportService = require('../services/excelExport');
+const { evaluateAttendance } = require('../services/punctuality');
+
+const LOCATION = { lat: 13.75, lon: 100.5 };
+const TAG = 17; // index ของคอลัมน์สถานะเวลา (R)
+
+const DAY_SHIFT = {
+  working: true,
+  shift: { code: 'OFFICE', graceMinutes: 5 },
+  expectedStart: '10/06/2025 08:30:00',
+  expectedEnd: '10/06/2025 16:30:00'
+};
+
+test('evaluateAttendance ใช้ช่วงผ่อนผันกับการมาสายเท่านั้น', () => {
+  assert.deepEqual(evaluateAttendance(DAY_SHIFT, { clockIn: '10/06/2025 08:35:59' }), {
+    shiftCode: 'OFFICE', lateMinutes: 0, earlyLeaveMinutes: null, tag: 'ตรงเวลา'
+  });
+  assert.deepEqual(evaluateAttendance(DAY_SHIFT, { clockIn: '10/06/2025 08:36:00', clockOut: '10/06/2025 16:00:00' }), {
+    shiftCode: 'OFFICE', lateMinutes: 6, earlyLeaveMinutes: 30, tag: 'สาย 6 นาที, กลับก่อน 30 นาที'
+  });
+  assert.equal(evaluateAttendance(DAY_SHIFT, { clockIn: '10/06/2025 08:00:00', clockOut: '10/06/2025 17:00:00' }).earlyLeaveMinutes, 0);
+  assert.equal(evaluateAttendance({ working: false }, { clockIn: '15/06/2025 09:00:00' }).tag, 'นอกตารางงาน');
+});
+
+test('clockIn/clockOut บันทึกสถานะเวลาลง MAIN', async () => {
+  const { service, doc } = createService();
+
+  const clockIn = await service.clockIn({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 08:42:00' });
+  assert.equal(clockIn.attendanceTag, 'สาย 12 นาที');
+  assert.deepEqual((await sheetRows(doc, 'MAIN')).at(-1).slice(14), ['OFFICE', '12', '', 'สาย 12 นาที']);
+
+  const clockOut = await service.clockOut({ employee: 'วิชัย ขยัน', ...LOCATION, mock_time: '2025-06-10 16:10:00' });
+  assert.equal(clockOut.attendanceTag, 'สาย 12 นาที, กลับก่อน 20 นาที');
+
+  const [record] = await service.getReportData('daily', { date: '2025-06-10' });
+  assert.equal(record.lateMinutes, '12');
+  assert.equal(record.earlyLeaveMinutes, '20');
+});
+
+test('กะข้ามเที่ยงคืน: ลงเวลาหลังเที่ยงคืนนับเป็นกะของเมื่อวาน', async () => {
+  const { service, doc } = createService();
+
+  // กะ NIGHT ของวันอังคาร 20:00 - 06:00 (ผ่อนผัน 10 นาที)
+  await service.clockIn({ employee: 'เปรมชัย ทองสงคราม', ...LOCATION, mock_time: '2025-06-11 00:30:00' });
+  const record = (await sheetRows(doc, 'MAIN')).at(-1);
+  assert.equal(record[14], 'NIGHT');
+  assert.equal(record[TAG], 'สาย 270 นาที');
+});
+
+test('getAdminStats แสดงรายชื่อคนมาสายวันนี้', async () => {
+  const { service } = createService();
+  const today = datetime.toDateKey(datetime.now());
+  const [somchai] = await service.getEmployees();
+
+  // ทุกวันของสัปดาห์เป็นวันทำงาน เพื่อไม่ให้ผลขึ้นกับวันที่รัน test
+  await service.schedule.assign(somchai, { shiftCode: 'OFFICE', startDate: today });
+  await service.clockIn({ employee: somchai.name, ...LOCATION, mock_time: `${today} 09:05:00` });
+
+  const stats = await service.getAdminStats();
+  assert.deepEqual(stats.lateToday, [
+    { name: somchai.name, clockIn: '09:05', shift: 'OFFICE', lateMinutes: 35, tag: 'สาย 35 นาที' }
+  ]);
+});
+
+test('Excel export มีคอลัมน์สถานะเวลาและสรุปรายคน', async () => {
+  const data = [
+    { employee: 'ก', clockIn: '10/06/2025 08:40:00', attendanceTag: 'สาย 10 นาที', lateMinutes: '10', earlyLeaveMinutes: '0' },
+    { employee: 'ก', clockIn: '11/06/2025 08:45:00', attendanceTag: 'สาย 15 นาที, กลับก่อน 5 นาที', lateMinutes: '15', earlyLeaveMinutes: '5' },
+    { employee: 'ข', clockIn: '10/06/2025 08:00:00', attendanceTag: 'ตรงเวลา', lateMinutes: '0', earlyLeaveMinutes: '' }
+  ];
+
+  const totals = ExcelExportService.summarizePunctuality(data);
+  assert.equal(totals.lateCount, 2);
+  assert.equal(totals.lateMinutes, 25);
+  assert.deepEqual(totals.employees[0], { name: 'ก', lateCount: 2, lateMinutes: 25, earlyLeaveCount: 1, earlyLeaveMinutes: 5 });
+
+  const workbook = await ExcelExportService.createWorkbook(data, 'daily', { date: '2025-06-10' });
+  const reloaded = new ExcelJS.Workbook();
+  await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const sheet = reloaded.worksheets[0];
+  assert.equal(sheet.getCell('K6').value, 'สถานะเวลา');
+  assert.equal(sheet.getCell('L8').value, 15);
+  assert.equal(sheet.getCell('K9').value, 'ตรงเวลา');
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+const { identityKey } = require('../services/employees');
+
+const LOCATION = { lat: 13.7563, lon: 100.5018 };
+
+// ลงเวลาเข้าเมื่อวันก่อนแล้วลบแถว ON WORK ทิ้ง = orphanRecord ที่ต้องปิดที่เวลาตัดรอบ
+async function createOrphans(service, employees) {
+  for (const employee of employees) {
+    await service.clockIn({ employee, userinfo: '', ...LOCATION, mock_time: '2025-06-10 08:00:00' });
+  }
+  for (const shift of await service.storage.getOpenShifts()) {
+    await service.storage.removeOpenShift(shift);
+  }
+}
+
+test('repair ข้ามพนักงานที่กำลังลงเวลาอยู่ และซ่อมคนที่เหลือ', async () => {
+  const { service, doc } = createService();
+  await createOrphans(service, ['สมชาย ใจดี', 'สมหญิง รักงาน']);
+
+  const report = await service.getReconcileReport();
+  assert.deepEqual(report.issues.map(issue => [issue.type, issue.employee]), [
+    ['orphanRecord', 'สมชาย ใจดี'],
+    ['orphanRecord', 'สมหญิง รักงาน']
+  ]);
+
+  const { employee: somchai } = await service.resolveEmployee('สมชาย ใจดี');
+  const release = service.employeeLocks.tryAcquire(identityKey(somchai), 'clockOut');
+  const result = await service.repairInconsistencies(report.fingerprint, 'admin');
+  release();
+
+  assert.deepEqual(result.applied.map(change => [change.employee, change.action]), [['สมหญิง รักงาน', 'closeRecord']]);
+  assert.deepEqual(result.skipped.map(entry => [entry.employee, entry.reason]), [['สมชาย ใจดี', 'employee is clocking in/out right now']]);
+  // ล็อกของคนที่ซ่อมแล้วถูกปลด
+  assert.deepEqual(service.employeeLocks.getStats().held, []);
+
+  const main = await sheetRows(doc, 'MAIN');
+  assert.equal(main.find(row => row[0] === 'สมชาย ใจดี' && row[3] === '10/06/2025 08:00:00')[5], '');
+  assert.match(main.find(row => row[0] === 'สมหญิง รักงาน' && row[3] === '10/06/2025 08:00:00')[5], /^10\/06\/2025 /);
+
+  // รอบถัดไปซ่อมคนที่ถูกข้ามได้
+  const next = await service.getReconcileReport();
+  assert.deepEqual(next.issues.map(issue => issue.employee), ['สมชาย ใจดี']);
+  const retried = await service.repairInconsistencies(next.fingerprint, 'admin');
+  assert.deepEqual(retried.applied.map(change => change.employee), ['สมชาย ใจดี']);
+});
+
+test('ระหว่างซ่อม การลงเวลาของพนักงานคนนั้นถูกปฏิเสธว่ากำลังดำเนินการ', async () => {
+  const { service } = createService();
+  await createOrphans(service, ['สมชาย ใจดี']);
+  const report = await service.getReconcileReport();
+
+  // ค้างการปิดรายการไว้จนกว่าจะลองลงเวลาเข้า
+  const closeAttendanceRecords = service.storage.closeAttendanceRecords.bind(service.storage);
+  let clockInDuringRepair;
+  service.storage.closeAttendanceRecords = async closures => {
+    clockInDuringRepair = await service.clockIn({ employee: 'สมชาย ใจดี', userinfo: '', ...LOCATION, mock_time: '2025-06-11 08:00:00' });
+    return closeAttendanceRecords(closures);
+  };
+
+  const result = await service.repairInconsistencies(report.fingerprint, 'admin');
+  assert.equal(result.applied.length, 1);
+  assert.equal(clockInDuringRepair.currentStatus, 'processing');
+});
+
+test('รายการค้างของกะข้ามคืนปิดที่เวลาเลิกกะของวันถัดไป ไม่ใช่เวลาตัดรอบของวันที่เข้างาน', async () => {
+  const { service, doc } = createService();
+  await service.clockIn({ employee: 'เปรมชัย ทองสงคราม', userinfo: '', ...LOCATION, mock_time: '2025-06-09 20:00:00' });
+  await createOrphans(service, ['วิชัย ขยัน']);
+
+  const report = await service.getReconcileReport();
+  const result = await service.repairInconsistencies(report.fingerprint, 'admin');
+  assert.deepEqual(result.applied.map(change => [change.employee, change.clockOut]), [
+    ['เปรมชัย ทองสงคราม', '10/06/2025 06:00:00'],
+    ['วิชัย ขยัน', '10/06/2025 16:30:00']
+  ]);
+
+  const night = (await sheetRows(doc, 'MAIN')).find(row => row[3] === '09/06/2025 20:00:00');
+  assert.deepEqual([night[5], night[10]], ['10/06/2025 06:00:00', '10.00']);
+});
+
+test('แถว ON WORK ซ้ำตรวจจากรหัสพนักงาน: ชื่อเปลี่ยนยังนับเป็นคนเดียวกัน ชื่อซ้ำแต่คนละรหัสไม่นับ', async () => {
+  const { service } = createService();
+  const { storage } = service;
+  const entries = [
+    { id: 'rec-old-name', employee: 'วิชัย ขยันมาก', employeeCode: '1003', clockIn: '09/06/2025 08:00:00' },
+    { id: 'rec-new-name', employee: 'วิชัย ขยัน', employeeCode: '1003', clockIn: '10/06/2025 08:00:00' },
+    { id: 'rec-somchai', employee: 'สมชาย ใจดี', employeeCode: '1001', clockIn: '10/06/2025 08:00:00' },
+    { id: 'rec-namesake', employee: 'สมชาย ใจดี', employeeCode: '2001', clockIn: '10/06/2025 08:05:00' }
+  ];
+  for (const record of entries) {
+    await storage.addAttendanceRecord(record);
+    await storage.addOpenShift({ employeeName: record.employee, clockIn: record.clockIn, recordId: record.id, employeeCode: record.employeeCode });
+  }
+
+  const { issues } = await service.reconciler.analyze();
+  assert.deepEqual(issues.map(issue => [issue.type, issue.recordId, issue.keptRecordId]), [
+    ['duplicateShift', 'rec-old-name', 'rec-new-name']
+  ]);
+
+  const report = await service.getReconcileReport();
+  const result = await service.repairInconsistencies(report.fingerprint, 'admin');
+  assert.deepEqual(result.applied.map(change => [change.recordId, change.clockOut]), [['rec-old-name', '09/06/2025 16:30:00']]);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService } = require('./helpers');
+
+// fixture มีเวลาเข้าหลายรูปแบบ: DD/MM/YYYY, YYYY-MM-DD และปี พ.ศ. รวมถึง partition MAIN_2025-05
+
+test('รายงานรายวันรวมเวลาเข้าทุกรูปแบบของวันนั้น', async () => {
+  const { service } = createService();
+
+  const rows = await service.getReportData('daily', { date: '2025-06-03' });
+  assert.deepEqual(rows.map(row => row.employee).sort(), ['สมชาย ใจดี', 'สมหญิง รักงาน'].sort());
+  assert.deepEqual(rows.map(row => row.no), [1, 2]);
+});
+
+test('รายงานรายเดือนรวมรายการที่บันทึกปีเป็น พ.ศ.', async () => {
+  const { service } = createService();
+
+  const june = await service.getReportData('monthly', { month: '6', year: '2025' });
+  assert.equal(june.length, 4);
+  assert.ok(june.some(row => row.clockIn === '30/06/2568 08:00:00'));
+
+  const july = await service.getReportData('monthly', { month: 7, year: 2025 });
+  assert.deepEqual(july.map(row => row.clockIn), ['01/07/2025 08:00:00']);
+});
+
+test('รายงานช่วงวันที่รวมวันเริ่ม/วันสิ้นสุดและอ่าน partition ของเดือนที่ archive แล้ว', async () => {
+  const { service } = createService();
+
+  const rows = await service.getReportData('range', { startDate: '2025-05-01', endDate: '2025-06-02' });
+  assert.deepEqual(rows.map(row => row.employee), ['วิชัย ขยัน', 'สมชาย ใจดี']);
+
+  const edge = await service.getReportData('range', { startDate: '2025-06-30', endDate: '2025-07-01' });
+  assert.equal(edge.length, 2);
+});
+
+test('รายงานที่ไม่มีข้อมูลคืนรายการว่าง และชนิดที่ไม่รองรับ throw', async () => {
+  const { service } = createService();
+
+  assert.deepEqual(await service.getReportData('daily', { date: '2024-01-01' }), []);
+  await assert.rejects(() => service.getReportData('weekly', {}), /Unsupported report type/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createService, sheetRows } = require('./helpers');
+const { toShift, validateShift } = require('../services/schedule');
+
+test('validateShift ตรวจเวลาและกะข้ามเที่ยงคืน', () => {
+  assert.deepEqual(validateShift(toShift({ code: 'day', start: '8:00', end: '16:00' })), []);
+  assert.deepEqual(validateShift(toShift({ code: 'NIGHT', start: '22:00', end: '06:00', crossesMidnight: 'TRUE' })), []);
+
+  assert.equal(validateShift(toShift({ code: 'NIGHT', start: '22:00', end: '06:00' })).length, 1);
+  assert.equal(validateShift(toShift({ code: 'DAY', start: '08:00', end: '16:00', crossesMidnight: true })).length, 1);
+  assert.equal(validateShift(toShift({ code: 'OFF', start: '25:00', end: '' })).length, 3);
+});
+
+test('ไม่มีตารางเวร: ใช้กะเริ่มต้นในวันจันทร์-ศุกร์', async () => {
+  const { service } = createService();
+  const employees = await service.getEmployees();
+  const somchai = employees.find(employee => employee.code === '1001');
+
+  const tuesday = await service.schedule.getExpectedSchedule(somchai, '2025-06-10');
+  assert.equal(tuesday.working, true);
+  assert.equal(tuesday.source, 'default');
+  assert.equal(tuesday.shift.code, 'OFFICE');
+  assert.equal(tuesday.expectedStart, '10/06/2025 08:30:00');
+  assert.equal(tuesday.expectedEnd, '10/06/2025 16:30:00');
+
+  const sunday = await service.schedule.getExpectedSchedule(somchai, '2025-06-15');
+  assert.equal(sunday.working, false);
+  assert.equal(sunday.expectedStart, null);
+});
+
+test('ตารางเวรรายสัปดาห์ของกะข้ามเที่ยงคืนเลิกงานวันถัดไป', async () => {
+  const { service } = createService();
+  const employees = await service.getEmployees();
+  const premchai = employees.find(employee => employee.code === '1017');
+
+  const saturday = await service.schedule.getExpectedSchedule(premchai, '2025-06-14');
+  const sunday = await service.schedule.getExpectedSchedule(premchai, '15/06/2025');
+
+  assert.equal(saturday.source, 'roster');
+  assert.equal(saturday.rosterId, 'roster-1017-night');
+  assert.equal(saturday.shift.graceMinutes, 10);
+  assert.equal(saturday.expectedStart, '14/06/2025 20:00:00');
+  assert.equal(saturday.expectedEnd, '15/06/2025 06:00:00');
+
+  // ตารางเวรไม่รวมวันอาทิตย์ - ไม่ใช้กะเริ่มต้นแทน
+  assert.equal(sunday.working, false);
+  assert.equal(sunday.source, 'roster');
+});
+
+test('ตารางเวรช่วงวันที่มีผลก่อนตารางที่ไม่มีกำหนดสิ้นสุด และลบได้', async () => {
+  const { service, doc } = createService();
+  const employees = await service.getEmployees();
+  const premchai = employees.find(employee => employee.code === '1017');
+
+  await service.schedule.saveShift({ code: 'DAY', name: 'กะเช้า', start: '07:00', end: '15:00', graceMinutes: 5 });
+  const entry = await service.schedule.assign(premchai, { shiftCode: 'day', startDate: '2025-06-09', endDate: '2025-06-13' });
+
+  const schedule = await service.schedule.getExpectedSchedule(premchai, '2025-06-10');
+  assert.equal(schedule.shift.code, 'DAY');
+  assert.equal(schedule.expectedStart, '10/06/2025 07:00:00');
+  assert.equal((await service.schedule.getExpectedSchedule(premchai, '2025-06-14')).shift.code, 'NIGHT');
+
+  const rows = await sheetRows(doc, 'ROSTERS');
+  assert.deepEqual(rows.at(-1), [entry.id, '1017', 'เปรมชัย ทองสงคราม', 'DAY', '2025-06-09', '2025-06-13']);
+
+  await service.schedule.removeAssignment(entry.id);
+  assert.equal((await service.schedule.getExpectedSchedule(premchai, '2025-06-10')).shift.code, 'NIGHT');
+  await assert.rejects(service.schedule.removeAssignment(entry.id), { code: 'SCHEDULE_NOT_FOUND' });
+});
+
+test('assign ปฏิเสธกะที่ไม่มีและช่วงวันที่กลับด้าน', async () => {
+  const { service } = createService();
+  const [employee] = await service.getEmployees();
+
+  await assert.rejects(
+    service.schedule.assign(employee, { shiftCode: 'EVENING', startDate: '2025-06-10', endDate: '2025-06-01' }),
+    error => error.code === 'INVALID_SCHEDULE' && error.details.length === 2
+  );
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_FILE } = require('./helpers');
+const { GoogleSheetsStorage, LocalFileStorage, FakeSpreadsheet } = require('../services/storage');
+const { SHEET_SCHEMAS, validateHeaders } = require('../services/storage/schema');
+
+async function createStorage() {
+  const doc = FakeSpreadsheet.fromFixture(FIXTURE_FILE);
+  const storage = new GoogleSheetsStorage({ doc, name: 'fake' });
+  await storage.initialize();
+  return { storage, doc };
+}
+
+function resultOf(report, title) {
+  return report.sheets.find(result => result.sheet === title);
+}
+
+test('validateHeaders: header ที่อ่านด้วยชื่อต้องตรง ส่วนที่อ่านด้วยตำแหน่งแค่เตือน', () => {
+  const headers = SHEET_SCHEMAS.ON_WORK.columns.map(column => column.header);
+  assert.deepEqual(validateHeaders('ON_WORK', headers, headers.length), { sheet: SHEET_SCHEMAS.ON_WORK.title, errors: [], warnings: [] });
+
+  const renamed = [...headers];
+  renamed[0] = 'Timestamp';
+  renamed[1] = 'ชื่อ';
+  const result = validateHeaders('ON_WORK', renamed.slice(0, -1), headers.length - 1);
+  assert.deepEqual(result.warnings, ['column 1 (timestamp): header is "Timestamp", expected "เวลา"']);
+  assert.deepEqual(result.errors, [
+    `has ${headers.length - 1} columns, expected at least ${headers.length}`,
+    'column 2 (employeeName): header is "ชื่อ", expected "ชื่อพนักงาน"',
+    `column ${headers.length} (employeeCode): missing header "รหัสพนักงาน"`
+  ]);
+});
+
+test('sheet ที่ขาดคอลัมน์/header หรือไม่มี sheet ตรวจไม่ผ่าน และ migrateSchema แก้ให้ผ่าน', async () => {
+  const { storage, doc } = await createStorage();
+  assert.equal((await storage.validateSchema()).valid, true);
+
+  // deployment เก่า: ZONES ยังไม่มี, MAIN ยังไม่มีคอลัมน์ท้าย ๆ, EMPLOYEES header ว่างไปหนึ่งช่อง
+  const main = doc.sheetsByTitle[SHEET_SCHEMAS.MAIN.title];
+  main.values.forEach(row => row.splice(23));
+  await main.resize({ rowCount: main.rowCount, columnCount: 23 });
+  doc._sheets = doc._sheets.filter(sheet => sheet.title !== SHEET_SCHEMAS.ZONES.title);
+  doc.sheetsByTitle[SHEET_SCHEMAS.EMPLOYEES.title].values[0][5] = '';
+
+  const before = await storage.validateSchema();
+  assert.equal(before.valid, false);
+  assert.deepEqual(resultOf(before, SHEET_SCHEMAS.ZONES.title).errors, ['sheet not found']);
+  assert.deepEqual(resultOf(before, SHEET_SCHEMAS.MAIN.title).errors, [
+    'has 23 columns, expected at least 25',
+    'column 24 (dutyId): missing header "รหัสไปราชการ"',
+    'column 25 (zoneFlag): missing header "นอกพื้นที่"'
+  ]);
+  assert.deepEqual(resultOf(before, SHEET_SCHEMAS.EMPLOYEES.title).errors, ['column 6 (active): missing header "สถานะ"']);
+
+  const changes = await storage.migrateSchema();
+  assert.deepEqual(changes.find(change => change.sheet === SHEET_SCHEMAS.ZONES.title).added, ['sheet']);
+  assert.deepEqual(changes.find(change => change.sheet === SHEET_SCHEMAS.MAIN.title).added, ['X1 "รหัสไปราชการ"', 'Y1 "นอกพื้นที่"']);
+  assert.deepEqual(changes.find(change => change.sheet === SHEET_SCHEMAS.EMPLOYEES.title).added, ['F1 "สถานะ"']);
+
+  assert.equal((await storage.validateSchema()).valid, true);
+  // รันซ้ำไม่มีอะไรเปลี่ยน
+  assert.ok((await storage.migrateSchema()).every(change => change.added.length === 0));
+});
+
+test('migrateSchema ไม่เขียนทับ header ที่ผิด - ต้องให้ผู้ดูแลแก้เอง', async () => {
+  const { storage, doc } = await createStorage();
+  doc.sheetsByTitle[SHEET_SCHEMAS.EMPLOYEES.title].values[0][1] = 'รหัส';
+
+  await storage.migrateSchema();
+  const report = await storage.validateSchema();
+  assert.equal(report.valid, false);
+  assert.deepEqual(resultOf(report, SHEET_SCHEMAS.EMPLOYEES.title).errors, ['column 2 (code): header is "รหัส", expected "รหัสพนักงาน"']);
+});
+
+test('ไฟล์ local: ตรวจชนิดของแต่ละส่วนและ migrateSchema เติมส่วนที่ขาด', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'time-tracker-')), 'store.json');
+  fs.writeFileSync(filePath, JSON.stringify({ main: [], zones: {}, archive: null }));
+
+  const storage = new LocalFileStorage({ filePath });
+  const report = await storage.validateSchema();
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.sheets[0].errors, ['"zones" has invalid type']);
+
+  const [change] = await storage.migrateSchema();
+  assert.deepEqual(change.added, ['archive']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).archive, {});
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const SheetCache = require('../services/sheetCache');
+
+const TTL = 1000;
+
+// loader ที่นับจำนวนครั้งที่ถูกเรียก และคืนค่าตามลำดับที่ให้ไว้
+function createLoader(...results) {
+  const loader = async () => {
+    const result = results[Math.min(loader.calls, results.length - 1)];
+    loader.calls++;
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+// ย้อนเวลาที่อ่านข้อมูลของ key นั้นไป ageMs
+function ageEntry(cache, key, ageMs) {
+  cache.entries[key].timestamp = Date.now() - ageMs;
+}
+
+test('ข้อมูลยังไม่หมดอายุคืนจาก cache ทันที และ refresh เบื้องหลังเมื่อใกล้หมดอายุ', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  const loader = createLoader(['v1'], ['v2']);
+
+  assert.deepEqual(await cache.get('MAIN', loader), ['v1']);
+  assert.deepEqual(await cache.get('MAIN', loader), ['v1']);
+  assert.equal(loader.calls, 1);
+
+  ageEntry(cache, 'MAIN', TTL * 0.9);
+  assert.deepEqual(await cache.get('MAIN', loader), ['v1']);
+  await cache.inflight.get('MAIN');
+  assert.equal(loader.calls, 2);
+  assert.deepEqual(cache.peek('MAIN'), ['v2']);
+  assert.equal(cache.isFresh('MAIN'), true);
+});
+
+test('stale-while-revalidate: หมดอายุไม่เกิน 1 TTL คืนข้อมูลเก่าแล้วโหลดใหม่เบื้องหลัง', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  const loader = createLoader(['v1'], ['v2']);
+  await cache.get('MAIN', loader);
+
+  ageEntry(cache, 'MAIN', TTL * 1.5);
+  assert.deepEqual(await cache.get('MAIN', loader), ['v1']);
+  assert.equal(cache.inflight.has('MAIN'), true);
+  await cache.inflight.get('MAIN');
+  assert.deepEqual(await cache.get('MAIN', loader), ['v2']);
+
+  // เก่ากว่า 2 TTL ต้องรอโหลดใหม่
+  const slow = createLoader(['v3']);
+  ageEntry(cache, 'MAIN', TTL * 3);
+  assert.deepEqual(await cache.get('MAIN', slow), ['v3']);
+
+  const stats = cache.getStats().keys.MAIN;
+  assert.deepEqual([stats.hits, stats.staleHits, stats.misses, stats.refreshes], [1, 1, 2, 3]);
+});
+
+test('single-flight: อ่าน key เดียวกันพร้อมกันเรียก loader ครั้งเดียว', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  let resolveLoad;
+  let calls = 0;
+  const loader = () => {
+    calls++;
+    return new Promise(resolve => {
+      resolveLoad = resolve;
+    });
+  };
+
+  const reads = [cache.get('MAIN', loader), cache.get('MAIN', loader), cache.refresh('MAIN', loader)];
+  await new Promise(resolve => setImmediate(resolve));
+  resolveLoad(['v1']);
+
+  assert.deepEqual(await Promise.all(reads), [['v1'], ['v1'], ['v1']]);
+  assert.equal(calls, 1);
+  assert.equal(cache.getStats().keys.MAIN.coalesced, 2);
+  assert.equal(cache.inflight.size, 0);
+});
+
+test('โหลดไม่ได้: คืนข้อมูลเก่าที่มี ถ้าไม่มีข้อมูลเลยส่ง error ต่อ', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  await assert.rejects(cache.get('MAIN', createLoader(new Error('Quota exceeded'))), /Quota exceeded/);
+  assert.equal(cache.inflight.size, 0);
+
+  await cache.get('MAIN', createLoader(['v1']));
+  ageEntry(cache, 'MAIN', TTL * 5);
+  const failing = createLoader(new Error('Quota exceeded'));
+  assert.deepEqual(await cache.get('MAIN', failing), ['v1']);
+  assert.equal(failing.calls, 1);
+
+  // refresh เบื้องหลังที่ล้มเหลวไม่ทิ้งข้อมูลเดิม
+  ageEntry(cache, 'MAIN', TTL * 1.5);
+  assert.deepEqual(await cache.get('MAIN', failing), ['v1']);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(cache.peek('MAIN'), ['v1']);
+  assert.equal(cache.getStats().keys.MAIN.errors, 3);
+});
+
+test('update() แก้ข้อมูลใน cache หลังเขียนโดยไม่ต่ออายุ และไม่สร้าง entry ใหม่', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  cache.update('MAIN', rows => [...rows, ['x']]);
+  assert.equal(cache.peek('MAIN'), null);
+
+  await cache.get('MAIN', createLoader([['a']]));
+  ageEntry(cache, 'MAIN', TTL * 0.5);
+  const { timestamp } = cache.entries.MAIN;
+
+  cache.update('MAIN', rows => [...rows, ['b']]);
+  assert.deepEqual(cache.peek('MAIN'), [['a'], ['b']]);
+  assert.equal(cache.entries.MAIN.timestamp, timestamp);
+
+  const loader = createLoader([['fresh']]);
+  assert.deepEqual(await cache.get('MAIN', loader), [['a'], ['b']]);
+  assert.equal(loader.calls, 0);
+});
+
+test('ttl override ใช้กับทุก key ระหว่าง emergency mode', async () => {
+  const cache = new SheetCache({ MAIN: TTL });
+  await cache.get('MAIN', createLoader(['v1']));
+  ageEntry(cache, 'MAIN', TTL * 3);
+
+  cache.setTtlOverride(TTL * 10);
+  const loader = createLoader(['v2']);
+  assert.deepEqual(await cache.get('MAIN', loader), ['v1']);
+  assert.equal(loader.calls, 0);
+
+  cache.setTtlOverride(null);
+  assert.deepEqual(await cache.get('MAIN', loader), ['v2']);
+});